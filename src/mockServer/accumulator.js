@@ -0,0 +1,84 @@
+/**
+ * Accumulator helpers for the mock server
+ * A bet carrying a `legs` array is an accumulator: every leg must win for the bet to win,
+ * and its odds are the product of the leg odds. Single bets are treated as one leg so the
+ * fraud rules can check both kinds the same way.
+ */
+const MIN_LEGS = 2;
+const MAX_LEGS = parseInt(process.env.ACCUMULATOR_MAX_LEGS) || 20;
+
+// Fields every leg must carry, and the only others it may carry
+const LEG_FIELDS = ['matchId', 'selection', 'odds'];
+const OPTIONAL_LEG_FIELDS = ['marketType', 'sport', 'homeTeam', 'awayTeam'];
+
+class Accumulator {
+  /**
+   * Whether a bet is an accumulator
+   * @param {Object} betData - Bet request payload or stored bet
+   * @returns {boolean}
+   */
+  static isAccumulator(betData) {
+    return Array.isArray(betData.legs);
+  }
+
+  /**
+   * Get the legs of a bet; a single bet is one leg built from its own fields
+   * @param {Object} betData - Bet request payload or stored bet
+   * @returns {Array<Object>} - [{ matchId, marketType, selection, odds }]
+   */
+  static legsOf(betData) {
+    if (Accumulator.isAccumulator(betData)) {
+      return betData.legs;
+    }
+    return [{
+      matchId: betData.matchId,
+      marketType: betData.marketType,
+      selection: betData.selection,
+      odds: betData.odds
+    }];
+  }
+
+  /**
+   * Multiply leg odds, rounded to two decimals as prices are displayed
+   * @param {Array<Object>} legs - Legs with odds
+   * @returns {number} - Combined odds (NaN when a leg has no numeric odds)
+   */
+  static combinedOdds(legs) {
+    const product = legs.reduce((odds, leg) => odds * parseFloat(leg.odds), 1);
+    return Math.round(product * 100) / 100;
+  }
+
+  /**
+   * List the fields of a leg that a leg does not have, such as a result or a settlement flag
+   * @param {Object} leg - Leg from the request
+   * @returns {Array<string>} - Unexpected field names
+   */
+  static unexpectedFields(leg) {
+    return Object.keys(leg).filter(field => !LEG_FIELDS.includes(field) && !OPTIONAL_LEG_FIELDS.includes(field));
+  }
+
+  /**
+   * Check the shape of an accumulator payload
+   * @param {Object} betData - Bet request payload
+   * @returns {string|null} - Error message, or null when the legs are well formed
+   */
+  static validate(betData) {
+    const { legs } = betData;
+    if (legs.length < MIN_LEGS) {
+      return `An accumulator needs at least ${MIN_LEGS} legs`;
+    }
+    if (legs.length > MAX_LEGS) {
+      return `An accumulator can have at most ${MAX_LEGS} legs`;
+    }
+    if (legs.some(leg => !leg || typeof leg !== 'object' || LEG_FIELDS.some(field => !leg[field]))) {
+      return 'Missing required leg information';
+    }
+    return null;
+  }
+}
+
+Accumulator.MIN_LEGS = MIN_LEGS;
+Accumulator.MAX_LEGS = MAX_LEGS;
+Accumulator.LEG_FIELDS = LEG_FIELDS;
+
+module.exports = Accumulator;
@@ -0,0 +1,143 @@
+/**
+ * Virtual clock for the mock server
+ * Every time the server reads comes from one clock, which tests can freeze, move forward or set,
+ * so expiry, velocity windows and kickoff checks run without sleeping
+ */
+
+// Actions accepted by control()
+const ACTIONS = ['freeze', 'unfreeze', 'advance', 'set', 'reset'];
+
+class Clock {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Current time
+   * @returns {number} - Milliseconds since the epoch
+   */
+  now() {
+    return this.frozenAt !== null ? this.frozenAt : Date.now() + this.offsetMs;
+  }
+
+  /**
+   * Current time as an ISO string
+   * @returns {string}
+   */
+  toISOString() {
+    return new Date(this.now()).toISOString();
+  }
+
+  /**
+   * Stop the clock, at the current time or at the given one
+   * @param {number|string} time - Time to stop at (milliseconds or ISO string)
+   */
+  freeze(time = null) {
+    this.frozenAt = time === null ? this.now() : Clock.parseTime(time);
+  }
+
+  /**
+   * Let a frozen clock run again from where it stopped
+   */
+  unfreeze() {
+    if (this.frozenAt !== null) {
+      this.offsetMs = this.frozenAt - Date.now();
+      this.frozenAt = null;
+    }
+  }
+
+  /**
+   * Move the clock forward (or back, with a negative duration)
+   * @param {number} ms - Duration in milliseconds
+   */
+  advance(ms) {
+    const duration = Number(ms);
+    if (!Number.isFinite(duration)) {
+      throw new Error('Duration must be a number of milliseconds');
+    }
+    if (this.frozenAt !== null) {
+      this.frozenAt += duration;
+    } else {
+      this.offsetMs += duration;
+    }
+  }
+
+  /**
+   * Jump to a time; a frozen clock stays frozen there
+   * @param {number|string} time - Time to jump to (milliseconds or ISO string)
+   */
+  set(time) {
+    const target = Clock.parseTime(time);
+    if (this.frozenAt !== null) {
+      this.frozenAt = target;
+    } else {
+      this.offsetMs = target - Date.now();
+    }
+  }
+
+  /**
+   * Go back to real time
+   */
+  reset() {
+    this.frozenAt = null;
+    this.offsetMs = 0;
+  }
+
+  /**
+   * Apply a control action, as sent to the control endpoint
+   * @param {Object} request - { action, time, ms }
+   * @returns {Object} - Clock state after the action
+   */
+  control({ action, time = null, ms } = {}) {
+    switch (action) {
+      case 'freeze':
+        this.freeze(time);
+        break;
+      case 'unfreeze':
+        this.unfreeze();
+        break;
+      case 'advance':
+        this.advance(ms);
+        break;
+      case 'set':
+        this.set(time);
+        break;
+      case 'reset':
+        this.reset();
+        break;
+      default:
+        throw new Error(`Unknown clock action "${action}"; use one of ${ACTIONS.join(', ')}`);
+    }
+    return this.getState();
+  }
+
+  /**
+   * Describe the clock
+   * @returns {Object} - { now, frozen, offsetMs }
+   */
+  getState() {
+    const now = this.now();
+    return {
+      now: new Date(now).toISOString(),
+      frozen: this.frozenAt !== null,
+      offsetMs: now - Date.now()
+    };
+  }
+
+  /**
+   * Read a time given in milliseconds or as a date string
+   * @param {number|string} value - Time
+   * @returns {number} - Milliseconds since the epoch
+   */
+  static parseTime(value) {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(time)) {
+      throw new Error('Time must be milliseconds since the epoch or an ISO date');
+    }
+    return time;
+  }
+}
+
+Clock.ACTIONS = ACTIONS;
+
+module.exports = Clock;
@@ -0,0 +1,278 @@
+/**
+ * Fault injector for the mock server
+ * Per-route chaos: added latency, error responses, dropped connections, truncated JSON and
+ * responses dripped out a few bytes at a time, so clients can be tested against a flaky backend
+ */
+const Clock = require('./clock');
+
+// Rate fields: chance between 0 and 1 that the fault hits a matching request
+const RATE_FIELDS = ['errorRate', 'dropRate', 'truncateRate'];
+const DEFAULTS = {
+  method: '*',
+  latencyMs: 0,
+  errorRate: 0,
+  errorStatus: 503,
+  dropRate: 0,
+  truncateRate: 0,
+  dripMs: 0,
+  dripChunkBytes: 8
+};
+
+// Number of injected faults kept for GET /__control/faults
+const LOG_LIMIT = 100;
+
+// Routes that are never faulted, so faults can always be switched off again
+const EXEMPT_PREFIX = '/__control';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Read the fault rules configured in FAULT_INJECTION (a JSON array of rules)
+const rulesFromEnv = () => {
+  if (!process.env.FAULT_INJECTION) return [];
+  try {
+    return JSON.parse(process.env.FAULT_INJECTION);
+  } catch (error) {
+    throw new Error(`FAULT_INJECTION is not valid JSON: ${error.message}`);
+  }
+};
+
+class FaultInjector {
+  /**
+   * @param {Array<Object>} rules - Fault rules loaded at startup and on reset
+   * @param {Object} options - { random: source of numbers in [0, 1) for deterministic tests, clock }
+   */
+  constructor(rules = rulesFromEnv(), { random = Math.random, clock = new Clock() } = {}) {
+    this.initialRules = rules;
+    this.random = random;
+    this.clock = clock;
+    this.sequence = 0;
+    this.reset();
+  }
+
+  /**
+   * Check a fault rule
+   * @param {Object} rule - Fault rule
+   * @returns {string|null} - Error message, or null when the rule is valid
+   */
+  static validate(rule) {
+    if (!rule || typeof rule.path !== 'string' || !rule.path.startsWith('/')) {
+      return 'A fault rule needs a path starting with /';
+    }
+    if (RATE_FIELDS.some(field => rule[field] !== undefined && !(rule[field] >= 0 && rule[field] <= 1))) {
+      return `${RATE_FIELDS.join(', ')} must be between 0 and 1`;
+    }
+    if (['latencyMs', 'dripMs'].some(field => rule[field] !== undefined && !(rule[field] >= 0))) {
+      return 'latencyMs and dripMs must be zero or more';
+    }
+    if (rule.dripChunkBytes !== undefined && !(rule.dripChunkBytes >= 1)) {
+      return 'dripChunkBytes must be at least 1';
+    }
+    if (rule.errorStatus !== undefined && !(rule.errorStatus >= 400 && rule.errorStatus <= 599)) {
+      return 'errorStatus must be a 4xx or 5xx status';
+    }
+    return null;
+  }
+
+  /**
+   * Whether a request path matches a rule path; `:name` matches one segment and a trailing `*` the rest
+   * @param {string} pattern - Rule path, e.g. /bets/place, /admin/users/:id or /wallet/*
+   * @param {string} path - Request path
+   * @returns {boolean}
+   */
+  static matchesPath(pattern, path) {
+    const patternSegments = pattern.split('/');
+    const pathSegments = path.split('/');
+
+    for (let i = 0; i < patternSegments.length; i++) {
+      if (patternSegments[i] === '*') return true;
+      if (i >= pathSegments.length) return false;
+      if (!patternSegments[i].startsWith(':') && patternSegments[i] !== pathSegments[i]) return false;
+    }
+    return patternSegments.length === pathSegments.length;
+  }
+
+  /**
+   * Add a fault rule; earlier rules win when several match
+   * @param {Object} rule - { path, method, latencyMs, errorRate, errorStatus, dropRate, truncateRate, dripMs, dripChunkBytes }
+   * @returns {Object} - Stored rule with its id
+   */
+  add(rule) {
+    const error = FaultInjector.validate(rule);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const stored = { id: rule.id || `FAULT-${++this.sequence}`, ...DEFAULTS, ...rule };
+    stored.method = stored.method.toUpperCase();
+    this.rules.push(stored);
+    return stored;
+  }
+
+  /**
+   * Remove a fault rule
+   * @param {string} ruleId - Rule identifier
+   * @returns {boolean} - Whether a rule was removed
+   */
+  remove(ruleId) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(rule => rule.id !== ruleId);
+    return this.rules.length < before;
+  }
+
+  /**
+   * Remove every fault rule
+   */
+  clear() {
+    this.rules = [];
+  }
+
+  /**
+   * Go back to the configured rules and forget the injected faults
+   */
+  reset() {
+    this.rules = [];
+    this.injected = [];
+    this.initialRules.forEach(rule => this.add(rule));
+  }
+
+  /**
+   * Find the first rule matching a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {Object|null} - Matching rule
+   */
+  match(method, path) {
+    if (path.startsWith(EXEMPT_PREFIX)) return null;
+
+    return this.rules.find(rule =>
+      (rule.method === '*' || rule.method === method.toUpperCase()) && FaultInjector.matchesPath(rule.path, path)
+    ) || null;
+  }
+
+  /**
+   * Roll the dice for each fault of a rule
+   * @param {Object} rule - Fault rule
+   * @returns {Array<string>} - Faults to inject: latency, drop, error, truncate, drip
+   */
+  plan(rule) {
+    const faults = [];
+    if (rule.latencyMs > 0) faults.push('latency');
+    if (this.random() < rule.dropRate) return [...faults, 'drop'];
+    if (this.random() < rule.errorRate) return [...faults, 'error'];
+    if (this.random() < rule.truncateRate) faults.push('truncate');
+    if (rule.dripMs > 0) faults.push('drip');
+    return faults;
+  }
+
+  /**
+   * Note an injected fault
+   * @param {Object} rule - Fault rule
+   * @param {Object} req - Express request
+   * @param {Array<string>} faults - Faults injected
+   */
+  record(rule, req, faults) {
+    this.injected.push({
+      ruleId: rule.id,
+      method: req.method,
+      path: req.path,
+      faults,
+      at: this.clock.toISOString()
+    });
+    this.injected = this.injected.slice(-LOG_LIMIT);
+  }
+
+  /**
+   * Express middleware applying the first matching rule to each request
+   * Express 4 does not handle rejected promises, so failures are passed to next()
+   * @returns {Function} - Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.inject(req, res, next).catch(next);
+    };
+  }
+
+  /**
+   * Apply the first matching rule to a request
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next callback
+   * @returns {Promise<void>}
+   */
+  async inject(req, res, next) {
+    const rule = this.match(req.method, req.path);
+    const faults = rule ? this.plan(rule) : [];
+    if (faults.length === 0) {
+      return next();
+    }
+
+    this.record(rule, req, faults);
+    res.set('X-Injected-Fault', faults.join(','));
+
+    if (faults.includes('latency')) {
+      await sleep(rule.latencyMs);
+    }
+    if (faults.includes('drop')) {
+      return req.socket.destroy();
+    }
+    if (faults.includes('error')) {
+      return res.status(rule.errorStatus).json({ error: 'Injected fault', code: 'INJECTED_FAULT' });
+    }
+    if (faults.includes('truncate') || faults.includes('drip')) {
+      FaultInjector.interceptBody(res, rule, faults.includes('truncate'));
+    }
+    next();
+  }
+
+  /**
+   * Replace res.send so the body is cut short and/or written out slowly
+   * @param {Object} res - Express response
+   * @param {Object} rule - Fault rule
+   * @param {boolean} truncate - Whether to send only the first half of the body
+   */
+  static interceptBody(res, rule, truncate) {
+    res.send = body => {
+      if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+        res.type('json');
+        body = JSON.stringify(body);
+      }
+      let payload = Buffer.from(body === undefined ? '' : body);
+      if (truncate) {
+        payload = payload.subarray(0, Math.floor(payload.length / 2));
+      }
+
+      res.set('Content-Length', String(payload.length));
+      if (!(rule.dripMs > 0)) {
+        res.end(payload);
+        return res;
+      }
+
+      const drip = async () => {
+        for (let offset = 0; offset < payload.length; offset += rule.dripChunkBytes) {
+          if (offset > 0) {
+            await sleep(rule.dripMs);
+            if (res.destroyed) return;
+          }
+          res.write(payload.subarray(offset, offset + rule.dripChunkBytes));
+        }
+        res.end();
+      };
+      // The response has already started, so a failure can only cut the connection
+      drip().catch(() => res.destroy());
+      return res;
+    };
+  }
+
+  /**
+   * Describe the active rules and the most recent injected faults
+   * @returns {Object} - { rules, injected }
+   */
+  getState() {
+    return { rules: this.rules, injected: this.injected };
+  }
+}
+
+FaultInjector.DEFAULTS = DEFAULTS;
+FaultInjector.rulesFromEnv = rulesFromEnv;
+
+module.exports = FaultInjector;
@@ -0,0 +1,251 @@
+/**
+ * Identity verifier for the mock server
+ * Registration-time compliance checks: minimum age per jurisdiction, disposable email domains,
+ * malformed phone numbers and near-duplicates of identities already registered
+ */
+
+// Minimum age to register, by country name or ISO code (lower-cased); `default` applies elsewhere
+const DEFAULT_MINIMUM_AGES = {
+  default: parseInt(process.env.MINIMUM_AGE) || 18,
+  'united states': 21,
+  'united states of america': 21,
+  us: 21,
+  usa: 21,
+  greece: 21,
+  gr: 21
+};
+
+// Throwaway mailbox providers favoured for synthetic identities
+const DISPOSABLE_EMAIL_DOMAINS = [
+  'mailinator.com',
+  'guerrillamail.com',
+  'sharklasers.com',
+  '10minutemail.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'yopmail.com',
+  'trashmail.com',
+  'throwawaymail.com',
+  'getnada.com',
+  'dispostable.com',
+  'maildrop.cc'
+];
+
+// Street words written in more than one way
+const STREET_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  lane: 'ln',
+  boulevard: 'blvd',
+  apartment: 'apt',
+  suite: 'ste'
+};
+
+// Largest differences still treated as the same identity
+const MAX_NAME_DISTANCE = 2;
+const MAX_STREET_DISTANCE = 3;
+
+// Number of single-character edits turning one string into another
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Lower-case letters only, accents removed
+const normalizeName = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z]/g, '');
+
+const normalizeStreet = value => String(value || '')
+  .toLowerCase()
+  .replace(/[a-z]+/g, word => STREET_ABBREVIATIONS[word] || word)
+  .replace(/[^a-z0-9]/g, '');
+
+class IdentityVerifier {
+  /**
+   * @param {Object} options - { minimumAges, disposableDomains }
+   */
+  constructor(options = {}) {
+    this.minimumAges = { ...DEFAULT_MINIMUM_AGES, ...options.minimumAges };
+    this.disposableDomains = options.disposableDomains || DISPOSABLE_EMAIL_DOMAINS;
+  }
+
+  /**
+   * Set the minimum age for a jurisdiction
+   * @param {string} jurisdiction - Country name, ISO code or `default`
+   * @param {number} age - Minimum age in years
+   */
+  setMinimumAge(jurisdiction, age) {
+    this.minimumAges[jurisdiction.toLowerCase()] = age;
+  }
+
+  /**
+   * Run every check against a registration
+   * @param {Object} userData - Registration fields
+   * @param {Array<Object>} existingUsers - Users already registered
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} - Failed checks: { id, fraudType, reason, evidence }
+   */
+  verify(userData, existingUsers = [], now = Date.now()) {
+    return [
+      this.checkAge(userData, now),
+      this.checkEmail(userData),
+      this.checkPhone(userData),
+      this.checkDuplicates(userData, existingUsers)
+    ].filter(Boolean);
+  }
+
+  /**
+   * Check the applicant is old enough for their jurisdiction
+   * Registrations without a date of birth are left to later KYC
+   * @param {Object} userData - Registration fields
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|false} - Failed check, or a falsy value when it passes
+   */
+  checkAge(userData, now = Date.now()) {
+    if (userData.dateOfBirth === undefined) return null;
+
+    // Dates such as 2000-02-30 parse, but roll over into the next month
+    const dateOfBirth = new Date(userData.dateOfBirth);
+    if (isNaN(dateOfBirth.getTime()) || !/^\d{4}-\d{2}-\d{2}$/.test(userData.dateOfBirth) ||
+      dateOfBirth.toISOString().substring(0, 10) !== userData.dateOfBirth) {
+      return {
+        id: 'invalid-date-of-birth',
+        fraudType: 'synthetic-identity',
+        reason: 'Identity check failed: Date of birth is not a valid YYYY-MM-DD date',
+        evidence: { dateOfBirth: userData.dateOfBirth }
+      };
+    }
+
+    const jurisdiction = String((userData.address || {}).country || '').toLowerCase();
+    // Own keys only: a country such as "constructor" must not pick up an inherited member
+    const minimumAge = Object.prototype.hasOwnProperty.call(this.minimumAges, jurisdiction)
+      ? this.minimumAges[jurisdiction]
+      : this.minimumAges.default;
+    const age = IdentityVerifier.ageOn(dateOfBirth, new Date(now));
+
+    return age < minimumAge && {
+      id: 'underage',
+      fraudType: 'underage-registration',
+      reason: `Identity check failed: Applicant is under the minimum age of ${minimumAge}`,
+      evidence: { age, minimumAge, jurisdiction: jurisdiction || 'default' }
+    };
+  }
+
+  /**
+   * Check the email is not from a disposable mailbox provider (subdomains included)
+   * @param {Object} userData - Registration fields
+   * @returns {Object|false} - Failed check, or a falsy value when it passes
+   */
+  checkEmail(userData) {
+    const domain = String(userData.email || '').split('@').pop().toLowerCase();
+    const disposable = this.disposableDomains.find(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+
+    return disposable && {
+      id: 'disposable-email',
+      fraudType: 'synthetic-identity',
+      reason: 'Identity check failed: Disposable email domain',
+      evidence: { domain }
+    };
+  }
+
+  /**
+   * Check the phone number looks dialable: digits with the usual separators, an optional
+   * leading + and extension, and 7 to 15 digits (the E.164 maximum)
+   * @param {Object} userData - Registration fields
+   * @returns {Object|false} - Failed check, or a falsy value when it passes
+   */
+  checkPhone(userData) {
+    if (userData.phoneNumber === undefined) return null;
+
+    const number = String(userData.phoneNumber).trim().replace(/\s*(x|ext\.?)\s*\d+$/i, '');
+    const digits = number.replace(/\D/g, '');
+    const wellFormed = /^\+?[\d\s().-]+$/.test(number) && digits.length >= 7 && digits.length <= 15;
+
+    return !wellFormed && {
+      id: 'malformed-phone',
+      fraudType: 'synthetic-identity',
+      reason: 'Identity check failed: Malformed phone number',
+      evidence: { phoneNumber: userData.phoneNumber }
+    };
+  }
+
+  /**
+   * Look for registered identities with the same date of birth and nearly the same name and street
+   * @param {Object} userData - Registration fields
+   * @param {Array<Object>} existingUsers - Users already registered
+   * @returns {Object|false} - Failed check, or a falsy value when it passes
+   */
+  checkDuplicates(userData, existingUsers = []) {
+    const matches = existingUsers.filter(user => IdentityVerifier.isNearDuplicate(userData, user));
+
+    return matches.length > 0 && {
+      id: 'duplicate-identity',
+      fraudType: 'duplicate-identity',
+      reason: 'Identity check failed: Identity matches an existing account',
+      evidence: { matchedUserIds: matches.map(user => user.id) }
+    };
+  }
+
+  /**
+   * Whether two identities differ only by small variations
+   * Names are compared in both orders to catch swapped first and last names
+   * @param {Object} a - Registration fields
+   * @param {Object} b - Registration fields
+   * @returns {boolean}
+   */
+  static isNearDuplicate(a, b) {
+    const addressA = a.address || {};
+    const addressB = b.address || {};
+    if (!a.dateOfBirth || a.dateOfBirth !== b.dateOfBirth || !addressA.street || !addressB.street) {
+      return false;
+    }
+    if (addressA.zipCode && addressB.zipCode && addressA.zipCode !== addressB.zipCode) {
+      return false;
+    }
+
+    const nameA = normalizeName(a.firstName) + normalizeName(a.lastName);
+    const nameDistance = Math.min(
+      editDistance(nameA, normalizeName(b.firstName) + normalizeName(b.lastName)),
+      editDistance(nameA, normalizeName(b.lastName) + normalizeName(b.firstName))
+    );
+
+    return nameA.length > 0 &&
+      nameDistance <= MAX_NAME_DISTANCE &&
+      editDistance(normalizeStreet(addressA.street), normalizeStreet(addressB.street)) <= MAX_STREET_DISTANCE;
+  }
+
+  /**
+   * Age in whole years on a date
+   * @param {Date} dateOfBirth - Date of birth
+   * @param {Date} on - Date to measure on
+   * @returns {number}
+   */
+  static ageOn(dateOfBirth, on) {
+    const age = on.getUTCFullYear() - dateOfBirth.getUTCFullYear();
+    const birthdayPassed = on.getUTCMonth() > dateOfBirth.getUTCMonth() ||
+      (on.getUTCMonth() === dateOfBirth.getUTCMonth() && on.getUTCDate() >= dateOfBirth.getUTCDate());
+    return birthdayPassed ? age : age - 1;
+  }
+}
+
+IdentityVerifier.DEFAULT_MINIMUM_AGES = DEFAULT_MINIMUM_AGES;
+IdentityVerifier.DISPOSABLE_EMAIL_DOMAINS = DISPOSABLE_EMAIL_DOMAINS;
+IdentityVerifier.editDistance = editDistance;
+
+module.exports = IdentityVerifier;
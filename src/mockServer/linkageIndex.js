@@ -0,0 +1,160 @@
+/**
+ * Linkage index for the mock server
+ * Records which accounts were seen on which device, device fingerprint and payment details,
+ * and reports groups of accounts that share one past the allowed number
+ */
+const crypto = require('crypto');
+const _ = require('lodash');
+
+// Accounts allowed to share each kind of key before they are considered linked
+const DEFAULT_THRESHOLDS = {
+  device: parseInt(process.env.LINKAGE_MAX_ACCOUNTS_PER_DEVICE) || 3,
+  fingerprint: parseInt(process.env.LINKAGE_MAX_ACCOUNTS_PER_FINGERPRINT) || 3,
+  payment: parseInt(process.env.LINKAGE_MAX_ACCOUNTS_PER_PAYMENT) || 1
+};
+
+class LinkageIndex {
+  /**
+   * @param {Object} thresholds - Overrides for the default thresholds
+   */
+  constructor(thresholds = {}) {
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.entries = new Map();
+  }
+
+  /**
+   * Read the device fingerprint of a request
+   * @param {Object} headers - Request headers (lower-cased, as in Express)
+   * @param {string} ip - Client IP
+   * @returns {Object} - { deviceId, model, os, ip }
+   */
+  static fingerprintFrom(headers, ip) {
+    return {
+      deviceId: headers['x-device-id'] || null,
+      model: headers['x-device-model'] || null,
+      os: headers['x-device-os'] || null,
+      ip: ip || null
+    };
+  }
+
+  /**
+   * Build the keys an observation links accounts by
+   * Cards are keyed by a hash of their number so the index never holds it in clear
+   * @param {Object} device - Fingerprint from fingerprintFrom()
+   * @param {Object} payment - Payment details with a cardNumber, if any
+   * @returns {Array<Object>} - [{ kind, key }]
+   */
+  static keysFor(device = {}, payment = null) {
+    const keys = [];
+    if (device.deviceId) {
+      keys.push({ kind: 'device', key: `device:${device.deviceId}` });
+    }
+    if (device.model && device.os && device.ip) {
+      keys.push({ kind: 'fingerprint', key: `fingerprint:${device.model}|${device.os}|${device.ip}` });
+    }
+
+    const cardNumber = payment && String(payment.cardNumber || '').replace(/\D/g, '');
+    if (cardNumber) {
+      const cardHash = crypto.createHash('sha256').update(cardNumber).digest('hex').substring(0, 16);
+      keys.push({ kind: 'payment', key: `payment:${cardHash}` });
+    }
+    return keys;
+  }
+
+  /**
+   * Override some of the thresholds
+   * @param {Object} thresholds - Thresholds to change
+   */
+  setThresholds(thresholds) {
+    this.thresholds = { ...this.thresholds, ...thresholds };
+  }
+
+  /**
+   * Record that an account was seen with a device and payment details
+   * @param {string} userId - User identifier
+   * @param {Object} observation - { device, payment }
+   * @param {string} context - Where it was seen: register, login, bet, deposit
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} - Keys now shared past their threshold: { kind, key, accounts, threshold, newlyLinked }
+   */
+  record(userId, { device, payment } = {}, context = null, now = Date.now()) {
+    return LinkageIndex.keysFor(device, payment).map(({ kind, key }) => {
+      const entry = this.entries.get(key) || { kind, key, accounts: {}, linked: [] };
+      const account = entry.accounts[userId] || { firstSeen: now, contexts: [] };
+
+      account.lastSeen = now;
+      if (context && !account.contexts.includes(context)) {
+        account.contexts.push(context);
+      }
+      entry.accounts[userId] = account;
+      this.entries.set(key, entry);
+
+      const accounts = Object.keys(entry.accounts);
+      if (accounts.length <= this.thresholds[kind]) return null;
+
+      // Report each account once per key, when it first joins a group past the threshold
+      const newlyLinked = accounts.filter(id => !entry.linked.includes(id));
+      entry.linked.push(...newlyLinked);
+      return { kind, key, accounts, threshold: this.thresholds[kind], newlyLinked };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Get the keys an account shares past their threshold
+   * @param {string} userId - User identifier
+   * @returns {Array<Object>} - [{ kind, key, linkedAccounts }]
+   */
+  getLinks(userId) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.accounts[userId] && Object.keys(entry.accounts).length > this.thresholds[entry.kind])
+      .map(entry => ({
+        kind: entry.kind,
+        key: entry.key,
+        linkedAccounts: Object.keys(entry.accounts).filter(id => id !== userId)
+      }));
+  }
+
+  /**
+   * List every group of accounts sharing a key past its threshold
+   * @param {Object} filters - { kind }
+   * @returns {Array<Object>} - [{ kind, key, threshold, accounts }]
+   */
+  getGroups(filters = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => (!filters.kind || entry.kind === filters.kind) &&
+        Object.keys(entry.accounts).length > this.thresholds[entry.kind])
+      .map(entry => ({
+        kind: entry.kind,
+        key: entry.key,
+        threshold: this.thresholds[entry.kind],
+        accounts: _.cloneDeep(entry.accounts)
+      }));
+  }
+
+  /**
+   * Forget every observation
+   */
+  reset() {
+    this.entries.clear();
+  }
+
+  /**
+   * Copy the index
+   * @returns {Object} - State accepted by restore()
+   */
+  snapshot() {
+    return { entries: _.cloneDeep(this.entries) };
+  }
+
+  /**
+   * Replace the index with a snapshot
+   * @param {Object} state - State returned by snapshot()
+   */
+  restore(state) {
+    this.entries = _.cloneDeep(state.entries);
+  }
+}
+
+LinkageIndex.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+module.exports = LinkageIndex;
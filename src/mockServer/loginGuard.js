@@ -0,0 +1,160 @@
+/**
+ * Login guard for the mock server
+ * Tracks failed logins per username and per client IP, applies progressive lockouts
+ * and spots credential stuffing (many usernames tried from one source)
+ */
+const _ = require('lodash');
+
+const MINUTE_MS = 60000;
+
+// Default limits, overridable through environment variables or setLimits()
+const DEFAULT_LIMITS = {
+  maxFailuresPerUser: parseInt(process.env.LOGIN_MAX_FAILURES_PER_USER) || 5,
+  maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+  stuffingUsernames: parseInt(process.env.LOGIN_STUFFING_USERNAMES) || 10,
+  windowMs: 15 * MINUTE_MS,
+  lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS) || MINUTE_MS,
+  maxLockoutMs: 60 * MINUTE_MS
+};
+
+class LoginGuard {
+  /**
+   * @param {Object} limits - Overrides for the default limits
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.failures = new Map();
+    this.lockouts = new Map();
+  }
+
+  /**
+   * Override some of the limits
+   * @param {Object} limits - Limits to change
+   */
+  setLimits(limits) {
+    this.limits = { ...this.limits, ...limits };
+  }
+
+  /**
+   * Find an active lockout for a login attempt
+   * @param {string} username - Username tried
+   * @param {string} ip - Client IP
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} - { scope, key, until, retryAfterMs } or null when the attempt may proceed
+   */
+  check(username, ip, now = Date.now()) {
+    for (const [scope, key] of [['ip', `ip:${ip}`], ['username', `username:${username}`]]) {
+      const lockout = this.lockouts.get(key);
+      if (lockout && lockout.until > now) {
+        return { scope, key, until: lockout.until, retryAfterMs: lockout.until - now };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record a failed login and apply any lockout it triggers
+   * @param {string} username - Username tried
+   * @param {string} ip - Client IP
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} - Security events raised: account_lockout, ip_lockout or credential_stuffing
+   */
+  recordFailure(username, ip, now = Date.now()) {
+    const events = [];
+    const userFailures = this.addFailure(`username:${username}`, { username, ip, timestamp: now }, now);
+    const ipFailures = this.addFailure(`ip:${ip}`, { username, ip, timestamp: now }, now);
+
+    if (userFailures.length >= this.limits.maxFailuresPerUser) {
+      events.push({
+        type: 'account_lockout',
+        username,
+        ip,
+        failures: userFailures.length,
+        ...this.lock(`username:${username}`, now)
+      });
+    }
+
+    const usernames = _.uniq(ipFailures.map(failure => failure.username));
+    if (usernames.length >= this.limits.stuffingUsernames || ipFailures.length >= this.limits.maxFailuresPerIp) {
+      const stuffing = usernames.length >= this.limits.stuffingUsernames;
+      events.push({
+        type: stuffing ? 'credential_stuffing' : 'ip_lockout',
+        ip,
+        failures: ipFailures.length,
+        usernames,
+        ...this.lock(`ip:${ip}`, now)
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Record a successful login, forgetting the username's failures
+   * Lockout history is kept so repeat offenders keep escalating
+   * @param {string} username - Username that logged in
+   */
+  recordSuccess(username) {
+    this.failures.delete(`username:${username}`);
+  }
+
+  /**
+   * Add a failure to a key's window
+   * @param {string} key - username:<name> or ip:<address>
+   * @param {Object} failure - { username, ip, timestamp }
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} - Failures in the window, oldest first
+   */
+  addFailure(key, failure, now) {
+    const recent = (this.failures.get(key) || []).filter(entry => entry.timestamp > now - this.limits.windowMs);
+    recent.push(failure);
+    this.failures.set(key, recent);
+    return recent;
+  }
+
+  /**
+   * Lock a key, doubling the lockout each time it is locked again
+   * @param {string} key - username:<name> or ip:<address>
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { lockoutCount, lockoutMs, lockedUntil }
+   */
+  lock(key, now) {
+    const lockoutCount = ((this.lockouts.get(key) || {}).count || 0) + 1;
+    const lockoutMs = Math.min(this.limits.lockoutMs * (2 ** (lockoutCount - 1)), this.limits.maxLockoutMs);
+
+    this.lockouts.set(key, { count: lockoutCount, until: now + lockoutMs });
+    this.failures.delete(key);
+
+    return { lockoutCount, lockoutMs, lockedUntil: new Date(now + lockoutMs).toISOString() };
+  }
+
+  /**
+   * Forget all failures and lockouts
+   */
+  reset() {
+    this.failures.clear();
+    this.lockouts.clear();
+  }
+
+  /**
+   * Copy failures and lockouts
+   * @returns {Object} - State accepted by restore()
+   */
+  snapshot() {
+    return { failures: _.cloneDeep(this.failures), lockouts: _.cloneDeep(this.lockouts) };
+  }
+
+  /**
+   * Replace failures and lockouts with a snapshot
+   * @param {Object} state - State returned by snapshot()
+   */
+  restore(state) {
+    this.failures = _.cloneDeep(state.failures);
+    this.lockouts = _.cloneDeep(state.lockouts);
+  }
+}
+
+LoginGuard.MINUTE_MS = MINUTE_MS;
+LoginGuard.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = LoginGuard;
@@ -0,0 +1,230 @@
+/**
+ * Match catalog for the mock server
+ * Holds the fixtures bets are validated against: teams, kickoff times, markets, current odds
+ * and live state (in-play betting and suspended markets)
+ */
+const _ = require('lodash');
+const DEFAULT_FIXTURES = require('./fixtures/matches.json');
+
+// Relative difference allowed between requested odds and the catalog price
+const DEFAULT_ODDS_TOLERANCE = parseFloat(process.env.ODDS_TOLERANCE) || 0.05;
+
+// Statuses after which a match takes no more bets
+const CLOSED_STATUSES = ['finished', 'void'];
+
+// Own-property lookup, so names such as __proto__ or toString never resolve to inherited members
+const ownValue = (object, key) =>
+  (object && Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined);
+
+class MatchCatalog {
+  /**
+   * @param {Array<Object>} fixtures - Match fixtures to load
+   * @param {number} now - Reference time for relative kickoff times
+   */
+  constructor(fixtures = DEFAULT_FIXTURES, now = Date.now()) {
+    this.oddsTolerance = DEFAULT_ODDS_TOLERANCE;
+    this.matches = new Map();
+    this.reset(fixtures, now);
+  }
+
+  /**
+   * Drop every match and load a fresh set of fixtures
+   * @param {Array<Object>} fixtures - Match fixtures to load
+   * @param {number} now - Reference time for relative kickoff times
+   */
+  reset(fixtures = DEFAULT_FIXTURES, now = Date.now()) {
+    this.matches.clear();
+    fixtures.forEach(fixture => this.add(fixture, now));
+  }
+
+  /**
+   * Add or replace a match
+   * Kickoff is taken from `kickoff` or computed from `kickoffInMinutes`.
+   * Only matches with `inPlay` set take bets after kickoff.
+   * @param {Object} fixture - Match fixture
+   * @param {number} now - Reference time for relative kickoff times
+   * @returns {Object} - Stored match
+   */
+  add(fixture, now = Date.now()) {
+    if (!fixture || !fixture.id || !fixture.markets) {
+      throw new Error('Match fixture must have an id and markets');
+    }
+
+    const match = {
+      id: fixture.id,
+      sport: fixture.sport,
+      homeTeam: fixture.homeTeam,
+      awayTeam: fixture.awayTeam,
+      kickoff: fixture.kickoff || new Date(now + (fixture.kickoffInMinutes || 0) * 60000).toISOString(),
+      status: fixture.status || 'scheduled',
+      inPlay: Boolean(fixture.inPlay),
+      markets: _.cloneDeep(fixture.markets),
+      suspendedMarkets: { ...fixture.suspendedMarkets }
+    };
+
+    this.matches.set(match.id, match);
+    return match;
+  }
+
+  /**
+   * List matches, optionally filtered by sport
+   * @param {Object} filters - { sport }
+   * @returns {Array<Object>} - Matches ordered by kickoff
+   */
+  list(filters = {}) {
+    return Array.from(this.matches.values())
+      .filter(match => !filters.sport || match.sport === filters.sport)
+      .sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff));
+  }
+
+  /**
+   * Get a match by id
+   * @param {string} matchId - Match identifier
+   * @returns {Object|null} - Match or null when unknown
+   */
+  get(matchId) {
+    return this.matches.get(matchId) || null;
+  }
+
+  /**
+   * Get the current price of a selection
+   * @param {string} matchId - Match identifier
+   * @param {string} marketType - Market (defaults to winner)
+   * @param {string} selection - Selection within the market
+   * @returns {number|null} - Current odds or null when not offered
+   */
+  getPrice(matchId, marketType, selection) {
+    const match = this.get(matchId);
+    const price = ownValue(ownValue(match && match.markets, marketType || 'winner'), selection);
+
+    return Number.isFinite(price) ? price : null;
+  }
+
+  /**
+   * Move the price of a selection
+   * @param {string} matchId - Match identifier
+   * @param {string} marketType - Market
+   * @param {string} selection - Selection within the market
+   * @param {number} odds - New odds
+   */
+  setPrice(matchId, marketType, selection, odds) {
+    const match = this.get(matchId);
+    if (!match || !ownValue(match.markets, marketType)) {
+      throw new Error(`Unknown market ${marketType} for match ${matchId}`);
+    }
+    match.markets[marketType][selection] = odds;
+  }
+
+  /**
+   * Mark a match as started; a kickoff still in the future is moved to now
+   * @param {string} matchId - Match identifier
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - Updated match
+   */
+  startMatch(matchId, now = Date.now()) {
+    const match = this.get(matchId);
+    if (!match) {
+      throw new Error(`Unknown match ${matchId}`);
+    }
+    if (Date.parse(match.kickoff) > now) {
+      match.kickoff = new Date(now).toISOString();
+    }
+    match.status = 'live';
+    return match;
+  }
+
+  /**
+   * Suspend a market, or every market of the match when none is given
+   * @param {string} matchId - Match identifier
+   * @param {string|null} marketType - Market to suspend
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - Updated match
+   */
+  suspendMarket(matchId, marketType = null, now = Date.now()) {
+    const match = this.requireMarket(matchId, marketType);
+    const suspendedAt = new Date(now).toISOString();
+
+    (marketType ? [marketType] : Object.keys(match.markets)).forEach(market => {
+      match.suspendedMarkets[market] = match.suspendedMarkets[market] || suspendedAt;
+    });
+    return match;
+  }
+
+  /**
+   * Reopen a suspended market, or every market of the match when none is given
+   * @param {string} matchId - Match identifier
+   * @param {string|null} marketType - Market to reopen
+   * @returns {Object} - Updated match
+   */
+  resumeMarket(matchId, marketType = null) {
+    const match = this.requireMarket(matchId, marketType);
+
+    if (marketType) {
+      delete match.suspendedMarkets[marketType];
+    } else {
+      match.suspendedMarkets = {};
+    }
+    return match;
+  }
+
+  /**
+   * Get a match whose market is about to change, checking the market exists
+   * @param {string} matchId - Match identifier
+   * @param {string|null} marketType - Market, or null for the whole match
+   * @returns {Object} - Match
+   */
+  requireMarket(matchId, marketType) {
+    const match = this.get(matchId);
+    if (!match || (marketType && !ownValue(match.markets, marketType))) {
+      throw new Error(`Unknown market ${marketType || 'any'} for match ${matchId}`);
+    }
+    return match;
+  }
+
+  /**
+   * Work out whether a market has stopped taking bets
+   * @param {string} matchId - Match identifier
+   * @param {string} marketType - Market (defaults to winner)
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} - { state: finished, kicked-off or suspended, closedAt } or null while open
+   */
+  getClosure(matchId, marketType, now = Date.now()) {
+    const match = this.get(matchId);
+    if (!match) return null;
+
+    if (CLOSED_STATUSES.includes(match.status)) {
+      return { state: 'finished', closedAt: match.kickoff };
+    }
+    if (!match.inPlay && (match.status === 'live' || Date.parse(match.kickoff) <= now)) {
+      return { state: 'kicked-off', closedAt: match.kickoff };
+    }
+
+    const suspendedAt = match.suspendedMarkets[marketType || 'winner'];
+    if (suspendedAt && Date.parse(suspendedAt) <= now) {
+      return { state: 'suspended', closedAt: suspendedAt };
+    }
+    return null;
+  }
+
+  /**
+   * Copy the catalog, including current prices and match statuses
+   * @returns {Object} - State accepted by restore()
+   */
+  snapshot() {
+    return { matches: _.cloneDeep(this.matches) };
+  }
+
+  /**
+   * Replace the catalog with a snapshot
+   * @param {Object} state - State returned by snapshot()
+   */
+  restore(state) {
+    this.matches = _.cloneDeep(state.matches);
+  }
+}
+
+MatchCatalog.DEFAULT_FIXTURES = DEFAULT_FIXTURES;
+MatchCatalog.DEFAULT_ODDS_TOLERANCE = DEFAULT_ODDS_TOLERANCE;
+MatchCatalog.CLOSED_STATUSES = CLOSED_STATUSES;
+
+module.exports = MatchCatalog;
@@ -0,0 +1,86 @@
+/**
+ * Risk scorer for the mock server
+ * Turns triggered fraud rules into a weighted 0-100 risk score and a decision
+ */
+
+// Accept / review / reject cut-offs per FRAUD_DETECTION_LEVEL.
+// A score at or above `reject` is rejected, at or above `review` is held for review.
+const THRESHOLDS = {
+  low: { review: 60, reject: 90 },
+  medium: { review: 40, reject: 70 },
+  high: { review: 25, reject: 50 }
+};
+
+// Contribution of a rule that does not declare its own weight
+const DEFAULT_WEIGHTS = {
+  low: 15,
+  medium: 35,
+  high: 60,
+  critical: 100
+};
+
+const MAX_SCORE = 100;
+
+class RiskScorer {
+  /**
+   * @param {string} level - Detection level (low, medium or high)
+   */
+  constructor(level = process.env.FRAUD_DETECTION_LEVEL) {
+    this.setLevel(level);
+  }
+
+  /**
+   * Change the detection level, falling back to medium for unknown values
+   * @param {string} level - Detection level (low, medium or high)
+   */
+  setLevel(level) {
+    const normalized = String(level || '').toLowerCase();
+    this.level = THRESHOLDS[normalized] ? normalized : 'medium';
+  }
+
+  /**
+   * Get the cut-offs for the current detection level
+   * @returns {Object} - { review, reject }
+   */
+  getThresholds() {
+    return { ...THRESHOLDS[this.level] };
+  }
+
+  /**
+   * Score a set of triggered rules
+   * @param {Array<Object>} triggeredRules - Result of RuleEngine.evaluate()
+   * @returns {Object} - { score, decision, level, thresholds, breakdown }
+   */
+  assess(triggeredRules) {
+    const breakdown = triggeredRules.map(rule => ({
+      ruleId: rule.id,
+      fraudType: rule.fraudType,
+      severity: rule.severity,
+      weight: typeof rule.weight === 'number' ? rule.weight : DEFAULT_WEIGHTS[rule.severity]
+    }));
+
+    const total = breakdown.reduce((sum, entry) => sum + entry.weight, 0);
+    const score = Math.min(MAX_SCORE, Math.max(0, total));
+    const thresholds = this.getThresholds();
+
+    let decision = 'accept';
+    if (score >= thresholds.reject) {
+      decision = 'reject';
+    } else if (score >= thresholds.review) {
+      decision = 'review';
+    }
+
+    return {
+      score,
+      decision,
+      level: this.level,
+      thresholds,
+      breakdown
+    };
+  }
+}
+
+RiskScorer.THRESHOLDS = THRESHOLDS;
+RiskScorer.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+module.exports = RiskScorer;
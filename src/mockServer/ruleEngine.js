@@ -0,0 +1,123 @@
+/**
+ * Fraud rule engine for the mock server
+ * Evaluates bets against pluggable rule modules and reports every rule that fired
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Severity ranking, used to pick the primary rule when several fire
+const SEVERITY_LEVELS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4
+};
+
+class RuleEngine {
+  constructor() {
+    this.rules = new Map();
+  }
+
+  /**
+   * Register a fraud rule
+   * @param {Object} rule - Rule definition
+   * @param {string} rule.id - Unique rule identifier
+   * @param {string} rule.severity - One of low, medium, high, critical
+   * @param {string} rule.fraudType - Fraud type reported when the rule fires
+   * @param {string} rule.reason - Default reason reported when the rule fires
+   * @param {number} [rule.weight] - Risk score contribution (defaults by severity)
+   * @param {Function} rule.evaluate - (betData, context) => falsy, true or { reason, evidence }
+   * @returns {RuleEngine} - The engine, for chaining
+   */
+  register(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      throw new Error('Fraud rule must have a string id');
+    }
+    if (typeof rule.evaluate !== 'function') {
+      throw new Error(`Fraud rule "${rule.id}" must have an evaluate function`);
+    }
+    if (!SEVERITY_LEVELS[rule.severity]) {
+      throw new Error(`Fraud rule "${rule.id}" has unknown severity "${rule.severity}"`);
+    }
+
+    this.rules.set(rule.id, rule);
+    return this;
+  }
+
+  /**
+   * Remove a registered rule
+   * @param {string} ruleId - Rule identifier
+   * @returns {boolean} - Whether a rule was removed
+   */
+  unregister(ruleId) {
+    return this.rules.delete(ruleId);
+  }
+
+  /**
+   * Get all registered rules in evaluation order
+   * @returns {Array<Object>} - Registered rules
+   */
+  getRules() {
+    return Array.from(this.rules.values());
+  }
+
+  /**
+   * Register every rule module found in a directory
+   * Files are loaded in alphabetical order so evaluation order is stable
+   * @param {string} directory - Directory containing rule modules
+   * @returns {RuleEngine} - The engine, for chaining
+   */
+  loadDirectory(directory) {
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => this.register(require(path.resolve(directory, file))));
+
+    return this;
+  }
+
+  /**
+   * Evaluate a bet against every registered rule
+   * @param {Object} betData - Bet request payload
+   * @param {Object} context - Evaluation context (user, current time, ...)
+   * @returns {Array<Object>} - Every rule that fired, in evaluation order
+   */
+  evaluate(betData, context = {}) {
+    const triggered = [];
+
+    for (const rule of this.rules.values()) {
+      const result = rule.evaluate(betData, context);
+      if (!result) continue;
+
+      const details = typeof result === 'object' ? result : {};
+      triggered.push({
+        id: rule.id,
+        severity: rule.severity,
+        fraudType: rule.fraudType || rule.id,
+        reason: details.reason || rule.reason || `Fraud detected: ${rule.id}`,
+        ...(typeof rule.weight === 'number' && { weight: rule.weight }),
+        ...(details.evidence && { evidence: details.evidence })
+      });
+    }
+
+    return triggered;
+  }
+
+  /**
+   * Pick the most severe triggered rule (first one wins on ties)
+   * @param {Array<Object>} triggered - Result of evaluate()
+   * @returns {Object|null} - Primary triggered rule
+   */
+  static getPrimary(triggered) {
+    return triggered.reduce((primary, rule) => {
+      if (!primary || SEVERITY_LEVELS[rule.severity] > SEVERITY_LEVELS[primary.severity]) {
+        return rule;
+      }
+      return primary;
+    }, null);
+  }
+}
+
+RuleEngine.SEVERITY_LEVELS = SEVERITY_LEVELS;
+
+module.exports = RuleEngine;
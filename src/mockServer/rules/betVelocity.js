@@ -0,0 +1,28 @@
+/**
+ * Fraud rule: too many bets from one user within a minute (bot bursts)
+ */
+const VelocityTracker = require('../velocityTracker');
+
+module.exports = {
+  id: 'bet-velocity',
+  severity: 'high',
+  weight: 70,
+  fraudType: 'bet-velocity',
+  reason: 'Fraud detected: Betting velocity limit exceeded',
+  evaluate(betData, context) {
+    if (!context.velocity || !context.user) return false;
+
+    const { limits } = context.velocity;
+    const recent = context.velocity.getEvents(context.user.id, VelocityTracker.MINUTE_MS, context.now);
+    const betsInWindow = recent.length + 1;
+
+    return betsInWindow > limits.betsPerMinute && {
+      evidence: {
+        betsInWindow,
+        limit: limits.betsPerMinute,
+        windowMs: VelocityTracker.MINUTE_MS,
+        firstBetAt: recent.length > 0 ? new Date(recent[0].timestamp).toISOString() : null
+      }
+    };
+  }
+};
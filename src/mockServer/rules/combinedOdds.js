@@ -0,0 +1,26 @@
+/**
+ * Fraud rule: accumulator odds are not the product of its leg odds
+ */
+const Accumulator = require('../accumulator');
+
+// Room for rounding the product to two decimals
+const COMBINED_ODDS_TOLERANCE = 0.01;
+
+module.exports = {
+  id: 'combined-odds',
+  severity: 'high',
+  weight: 100,
+  fraudType: 'odds-manipulation',
+  reason: 'Fraud detected: Combined odds do not match the legs',
+  evaluate(betData) {
+    if (!Accumulator.isAccumulator(betData)) return false;
+
+    const requestedOdds = parseFloat(betData.odds);
+    const legOdds = Accumulator.combinedOdds(betData.legs);
+    const deviation = Math.abs(requestedOdds - legOdds) / legOdds;
+
+    return (!Number.isFinite(requestedOdds) || !(deviation <= COMBINED_ODDS_TOLERANCE)) && {
+      evidence: { requestedOdds: betData.odds, legOdds, tolerance: COMBINED_ODDS_TOLERANCE }
+    };
+  }
+};
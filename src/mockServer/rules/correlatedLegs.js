@@ -0,0 +1,24 @@
+/**
+ * Fraud rule: accumulator with more than one leg on the same match
+ * Outcomes of one match depend on each other, so multiplying their odds overpays
+ */
+const _ = require('lodash');
+const Accumulator = require('../accumulator');
+
+module.exports = {
+  id: 'correlated-legs',
+  severity: 'high',
+  weight: 100,
+  fraudType: 'correlated-legs',
+  reason: 'Fraud detected: Accumulator legs on the same match',
+  evaluate(betData) {
+    if (!Accumulator.isAccumulator(betData)) return false;
+
+    const legsByMatch = _.groupBy(betData.legs.map((leg, index) => ({ leg: index, matchId: leg.matchId })), 'matchId');
+    const correlated = Object.entries(legsByMatch)
+      .filter(([, legs]) => legs.length > 1)
+      .map(([matchId, legs]) => ({ matchId, legs: legs.map(entry => entry.leg) }));
+
+    return correlated.length > 0 && { evidence: { correlated } };
+  }
+};
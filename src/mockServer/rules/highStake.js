@@ -0,0 +1,16 @@
+/**
+ * Risk signal: unusually large stake for a single bet
+ */
+const HIGH_STAKE_AMOUNT = 1000;
+
+module.exports = {
+  id: 'high-stake',
+  severity: 'low',
+  weight: 20,
+  fraudType: 'high-stake',
+  reason: 'Risk signal: Unusually large stake',
+  evaluate(betData) {
+    const amount = parseFloat(betData.amount);
+    return amount >= HIGH_STAKE_AMOUNT && { evidence: { amount, limit: HIGH_STAKE_AMOUNT } };
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Fraud rule: accumulator legs carrying fields a leg does not have, such as a result
+ */
+const Accumulator = require('../accumulator');
+
+module.exports = {
+  id: 'leg-tampering',
+  severity: 'critical',
+  weight: 100,
+  fraudType: 'leg-tampering',
+  reason: 'Fraud detected: Unauthorized accumulator leg fields',
+  evaluate(betData) {
+    if (!Accumulator.isAccumulator(betData)) return false;
+
+    const tampered = betData.legs
+      .map((leg, index) => ({ leg: index, fields: Accumulator.unexpectedFields(leg) }))
+      .filter(entry => entry.fields.length > 0);
+
+    return tampered.length > 0 && { evidence: { legs: tampered } };
+  }
+};
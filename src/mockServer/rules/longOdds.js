@@ -0,0 +1,29 @@
+/**
+ * Risk signal: long odds that are still within the plausible range
+ * Accumulator odds are long by design, so their legs are checked instead
+ */
+const Accumulator = require('../accumulator');
+
+const LONG_ODDS = 12;
+const MAX_PLAUSIBLE_ODDS = 20;
+
+module.exports = {
+  id: 'long-odds',
+  severity: 'medium',
+  weight: 30,
+  fraudType: 'long-odds',
+  reason: 'Risk signal: Long odds requested',
+  evaluate(betData) {
+    const isLong = odds => odds > LONG_ODDS && odds <= MAX_PLAUSIBLE_ODDS;
+
+    if (Accumulator.isAccumulator(betData)) {
+      const longLegs = betData.legs
+        .map((leg, index) => ({ leg: index, odds: parseFloat(leg.odds) }))
+        .filter(entry => isLong(entry.odds));
+      return longLegs.length > 0 && { evidence: { legs: longLegs } };
+    }
+
+    const odds = parseFloat(betData.odds);
+    return isLong(odds) && { evidence: { odds } };
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Fraud rule: bet on a match, market or selection the catalog does not offer
+ * Accumulators are checked leg by leg; the first leg at fault is reported
+ */
+const Accumulator = require('../accumulator');
+
+module.exports = {
+  id: 'match-alteration',
+  severity: 'high',
+  weight: 100,
+  fraudType: 'match-alteration',
+  reason: 'Fraud detected: Match ID tampering detected',
+  evaluate(betData, context) {
+    if (!context.catalog) return false;
+
+    const accumulator = Accumulator.isAccumulator(betData);
+    for (const [index, leg] of Accumulator.legsOf(betData).entries()) {
+      const legReference = accumulator ? { leg: index } : {};
+
+      const match = context.catalog.get(leg.matchId);
+      if (!match) {
+        return { evidence: { ...legReference, matchId: leg.matchId } };
+      }
+
+      const marketType = leg.marketType || 'winner';
+      if (context.catalog.getPrice(match.id, marketType, leg.selection) === null) {
+        return {
+          reason: 'Fraud detected: Selection not offered for this match',
+          evidence: { ...legReference, matchId: match.id, marketType, selection: leg.selection }
+        };
+      }
+    }
+
+    return false;
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Fraud rule: account shares a device, fingerprint or payment details with too many other accounts
+ */
+module.exports = {
+  id: 'multi-account',
+  severity: 'medium',
+  weight: 35,
+  fraudType: 'multi-accounting',
+  reason: 'Fraud detected: Account linked to other accounts by device or payment details',
+  evaluate(betData, context) {
+    const links = context.linkage || [];
+
+    return links.length > 0 && {
+      evidence: {
+        links: links.map(link => ({ kind: link.kind, linkedAccounts: link.linkedAccounts }))
+      }
+    };
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Fraud rule: bet amount is zero or negative
+ */
+module.exports = {
+  id: 'negative-amount',
+  severity: 'high',
+  weight: 100,
+  fraudType: 'negative-amount',
+  reason: 'Fraud detected: Invalid bet amount',
+  evaluate(betData) {
+    return parseFloat(betData.amount) <= 0;
+  }
+};
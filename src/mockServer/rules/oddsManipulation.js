@@ -0,0 +1,42 @@
+/**
+ * Fraud rule: requested odds differ from the catalog price beyond the tolerance
+ * Accumulators are checked leg by leg and every tampered leg is reported
+ */
+const Accumulator = require('../accumulator');
+
+module.exports = {
+  id: 'odds-manipulation',
+  severity: 'high',
+  weight: 100,
+  fraudType: 'odds-manipulation',
+  reason: 'Fraud detected: Suspicious odds manipulation',
+  evaluate(betData, context) {
+    if (!context.catalog) return false;
+
+    const tolerance = context.catalog.oddsTolerance;
+    const tampered = Accumulator.legsOf(betData).map((leg, index) => {
+      // Unknown matches and selections are reported by the match-alteration rule
+      const catalogOdds = context.catalog.getPrice(leg.matchId, leg.marketType, leg.selection);
+      if (catalogOdds === null) return null;
+
+      const requestedOdds = parseFloat(leg.odds);
+      const deviation = Math.abs(requestedOdds - catalogOdds) / catalogOdds;
+
+      // A price that cannot be compared is treated as tampered rather than let through
+      return (!Number.isFinite(catalogOdds) || !Number.isFinite(deviation) || deviation > tolerance)
+        ? { leg: index, matchId: leg.matchId, requestedOdds: leg.odds, catalogOdds }
+        : null;
+    }).filter(Boolean);
+
+    if (tampered.length === 0) return false;
+
+    if (!Accumulator.isAccumulator(betData)) {
+      const { requestedOdds, catalogOdds } = tampered[0];
+      return { evidence: { requestedOdds, catalogOdds, tolerance } };
+    }
+    return {
+      reason: 'Fraud detected: Accumulator leg odds tampered',
+      evidence: { legs: tampered, tolerance }
+    };
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Fraud rule: bet submitted after kickoff, after the match finished or on a suspended market
+ * Kickoff and live state come from the match catalog and the time from the server clock,
+ * so a backdated client timestamp does not help. Accumulators are checked leg by leg.
+ */
+const Accumulator = require('../accumulator');
+
+const REASONS = {
+  finished: 'Fraud detected: Bet placed after the match finished',
+  'kicked-off': 'Fraud detected: Bet placed after kickoff',
+  suspended: 'Fraud detected: Bet placed on a suspended market'
+};
+
+module.exports = {
+  id: 'past-posting',
+  severity: 'high',
+  weight: 100,
+  fraudType: 'past-posting',
+  reason: REASONS['kicked-off'],
+  evaluate(betData, context) {
+    if (!context.catalog) return false;
+
+    const now = context.now || Date.now();
+    const accumulator = Accumulator.isAccumulator(betData);
+    for (const [index, leg] of Accumulator.legsOf(betData).entries()) {
+      const closure = context.catalog.getClosure(leg.matchId, leg.marketType, now);
+      if (!closure) continue;
+
+      return {
+        reason: REASONS[closure.state],
+        evidence: {
+          ...(accumulator && { leg: index }),
+          matchId: leg.matchId,
+          marketType: leg.marketType || 'winner',
+          state: closure.state,
+          closedAt: closure.closedAt,
+          submittedAt: new Date(now).toISOString(),
+          lateByMs: now - Date.parse(closure.closedAt),
+          ...(betData.timestamp && { claimedTimestamp: betData.timestamp })
+        }
+      };
+    }
+
+    return false;
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Fraud rule: the same selection placed over and over in a short window
+ */
+const VelocityTracker = require('../velocityTracker');
+
+module.exports = {
+  id: 'repeated-selection',
+  severity: 'medium',
+  weight: 35,
+  fraudType: 'repeated-selection',
+  reason: 'Fraud detected: Repeated identical selections',
+  evaluate(betData, context) {
+    if (!context.velocity || !context.user) return false;
+
+    const { limits } = context.velocity;
+    const selectionKey = VelocityTracker.selectionKey(betData);
+    const repeats = context.velocity
+      .getEvents(context.user.id, limits.repeatedSelectionWindowMs, context.now)
+      .filter(event => event.selectionKey === selectionKey).length + 1;
+
+    return repeats > limits.repeatedSelections && {
+      evidence: {
+        selectionKey,
+        repeats,
+        limit: limits.repeatedSelections,
+        windowMs: limits.repeatedSelectionWindowMs
+      }
+    };
+  }
+};
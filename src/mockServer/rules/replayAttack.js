@@ -0,0 +1,21 @@
+/**
+ * Fraud rule: a transaction id or idempotency key reused with a different payload
+ */
+module.exports = {
+  id: 'replay-attack',
+  severity: 'critical',
+  weight: 100,
+  fraudType: 'replay-attack',
+  reason: 'Fraud detected: Transaction replayed with a modified payload',
+  evaluate(betData, context) {
+    const conflicts = (context.transactionCheck && context.transactionCheck.conflicts) || [];
+
+    return conflicts.length > 0 && {
+      evidence: {
+        keys: conflicts.map(entry => entry.key),
+        originalBetIds: conflicts.map(entry => entry.betId),
+        sameUser: conflicts.every(entry => Boolean(context.user) && entry.userId === context.user.id)
+      }
+    };
+  }
+};
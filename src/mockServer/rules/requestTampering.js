@@ -0,0 +1,14 @@
+/**
+ * Fraud rule: request carries fields only the server may set
+ */
+module.exports = {
+  id: 'request-tampering',
+  severity: 'critical',
+  weight: 100,
+  fraudType: 'request-tampering',
+  reason: 'Fraud detected: Unauthorized request fields',
+  evaluate(betData) {
+    const fields = ['serverBypass', 'adminApproval'].filter(field => betData[field]);
+    return fields.length > 0 && { evidence: { fields } };
+  }
+};
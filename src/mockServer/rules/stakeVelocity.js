@@ -0,0 +1,28 @@
+/**
+ * Fraud rule: total stake from one user within an hour above the limit
+ */
+const VelocityTracker = require('../velocityTracker');
+
+module.exports = {
+  id: 'stake-velocity',
+  severity: 'medium',
+  weight: 40,
+  fraudType: 'stake-velocity',
+  reason: 'Fraud detected: Hourly stake limit exceeded',
+  evaluate(betData, context) {
+    if (!context.velocity || !context.user) return false;
+
+    const { limits } = context.velocity;
+    const recent = context.velocity.getEvents(context.user.id, VelocityTracker.HOUR_MS, context.now);
+    const stakeInWindow = recent.reduce((sum, event) => sum + event.amount, 0) + (parseFloat(betData.amount) || 0);
+
+    return stakeInWindow > limits.stakePerHour && {
+      evidence: {
+        stakeInWindow,
+        limit: limits.stakePerHour,
+        betsInWindow: recent.length + 1,
+        windowMs: VelocityTracker.HOUR_MS
+      }
+    };
+  }
+};
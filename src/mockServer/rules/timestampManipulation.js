@@ -0,0 +1,18 @@
+/**
+ * Fraud rule: bet timestamp backdated by more than an hour
+ */
+const MAX_TIMESTAMP_AGE_MS = 3600000;
+
+module.exports = {
+  id: 'timestamp-manipulation',
+  severity: 'high',
+  weight: 100,
+  fraudType: 'timestamp-manipulation',
+  reason: 'Fraud detected: Timestamp manipulation detected',
+  evaluate(betData, context) {
+    if (!betData.timestamp) return false;
+
+    const now = context.now || Date.now();
+    return new Date(betData.timestamp) < new Date(now - MAX_TIMESTAMP_AGE_MS);
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Withdrawal rule: withdrawal shortly after the password or email was changed (account takeover cash-out)
+ */
+const COOLDOWN_MS = parseInt(process.env.WITHDRAWAL_COOLDOWN_AFTER_CHANGE_MS) || 24 * 3600000;
+
+// Account changes an attacker makes to lock the owner out
+const SENSITIVE_CHANGES = ['password', 'email'];
+
+module.exports = {
+  id: 'account-takeover-cash-out',
+  severity: 'high',
+  fraudType: 'account-takeover',
+  reason: 'Fraud detected: Withdrawal right after a password or email change',
+  evaluate(withdrawal, context) {
+    const changes = ((context.user && context.user.accountChanges) || [])
+      .filter(change => SENSITIVE_CHANGES.includes(change.field) && Date.parse(change.changedAt) > context.now - COOLDOWN_MS);
+
+    return changes.length > 0 && {
+      evidence: {
+        changes: changes.map(change => change.field),
+        lastChangedAt: changes[changes.length - 1].changedAt,
+        cooldownMs: COOLDOWN_MS
+      }
+    };
+  }
+};
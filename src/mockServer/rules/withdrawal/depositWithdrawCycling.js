@@ -0,0 +1,36 @@
+/**
+ * Withdrawal rule: recent deposits withdrawn without being wagered (deposit-withdraw cycling)
+ */
+const WINDOW_MS = 24 * 3600000;
+
+// Share of recent deposits that must be staked before they can be withdrawn (0 turns the rule off)
+const configuredTurnover = parseFloat(process.env.WITHDRAWAL_MIN_TURNOVER);
+const MIN_TURNOVER = Number.isFinite(configuredTurnover) ? configuredTurnover : 1;
+
+module.exports = {
+  id: 'deposit-withdraw-cycling',
+  severity: 'high',
+  fraudType: 'money-laundering',
+  reason: 'Fraud detected: Deposits withdrawn without wagering',
+  evaluate(withdrawal, context) {
+    const recent = (context.ledger || []).filter(entry => Date.parse(entry.createdAt) > context.now - WINDOW_MS);
+    const deposited = recent.filter(entry => entry.type === 'deposit').reduce((sum, entry) => sum + entry.amount, 0);
+    const staked = -recent.filter(entry => entry.type === 'bet_stake').reduce((sum, entry) => sum + entry.amount, 0);
+
+    // Unwagered recent deposits count as the first money out, so any withdrawal is held until they
+    // are wagered; otherwise the opening balance would cover the same amount deposited and withdrawn
+    const unwagered = Math.max(deposited * MIN_TURNOVER - staked, 0);
+    const amount = parseFloat(withdrawal.amount) || 0;
+
+    return unwagered > 0 && amount > 0 && {
+      evidence: {
+        deposited,
+        staked,
+        unwagered,
+        requiredTurnover: MIN_TURNOVER,
+        withdrawals: recent.filter(entry => entry.type === 'withdrawal').length + 1,
+        windowMs: WINDOW_MS
+      }
+    };
+  }
+};
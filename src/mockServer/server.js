@@ -2,51 +2,364 @@
  * Mock API Server to simulate backend behavior
  * Used for testing when a real backend is unavailable
  */
+const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
+const _ = require('lodash');
+const RuleEngine = require('./ruleEngine');
+const RiskScorer = require('./riskScorer');
+const VelocityTracker = require('./velocityTracker');
+const TransactionRegistry = require('./transactionRegistry');
+const MatchCatalog = require('./matchCatalog');
+const Wallet = require('./wallet');
+const SettlementEngine = require('./settlement');
+const SessionManager = require('./sessionManager');
+const LoginGuard = require('./loginGuard');
+const LinkageIndex = require('./linkageIndex');
+const IdentityVerifier = require('./identityVerifier');
+const Accumulator = require('./accumulator');
+const Clock = require('./clock');
+const FaultInjector = require('./faultInjector');
+const { createStorage } = require('./storage');
 
 const app = express();
 const PORT = process.env.MOCK_SERVER_PORT || 3000;
 
-// In-memory storage
-const users = new Map();
-const bets = new Map();
-const sessions = new Map();
-const accountFlags = new Map();
+// Clock every time read goes through; tests freeze, advance or set it (app.locals.clock or /__control/clock)
+const clock = new Clock();
+app.locals.clock = clock;
+
+// Storage: in memory by default, or a JSON file / SQLite database chosen with MOCK_STORAGE
+const storage = createStorage();
+app.locals.storage = storage;
+
+const users = storage.collection('users');
+const bets = storage.collection('bets');
+const sessions = storage.collection('sessions');
+const accountFlags = storage.collection('accountFlags');
+const riskAssessments = storage.collection('riskAssessments');
+const securityEvents = storage.collection('securityEvents');
+const withdrawalHolds = storage.collection('withdrawalHolds');
+
+// Number of risk assessments kept per user for /users/account-status
+const RISK_HISTORY_LIMIT = 20;
+
+// Sequences appended to ids so bursts within one millisecond stay unique
+let userSequence = 0;
+let betSequence = 0;
+let holdSequence = 0;
+
+// Test-control routes (reset, seed, snapshot, restore, clock, faults) are never exposed in production
+const CONTROL_ENABLED = process.env.NODE_ENV !== 'production';
+const snapshots = new Map();
+
+// Fraud rules: built-in rules plus an optional directory of custom rules.
+// Further rules can be registered at runtime through app.locals.ruleEngine.
+const ruleEngine = new RuleEngine().loadDirectory(path.join(__dirname, 'rules'));
+if (process.env.FRAUD_RULES_DIR) {
+  ruleEngine.loadDirectory(path.resolve(process.env.FRAUD_RULES_DIR));
+}
+app.locals.ruleEngine = ruleEngine;
+
+// Withdrawal rules have their own engine; a withdrawal that fires one is held for review
+const withdrawalRuleEngine = new RuleEngine().loadDirectory(path.join(__dirname, 'rules', 'withdrawal'));
+app.locals.withdrawalRuleEngine = withdrawalRuleEngine;
+
+// Risk scoring: FRAUD_DETECTION_LEVEL picks the accept / review / reject cut-offs
+const riskScorer = new RiskScorer(process.env.FRAUD_DETECTION_LEVEL);
+app.locals.riskScorer = riskScorer;
+
+// Record a risk assessment in the user's risk history
+const recordRiskAssessment = (userId, assessment, betId = null) => {
+  const history = riskAssessments.get(userId) || [];
+  history.push({
+    betId,
+    ...assessment,
+    timestamp: clock.toISOString()
+  });
+  riskAssessments.set(userId, history.slice(-RISK_HISTORY_LIMIT));
+};
+
+// Velocity: sliding windows of recent bet attempts per user
+const velocityTracker = new VelocityTracker();
+app.locals.velocityTracker = velocityTracker;
+
+// Replay protection: recently accepted transaction ids and idempotency keys
+const transactionRegistry = new TransactionRegistry();
+app.locals.transactionRegistry = transactionRegistry;
+
+// Match catalog: fixtures that matchIds and odds are validated against
+const matchCatalog = new MatchCatalog(MatchCatalog.DEFAULT_FIXTURES, clock.now());
+app.locals.matchCatalog = matchCatalog;
+
+// Wallet: balances and the ledger of deposits, withdrawals and stakes
+const wallet = new Wallet(Wallet.DEFAULT_INITIAL_BALANCE, {
+  balances: storage.collection('balances'),
+  ledger: storage.collection('ledger')
+}, clock);
+app.locals.wallet = wallet;
+
+// Settlement: match results, bet outcomes and payouts
+const settlementEngine = new SettlementEngine({ bets, wallet, catalog: matchCatalog, clock });
+app.locals.settlementEngine = settlementEngine;
+
+// Shared key the results feed must present
+const RESULTS_FEED_KEY = process.env.RESULTS_FEED_KEY || 'mock-results-feed-key';
+
+// Back-office account used by analysts to review flags
+const seedAdminUser = () => {
+  users.set('admin', {
+    id: 'admin',
+    username: process.env.ADMIN_USERNAME || 'admin',
+    email: 'admin@bettingapp.example',
+    password: process.env.ADMIN_PASSWORD || 'admin-password',
+    role: 'admin',
+    createdAt: clock.toISOString(),
+    status: 'active'
+  });
+  if (!accountFlags.has('admin')) {
+    accountFlags.set('admin', []);
+  }
+};
+seedAdminUser();
+
+// Generate a user id
+const nextUserId = () => `${clock.now()}${++userSequence}`;
+
+// Sessions: signed, expiring access tokens and rotating refresh tokens
+const sessionManager = new SessionManager({ store: sessions });
+app.locals.sessionManager = sessionManager;
+
+// Start a session for a user, returning the token fields sent to the client
+const createSession = (user) => {
+  const { token, refreshToken, expiresAt } = sessionManager.create(user.id, clock.now());
+  return { token, refreshToken, expiresAt };
+};
+
+// Sequence used to give every account flag an id analysts can refer to
+let flagSequence = 0;
+let securityEventSequence = 0;
+
+// Login guard: failed logins per username and per client IP, lockouts and credential stuffing
+const loginGuard = new LoginGuard();
+app.locals.loginGuard = loginGuard;
+
+// Linkage index: accounts seen on the same device, device fingerprint or payment details
+const linkageIndex = new LinkageIndex();
+app.locals.linkageIndex = linkageIndex;
+
+// Status a flag takes after each review action. Cleared flags stop counting towards restrictions
+// and blocking; an escalated flag of any type restricts the account.
+const FLAG_REVIEW_ACTIONS = {
+  confirm: 'confirmed',
+  clear: 'cleared',
+  escalate: 'escalated'
+};
+
+// Append a flag to a user's account
+const addAccountFlag = (userId, flag) => {
+  const userFlags = accountFlags.get(userId) || [];
+  userFlags.push({
+    id: `FLAG-${clock.now()}-${++flagSequence}`,
+    status: 'open',
+    timestamp: clock.toISOString(),
+    ...flag
+  });
+  accountFlags.set(userId, userFlags);
+  return userFlags;
+};
+
+// Append an event to the security events feed
+const recordSecurityEvent = (event) => {
+  const stored = {
+    id: `SEC-${clock.now()}-${++securityEventSequence}`,
+    ...event,
+    timestamp: clock.toISOString()
+  };
+  securityEvents.set(stored.id, stored);
+  return stored;
+};
+
+// Flags raised on the targeted accounts by login guard events
+const LOGIN_EVENT_FLAGS = {
+  account_lockout: {
+    type: 'brute_force',
+    reason: 'Fraud detected: Repeated failed logins',
+    fraudType: 'brute-force'
+  },
+  credential_stuffing: {
+    type: 'credential_stuffing',
+    reason: 'Fraud detected: Credential stuffing from one source',
+    fraudType: 'credential-stuffing'
+  }
+};
+
+// Record login guard events in the feed and flag the existing accounts they target
+const handleLoginEvents = (events) => {
+  events.forEach(event => {
+    const stored = recordSecurityEvent(event);
+    const flag = LOGIN_EVENT_FLAGS[event.type];
+    if (!flag) return;
+    
+    const targeted = event.usernames || [event.username];
+    Array.from(users.values())
+      .filter(user => targeted.includes(user.username))
+      .forEach(user => addAccountFlag(user.id, {
+        ...flag,
+        securityEventId: stored.id,
+        evidence: { ip: event.ip, failures: event.failures, lockedUntil: event.lockedUntil }
+      }));
+  });
+};
+
+// Reasons given on the multi-account flags for each kind of shared key
+const LINKAGE_REASONS = {
+  device: 'Fraud detected: Device shared by too many accounts',
+  fingerprint: 'Fraud detected: Device fingerprint shared by too many accounts',
+  payment: 'Fraud detected: Payment details shared by several accounts'
+};
+
+// Record the device (and any payment details) a request came from
+// and flag the accounts it links past a threshold
+const observeLinkage = (req, userId, context, payment = null) => {
+  const device = LinkageIndex.fingerprintFrom(req.headers, req.ip);
+  const links = linkageIndex.record(userId, { device, payment }, context, clock.now());
+  
+  links.filter(link => link.newlyLinked.length > 0).forEach(link => {
+    const stored = recordSecurityEvent({
+      type: 'account_linkage',
+      kind: link.kind,
+      key: link.key,
+      accounts: link.accounts,
+      threshold: link.threshold
+    });
+    link.newlyLinked.forEach(linkedUserId => addAccountFlag(linkedUserId, {
+      type: 'multi_account',
+      reason: LINKAGE_REASONS[link.kind],
+      fraudType: 'multi-accounting',
+      securityEventId: stored.id,
+      evidence: {
+        kind: link.kind,
+        linkedAccounts: link.accounts.filter(id => id !== linkedUserId),
+        threshold: link.threshold
+      }
+    }));
+  });
+};
+
+// Fraud attempts that have not been cleared by an analyst
+const getFraudAttempts = (userId) => {
+  const userFlags = accountFlags.get(userId) || [];
+  return userFlags.filter(flag => flag.type === 'fraud_attempt' && flag.status !== 'cleared');
+};
+
+// Restrictions currently applied to a user's account
+const getRestrictions = (userId) => {
+  const userFlags = accountFlags.get(userId) || [];
+  const hasFraudFlags = getFraudAttempts(userId).length > 0 ||
+    userFlags.some(flag => flag.status === 'escalated');
+  return hasFraudFlags ? ['betting_restricted', 'withdrawal_restricted'] : [];
+};
+
+// Honour X-Forwarded-For so tests can simulate clients behind proxies
+app.set('trust proxy', process.env.TRUST_PROXY !== 'false');
 
 // Middleware
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Keep the raw body so replays can be compared byte for byte
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 
 // Logging middleware
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+  console.log(`[${clock.toISOString()}] ${req.method} ${req.url}`);
   next();
 });
 
+// Fault injection: per-route latency, error responses, dropped connections, truncated and dripped bodies,
+// configured with FAULT_INJECTION or /__control/faults
+const faultInjector = new FaultInjector(FaultInjector.rulesFromEnv(), { clock });
+app.locals.faultInjector = faultInjector;
+app.use(faultInjector.middleware());
+
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.split(' ')[1];
   
   if (!token) {
-    return res.status(401).json({ error: 'Unauthorized: Missing token' });
+    return res.status(401).json({ error: 'Unauthorized: Missing token', code: 'TOKEN_MISSING' });
+  }
+  
+  let session;
+  try {
+    session = sessionManager.verify(token, clock.now());
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
   }
   
-  const session = sessions.get(token);
-  if (!session) {
-    return res.status(401).json({ error: 'Unauthorized: Invalid token' });
+  const user = users.get(session.userId);
+  if (!user) {
+    return res.status(401).json({ error: 'Unauthorized: Invalid token', code: 'TOKEN_INVALID' });
   }
   
-  req.user = session.user;
+  req.user = user;
+  req.session = session;
+  next();
+};
+
+// Admin authorization middleware, used after authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
   next();
 };
 
 // --- AUTH ROUTES ---
 
+// Identity checks run on every registration: age, disposable email, phone format, duplicate identities
+const identityVerifier = new IdentityVerifier();
+app.locals.identityVerifier = identityVerifier;
+
+// Fields a client may set when registering
+const REGISTRATION_FIELDS = [
+  'username', 'email', 'password', 'firstName', 'lastName',
+  'dateOfBirth', 'phoneNumber', 'address', 'paymentInfo'
+];
+
+// Fields only the server sets; sending one is treated as registration tampering
+const PRIVILEGED_USER_FIELDS = ['id', 'role', 'status', 'balance', 'createdAt'];
+
 // Register new user
 app.post('/auth/register', (req, res) => {
   const userData = req.body;
   
+  // Refuse attempts to set internal account fields
+  const privilegedFields = Object.keys(userData).filter(field => PRIVILEGED_USER_FIELDS.includes(field));
+  if (privilegedFields.length > 0) {
+    recordSecurityEvent({
+      type: 'registration_tampering',
+      username: userData.username,
+      email: userData.email,
+      ip: req.ip,
+      fields: privilegedFields,
+      fraudType: 'registration-tampering'
+    });
+    return res.status(400).json({
+      error: 'Fraud detected: Attempt to set privileged account fields',
+      fraudType: 'registration-tampering',
+      fields: privilegedFields
+    });
+  }
+  
+  const unknownFields = Object.keys(userData).filter(field => !REGISTRATION_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return res.status(400).json({ error: 'Unknown registration fields', fields: unknownFields });
+  }
+  
   // Validate required fields
   if (!userData.username || !userData.email || !userData.password) {
     return res.status(400).json({ error: 'Missing required fields' });
@@ -57,25 +370,56 @@ app.post('/auth/register', (req, res) => {
     return res.status(409).json({ error: 'Username or email already exists' });
   }
   
+  // Refuse registrations that fail the identity checks
+  const failedChecks = identityVerifier.verify(userData, Array.from(users.values()), clock.now());
+  if (failedChecks.length > 0) {
+    const stored = recordSecurityEvent({
+      type: 'identity_check_failed',
+      username: userData.username,
+      email: userData.email,
+      ip: req.ip,
+      checks: failedChecks
+    });
+    
+    // The account being impersonated or re-registered is flagged too
+    const duplicate = failedChecks.find(check => check.id === 'duplicate-identity');
+    if (duplicate) {
+      duplicate.evidence.matchedUserIds.forEach(matchedUserId => addAccountFlag(matchedUserId, {
+        type: 'duplicate_identity',
+        reason: duplicate.reason,
+        fraudType: duplicate.fraudType,
+        securityEventId: stored.id,
+        evidence: { username: userData.username, email: userData.email }
+      }));
+    }
+    
+    return res.status(400).json({
+      error: failedChecks[0].reason,
+      fraudType: failedChecks[0].fraudType,
+      failedChecks: failedChecks.map(check => ({ id: check.id, fraudType: check.fraudType, reason: check.reason }))
+    });
+  }
+  
   // Create user
-  const userId = Date.now().toString();
+  const userId = nextUserId();
   const user = {
     id: userId,
-    ...userData,
-    createdAt: new Date().toISOString(),
+    ..._.pick(userData, REGISTRATION_FIELDS),
+    createdAt: clock.toISOString(),
     status: 'active'
   };
   
   users.set(userId, user);
   accountFlags.set(userId, []);
+  wallet.open(userId);
+  observeLinkage(req, userId, 'register', userData.paymentInfo);
   
   // Create and return auth token
-  const token = Buffer.from(`${userId}:${Date.now()}`).toString('base64');
-  sessions.set(token, { user, createdAt: new Date() });
+  const session = createSession(user);
   
   res.status(201).json({
     message: 'User registered successfully',
-    token,
+    ...session,
     user: {
       id: user.id,
       username: user.username,
@@ -88,26 +432,45 @@ app.post('/auth/register', (req, res) => {
 // Login
 app.post('/auth/login', (req, res) => {
   const { username, password } = req.body;
+  const { ip } = req;
+  
+  // Refuse attempts while the username or the client IP is locked out
+  const lockout = loginGuard.check(username, ip, clock.now());
+  if (lockout) {
+    const retryAfter = Math.ceil(lockout.retryAfterMs / 1000);
+    recordSecurityEvent({ type: 'locked_login_attempt', username, ip, scope: lockout.scope });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: 'Too many failed login attempts',
+      code: lockout.scope === 'ip' ? 'IP_LOCKED' : 'ACCOUNT_LOCKED',
+      retryAfter
+    });
+  }
   
   // Find user
   const user = Array.from(users.values()).find(u => u.username === username && u.password === password);
   
   if (!user) {
+    recordSecurityEvent({ type: 'login_failure', username, ip });
+    handleLoginEvents(loginGuard.recordFailure(username, ip, clock.now()));
     return res.status(401).json({ error: 'Invalid credentials' });
   }
   
+  loginGuard.recordSuccess(username);
+  
   // Check if account is blocked
   if (user.status === 'blocked') {
     return res.status(403).json({ error: 'Account is blocked' });
   }
   
+  observeLinkage(req, user.id, 'login');
+  
   // Create and return auth token
-  const token = Buffer.from(`${user.id}:${Date.now()}`).toString('base64');
-  sessions.set(token, { user, createdAt: new Date() });
+  const session = createSession(user);
   
   res.status(200).json({
     message: 'Login successful',
-    token,
+    ...session,
     user: {
       id: user.id,
       username: user.username,
@@ -117,73 +480,234 @@ app.post('/auth/login', (req, res) => {
   });
 });
 
-// --- BETS ROUTES ---
+// Logout: end the current session, or every session of the user with { all: true }
+app.post('/auth/logout', authenticateToken, (req, res) => {
+  const revokedSessions = req.body.all
+    ? sessionManager.revokeAll(req.user.id, 'logout', clock.now())
+    : [sessionManager.revoke(req.session.id, 'logout', clock.now()).id];
+  
+  res.status(200).json({
+    message: 'Logged out',
+    revokedSessions
+  });
+});
 
-// Place a bet
-app.post('/bets/place', authenticateToken, (req, res) => {
-  const userId = req.user.id;
-  const betData = req.body;
+// Refresh: exchange a refresh token for a new token pair
+app.post('/auth/refresh', (req, res) => {
+  const { refreshToken } = req.body;
   
-  // Validate bet data
-  if (!betData.matchId || !betData.amount || !betData.odds || !betData.selection) {
-    return res.status(400).json({ error: 'Missing required bet information' });
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Missing refresh token' });
   }
   
-  // === FRAUD DETECTION LOGIC ===
-  let isFraudulent = false;
-  let fraudReason = '';
+  let refreshed;
+  try {
+    refreshed = sessionManager.refresh(refreshToken, clock.now());
+  } catch (error) {
+    // A reused refresh token means two parties hold the same session
+    if (error.code === 'REFRESH_TOKEN_REUSED' && users.has(error.evidence.userId)) {
+      addAccountFlag(error.evidence.userId, {
+        type: 'session_hijacking',
+        reason: 'Fraud detected: Refresh token reused',
+        fraudType: 'session-hijacking',
+        evidence: error.evidence
+      });
+    }
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+  
+  const user = users.get(refreshed.userId);
+  if (!user || user.status === 'blocked') {
+    sessionManager.revoke(refreshed.sessionId, 'account_blocked', clock.now());
+    return res.status(403).json({ error: 'Account is blocked' });
+  }
+  
+  res.status(200).json({
+    message: 'Token refreshed',
+    token: refreshed.token,
+    refreshToken: refreshed.refreshToken,
+    expiresAt: refreshed.expiresAt
+  });
+});
+
+// --- MATCH ROUTES ---
+
+// List matches in the catalog
+app.get('/matches', (req, res) => {
+  res.status(200).json(matchCatalog.list({ sport: req.query.sport }));
+});
+
+// Get a single match
+app.get('/matches/:id', (req, res) => {
+  const match = matchCatalog.get(req.params.id);
   
-  let fraudType = '';
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  
+  res.status(200).json(match);
+});
+
+// Results feed authentication middleware
+const authenticateFeed = (req, res, next) => {
+  if (req.get('X-Feed-Key') !== RESULTS_FEED_KEY) {
+    return res.status(401).json({ error: 'Unauthorized: Invalid feed key' });
+  }
+  next();
+};
+
+// Answer a settlement error, flagging the bet owner when it was a tampering attempt
+const handleSettlementError = (error, res, betId = null) => {
+  if (error.tampering) {
+    const bet = bets.get(error.evidence.betId || betId);
+    if (bet) {
+      addAccountFlag(bet.userId, {
+        type: 'payout_tampering',
+        reason: error.message,
+        fraudType: 'payout-tampering',
+        betId: bet.id,
+        evidence: error.evidence
+      });
+    }
+  }
+  
+  res.status(error.statusCode || 500).json({
+    error: error.message,
+    code: error.code,
+    ...(error.tampering && { fraudType: 'payout-tampering', evidence: error.evidence })
+  });
+};
+
+// --- LIVE FEED ROUTES ---
+
+// Apply a live state change to a match and answer with the updated match
+const updateLiveState = (req, res, change) => {
+  if (!matchCatalog.get(req.params.id)) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
   
-  // Check for negative bet amount
-  if (parseFloat(betData.amount) <= 0) {
-    isFraudulent = true;
-    fraudReason = 'Fraud detected: Invalid bet amount';
-    fraudType = 'negative-amount';
+  try {
+    res.status(200).json(change(req.params.id, req.body.marketType || null, clock.now()));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
+};
+
+// Kick a match off now; matches without in-play betting stop taking bets
+app.post('/matches/:id/start', authenticateFeed, (req, res) => {
+  updateLiveState(req, res, (matchId, marketType, now) => matchCatalog.startMatch(matchId, now));
+});
+
+// Suspend one market, or every market of the match
+app.post('/matches/:id/suspend', authenticateFeed, (req, res) => {
+  updateLiveState(req, res, (matchId, marketType, now) => matchCatalog.suspendMarket(matchId, marketType, now));
+});
+
+// Reopen one market, or every market of the match
+app.post('/matches/:id/resume', authenticateFeed, (req, res) => {
+  updateLiveState(req, res, (matchId, marketType) => matchCatalog.resumeMarket(matchId, marketType));
+});
+
+// --- RESULTS AND SETTLEMENT ROUTES ---
+
+// Results feed: record a match result and settle its pending bets
+app.post('/results', authenticateFeed, (req, res) => {
+  const { matchId, markets } = req.body;
   
-  // Check for odds manipulation (unusually high odds)
-  if (parseFloat(betData.odds) > 20) {
-    isFraudulent = true;
-    fraudReason = 'Fraud detected: Suspicious odds manipulation';
-    fraudType = 'odds-manipulation';
+  if (!matchId || (!req.body.void && !markets)) {
+    return res.status(400).json({ error: 'Missing required result information' });
   }
   
-  // Check for altered match ID
-  if (betData.matchId.includes('-altered')) {
-    isFraudulent = true;
-    fraudReason = 'Fraud detected: Match ID tampering detected';
-    fraudType = 'match-alteration';
+  try {
+    res.status(201).json(settlementEngine.recordResult(matchId, req.body));
+  } catch (error) {
+    handleSettlementError(error, res);
   }
+});
+
+// Get the recorded result of a match
+app.get('/results/:matchId', (req, res) => {
+  const result = settlementEngine.getResult(req.params.matchId);
   
-  // Check for timestamp manipulation (past betting)
-  if (betData.timestamp && new Date(betData.timestamp) < new Date(Date.now() - 3600000)) {
-    isFraudulent = true;
-    fraudReason = 'Fraud detected: Timestamp manipulation detected';
-    fraudType = 'timestamp-manipulation';
+  if (!result) {
+    return res.status(404).json({ error: 'Result not found' });
   }
   
-  // Check for suspicious fields that shouldn't be present
-  if (betData.serverBypass || betData.adminApproval) {
-    isFraudulent = true;
-    fraudReason = 'Fraud detected: Unauthorized request fields';
-    fraudType = 'request-tampering';
+  res.status(200).json(result);
+});
+
+// Settle a single bet directly, e.g. to simulate a tampered settlement call
+app.post('/settlement/bets/:id', authenticateFeed, (req, res) => {
+  const { outcome, odds, payout } = req.body;
+  
+  try {
+    res.status(200).json(settlementEngine.settleBet(req.params.id, outcome, { odds, payout }));
+  } catch (error) {
+    handleSettlementError(error, res, req.params.id);
   }
+});
+
+// --- BETS ROUTES ---
+
+// Place a bet
+app.post('/bets/place', authenticateToken, (req, res) => {
+  const userId = req.user.id;
+  const betData = req.body;
+  
+  // Validate bet data; an accumulator carries its selections as legs
+  if (Accumulator.isAccumulator(betData)) {
+    if (!betData.amount || !betData.odds) {
+      return res.status(400).json({ error: 'Missing required bet information' });
+    }
+    const legError = Accumulator.validate(betData);
+    if (legError) {
+      return res.status(400).json({ error: legError });
+    }
+  } else if (!betData.matchId || !betData.amount || !betData.odds || !betData.selection) {
+    return res.status(400).json({ error: 'Missing required bet information' });
+  }
+  
+  // Answer an identical replay of an accepted bet with the original response
+  const now = clock.now();
+  const transactionKeys = TransactionRegistry.keysFor(userId, betData, req.get('Idempotency-Key'));
+  const payloadHash = TransactionRegistry.hashPayload(userId, req.rawBody || JSON.stringify(betData));
+  const transactionCheck = transactionRegistry.check(transactionKeys, payloadHash, now);
+  
+  if (transactionCheck.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(transactionCheck.replay.statusCode).json(transactionCheck.replay.body);
+  }
+  
+  observeLinkage(req, userId, 'bet');
+  
+  // === FRAUD DETECTION LOGIC ===
+  const triggeredRules = ruleEngine.evaluate(betData, {
+    user: req.user,
+    now,
+    velocity: velocityTracker,
+    catalog: matchCatalog,
+    transactionCheck,
+    linkage: linkageIndex.getLinks(userId)
+  });
+  const riskAssessment = riskScorer.assess(triggeredRules);
+  velocityTracker.record(userId, betData, now);
   
   // If fraud detected, flag account and reject bet
-  if (isFraudulent) {
+  if (riskAssessment.decision === 'reject') {
+    const primaryRule = RuleEngine.getPrimary(triggeredRules);
+    recordRiskAssessment(userId, riskAssessment);
+    
     // Add flag to user account
-    const userFlags = accountFlags.get(userId) || [];
-    userFlags.push({
+    addAccountFlag(userId, {
       type: 'fraud_attempt',
-      reason: fraudReason,
-      timestamp: new Date().toISOString(),
+      reason: primaryRule.reason,
+      triggeredRules,
+      riskScore: riskAssessment.score,
       data: betData
     });
-    accountFlags.set(userId, userFlags);
     
     // If multiple fraud attempts, block the account
-    if (userFlags.filter(flag => flag.type === 'fraud_attempt').length >= 3) {
+    if (getFraudAttempts(userId).length >= 3) {
       const user = users.get(userId);
       if (user) {
         user.status = 'blocked';
@@ -192,36 +716,82 @@ app.post('/bets/place', authenticateToken, (req, res) => {
     }
     
     return res.status(400).json({
-      error: fraudReason,
-      fraudType: fraudType,
-      details: fraudReason
+      error: primaryRule.reason,
+      fraudType: primaryRule.fraudType,
+      details: triggeredRules.map(rule => rule.reason).join('; '),
+      triggeredRules,
+      riskAssessment
+    });
+  }
+  
+  // Process legitimate bet (borderline bets are held for review)
+  const stake = Wallet.parseAmount(betData.amount);
+  if (stake === null) {
+    return res.status(400).json({ error: 'Invalid bet amount' });
+  }
+  
+  const balance = wallet.getBalance(userId);
+  if (stake > balance) {
+    return res.status(400).json({
+      error: 'Insufficient funds',
+      code: 'INSUFFICIENT_FUNDS',
+      balance,
+      stake
     });
   }
   
-  // Process legitimate bet
-  const betId = `BET-${Date.now()}-${userId.substring(0, 5)}`;
+  const betId = `BET-${clock.now()}-${userId.substring(0, 5)}-${++betSequence}`;
   const bet = {
     id: betId,
     userId,
     ...betData,
-    status: 'pending',
-    createdAt: new Date().toISOString()
+    status: riskAssessment.decision === 'review' ? 'under_review' : 'pending',
+    riskScore: riskAssessment.score,
+    createdAt: clock.toISOString()
   };
   
   bets.set(betId, bet);
+  wallet.debitStake(userId, stake, { betId });
+  recordRiskAssessment(userId, riskAssessment, betId);
   
-  res.status(201).json({
+  // Keep the evidence of any rule that fired, even when the bet went through
+  if (triggeredRules.length > 0) {
+    addAccountFlag(userId, {
+      type: riskAssessment.decision === 'review' ? 'risk_review' : 'risk_signal',
+      reason: riskAssessment.decision === 'review'
+        ? `Bet ${betId} held for review`
+        : `Bet ${betId} accepted with risk signals`,
+      betId,
+      triggeredRules,
+      riskScore: riskAssessment.score,
+      data: betData
+    });
+  }
+  
+  const responseBody = {
     message: 'Bet placed successfully',
     betId: bet.id,
     bet: {
       id: bet.id,
       matchId: bet.matchId,
       selection: bet.selection,
+      ...(bet.legs && { legs: bet.legs }),
       odds: bet.odds,
       amount: bet.amount,
-      status: 'pending'
-    }
-  });
+      status: bet.status
+    },
+    riskAssessment
+  };
+  
+  transactionRegistry.remember(transactionKeys, {
+    userId,
+    payloadHash,
+    betId,
+    statusCode: 201,
+    body: responseBody
+  }, now);
+  
+  res.status(201).json(responseBody);
 });
 
 // Get bet history
@@ -237,13 +807,235 @@ app.get('/bets/history', authenticateToken, (req, res) => {
     id: bet.id,
     matchId: bet.matchId,
     selection: bet.selection,
+    ...(bet.legs && { legs: bet.legs }),
     odds: bet.odds,
     amount: bet.amount,
     status: bet.status,
+    ...(bet.settledAt && { payout: bet.payout, settledAt: bet.settledAt }),
     createdAt: bet.createdAt
   })));
 });
 
+// --- WALLET ROUTES ---
+
+// Reject wallet requests with an invalid amount. A missing or non-numeric amount is an input error;
+// a number that is zero, negative or not finite is flagged as balance manipulation
+const parseWalletAmount = (req, res) => {
+  const amount = Wallet.parseAmount(req.body.amount);
+  if (amount !== null) return amount;
+  
+  const value = req.body.amount;
+  const numeric = (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) &&
+    !isNaN(Number(value));
+  
+  if (!numeric) {
+    res.status(400).json({ error: 'Invalid wallet amount', code: 'INVALID_AMOUNT' });
+  } else {
+    addAccountFlag(req.user.id, {
+      type: 'fraud_attempt',
+      reason: 'Fraud detected: Invalid wallet amount',
+      fraudType: 'balance-manipulation',
+      data: req.body
+    });
+    res.status(400).json({
+      error: 'Fraud detected: Invalid wallet amount',
+      fraudType: 'balance-manipulation'
+    });
+  }
+  
+  return null;
+};
+
+// Deposit funds
+app.post('/wallet/deposit', authenticateToken, (req, res) => {
+  const amount = parseWalletAmount(req, res);
+  if (amount === null) return;
+  
+  observeLinkage(req, req.user.id, 'deposit', req.body.paymentInfo);
+  
+  const transaction = wallet.deposit(req.user.id, amount, {
+    method: req.body.method || 'card'
+  });
+  
+  res.status(201).json({
+    message: 'Deposit successful',
+    transaction,
+    balance: transaction.balanceAfter
+  });
+});
+
+// Withdraw funds
+app.post('/wallet/withdraw', authenticateToken, (req, res) => {
+  const userId = req.user.id;
+  const restrictions = getRestrictions(userId);
+  
+  if (req.user.status === 'blocked' || restrictions.includes('withdrawal_restricted')) {
+    return res.status(403).json({
+      error: 'Withdrawals are restricted on this account',
+      restrictions
+    });
+  }
+  
+  const amount = parseWalletAmount(req, res);
+  if (amount === null) return;
+  
+  const triggeredRules = withdrawalRuleEngine.evaluate(req.body, {
+    user: users.get(userId),
+    now: clock.now(),
+    ledger: wallet.getLedger(userId),
+    balance: wallet.getBalance(userId)
+  });
+  
+  try {
+    // Funds of a held withdrawal leave the balance straight away and come back if it is rejected
+    if (triggeredRules.length > 0) {
+      const primaryRule = RuleEngine.getPrimary(triggeredRules);
+      const holdId = `HOLD-${clock.now()}-${++holdSequence}`;
+      const transaction = wallet.withdraw(userId, amount, {
+        method: req.body.method || 'bank_transfer',
+        holdId
+      });
+      const hold = {
+        id: holdId,
+        userId,
+        amount,
+        transactionId: transaction.id,
+        status: 'held',
+        reason: primaryRule.reason,
+        fraudType: primaryRule.fraudType,
+        triggeredRules,
+        createdAt: clock.toISOString()
+      };
+      withdrawalHolds.set(holdId, hold);
+      addAccountFlag(userId, {
+        type: 'withdrawal_hold',
+        reason: primaryRule.reason,
+        fraudType: primaryRule.fraudType,
+        holdId,
+        triggeredRules
+      });
+      
+      return res.status(202).json({
+        message: 'Withdrawal held for review',
+        hold,
+        balance: transaction.balanceAfter
+      });
+    }
+    
+    const transaction = wallet.withdraw(userId, amount, {
+      method: req.body.method || 'bank_transfer'
+    });
+    
+    res.status(201).json({
+      message: 'Withdrawal successful',
+      transaction,
+      balance: transaction.balanceAfter
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      error: error.message,
+      code: error.code,
+      balance: wallet.getBalance(userId)
+    });
+  }
+});
+
+// Get wallet balance
+app.get('/wallet/balance', authenticateToken, (req, res) => {
+  res.status(200).json({
+    balance: wallet.getBalance(req.user.id),
+    currency: Wallet.CURRENCY
+  });
+});
+
+// Get wallet transaction ledger
+app.get('/wallet/transactions', authenticateToken, (req, res) => {
+  res.status(200).json(wallet.getLedger(req.user.id));
+});
+
+// --- ACCOUNT ROUTES ---
+
+// Fields a user may change on their profile; username, password and date of birth are not among them
+const PROFILE_FIELDS = ['email', 'firstName', 'lastName', 'phoneNumber', 'address'];
+
+// Remember a change to a sensitive account detail, for the withdrawal rules
+const recordAccountChanges = (user, fields, ip) => {
+  const changedAt = clock.toISOString();
+  user.accountChanges = (user.accountChanges || []).concat(fields.map(field => ({ field, changedAt, ip })));
+  users.set(user.id, user);
+  recordSecurityEvent({ type: 'account_change', username: user.username, ip, fields });
+};
+
+// Update profile details
+app.patch('/users/profile', authenticateToken, (req, res) => {
+  const user = users.get(req.user.id);
+  const changes = req.body;
+  
+  const unknownFields = Object.keys(changes).filter(field => !PROFILE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return res.status(400).json({ error: 'Unknown profile fields', fields: unknownFields });
+  }
+  
+  const changedFields = Object.keys(changes).filter(field => !_.isEqual(changes[field], user[field]));
+  if (changedFields.length === 0) {
+    return res.status(400).json({ error: 'No profile changes' });
+  }
+  
+  if (changedFields.includes('email') && !changes.email) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  if (changedFields.includes('email') &&
+    Array.from(users.values()).some(other => other.id !== user.id && other.email === changes.email)) {
+    return res.status(409).json({ error: 'Username or email already exists' });
+  }
+  
+  const failedChecks = [identityVerifier.checkEmail(changes), identityVerifier.checkPhone(changes)].filter(Boolean);
+  if (failedChecks.length > 0) {
+    return res.status(400).json({
+      error: failedChecks[0].reason,
+      fraudType: failedChecks[0].fraudType,
+      failedChecks: failedChecks.map(check => ({ id: check.id, fraudType: check.fraudType, reason: check.reason }))
+    });
+  }
+  
+  changedFields.forEach(field => {
+    user[field] = changes[field];
+  });
+  recordAccountChanges(user, changedFields, req.ip);
+  
+  res.status(200).json({
+    message: 'Profile updated',
+    changes: changedFields,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      status: user.status
+    }
+  });
+});
+
+// Change password
+app.post('/users/password', authenticateToken, (req, res) => {
+  const user = users.get(req.user.id);
+  const { currentPassword, newPassword } = req.body;
+  
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  if (currentPassword !== user.password) {
+    return res.status(403).json({ error: 'Current password is incorrect' });
+  }
+  if (newPassword === user.password) {
+    return res.status(400).json({ error: 'New password must differ from the current one' });
+  }
+  
+  user.password = newPassword;
+  recordAccountChanges(user, ['password'], req.ip);
+  
+  res.status(200).json({ message: 'Password changed' });
+});
+
 // --- ACCOUNT STATUS ROUTES ---
 
 // Get account status
@@ -256,26 +1048,493 @@ app.get('/users/account-status', authenticateToken, (req, res) => {
   }
   
   const userFlags = accountFlags.get(userId) || [];
-  const hasFraudFlags = userFlags.some(flag => flag.type === 'fraud_attempt');
+  const userRisk = riskAssessments.get(userId) || [];
   
   res.status(200).json({
     accountId: userId,
     status: user.status,
     flags: userFlags,
-    restrictions: hasFraudFlags ? ['betting_restricted', 'withdrawal_restricted'] : [],
+    restrictions: getRestrictions(userId),
     verificationStatus: user.status === 'blocked' ? 'rejected' : 'verified',
-    fraudWarnings: userFlags.filter(flag => flag.type === 'fraud_attempt').length,
-    lastUpdated: new Date().toISOString()
+    fraudWarnings: getFraudAttempts(userId).length,
+    riskScore: userRisk.length > 0 ? userRisk[userRisk.length - 1].score : 0,
+    riskAssessments: userRisk,
+    holds: Array.from(withdrawalHolds.values()).filter(hold => hold.userId === userId && hold.status === 'held'),
+    balance: wallet.getBalance(userId),
+    lastUpdated: clock.toISOString()
+  });
+});
+
+// --- ADMIN ROUTES ---
+// Back office for the admin account (ADMIN_USERNAME / ADMIN_PASSWORD): users, flags,
+// security events, withdrawal holds and linked accounts
+
+// Summary of a user as shown in the back office
+const summarizeUser = (user) => {
+  const userFlags = accountFlags.get(user.id) || [];
+  const userRisk = riskAssessments.get(user.id) || [];
+  
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role || 'user',
+    status: user.status,
+    createdAt: user.createdAt,
+    openFlags: userFlags.filter(flag => flag.status === 'open').length,
+    fraudWarnings: getFraudAttempts(user.id).length,
+    restrictions: getRestrictions(user.id),
+    riskScore: userRisk.length > 0 ? userRisk[userRisk.length - 1].score : 0
+  };
+};
+
+// Filter flags by the type and status query parameters
+const filterFlags = (flags, query) => flags.filter(flag =>
+  (!query.type || flag.type === query.type) &&
+  (!query.status || flag.status === query.status)
+);
+
+// Apply a review action to a flag, keeping the review history on the flag
+const reviewFlag = (userId, flag, action, reviewer, note) => {
+  flag.status = FLAG_REVIEW_ACTIONS[action];
+  flag.reviews = flag.reviews || [];
+  flag.reviews.push({
+    action,
+    note: note || null,
+    reviewedBy: reviewer.username,
+    reviewedAt: clock.toISOString()
+  });
+  accountFlags.set(userId, accountFlags.get(userId));
+  return flag;
+};
+
+// Change an account's status, recording who changed it and why
+const setAccountStatus = (user, status, admin, reason) => {
+  user.status = status;
+  user.statusReason = reason || null;
+  user.statusChangedBy = admin.username;
+  user.statusChangedAt = clock.toISOString();
+  users.set(user.id, user);
+};
+
+// Load the user named in the route, answering 404 when unknown
+const findUser = (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+  }
+  return user;
+};
+
+// List users, optionally filtered by status or to those with open flags
+app.get('/admin/users', authenticateToken, requireAdmin, (req, res) => {
+  const { status, flagged } = req.query;
+  
+  const summaries = Array.from(users.values())
+    .filter(user => !status || user.status === status)
+    .map(summarizeUser)
+    .filter(summary => flagged !== 'true' || summary.openFlags > 0);
+  
+  res.status(200).json(summaries);
+});
+
+// Get a user with their flags and risk history
+app.get('/admin/users/:id', authenticateToken, requireAdmin, (req, res) => {
+  const user = findUser(req, res);
+  if (!user) return;
+  
+  res.status(200).json({
+    ...summarizeUser(user),
+    flags: accountFlags.get(user.id) || [],
+    linkedAccounts: linkageIndex.getLinks(user.id),
+    riskAssessments: riskAssessments.get(user.id) || [],
+    balance: wallet.getBalance(user.id)
+  });
+});
+
+// List a user's flags
+app.get('/admin/users/:id/flags', authenticateToken, requireAdmin, (req, res) => {
+  const user = findUser(req, res);
+  if (!user) return;
+  
+  res.status(200).json(filterFlags(accountFlags.get(user.id) || [], req.query));
+});
+
+// Review a flag: confirm it, clear it as a false positive or escalate it
+app.post('/admin/users/:id/flags/:flagId/review', authenticateToken, requireAdmin, (req, res) => {
+  const user = findUser(req, res);
+  if (!user) return;
+  
+  const { action, note } = req.body;
+  if (!FLAG_REVIEW_ACTIONS[action]) {
+    return res.status(400).json({
+      error: 'Invalid review action',
+      allowedActions: Object.keys(FLAG_REVIEW_ACTIONS)
+    });
+  }
+  
+  const flag = (accountFlags.get(user.id) || []).find(f => f.id === req.params.flagId);
+  if (!flag) {
+    return res.status(404).json({ error: 'Flag not found' });
+  }
+  
+  reviewFlag(user.id, flag, action, req.user, note);
+  
+  res.status(200).json({
+    message: 'Flag reviewed',
+    flag,
+    user: summarizeUser(user)
   });
 });
 
+// Block an account
+app.post('/admin/users/:id/block', authenticateToken, requireAdmin, (req, res) => {
+  const user = findUser(req, res);
+  if (!user) return;
+  
+  if (user.status === 'blocked') {
+    return res.status(409).json({ error: 'Account is already blocked' });
+  }
+  
+  setAccountStatus(user, 'blocked', req.user, req.body.reason);
+  sessionManager.revokeAll(user.id, 'account_blocked', clock.now());
+  
+  res.status(200).json({
+    message: 'Account blocked',
+    user: summarizeUser(user)
+  });
+});
+
+// Reinstate a blocked account, optionally clearing its fraud attempts
+app.post('/admin/users/:id/unblock', authenticateToken, requireAdmin, (req, res) => {
+  const user = findUser(req, res);
+  if (!user) return;
+  
+  if (user.status !== 'blocked') {
+    return res.status(409).json({ error: 'Account is not blocked' });
+  }
+  
+  const { note, clearFlags } = req.body;
+  const clearedFlags = clearFlags
+    ? getFraudAttempts(user.id).map(flag => reviewFlag(user.id, flag, 'clear', req.user, note))
+    : [];
+  
+  setAccountStatus(user, 'active', req.user, note);
+  
+  res.status(200).json({
+    message: 'Account reinstated',
+    user: summarizeUser(user),
+    clearedFlags: clearedFlags.map(flag => flag.id)
+  });
+});
+
+// List flags across all users, optionally filtered by type and status
+app.get('/admin/flags', authenticateToken, requireAdmin, (req, res) => {
+  const allFlags = Array.from(accountFlags.entries())
+    .flatMap(([userId, userFlags]) => userFlags.map(flag => ({ userId, ...flag })))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  
+  res.status(200).json(filterFlags(allFlags, req.query));
+});
+
+// Security events feed: failed logins, lockouts and credential stuffing, newest first
+app.get('/admin/security-events', authenticateToken, requireAdmin, (req, res) => {
+  const { type, username, ip } = req.query;
+  
+  const events = Array.from(securityEvents.values())
+    .filter(event => (!type || event.type === type) &&
+      (!username || event.username === username || (event.usernames || []).includes(username)) &&
+      (!ip || event.ip === ip))
+    .reverse();
+  
+  res.status(200).json(events);
+});
+
+// Status a held withdrawal takes after each review action
+const HOLD_REVIEW_ACTIONS = {
+  release: 'released',
+  reject: 'rejected'
+};
+
+// List withdrawal holds, optionally filtered by status and user
+app.get('/admin/withdrawals', authenticateToken, requireAdmin, (req, res) => {
+  const { status, userId } = req.query;
+  
+  const holds = Array.from(withdrawalHolds.values())
+    .filter(hold => (!status || hold.status === status) && (!userId || hold.userId === userId))
+    .reverse();
+  
+  res.status(200).json(holds);
+});
+
+// Release a held withdrawal, or reject it and return the funds to the wallet
+app.post('/admin/withdrawals/:id/review', authenticateToken, requireAdmin, (req, res) => {
+  const hold = withdrawalHolds.get(req.params.id);
+  if (!hold) {
+    return res.status(404).json({ error: 'Withdrawal hold not found' });
+  }
+  
+  const { action, note } = req.body;
+  if (!HOLD_REVIEW_ACTIONS[action]) {
+    return res.status(400).json({
+      error: 'Invalid review action',
+      allowedActions: Object.keys(HOLD_REVIEW_ACTIONS)
+    });
+  }
+  if (hold.status !== 'held') {
+    return res.status(409).json({ error: 'Withdrawal has already been reviewed' });
+  }
+  
+  if (action === 'reject') {
+    wallet.reverseWithdrawal(hold.userId, hold.amount, { holdId: hold.id });
+  }
+  hold.status = HOLD_REVIEW_ACTIONS[action];
+  hold.review = {
+    action,
+    note: note || null,
+    reviewedBy: req.user.username,
+    reviewedAt: clock.toISOString()
+  };
+  withdrawalHolds.set(hold.id, hold);
+  
+  res.status(200).json({
+    message: 'Withdrawal reviewed',
+    hold,
+    balance: wallet.getBalance(hold.userId)
+  });
+});
+
+// Groups of accounts sharing a device, fingerprint or payment details past the threshold
+app.get('/admin/linkage', authenticateToken, requireAdmin, (req, res) => {
+  res.status(200).json(linkageIndex.getGroups(req.query));
+});
+
+// --- TEST CONTROL ROUTES ---
+
+// Replace the contents of a Map in place, so references held elsewhere stay valid
+const replaceMap = (target, source) => {
+  target.clear();
+  source.forEach((value, key) => target.set(key, value));
+};
+
+// Copy the whole backend state
+const snapshotState = () => ({
+  users: _.cloneDeep(new Map(users)),
+  bets: _.cloneDeep(new Map(bets)),
+  sessions: _.cloneDeep(new Map(sessions)),
+  accountFlags: _.cloneDeep(new Map(accountFlags)),
+  riskAssessments: _.cloneDeep(new Map(riskAssessments)),
+  securityEvents: _.cloneDeep(new Map(securityEvents)),
+  withdrawalHolds: _.cloneDeep(new Map(withdrawalHolds)),
+  wallet: wallet.snapshot(),
+  velocity: velocityTracker.snapshot(),
+  transactions: transactionRegistry.snapshot(),
+  catalog: matchCatalog.snapshot(),
+  settlement: settlementEngine.snapshot(),
+  logins: loginGuard.snapshot(),
+  linkage: linkageIndex.snapshot()
+});
+
+// Replace the whole backend state with a snapshot
+const restoreState = (state) => {
+  replaceMap(users, _.cloneDeep(state.users));
+  replaceMap(bets, _.cloneDeep(state.bets));
+  replaceMap(sessions, _.cloneDeep(state.sessions));
+  replaceMap(accountFlags, _.cloneDeep(state.accountFlags));
+  replaceMap(riskAssessments, _.cloneDeep(state.riskAssessments));
+  replaceMap(securityEvents, _.cloneDeep(state.securityEvents));
+  replaceMap(withdrawalHolds, _.cloneDeep(state.withdrawalHolds));
+  wallet.restore(state.wallet);
+  velocityTracker.restore(state.velocity);
+  transactionRegistry.restore(state.transactions);
+  matchCatalog.restore(state.catalog);
+  settlementEngine.restore(state.settlement);
+  loginGuard.restore(state.logins);
+  linkageIndex.restore(state.linkage);
+};
+
+// Drop all users, bets, sessions, flags and money movements, go back to real time and
+// to the configured fault rules; other configuration is left as is
+const resetState = () => {
+  clock.reset();
+  faultInjector.reset();
+  [users, bets, sessions, accountFlags, riskAssessments, securityEvents, withdrawalHolds].forEach(map => map.clear());
+  wallet.reset();
+  velocityTracker.reset();
+  transactionRegistry.reset();
+  matchCatalog.reset(MatchCatalog.DEFAULT_FIXTURES, clock.now());
+  settlementEngine.reset();
+  loginGuard.reset();
+  linkageIndex.reset();
+  seedAdminUser();
+};
+
+// Check a seed fixture before anything is loaded, returning the first problem found
+const validateSeed = ({ users: seedUsers = [], bets: seedBets = [], flags: seedFlags = [], matches = [] }) => {
+  if (![seedUsers, seedBets, seedFlags, matches].every(Array.isArray)) {
+    return 'users, bets, flags and matches must be arrays';
+  }
+  
+  const seededIds = seedUsers.map(user => user.id).filter(Boolean);
+  const knownUser = userId => users.has(userId) || seededIds.includes(userId);
+  
+  if (seedUsers.some(user => !user.username || !user.email || !user.password)) {
+    return 'Seeded users need a username, email and password';
+  }
+  if (seedBets.some(bet => !knownUser(bet.userId) || !bet.matchId)) {
+    return 'Seeded bets need a matchId and the id of a known user';
+  }
+  if (seedFlags.some(flag => !knownUser(flag.userId) || !flag.type)) {
+    return 'Seeded flags need a type and the id of a known user';
+  }
+  if (matches.some(match => !match.id || !match.markets)) {
+    return 'Seeded matches need an id and markets';
+  }
+  return null;
+};
+
+// Load users, bets, flags and matches from a fixture, on top of the current state
+const seedState = (fixture) => {
+  const now = clock.toISOString();
+  
+  (fixture.matches || []).forEach(match => matchCatalog.add(match, clock.now()));
+  
+  const seededUsers = (fixture.users || []).map(({ balance, ...userData }) => {
+    const user = {
+      ...userData,
+      id: userData.id || nextUserId(),
+      createdAt: userData.createdAt || now,
+      status: userData.status || 'active'
+    };
+    users.set(user.id, user);
+    accountFlags.set(user.id, accountFlags.get(user.id) || []);
+    wallet.open(user.id, balance);
+    
+    return { id: user.id, username: user.username, ...createSession(user) };
+  });
+  
+  (fixture.bets || []).forEach(betData => {
+    const bet = {
+      ...betData,
+      id: betData.id || `BET-${clock.now()}-${betData.userId.substring(0, 5)}-${++betSequence}`,
+      status: betData.status || 'pending',
+      createdAt: betData.createdAt || now
+    };
+    bets.set(bet.id, bet);
+  });
+  
+  (fixture.flags || []).forEach(({ userId, ...flag }) => addAccountFlag(userId, flag));
+  
+  return {
+    users: seededUsers,
+    bets: (fixture.bets || []).length,
+    flags: (fixture.flags || []).length,
+    matches: (fixture.matches || []).length
+  };
+};
+
+if (CONTROL_ENABLED) {
+  // Reset the backend to its startup state
+  app.post('/__control/reset', (req, res) => {
+    resetState();
+    res.status(200).json({ message: 'State reset' });
+  });
+  
+  // Load a JSON fixture; seeded users come back with a session token
+  app.post('/__control/seed', (req, res) => {
+    const error = validateSeed(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    res.status(201).json({
+      message: 'State seeded',
+      seeded: seedState(req.body)
+    });
+  });
+  
+  // Save the current state under a name
+  app.post('/__control/snapshot', (req, res) => {
+    const name = req.body.name || 'default';
+    snapshots.set(name, snapshotState());
+    
+    res.status(201).json({
+      message: 'Snapshot saved',
+      name,
+      users: users.size,
+      bets: bets.size
+    });
+  });
+  
+  // Read the server clock
+  app.get('/__control/clock', (req, res) => {
+    res.status(200).json(clock.getState());
+  });
+  
+  // Freeze, unfreeze, advance, set or reset the server clock:
+  // { action: 'freeze', time? } | { action: 'advance', ms } | { action: 'set', time } | { action: 'unfreeze' | 'reset' }
+  app.post('/__control/clock', (req, res) => {
+    try {
+      res.status(200).json(clock.control(req.body));
+    } catch (error) {
+      res.status(400).json({ error: error.message, allowedActions: Clock.ACTIONS });
+    }
+  });
+  
+  // List the fault rules and the most recent injected faults
+  app.get('/__control/faults', (req, res) => {
+    res.status(200).json(faultInjector.getState());
+  });
+  
+  // Add a fault rule, e.g. { path: '/bets/place', method: 'POST', errorRate: 1, errorStatus: 502 }
+  app.post('/__control/faults', (req, res) => {
+    try {
+      res.status(201).json({ message: 'Fault rule added', rule: faultInjector.add(req.body) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  // Remove one fault rule
+  app.delete('/__control/faults/:id', (req, res) => {
+    if (!faultInjector.remove(req.params.id)) {
+      return res.status(404).json({ error: 'Fault rule not found' });
+    }
+    res.status(200).json({ message: 'Fault rule removed' });
+  });
+  
+  // Remove every fault rule
+  app.delete('/__control/faults', (req, res) => {
+    faultInjector.clear();
+    res.status(200).json({ message: 'Fault rules cleared' });
+  });
+  
+  // Restore a named snapshot
+  app.post('/__control/restore', (req, res) => {
+    const name = req.body.name || 'default';
+    const snapshot = snapshots.get(name);
+    
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    restoreState(snapshot);
+    res.status(200).json({
+      message: 'Snapshot restored',
+      name,
+      users: users.size,
+      bets: bets.size
+    });
+  });
+}
+
 // --- HEALTH CHECK ---
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
     status: 'OK',
-    timestamp: new Date().toISOString(),
+    timestamp: clock.toISOString(),
     uptime: process.uptime(),
     version: '1.0.0',
     environment: process.env.NODE_ENV || 'development'
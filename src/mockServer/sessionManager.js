@@ -0,0 +1,248 @@
+/**
+ * Session manager for the mock server
+ * Issues HMAC-signed, expiring access tokens with rotating refresh tokens,
+ * caps concurrent sessions per user and tells forged, expired and revoked tokens apart.
+ * A refresh token presented after it was rotated ends its session, as two parties hold it.
+ */
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  secret: process.env.SESSION_SECRET || 'mock-session-secret',
+  ttlMs: parseInt(process.env.SESSION_TTL_MS) || 3600000, // 1 hour
+  refreshTtlMs: parseInt(process.env.REFRESH_TOKEN_TTL_MS) || 604800000, // 7 days
+  maxSessions: parseInt(process.env.MAX_SESSIONS_PER_USER) || 5
+};
+
+const base64url = value => Buffer.from(value).toString('base64url');
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// Build an error carrying the HTTP status the route should answer with
+const sessionError = (message, code, evidence = null) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = code;
+  if (evidence) {
+    error.evidence = evidence;
+  }
+  return error;
+};
+
+class SessionManager {
+  /**
+   * @param {Object} options - { store, secret, ttlMs, refreshTtlMs, maxSessions }
+   */
+  constructor(options = {}) {
+    const { store = new Map(), ...settings } = options;
+    this.store = store;
+    this.settings = { ...DEFAULTS, ...settings };
+  }
+
+  /**
+   * Sign a token payload
+   * @param {Object} payload - Token claims
+   * @returns {string} - header.payload.signature
+   */
+  sign(payload) {
+    const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+    return `${unsigned}.${this.signature(unsigned).toString('base64url')}`;
+  }
+
+  /**
+   * HMAC of the signed part of a token
+   * @param {string} unsigned - header.payload
+   * @returns {Buffer} - Signature bytes
+   */
+  signature(unsigned) {
+    return crypto.createHmac('sha256', this.settings.secret).update(unsigned).digest();
+  }
+
+  /**
+   * Check a token signature and decode its payload
+   * @param {string} token - Access token
+   * @returns {Object|null} - Payload, or null when the token is malformed or the signature is wrong
+   */
+  decode(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+
+    const expected = this.signature(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Start a session, revoking the oldest ones beyond the per-user cap
+   * @param {string} userId - User identifier
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { sessionId, token, refreshToken, expiresAt, refreshExpiresAt, evictedSessions }
+   */
+  create(userId, now = Date.now()) {
+    const session = {
+      id: `SES-${crypto.randomBytes(8).toString('hex')}`,
+      userId,
+      createdAt: now,
+      usedRefreshHashes: [],
+      revokedAt: null,
+      revokedReason: null
+    };
+
+    const active = this.getActive(userId, now);
+    const evictedSessions = active
+      .slice(0, Math.max(0, active.length - this.settings.maxSessions + 1))
+      .map(oldest => this.revoke(oldest.id, 'session_limit', now).id);
+
+    return { ...this.issue(session, now), evictedSessions };
+  }
+
+  /**
+   * Issue a new access and refresh token pair for a session
+   * @param {Object} session - Session record
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { sessionId, token, refreshToken, expiresAt, refreshExpiresAt }
+   */
+  issue(session, now) {
+    const refreshSecret = crypto.randomBytes(24).toString('hex');
+
+    session.tokenId = crypto.randomBytes(8).toString('hex');
+    session.expiresAt = now + this.settings.ttlMs;
+    session.refreshTokenHash = hash(refreshSecret);
+    session.refreshExpiresAt = now + this.settings.refreshTtlMs;
+    session.lastIssuedAt = now;
+    this.store.set(session.id, session);
+
+    return {
+      sessionId: session.id,
+      token: this.sign({
+        sid: session.id,
+        sub: session.userId,
+        jti: session.tokenId,
+        iat: Math.floor(now / 1000),
+        exp: Math.floor(session.expiresAt / 1000)
+      }),
+      refreshToken: `${session.id}.${refreshSecret}`,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      refreshExpiresAt: new Date(session.refreshExpiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - Access token
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - Session record
+   */
+  verify(token, now = Date.now()) {
+    const payload = this.decode(token);
+    const session = payload && this.store.get(payload.sid);
+    if (!payload || (session && session.userId !== payload.sub)) {
+      throw sessionError('Unauthorized: Invalid token', 'TOKEN_INVALID');
+    }
+    if (!session || session.revokedAt || session.tokenId !== payload.jti) {
+      throw sessionError('Unauthorized: Token revoked', 'TOKEN_REVOKED', {
+        sessionId: payload.sid,
+        reason: session ? session.revokedReason || 'superseded' : 'unknown_session'
+      });
+    }
+    // The session holds the exact expiry of its current token; exp is only second precise
+    if (session.expiresAt <= now) {
+      throw sessionError('Unauthorized: Token expired', 'TOKEN_EXPIRED');
+    }
+
+    return session;
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * Presenting a refresh token that was already used revokes the session, as it was probably stolen
+   * @param {string} refreshToken - Refresh token
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { sessionId, userId, token, refreshToken, expiresAt, refreshExpiresAt }
+   */
+  refresh(refreshToken, now = Date.now()) {
+    const [sessionId, refreshSecret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    const session = sessionId && this.store.get(sessionId);
+    const presentedHash = refreshSecret ? hash(refreshSecret) : null;
+
+    if (!session || !presentedHash) {
+      throw sessionError('Unauthorized: Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+    if (session.usedRefreshHashes.includes(presentedHash)) {
+      const alreadyRevoked = Boolean(session.revokedAt);
+      this.revoke(session.id, 'refresh_token_reuse', now);
+      throw sessionError('Unauthorized: Refresh token reused', 'REFRESH_TOKEN_REUSED', {
+        sessionId: session.id,
+        userId: session.userId,
+        alreadyRevoked
+      });
+    }
+    if (presentedHash !== session.refreshTokenHash) {
+      throw sessionError('Unauthorized: Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+    if (session.revokedAt) {
+      throw sessionError('Unauthorized: Token revoked', 'TOKEN_REVOKED', {
+        sessionId: session.id,
+        reason: session.revokedReason
+      });
+    }
+    if (session.refreshExpiresAt <= now) {
+      throw sessionError('Unauthorized: Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    session.usedRefreshHashes.push(presentedHash);
+    return { userId: session.userId, ...this.issue(session, now) };
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} sessionId - Session identifier
+   * @param {string} reason - Why the session ended (logout, session_limit, ...)
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} - Session record, or null when unknown
+   */
+  revoke(sessionId, reason, now = Date.now()) {
+    const session = this.store.get(sessionId);
+    if (!session) return null;
+
+    if (!session.revokedAt) {
+      session.revokedAt = now;
+      session.revokedReason = reason;
+      this.store.set(session.id, session);
+    }
+    return session;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User identifier
+   * @param {string} reason - Why the sessions ended
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<string>} - Revoked session ids
+   */
+  revokeAll(userId, reason, now = Date.now()) {
+    return this.getActive(userId, now).map(session => this.revoke(session.id, reason, now).id);
+  }
+
+  /**
+   * Get a user's sessions that are neither revoked nor past their refresh expiry, oldest first
+   * @param {string} userId - User identifier
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} - Session records
+   */
+  getActive(userId, now = Date.now()) {
+    return Array.from(this.store.values())
+      .filter(session => session.userId === userId && !session.revokedAt && session.refreshExpiresAt > now)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+}
+
+SessionManager.DEFAULTS = DEFAULTS;
+
+module.exports = SessionManager;
@@ -0,0 +1,259 @@
+/**
+ * Settlement engine for the mock server
+ * Records match results, settles bets as won, lost or void and credits payouts
+ */
+const _ = require('lodash');
+const Wallet = require('./wallet');
+const Accumulator = require('./accumulator');
+const Clock = require('./clock');
+
+const SETTLED_STATUSES = ['won', 'lost', 'void'];
+
+// Round to cents, matching the wallet ledger
+const toCents = amount => Math.round(amount * 100) / 100;
+
+// Build an error carrying the HTTP status the route should answer with
+const settlementError = (message, statusCode, code, evidence = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (evidence) {
+    // Evidence marks the error as an attempt to tamper with a payout
+    error.tampering = true;
+    error.evidence = evidence;
+  }
+  return error;
+};
+
+class SettlementEngine {
+  /**
+   * @param {Object} dependencies - { bets, wallet, catalog, clock }
+   */
+  constructor({ bets, wallet, catalog, clock = new Clock() }) {
+    this.bets = bets;
+    this.wallet = wallet;
+    this.catalog = catalog;
+    this.clock = clock;
+    this.results = new Map();
+  }
+
+  /**
+   * Work out how a bet settles against a match result
+   * @param {Object} bet - Stored bet
+   * @param {Object} result - { void, markets: { marketType: winningSelection } }
+   * @returns {string} - won, lost or void
+   */
+  static outcomeFor(bet, result) {
+    const winningSelection = result.markets && result.markets[bet.marketType || 'winner'];
+
+    if (result.void || winningSelection === undefined || winningSelection === 'void') {
+      return 'void';
+    }
+    return winningSelection === bet.selection ? 'won' : 'lost';
+  }
+
+  /**
+   * Work out how an accumulator settles against the results recorded so far
+   * It is lost as soon as one leg loses; otherwise it waits for every leg.
+   * Void legs drop out at odds of 1, and an accumulator with only void legs is void.
+   * @param {Object} bet - Stored accumulator
+   * @param {Map} results - Recorded results by matchId
+   * @returns {Object|null} - { outcome, odds } or null while legs are still open
+   */
+  static accumulatorOutcomeFor(bet, results) {
+    const legOutcomes = bet.legs.map(leg => {
+      const result = results.get(leg.matchId);
+      return result ? SettlementEngine.outcomeFor(leg, result) : null;
+    });
+
+    if (legOutcomes.includes('lost')) {
+      return { outcome: 'lost', odds: 0 };
+    }
+    if (legOutcomes.includes(null)) {
+      return null;
+    }
+    if (legOutcomes.every(outcome => outcome === 'void')) {
+      return { outcome: 'void', odds: 1 };
+    }
+    return {
+      outcome: 'won',
+      odds: Accumulator.combinedOdds(bet.legs.filter((leg, index) => legOutcomes[index] === 'won'))
+    };
+  }
+
+  /**
+   * Record a match result and settle every pending bet on the match
+   * Accumulators with a leg on the match settle once their outcome is known
+   * Bets held for review are left alone and reported as skipped
+   * @param {string} matchId - Match identifier
+   * @param {Object} result - { void, markets: { marketType: winningSelection } }
+   * @returns {Object} - { matchId, result, settled, skipped }
+   */
+  recordResult(matchId, result) {
+    const match = this.catalog.get(matchId);
+    if (!match) {
+      throw settlementError('Match not found', 404, 'MATCH_NOT_FOUND');
+    }
+    if (this.results.has(matchId)) {
+      throw settlementError('Result already recorded for this match', 409, 'RESULT_EXISTS');
+    }
+
+    const storedResult = {
+      matchId,
+      void: Boolean(result.void),
+      markets: { ...(result.markets || {}) },
+      recordedAt: this.clock.toISOString()
+    };
+    this.results.set(matchId, storedResult);
+    match.status = storedResult.void ? 'void' : 'finished';
+
+    const settled = [];
+    const skipped = [];
+    Array.from(this.bets.values())
+      .filter(bet => bet.matchId === matchId || Accumulator.legsOf(bet).some(leg => leg.matchId === matchId))
+      .forEach(bet => {
+        if (bet.status !== 'pending') {
+          skipped.push({ betId: bet.id, status: bet.status });
+          return;
+        }
+        if (!Accumulator.isAccumulator(bet)) {
+          settled.push(this.settleBet(bet.id, SettlementEngine.outcomeFor(bet, storedResult)));
+          return;
+        }
+        const settlement = SettlementEngine.accumulatorOutcomeFor(bet, this.results);
+        if (settlement) {
+          settled.push(this.settleBet(bet.id, settlement.outcome));
+        }
+      });
+
+    return { matchId, result: storedResult, settled, skipped };
+  }
+
+  /**
+   * Get the recorded result of a match
+   * @param {string} matchId - Match identifier
+   * @returns {Object|null} - Result or null when not recorded
+   */
+  getResult(matchId) {
+    return this.results.get(matchId) || null;
+  }
+
+  /**
+   * Settle a single bet and move the money
+   * Settling twice, with an outcome other than the recorded results give, or at a payout that does
+   * not match the accepted odds, is refused as tampering.
+   * A won accumulator with void legs pays at the odds of its winning legs.
+   * @param {string} betId - Bet identifier
+   * @param {string} outcome - won, lost or void
+   * @param {Object} claimed - Optional payout details sent by the caller: { odds, payout }
+   * @returns {Object} - { betId, userId, status, payout }
+   */
+  settleBet(betId, outcome, claimed = {}) {
+    const bet = this.bets.get(betId);
+    if (!bet) {
+      throw settlementError('Bet not found', 404, 'BET_NOT_FOUND');
+    }
+    if (!SETTLED_STATUSES.includes(outcome)) {
+      throw settlementError(`Unknown outcome "${outcome}"`, 400, 'INVALID_OUTCOME');
+    }
+    if (SETTLED_STATUSES.includes(bet.status)) {
+      throw settlementError('Fraud detected: Bet already settled', 409, 'DOUBLE_SETTLEMENT', {
+        betId,
+        previousStatus: bet.status,
+        previousPayout: bet.payout,
+        settledAt: bet.settledAt
+      });
+    }
+
+    const stake = Wallet.parseAmount(bet.amount) || 0;
+    const settlement = Accumulator.isAccumulator(bet) && SettlementEngine.accumulatorOutcomeFor(bet, this.results);
+    const expectedOutcome = this.expectedOutcome(bet, settlement);
+
+    if (expectedOutcome && outcome !== expectedOutcome) {
+      throw settlementError('Fraud detected: Outcome does not match the recorded result', 409, 'OUTCOME_MISMATCH', {
+        betId,
+        expectedOutcome,
+        claimedOutcome: outcome
+      });
+    }
+
+    const acceptedOdds = settlement && settlement.outcome === 'won' ? settlement.odds : parseFloat(bet.odds);
+
+    if (claimed.odds !== undefined && parseFloat(claimed.odds) !== acceptedOdds) {
+      throw settlementError('Fraud detected: Payout odds differ from accepted odds', 409, 'ODDS_MISMATCH', {
+        betId,
+        acceptedOdds: bet.odds,
+        claimedOdds: claimed.odds
+      });
+    }
+
+    let payout = 0;
+    if (outcome === 'won') {
+      payout = toCents(stake * acceptedOdds);
+    } else if (outcome === 'void') {
+      payout = stake;
+    }
+
+    if (claimed.payout !== undefined && toCents(Number(claimed.payout)) !== payout) {
+      throw settlementError('Fraud detected: Payout amount does not match the bet', 409, 'PAYOUT_MISMATCH', {
+        betId,
+        expectedPayout: payout,
+        claimedPayout: claimed.payout
+      });
+    }
+
+    if (outcome === 'won') {
+      this.wallet.creditPayout(bet.userId, payout, { betId });
+    } else if (outcome === 'void') {
+      this.wallet.refundStake(bet.userId, payout, { betId });
+    }
+
+    bet.status = outcome;
+    bet.payout = payout;
+    bet.settledAt = this.clock.toISOString();
+    this.bets.set(betId, bet);
+
+    return { betId, userId: bet.userId, status: outcome, payout };
+  }
+
+  /**
+   * Work out the outcome the recorded results give a bet
+   * @param {Object} bet - Stored bet
+   * @param {Object|null|false} settlement - accumulatorOutcomeFor() of the bet when it is an accumulator
+   * @returns {string|null} - won, lost or void, or null while the results are not in
+   */
+  expectedOutcome(bet, settlement) {
+    if (Accumulator.isAccumulator(bet)) {
+      return settlement ? settlement.outcome : null;
+    }
+    const result = this.results.get(bet.matchId);
+    return result ? SettlementEngine.outcomeFor(bet, result) : null;
+  }
+
+  /**
+   * Forget every recorded result
+   */
+  reset() {
+    this.results.clear();
+  }
+
+  /**
+   * Copy the recorded results
+   * @returns {Object} - State accepted by restore()
+   */
+  snapshot() {
+    return { results: _.cloneDeep(this.results) };
+  }
+
+  /**
+   * Replace the recorded results with a snapshot
+   * @param {Object} state - State returned by snapshot()
+   */
+  restore(state) {
+    this.results = _.cloneDeep(state.results);
+  }
+}
+
+SettlementEngine.SETTLED_STATUSES = SETTLED_STATUSES;
+
+module.exports = SettlementEngine;
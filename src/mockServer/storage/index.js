@@ -0,0 +1,49 @@
+/**
+ * Storage for the mock server state
+ * MOCK_STORAGE picks the driver: memory (default), json or sqlite.
+ * MOCK_STORAGE_PATH overrides where the json and sqlite drivers keep their file.
+ */
+const path = require('path');
+const MemoryStorage = require('./memoryStorage');
+const JsonFileStorage = require('./jsonFileStorage');
+const SqliteStorage = require('./sqliteStorage');
+const PersistentMap = require('./persistentMap');
+
+const DRIVERS = {
+  memory: MemoryStorage,
+  json: JsonFileStorage,
+  sqlite: SqliteStorage
+};
+
+const DEFAULT_PATHS = {
+  json: 'data/mock-server.jsonl',
+  sqlite: 'data/mock-server.sqlite'
+};
+
+/**
+ * Create the storage selected by the driver name
+ * @param {string} driver - memory, json or sqlite
+ * @param {string} filePath - File used by the json and sqlite drivers
+ * @returns {Object} - Storage exposing collection(name) and close()
+ */
+const createStorage = (driver = process.env.MOCK_STORAGE || 'memory', filePath = process.env.MOCK_STORAGE_PATH) => {
+  const Storage = DRIVERS[driver];
+  if (!Storage) {
+    throw new Error(`Unknown storage driver "${driver}", expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  if (driver === 'memory') {
+    return new Storage();
+  }
+  return new Storage(filePath === ':memory:' ? filePath : path.resolve(filePath || DEFAULT_PATHS[driver]));
+};
+
+module.exports = {
+  createStorage,
+  MemoryStorage,
+  JsonFileStorage,
+  SqliteStorage,
+  PersistentMap,
+  DRIVERS,
+  DEFAULT_PATHS
+};
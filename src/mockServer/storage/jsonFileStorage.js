@@ -0,0 +1,83 @@
+/**
+ * Append-only JSON file storage for the mock server
+ * Every change is appended to the file as one JSON line and replayed on startup,
+ * so the file also reads as a history of the backend state
+ */
+const fs = require('fs');
+const path = require('path');
+const PersistentMap = require('./persistentMap');
+
+class JsonFileStorage {
+  /**
+   * @param {string} filePath - JSON lines file, created when missing
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.collections = new Map();
+    this.loaded = new Map();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (fs.existsSync(filePath)) {
+      this.replay(fs.readFileSync(filePath, 'utf8'));
+    }
+  }
+
+  /**
+   * Rebuild collections from the change log
+   * A line that cannot be parsed (e.g. cut short by a crash) is skipped
+   * @param {string} content - File content
+   */
+  replay(content) {
+    content.split('\n').filter(line => line.trim()).forEach((line, index) => {
+      let change;
+      try {
+        change = JSON.parse(line);
+      } catch (error) {
+        console.warn(`Skipping unreadable line ${index + 1} of ${this.filePath}`);
+        return;
+      }
+
+      const entries = this.loaded.get(change.collection) || new Map();
+      if (change.op === 'set') {
+        entries.set(change.key, change.value);
+      } else if (change.op === 'delete') {
+        entries.delete(change.key);
+      } else if (change.op === 'clear') {
+        entries.clear();
+      }
+      this.loaded.set(change.collection, entries);
+    });
+  }
+
+  /**
+   * Get a collection, creating it on first use
+   * @param {string} name - Collection name
+   * @returns {PersistentMap} - Collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      const entries = Array.from((this.loaded.get(name) || new Map()).entries());
+      this.collections.set(name, new PersistentMap(name, this, entries));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Append a change to the file
+   * @param {string} collection - Collection name
+   * @param {string} op - set, delete or clear
+   * @param {string} key - Entry key
+   * @param {*} value - Entry value
+   */
+  write(collection, op, key, value) {
+    const change = { collection, op, key, value, at: new Date().toISOString() };
+    fs.appendFileSync(this.filePath, `${JSON.stringify(change)}\n`);
+  }
+
+  /**
+   * Nothing to release, every change is already on disk
+   */
+  close() {}
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,29 @@
+/**
+ * In-memory storage for the mock server
+ * State lives in plain Maps and is gone when the process exits
+ */
+
+class MemoryStorage {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  /**
+   * Get a collection, creating it on first use
+   * @param {string} name - Collection name
+   * @returns {Map} - Collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Nothing to release for in-memory storage
+   */
+  close() {}
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,39 @@
+/**
+ * Map that writes every change through to a storage backend
+ * Reads are served from memory, so values must be set again after they are mutated
+ */
+
+class PersistentMap extends Map {
+  /**
+   * @param {string} name - Collection name
+   * @param {Object} backend - Storage receiving write(collection, op, key, value) calls
+   * @param {Array<Array>} entries - [key, value] pairs loaded from the backend
+   */
+  constructor(name, backend, entries = []) {
+    super();
+    this.name = name;
+    this.backend = backend;
+    entries.forEach(([key, value]) => super.set(key, value));
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.backend.write(this.name, 'set', key, value);
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.backend.write(this.name, 'delete', key);
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.backend.write(this.name, 'clear');
+  }
+}
+
+module.exports = PersistentMap;
@@ -0,0 +1,78 @@
+/**
+ * SQLite storage for the mock server
+ * Each entry is a row of the entries table, with its value stored as JSON
+ */
+const fs = require('fs');
+const path = require('path');
+const PersistentMap = require('./persistentMap');
+
+class SqliteStorage {
+  /**
+   * @param {string} filePath - Database file, created when missing (or ':memory:')
+   */
+  constructor(filePath) {
+    // better-sqlite3 is an optional dependency, only needed when this driver is used
+    const Database = require('better-sqlite3');
+
+    if (filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    this.db = new Database(filePath);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS entries (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    )`);
+
+    this.statements = {
+      load: this.db.prepare('SELECT key, value FROM entries WHERE collection = ? ORDER BY rowid'),
+      set: this.db.prepare(`INSERT INTO entries (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+      delete: this.db.prepare('DELETE FROM entries WHERE collection = ? AND key = ?'),
+      clear: this.db.prepare('DELETE FROM entries WHERE collection = ?')
+    };
+    this.collections = new Map();
+  }
+
+  /**
+   * Get a collection, loading its rows on first use
+   * @param {string} name - Collection name
+   * @returns {PersistentMap} - Collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      const entries = this.statements.load.all(name).map(row => [row.key, JSON.parse(row.value)]);
+      this.collections.set(name, new PersistentMap(name, this, entries));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Write a change to the database
+   * @param {string} collection - Collection name
+   * @param {string} op - set, delete or clear
+   * @param {string} key - Entry key
+   * @param {*} value - Entry value
+   */
+  write(collection, op, key, value) {
+    if (op === 'set') {
+      this.statements.set.run(collection, String(key), JSON.stringify(value), new Date().toISOString());
+    } else if (op === 'delete') {
+      this.statements.delete.run(collection, String(key));
+    } else if (op === 'clear') {
+      this.statements.clear.run(collection);
+    }
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
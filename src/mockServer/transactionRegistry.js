@@ -0,0 +1,107 @@
+/**
+ * Transaction registry for the mock server
+ * Remembers recently accepted transaction ids and idempotency keys so replays can be detected
+ */
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const DEFAULT_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS) || 86400000; // 24 hours
+
+class TransactionRegistry {
+  /**
+   * @param {number} ttlMs - How long a transaction is remembered
+   */
+  constructor(ttlMs = DEFAULT_TTL_MS) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Hash a request payload together with the user that sent it
+   * @param {string} userId - User identifier
+   * @param {string} rawBody - Raw request body
+   * @returns {string} - Payload hash
+   */
+  static hashPayload(userId, rawBody) {
+    return crypto.createHash('sha256').update(`${userId}\n${rawBody}`).digest('hex');
+  }
+
+  /**
+   * Build the registry keys a bet request is known by
+   * Transaction ids are global, idempotency keys are scoped to the user
+   * @param {string} userId - User identifier
+   * @param {Object} betData - Bet request payload
+   * @param {string} idempotencyKey - Value of the Idempotency-Key header
+   * @returns {Array<string>} - Registry keys
+   */
+  static keysFor(userId, betData, idempotencyKey) {
+    const keys = [];
+    if (idempotencyKey) keys.push(`idempotency:${userId}:${idempotencyKey}`);
+    if (betData.transactionId) keys.push(`transaction:${betData.transactionId}`);
+    return keys;
+  }
+
+  /**
+   * Compare a request against what is remembered under its keys
+   * @param {Array<string>} keys - Registry keys of the request
+   * @param {string} payloadHash - Hash of the request payload
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { replay: entry of an identical request or null, conflicts: entries reused with a different payload }
+   */
+  check(keys, payloadHash, now = Date.now()) {
+    let replay = null;
+    const conflicts = [];
+
+    for (const key of keys) {
+      const entry = this.entries.get(key);
+      if (!entry) continue;
+
+      if (now - entry.storedAt > this.ttlMs) {
+        this.entries.delete(key);
+      } else if (entry.payloadHash === payloadHash) {
+        replay = replay || entry;
+      } else {
+        conflicts.push(entry);
+      }
+    }
+
+    return { replay, conflicts };
+  }
+
+  /**
+   * Remember an accepted request and the response it got
+   * @param {Array<string>} keys - Registry keys of the request
+   * @param {Object} entry - { userId, payloadHash, betId, statusCode, body }
+   * @param {number} now - Current time in milliseconds
+   */
+  remember(keys, entry, now = Date.now()) {
+    keys.forEach(key => this.entries.set(key, { key, ...entry, storedAt: now }));
+  }
+
+  /**
+   * Forget all transactions
+   */
+  reset() {
+    this.entries.clear();
+  }
+
+  /**
+   * Copy the remembered transactions
+   * @returns {Object} - State accepted by restore()
+   */
+  snapshot() {
+    return { entries: _.cloneDeep(this.entries) };
+  }
+
+  /**
+   * Replace the remembered transactions with a snapshot
+   * @param {Object} state - State returned by snapshot()
+   */
+  restore(state) {
+    this.entries = _.cloneDeep(state.entries);
+  }
+}
+
+TransactionRegistry.DEFAULT_TTL_MS = DEFAULT_TTL_MS;
+
+module.exports = TransactionRegistry;
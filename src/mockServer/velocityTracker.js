@@ -0,0 +1,109 @@
+/**
+ * Velocity tracker for the mock server
+ * Keeps a sliding window of recent bet attempts per user for the velocity rules
+ */
+const _ = require('lodash');
+const Accumulator = require('./accumulator');
+
+const MINUTE_MS = 60000;
+const HOUR_MS = 3600000;
+
+// Default limits, overridable through environment variables or setLimits()
+const DEFAULT_LIMITS = {
+  betsPerMinute: parseInt(process.env.VELOCITY_MAX_BETS_PER_MINUTE) || 10,
+  stakePerHour: parseFloat(process.env.VELOCITY_MAX_STAKE_PER_HOUR) || 5000,
+  repeatedSelections: parseInt(process.env.VELOCITY_MAX_REPEATED_SELECTIONS) || 5,
+  repeatedSelectionWindowMs: 10 * MINUTE_MS
+};
+
+class VelocityTracker {
+  /**
+   * @param {Object} limits - Overrides for the default limits
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.history = new Map();
+  }
+
+  /**
+   * Update one or more limits
+   * @param {Object} limits - Limits to override
+   */
+  setLimits(limits) {
+    this.limits = { ...this.limits, ...limits };
+  }
+
+  /**
+   * Build the key identifying "the same selection" across bets
+   * An accumulator is the same selection as another with the same legs, in any order
+   * @param {Object} betData - Bet request payload
+   * @returns {string} - Selection key
+   */
+  static selectionKey(betData) {
+    return Accumulator.legsOf(betData)
+      .map(leg => [leg.matchId, leg.marketType || 'winner', leg.selection].join('|'))
+      .sort()
+      .join('+');
+  }
+
+  /**
+   * Record a bet attempt for a user
+   * Attempts are recorded before the amount is validated, so only a finite, positive amount counts
+   * towards the stake; anything else is kept as zero and cannot hold later bets for the whole window
+   * @param {string} userId - User identifier
+   * @param {Object} betData - Bet request payload
+   * @param {number} now - Attempt time in milliseconds
+   */
+  record(userId, betData, now = Date.now()) {
+    const longestWindow = Math.max(HOUR_MS, this.limits.repeatedSelectionWindowMs);
+    const events = this.getEvents(userId, longestWindow, now);
+    const amount = parseFloat(betData.amount);
+
+    events.push({
+      timestamp: now,
+      amount: Number.isFinite(amount) && amount > 0 ? amount : 0,
+      selectionKey: VelocityTracker.selectionKey(betData)
+    });
+    this.history.set(userId, events);
+  }
+
+  /**
+   * Get a user's bet attempts inside a window ending now
+   * @param {string} userId - User identifier
+   * @param {number} windowMs - Window length in milliseconds
+   * @param {number} now - End of the window in milliseconds
+   * @returns {Array<Object>} - Attempts in the window, oldest first
+   */
+  getEvents(userId, windowMs, now = Date.now()) {
+    return (this.history.get(userId) || []).filter(event => event.timestamp > now - windowMs);
+  }
+
+  /**
+   * Forget all recorded attempts
+   */
+  reset() {
+    this.history.clear();
+  }
+
+  /**
+   * Copy the recorded attempts
+   * @returns {Object} - State accepted by restore()
+   */
+  snapshot() {
+    return { history: _.cloneDeep(this.history) };
+  }
+
+  /**
+   * Replace the recorded attempts with a snapshot
+   * @param {Object} state - State returned by snapshot()
+   */
+  restore(state) {
+    this.history = _.cloneDeep(state.history);
+  }
+}
+
+VelocityTracker.MINUTE_MS = MINUTE_MS;
+VelocityTracker.HOUR_MS = HOUR_MS;
+VelocityTracker.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = VelocityTracker;
@@ -0,0 +1,230 @@
+/**
+ * Wallet for the mock server
+ * Tracks user balances and keeps a ledger of every money movement
+ */
+const _ = require('lodash');
+const Clock = require('./clock');
+
+const DEFAULT_INITIAL_BALANCE = process.env.WALLET_INITIAL_BALANCE !== undefined
+  ? parseFloat(process.env.WALLET_INITIAL_BALANCE)
+  : 1000;
+
+const CURRENCY = 'USD';
+
+// Round to cents so ledger arithmetic stays exact enough for assertions
+const toCents = amount => Math.round(amount * 100) / 100;
+
+// Build an error carrying the HTTP status the route should answer with
+const walletError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+class Wallet {
+  /**
+   * @param {number} initialBalance - Balance credited when an account is opened
+   * @param {Object} stores - Optional Map-like stores for { balances, ledger }
+   * @param {Clock} clock - Clock that timestamps ledger entries
+   */
+  constructor(initialBalance = DEFAULT_INITIAL_BALANCE, stores = {}, clock = new Clock()) {
+    this.initialBalance = initialBalance;
+    this.clock = clock;
+    this.balances = stores.balances || new Map();
+    this.ledger = stores.ledger || new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Parse a client supplied amount
+   * @param {*} value - Amount from the request
+   * @returns {number|null} - Positive amount in cents precision, or null when invalid
+   */
+  static parseAmount(value) {
+    if (typeof value !== 'number' && typeof value !== 'string') return null;
+
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0) return null;
+    return toCents(amount);
+  }
+
+  /**
+   * Open an account with the initial balance if the user has none yet
+   * @param {string} userId - User identifier
+   * @param {number} openingBalance - Balance to open with (defaults to the initial balance)
+   */
+  open(userId, openingBalance = this.initialBalance) {
+    if (this.balances.has(userId)) return;
+
+    this.balances.set(userId, 0);
+    this.ledger.set(userId, []);
+    if (openingBalance > 0) {
+      this.record(userId, 'opening_balance', openingBalance);
+    }
+  }
+
+  /**
+   * Get a user's balance
+   * @param {string} userId - User identifier
+   * @returns {number} - Current balance
+   */
+  getBalance(userId) {
+    this.open(userId);
+    return this.balances.get(userId);
+  }
+
+  /**
+   * Get a user's ledger, oldest entry first
+   * @param {string} userId - User identifier
+   * @returns {Array<Object>} - Ledger entries
+   */
+  getLedger(userId) {
+    this.open(userId);
+    return this.ledger.get(userId).slice();
+  }
+
+  /**
+   * Credit a deposit
+   * @param {string} userId - User identifier
+   * @param {number} amount - Positive amount
+   * @param {Object} details - Extra ledger details (payment method, ...)
+   * @returns {Object} - Ledger entry
+   */
+  deposit(userId, amount, details = {}) {
+    return this.record(userId, 'deposit', amount, details);
+  }
+
+  /**
+   * Debit a withdrawal
+   * @param {string} userId - User identifier
+   * @param {number} amount - Positive amount
+   * @param {Object} details - Extra ledger details
+   * @returns {Object} - Ledger entry
+   */
+  withdraw(userId, amount, details = {}) {
+    this.ensureFunds(userId, amount);
+    return this.record(userId, 'withdrawal', -amount, details);
+  }
+
+  /**
+   * Debit the stake of a bet
+   * @param {string} userId - User identifier
+   * @param {number} amount - Positive stake
+   * @param {Object} details - Extra ledger details (betId, ...)
+   * @returns {Object} - Ledger entry
+   */
+  debitStake(userId, amount, details = {}) {
+    this.ensureFunds(userId, amount);
+    return this.record(userId, 'bet_stake', -amount, details);
+  }
+
+  /**
+   * Credit the payout of a winning bet
+   * @param {string} userId - User identifier
+   * @param {number} amount - Positive payout
+   * @param {Object} details - Extra ledger details (betId, ...)
+   * @returns {Object} - Ledger entry
+   */
+  creditPayout(userId, amount, details = {}) {
+    return this.record(userId, 'payout', amount, details);
+  }
+
+  /**
+   * Refund the stake of a void bet
+   * @param {string} userId - User identifier
+   * @param {number} amount - Positive stake
+   * @param {Object} details - Extra ledger details (betId, ...)
+   * @returns {Object} - Ledger entry
+   */
+  refundStake(userId, amount, details = {}) {
+    return this.record(userId, 'refund', amount, details);
+  }
+
+  /**
+   * Return the amount of a withdrawal that was stopped
+   * @param {string} userId - User identifier
+   * @param {number} amount - Positive amount
+   * @param {Object} details - Extra ledger details (holdId, ...)
+   * @returns {Object} - Ledger entry
+   */
+  reverseWithdrawal(userId, amount, details = {}) {
+    return this.record(userId, 'withdrawal_reversal', amount, details);
+  }
+
+  /**
+   * Throw when a debit would overdraw the account
+   * @param {string} userId - User identifier
+   * @param {number} amount - Positive amount to debit
+   */
+  ensureFunds(userId, amount) {
+    const balance = this.getBalance(userId);
+    if (amount > balance) {
+      throw walletError('Insufficient funds', 400, 'INSUFFICIENT_FUNDS');
+    }
+  }
+
+  /**
+   * Apply a signed movement and append it to the ledger
+   * @param {string} userId - User identifier
+   * @param {string} type - Ledger entry type
+   * @param {number} amount - Signed amount
+   * @param {Object} details - Extra ledger details
+   * @returns {Object} - Ledger entry
+   */
+  record(userId, type, amount, details = {}) {
+    this.open(userId);
+
+    const balanceAfter = toCents(this.balances.get(userId) + amount);
+    const entry = {
+      id: `TXN-${this.clock.now()}-${++this.sequence}`,
+      type,
+      amount: toCents(amount),
+      currency: CURRENCY,
+      balanceAfter,
+      ...details,
+      createdAt: this.clock.toISOString()
+    };
+
+    const entries = this.ledger.get(userId);
+    entries.push(entry);
+    this.balances.set(userId, balanceAfter);
+    this.ledger.set(userId, entries);
+    return entry;
+  }
+
+  /**
+   * Close every account
+   */
+  reset() {
+    this.balances.clear();
+    this.ledger.clear();
+  }
+
+  /**
+   * Copy balances and ledgers
+   * @returns {Object} - State accepted by restore()
+   */
+  snapshot() {
+    return {
+      balances: _.cloneDeep(new Map(this.balances)),
+      ledger: _.cloneDeep(new Map(this.ledger))
+    };
+  }
+
+  /**
+   * Replace balances and ledgers with a snapshot
+   * The stores are refilled in place so persistent stores see the change
+   * @param {Object} state - State returned by snapshot()
+   */
+  restore(state) {
+    this.reset();
+    _.cloneDeep(state.balances).forEach((balance, userId) => this.balances.set(userId, balance));
+    _.cloneDeep(state.ledger).forEach((entries, userId) => this.ledger.set(userId, entries));
+  }
+}
+
+Wallet.CURRENCY = CURRENCY;
+Wallet.DEFAULT_INITIAL_BALANCE = DEFAULT_INITIAL_BALANCE;
+
+module.exports = Wallet;
@@ -11,6 +11,8 @@ class AccountStatusPage extends BasePage {
     accountStatusIndicator: 'id=com.example.bettingapp:id/accountStatusIndicator',
     accountFlags: 'id=com.example.bettingapp:id/accountFlagsSection',
     flagItems: 'id=com.example.bettingapp:id/accountFlagItem',
+    withdrawalHolds: 'id=com.example.bettingapp:id/withdrawalHoldsSection',
+    holdItems: 'id=com.example.bettingapp:id/withdrawalHoldItem',
     verificationStatus: 'id=com.example.bettingapp:id/verificationStatus',
     accountLimits: 'id=com.example.bettingapp:id/accountLimits',
     warningBanner: 'id=com.example.bettingapp:id/accountWarningBanner',
@@ -82,6 +84,49 @@ class AccountStatusPage extends BasePage {
     return flags;
   }
 
+  /**
+   * Check if any withdrawal is held for review
+   * @returns {boolean} - Whether account has held withdrawals
+   */
+  async hasWithdrawalHolds() {
+    await this.navigateToAccountTab();
+    
+    try {
+      const holdSection = await this.driver.$(this.selectors.withdrawalHolds);
+      if (!(await holdSection.isDisplayed())) {
+        return false;
+      }
+      
+      const holdItems = await this.driver.$$(this.selectors.holdItems);
+      return holdItems.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get all held withdrawals
+   * @returns {Array<string>} - List of hold descriptions (amount and reason)
+   */
+  async getWithdrawalHolds() {
+    await this.navigateToAccountTab();
+    
+    const holds = [];
+    try {
+      const holdItems = await this.driver.$$(this.selectors.holdItems);
+      
+      for (const item of holdItems) {
+        if (await item.isDisplayed()) {
+          holds.push(await item.getText());
+        }
+      }
+    } catch (error) {
+      console.error(`Error getting withdrawal holds: ${error.message}`);
+    }
+    
+    return holds;
+  }
+
   /**
    * Check if account has fraud-related warnings
    * @returns {boolean} - Whether account has fraud warnings
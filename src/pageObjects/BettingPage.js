@@ -3,6 +3,24 @@
  */
 const BasePage = require('./BasePage');
 
+// Labels the app shows for API market types and selections
+const MARKET_LABELS = {
+  winner: 'Winner',
+  total_goals: 'Total Goals',
+  both_teams_to_score: 'Both Teams to Score',
+  handicap: 'Handicap'
+};
+
+const SELECTION_LABELS = {
+  home: 'Home',
+  away: 'Away',
+  draw: 'Draw',
+  over: 'Over',
+  under: 'Under',
+  yes: 'Yes',
+  no: 'No'
+};
+
 class BettingPage extends BasePage {
   // Selectors for betting elements
   selectors = {
@@ -21,7 +39,14 @@ class BettingPage extends BasePage {
     betHistoryItems: 'id=com.example.bettingapp:id/betHistoryItem',
     betMatchId: 'id=com.example.bettingapp:id/betHistoryMatchId',
     betAmount: 'id=com.example.bettingapp:id/betHistoryAmount',
-    betDate: 'id=com.example.bettingapp:id/betHistoryDate'
+    betDate: 'id=com.example.bettingapp:id/betHistoryDate',
+    addToSlipButton: 'id=com.example.bettingapp:id/addToSlipButton',
+    betSlipItems: 'id=com.example.bettingapp:id/betSlipItem',
+    betSlipItemMatch: 'id=com.example.bettingapp:id/betSlipItemMatch',
+    betSlipItemSelection: 'id=com.example.bettingapp:id/betSlipItemSelection',
+    betSlipItemOdds: 'id=com.example.bettingapp:id/betSlipItemOdds',
+    combinedOddsDisplay: 'id=com.example.bettingapp:id/betSlipCombinedOdds',
+    clearSlipButton: 'id=com.example.bettingapp:id/clearSlipButton'
   };
 
   /**
@@ -111,54 +136,95 @@ class BettingPage extends BasePage {
     await this.navigateToBettingTab();
     await this.selectSport(betData.sport);
     await this.selectMatch(betData.homeTeam, betData.awayTeam);
+    await this.selectBetType(MARKET_LABELS[betData.marketType] || 'Winner');
+    await this.selectOption(SELECTION_LABELS[betData.selection] || 'Home');
+    
+    await this.enterBetAmount(betData.amount);
+    await this.placeBet();
+    
+    return await this.waitForBetResult(`bet of ${betData.amount} on ${betData.selection}`);
+  }
+
+  /**
+   * Add one selection to the bet slip
+   * @param {Object} leg - Accumulator leg (sport, homeTeam, awayTeam, marketType, selection)
+   */
+  async addSelectionToSlip(leg) {
+    await this.selectSport(leg.sport);
+    await this.selectMatch(leg.homeTeam, leg.awayTeam);
+    await this.selectBetType(MARKET_LABELS[leg.marketType] || 'Winner');
+    await this.selectOption(SELECTION_LABELS[leg.selection] || 'Home');
+    await this.click(this.selectors.addToSlipButton);
+  }
+
+  /**
+   * Remove every selection from the bet slip
+   */
+  async clearBetSlip() {
+    if (await this.isDisplayed(this.selectors.clearSlipButton)) {
+      await this.click(this.selectors.clearSlipButton);
+    }
+  }
+
+  /**
+   * Get the selections on the bet slip
+   * @returns {Array} - List of { match, selection, odds }
+   */
+  async getBetSlipSelections() {
+    const selections = [];
+    const slipItems = await this.driver.$$(this.selectors.betSlipItems);
     
-    let betType = 'Winner';
-    switch (betData.marketType) {
-      case 'winner':
-        betType = 'Winner';
-        break;
-      case 'total_goals':
-        betType = 'Total Goals';
-        break;
-      case 'both_teams_to_score':
-        betType = 'Both Teams to Score';
-        break;
-      case 'handicap':
-        betType = 'Handicap';
-        break;
+    for (const item of slipItems) {
+      const isVisible = await item.isDisplayed();
+      if (!isVisible) continue;
+      
+      const matchEl = await item.$(this.selectors.betSlipItemMatch.replace('id=', ''));
+      const selectionEl = await item.$(this.selectors.betSlipItemSelection.replace('id=', ''));
+      const oddsEl = await item.$(this.selectors.betSlipItemOdds.replace('id=', ''));
+      
+      selections.push({
+        match: await matchEl.getText(),
+        selection: await selectionEl.getText(),
+        odds: await oddsEl.getText()
+      });
     }
-    await this.selectBetType(betType);
     
-    let selection = 'Home';
-    switch (betData.selection) {
-      case 'home':
-        selection = 'Home';
-        break;
-      case 'away':
-        selection = 'Away';
-        break;
-      case 'draw':
-        selection = 'Draw';
-        break;
-      case 'over':
-        selection = 'Over';
-        break;
-      case 'under':
-        selection = 'Under';
-        break;
-      case 'yes':
-        selection = 'Yes';
-        break;
-      case 'no':
-        selection = 'No';
-        break;
+    return selections;
+  }
+
+  /**
+   * Get the combined odds shown on the bet slip
+   * @returns {string} - Combined odds
+   */
+  async getCombinedOdds() {
+    return await this.getText(this.selectors.combinedOddsDisplay);
+  }
+
+  /**
+   * Build an accumulator on the bet slip and place it
+   * @param {Object} betData - Accumulator data with legs and amount
+   * @returns {boolean} - Whether the accumulator was successfully placed
+   */
+  async placeAccumulatorBet(betData) {
+    await this.navigateToBettingTab();
+    await this.clearBetSlip();
+    
+    for (const leg of betData.legs) {
+      await this.addSelectionToSlip(leg);
     }
-    await this.selectOption(selection);
     
     await this.enterBetAmount(betData.amount);
     await this.placeBet();
     
-    // Wait for confirmation or error message
+    return await this.waitForBetResult(`${betData.legs.length}-leg accumulator of ${betData.amount}`);
+  }
+
+  /**
+   * Wait for the confirmation or error message after placing a bet
+   * @param {string} description - Bet description for the log
+   * @returns {boolean} - Whether the bet was accepted
+   */
+  async waitForBetResult(description) {
     try {
       await this.waitFor(
         async () => {
@@ -172,7 +238,7 @@ class BettingPage extends BasePage {
       const isSuccess = await this.isDisplayed(this.selectors.betConfirmationMessage);
       
       if (isSuccess) {
-        console.log(`Successfully placed bet of ${betData.amount} on ${betData.selection}`);
+        console.log(`Successfully placed ${description}`);
       } else {
         const errorMsg = await this.getText(this.selectors.betErrorMessage);
         console.error(`Bet placement failed: ${errorMsg}`);
@@ -4,11 +4,32 @@
  */
 const axios = require('axios');
 const _ = require('lodash');
+const FraudMutationRegistry = require('./fraudMutationRegistry');
+const BetFuzzer = require('./betFuzzer');
+const RaceHarness = require('./raceHarness');
+const SessionPool = require('./sessionPool');
+
+// Internal account fields injected by each registerFraudulentUser tamper type
+const REGISTRATION_TAMPERING = {
+  'id-override': { id: 'admin' },
+  'role-escalation': { role: 'admin' },
+  'status-override': { status: 'verified' },
+  'balance-injection': { balance: 1000000 }
+};
 
 class ApiClient {
   constructor(baseURL, authToken = null) {
+    this.authToken = authToken;
+    this.refreshToken = null;
+    // Refresh expired access tokens transparently; turn off to observe TOKEN_EXPIRED responses
+    this.autoRefresh = true;
+    this.refreshing = null;
+    // Fraud techniques available to placeFraudulentBet; register your own with fraudMutations.register()
+    this.fraudMutations = FraudMutationRegistry.withBuiltIns();
+
+    this.baseURL = baseURL || process.env.API_BASE_URL || 'https://api.bettingapp.example';
     this.client = axios.create({
-      baseURL: baseURL || process.env.API_BASE_URL || 'https://api.bettingapp.example',
+      baseURL: this.baseURL,
       timeout: 10000,
       headers: {
         'Content-Type': 'application/json',
@@ -22,22 +43,77 @@ class ApiClient {
         console.log(`[API] ${response.config.method.toUpperCase()} ${response.config.url} - ${response.status}`);
         return response;
       },
-      (error) => {
+      async (error) => {
         console.error(`[API ERROR] ${error.config?.method?.toUpperCase()} ${error.config?.url} - ${error.response?.status || 'Network Error'}`);
+        if (this.shouldRefresh(error)) {
+          return this.retryWithFreshToken(error.config);
+        }
         return Promise.reject(error);
       }
     );
   }
 
-  // Set auth token for subsequent requests
-  setAuthToken(token) {
+  // Set auth token (and optionally refresh token) for subsequent requests
+  setAuthToken(token, refreshToken = null) {
+    this.authToken = token;
     this.client.defaults.headers.common.Authorization = `Bearer ${token}`;
+    if (refreshToken) {
+      this.refreshToken = refreshToken;
+    }
+  }
+
+  // Forget the session tokens
+  clearAuthToken() {
+    this.authToken = null;
+    this.refreshToken = null;
+    delete this.client.defaults.headers.common.Authorization;
+  }
+
+  // Send device fingerprint headers with every request, as the mobile app would
+  setDeviceProfile(profile) {
+    Object.assign(this.client.defaults.headers.common, {
+      'X-Device-Id': profile.deviceId,
+      'X-Device-Model': profile.model,
+      'X-Device-OS': profile.os,
+      ...(profile.ip && { 'X-Forwarded-For': profile.ip })
+    });
+  }
+
+  // Stop sending device fingerprint headers
+  clearDeviceProfile() {
+    ['X-Device-Id', 'X-Device-Model', 'X-Device-OS', 'X-Forwarded-For']
+      .forEach(header => delete this.client.defaults.headers.common[header]);
   }
 
-  // User registration
+  // Whether a failed request should be retried after refreshing the session
+  shouldRefresh(error) {
+    return Boolean(
+      this.autoRefresh &&
+      this.refreshToken &&
+      error.config &&
+      !error.config.retriedAfterRefresh &&
+      error.response?.status === 401 &&
+      error.response.data?.code === 'TOKEN_EXPIRED'
+    );
+  }
+
+  // Refresh the session once and replay the request with the new token
+  async retryWithFreshToken(config) {
+    await this.refreshSession();
+    return this.client.request({
+      ...config,
+      retriedAfterRefresh: true,
+      headers: { ...config.headers, Authorization: `Bearer ${this.authToken}` }
+    });
+  }
+
+  // User registration; the new user's session is kept, as after login
   async registerUser(userData) {
     try {
       const response = await this.client.post('/auth/register', userData);
+      if (response.data.token) {
+        this.setAuthToken(response.data.token, response.data.refreshToken);
+      }
       return response.data;
     } catch (error) {
       console.error('Registration failed:', error.response?.data || error.message);
@@ -45,12 +121,40 @@ class ApiClient {
     }
   }
 
+  // Register a user with internal account fields injected, to test mass-assignment protection
+  async registerFraudulentUser(userData, tamperType) {
+    if (!Object.prototype.hasOwnProperty.call(REGISTRATION_TAMPERING, tamperType)) {
+      throw new Error(`Unknown tamper type "${tamperType}"; known types are ${Object.keys(REGISTRATION_TAMPERING).join(', ')}`);
+    }
+    const fraudulentUserData = { ..._.cloneDeep(userData), ...REGISTRATION_TAMPERING[tamperType] };
+    
+    console.log('Attempting fraudulent registration with data:', JSON.stringify(fraudulentUserData, null, 2));
+    
+    try {
+      const response = await this.client.post('/auth/register', fraudulentUserData);
+      console.warn('WARNING: Fraudulent registration was accepted by the system!');
+      return {
+        success: true,
+        data: response.data,
+        fraudDetected: false
+      };
+    } catch (error) {
+      console.log('Fraud properly detected by API:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data || error.message,
+        fraudDetected: true,
+        statusCode: error.response?.status
+      };
+    }
+  }
+
   // User login
   async login(credentials) {
     try {
       const response = await this.client.post('/auth/login', credentials);
       if (response.data.token) {
-        this.setAuthToken(response.data.token);
+        this.setAuthToken(response.data.token, response.data.refreshToken);
       }
       return response.data;
     } catch (error) {
@@ -59,6 +163,65 @@ class ApiClient {
     }
   }
 
+  // Exchange the refresh token for a new token pair.
+  // Concurrent callers share one request, as reusing a refresh token revokes the session.
+  async refreshSession() {
+    if (!this.refreshing) {
+      this.refreshing = this.client.post('/auth/refresh', { refreshToken: this.refreshToken })
+        .then(response => {
+          this.setAuthToken(response.data.token, response.data.refreshToken);
+          return response.data;
+        })
+        .catch(error => {
+          console.error('Session refresh failed:', error.response?.data || error.message);
+          throw error;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // Logout, ending the current session or every session of the user
+  async logout(all = false) {
+    try {
+      const response = await this.client.post('/auth/logout', { all });
+      this.clearAuthToken();
+      return response.data;
+    } catch (error) {
+      console.error('Logout failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Pool of users against the same backend, each with a client of its own, for multi-account scenarios
+  createSessionPool(options = {}) {
+    return new SessionPool({ createClient: () => new ApiClient(this.baseURL), ...options });
+  }
+
+  // List matches from the match catalog
+  async getMatches(filters = {}) {
+    try {
+      const response = await this.client.get('/matches', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get matches:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Get a single match from the match catalog
+  async getMatch(matchId) {
+    try {
+      const response = await this.client.get(`/matches/${encodeURIComponent(matchId)}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get match:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   // Place a bet - normal flow
   async placeBet(betData) {
     try {
@@ -70,57 +233,522 @@ class ApiClient {
     }
   }
 
-  // Place a fraudulent bet - manipulating parameters for testing fraud detection
+  // Place an accumulator: every leg must win, at the product of the leg odds
+  async placeAccumulatorBet(legs, amount) {
+    const odds = legs.reduce((combined, leg) => combined * parseFloat(leg.odds), 1);
+    return this.placeBet({
+      legs,
+      amount,
+      odds: (Math.round(odds * 100) / 100).toString()
+    });
+  }
+
+  // Place a fraudulent bet - manipulating parameters for testing fraud detection.
+  // `fraudType` names a mutation in this.fraudMutations; unknown types throw instead of guessing.
   async placeFraudulentBet(legitimateBetData, fraudType) {
-    let fraudulentBetData = _.cloneDeep(legitimateBetData);
-    
-    // Apply different fraud techniques based on type
-    switch (fraudType) {
-      case 'negative-amount':
-        fraudulentBetData.amount = -Math.abs(fraudulentBetData.amount);
-        break;
-      case 'odds-manipulation':
-        fraudulentBetData.odds = (parseFloat(fraudulentBetData.odds) * 10).toString();
-        break;
-      case 'match-alteration':
-        fraudulentBetData.matchId = `${fraudulentBetData.matchId}-altered`;
-        break;
-      case 'timestamp-manipulation':
-        fraudulentBetData.timestamp = new Date(Date.now() - 86400000).toISOString(); // Yesterday
-        break;
-      case 'request-tampering':
-        // Add unexpected fields or modify structure
-        fraudulentBetData.serverBypass = true;
-        fraudulentBetData.adminApproval = true;
-        break;
-      default:
-        // Default fraud - combine multiple techniques
-        fraudulentBetData.amount = -Math.abs(fraudulentBetData.amount);
-        fraudulentBetData.odds = (parseFloat(fraudulentBetData.odds) * 5).toString();
+    const { mutation, betData: fraudulentBetData } = this.fraudMutations.apply(legitimateBetData, fraudType);
+    return this.submitFraudulentBet(fraudulentBetData, { fraudType, expectedOutcome: mutation.expectedOutcome });
+  }
+
+  // Place a bet with several fraud mutations stacked on it, applied in the order given
+  async placeFraudulentCombination(legitimateBetData, fraudTypes) {
+    const { mutations, betData: fraudulentBetData } = this.fraudMutations.applyAll(legitimateBetData, fraudTypes);
+    return this.submitFraudulentBet(fraudulentBetData, {
+      fraudTypes,
+      expectedOutcome: FraudMutationRegistry.combinedOutcome(mutations)
+    });
+  }
+
+  // Post a bet payload exactly as given and report the status and body instead of throwing,
+  // so malformed payloads can be told apart from network failures
+  async submitRawBet(payload) {
+    try {
+      const response = await this.client.post('/bets/place', payload);
+      return { statusCode: response.status, data: response.data };
+    } catch (error) {
+      if (!error.response) throw error;
+      return { statusCode: error.response.status, data: error.response.data };
     }
-    
+  }
+
+  // Fuzz the bet payload around a legitimate bet and report every invalid payload that was accepted
+  // or answered with a 5xx, shrunk to a minimal reproducer. Options: runs, maxMutations, seed, beforeEach
+  async fuzzBetPlacement(baseBet, { runs, maxMutations, ...options } = {}) {
+    const fuzzer = new BetFuzzer({ submit: payload => this.submitRawBet(payload), ...options });
+    return fuzzer.run(baseBet, { runs, maxMutations });
+  }
+
+  // Place `count` bets at the same moment, each over its own connection (spread over `sessions`
+  // tokens when given), and report double-spends, lost debits and limit bypasses
+  async raceBets(betData, options = {}) {
+    return new RaceHarness(this).raceBets(betData, options);
+  }
+
+  // Send a tampered bet and compare how the backend answered with the expected outcome
+  async submitFraudulentBet(fraudulentBetData, expectation) {
     console.log('Attempting fraudulent bet with data:', JSON.stringify(fraudulentBetData, null, 2));
     
     try {
       const response = await this.client.post('/bets/place', fraudulentBetData);
-      console.warn('WARNING: Fraudulent bet was accepted by the system!');
+      const outcome = FraudMutationRegistry.classifyOutcome(response.status || 201, response.data);
+      if (outcome === 'accepted') {
+        console.warn('WARNING: Fraudulent bet was accepted by the system!');
+      }
       return {
         success: true,
         data: response.data,
-        fraudDetected: false,
+        fraudDetected: outcome !== 'accepted',
+        ...expectation,
+        outcome,
+        outcomeAsExpected: outcome === expectation.expectedOutcome,
+        triggeredRules: (response.data?.riskAssessment?.breakdown || []).map(entry => entry.ruleId)
       };
     } catch (error) {
       // In this case, an error is actually expected and good!
       console.log('Fraud properly detected by API:', error.response?.data || error.message);
+      const outcome = FraudMutationRegistry.classifyOutcome(error.response?.status, error.response?.data);
       return {
         success: false,
         error: error.response?.data || error.message,
         fraudDetected: true,
+        statusCode: error.response?.status,
+        ...expectation,
+        outcome,
+        outcomeAsExpected: outcome === expectation.expectedOutcome,
+        triggeredRules: (error.response?.data?.triggeredRules || []).map(rule => rule.id)
+      };
+    }
+  }
+
+  // Place a bet, then replay the captured request to test replay protection.
+  // `mutations` is an object merged into the replayed payload or a function returning it.
+  async replayBet(betData, { mutations = null, idempotencyKey = null } = {}) {
+    const config = idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : {};
+
+    // Capture a successful original request; a failure here means there is nothing to replay
+    const capturedData = _.cloneDeep(betData);
+    let original;
+    try {
+      original = await this.client.post('/bets/place', capturedData, config);
+    } catch (error) {
+      console.error('Bet placement failed:', error.response?.data || error.message);
+      throw error;
+    }
+
+    let replayData = _.cloneDeep(capturedData);
+    if (typeof mutations === 'function') {
+      replayData = mutations(replayData);
+    } else if (mutations) {
+      replayData = _.merge(replayData, mutations);
+    }
+
+    console.log('Replaying bet request with data:', JSON.stringify(replayData, null, 2));
+
+    try {
+      const response = await this.client.post('/bets/place', replayData, config);
+      const idempotentReplay = response.headers?.['idempotent-replayed'] === 'true';
+      if (!idempotentReplay) {
+        console.warn('WARNING: Replayed bet was processed as a new bet!');
+      }
+      return {
+        success: true,
+        original: original.data,
+        data: response.data,
+        idempotentReplay,
+        fraudDetected: false
+      };
+    } catch (error) {
+      console.log('Replay properly detected by API:', error.response?.data || error.message);
+      return {
+        success: false,
+        original: original.data,
+        error: error.response?.data || error.message,
+        idempotentReplay: false,
+        fraudDetected: true,
         statusCode: error.response?.status
       };
     }
   }
 
+  // Try every credential pair from one source, as a credential-stuffing bot would, and report
+  // how the backend reacted. `sourceIp` is sent as X-Forwarded-For; `stopOnLockout` ends the run at the first 429.
+  async runCredentialStuffingCampaign(credentials, { sourceIp = null, stopOnLockout = false } = {}) {
+    const config = sourceIp ? { headers: { 'X-Forwarded-For': sourceIp } } : {};
+    const results = [];
+    
+    for (const credential of credentials) {
+      try {
+        const response = await this.client.post('/auth/login', credential, config);
+        results.push({ username: credential.username, outcome: 'success', statusCode: response.status });
+      } catch (error) {
+        const statusCode = error.response?.status;
+        results.push({
+          username: credential.username,
+          outcome: statusCode === 429 ? 'locked' : 'failed',
+          statusCode,
+          code: error.response?.data?.code
+        });
+        if (statusCode === 429 && stopOnLockout) break;
+      }
+    }
+    
+    const firstLockout = results.findIndex(result => result.outcome === 'locked');
+    const campaign = {
+      attempts: results.length,
+      successes: results.filter(result => result.outcome === 'success').map(result => result.username),
+      failures: results.filter(result => result.outcome === 'failed').length,
+      lockouts: results.filter(result => result.outcome === 'locked').length,
+      detected: firstLockout !== -1,
+      detectedAfter: firstLockout === -1 ? null : firstLockout,
+      results
+    };
+    
+    if (!campaign.detected) {
+      console.warn('WARNING: Credential stuffing campaign was not detected!');
+    }
+    return campaign;
+  }
+
+  // Deposit funds into the wallet
+  async deposit(amount, method = 'card') {
+    try {
+      const response = await this.client.post('/wallet/deposit', { amount, method });
+      return response.data;
+    } catch (error) {
+      console.error('Deposit failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Withdraw funds from the wallet
+  async withdraw(amount, method = 'bank_transfer') {
+    try {
+      const response = await this.client.post('/wallet/withdraw', { amount, method });
+      return response.data;
+    } catch (error) {
+      console.error('Withdrawal failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Get wallet balance
+  async getWalletBalance() {
+    try {
+      const response = await this.client.get('/wallet/balance');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get wallet balance:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Get wallet transaction ledger
+  async getWalletTransactions() {
+    try {
+      const response = await this.client.get('/wallet/transactions');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get wallet transactions:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Update profile details (email, name, phone number, address)
+  async updateProfile(changes) {
+    try {
+      const response = await this.client.patch('/users/profile', changes);
+      return response.data;
+    } catch (error) {
+      console.error('Profile update failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Change the account password
+  async changePassword(currentPassword, newPassword) {
+    try {
+      const response = await this.client.post('/users/password', { currentPassword, newPassword });
+      return response.data;
+    } catch (error) {
+      console.error('Password change failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Deposit and withdraw the same amount without betting, as a money launderer would,
+  // until a withdrawal is held or the cycles run out
+  async runDepositWithdrawCycle(amount, { cycles = 3, method = 'card' } = {}) {
+    const results = [];
+    
+    for (let cycle = 1; cycle <= cycles; cycle++) {
+      await this.deposit(amount, method);
+      const withdrawal = await this.withdraw(amount);
+      results.push({ cycle, held: Boolean(withdrawal.hold), withdrawal });
+      if (withdrawal.hold) break;
+    }
+    
+    const held = results.find(result => result.held);
+    if (!held) {
+      console.warn('WARNING: Deposit-withdraw cycling was not detected!');
+    }
+    return {
+      cycles: results.length,
+      held: Boolean(held),
+      hold: held ? held.withdrawal.hold : null,
+      results
+    };
+  }
+
+  // Take over the account: change the password and/or email, then withdraw straight away
+  async runAccountTakeoverCashOut({ currentPassword, newPassword = null, newEmail = null, amount }) {
+    if (newPassword) {
+      await this.changePassword(currentPassword, newPassword);
+    }
+    if (newEmail) {
+      await this.updateProfile({ email: newEmail });
+    }
+    
+    const withdrawal = await this.withdraw(amount);
+    if (!withdrawal.hold) {
+      console.warn('WARNING: Account takeover cash-out was not detected!');
+    }
+    return {
+      held: Boolean(withdrawal.hold),
+      hold: withdrawal.hold || null,
+      withdrawal
+    };
+  }
+
+  // Send a live feed update for a match: `start` kicks it off, `suspend` and `resume` act on
+  // one market, or on every market when none is given
+  async updateLiveState(matchId, action, marketType = null, feedKey = process.env.RESULTS_FEED_KEY || 'mock-results-feed-key') {
+    try {
+      const response = await this.client.post(`/matches/${encodeURIComponent(matchId)}/${action}`,
+        marketType ? { marketType } : {},
+        { headers: { 'X-Feed-Key': feedKey } });
+      return response.data;
+    } catch (error) {
+      console.error('Live feed update failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Submit a match result through the results feed, settling its pending bets
+  async submitMatchResult(result, feedKey = process.env.RESULTS_FEED_KEY || 'mock-results-feed-key') {
+    try {
+      const response = await this.client.post('/results', result, { headers: { 'X-Feed-Key': feedKey } });
+      return response.data;
+    } catch (error) {
+      console.error('Result submission failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Settle a single bet directly; pass odds or payout to simulate a tampered settlement
+  async settleBet(betId, settlement, feedKey = process.env.RESULTS_FEED_KEY || 'mock-results-feed-key') {
+    try {
+      const response = await this.client.post(`/settlement/bets/${encodeURIComponent(betId)}`, settlement, {
+        headers: { 'X-Feed-Key': feedKey }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Bet settlement failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Back office: list users, e.g. { status: 'blocked' } or { flagged: true }
+  async getAdminUsers(filters = {}) {
+    try {
+      const response = await this.client.get('/admin/users', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get users:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Back office: list flags across users, e.g. { type: 'fraud_attempt', status: 'open' }
+  async getAdminFlags(filters = {}) {
+    try {
+      const response = await this.client.get('/admin/flags', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get flags:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Back office: list the flags on one user's account
+  async getUserFlags(userId, filters = {}) {
+    try {
+      const response = await this.client.get(`/admin/users/${encodeURIComponent(userId)}/flags`, { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get user flags:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Back office: confirm, clear or escalate a flag
+  async reviewFlag(userId, flagId, action, note = null) {
+    try {
+      const response = await this.client.post(
+        `/admin/users/${encodeURIComponent(userId)}/flags/${encodeURIComponent(flagId)}/review`,
+        { action, note }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Flag review failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Back office: block an account
+  async blockUser(userId, reason = null) {
+    try {
+      const response = await this.client.post(`/admin/users/${encodeURIComponent(userId)}/block`, { reason });
+      return response.data;
+    } catch (error) {
+      console.error('Account block failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Back office: reinstate a blocked account, optionally clearing its fraud attempts
+  async unblockUser(userId, { note = null, clearFlags = false } = {}) {
+    try {
+      const response = await this.client.post(`/admin/users/${encodeURIComponent(userId)}/unblock`, { note, clearFlags });
+      return response.data;
+    } catch (error) {
+      console.error('Account reinstatement failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Back office: list withdrawal holds, e.g. { status: 'held' }
+  async getWithdrawalHolds(filters = {}) {
+    try {
+      const response = await this.client.get('/admin/withdrawals', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get withdrawal holds:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Back office: release or reject a held withdrawal
+  async reviewWithdrawal(holdId, action, note = null) {
+    try {
+      const response = await this.client.post(`/admin/withdrawals/${encodeURIComponent(holdId)}/review`, { action, note });
+      return response.data;
+    } catch (error) {
+      console.error('Withdrawal review failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Test control: reset the mock server to its startup state
+  async resetServerState() {
+    try {
+      const response = await this.client.post('/__control/reset');
+      return response.data;
+    } catch (error) {
+      console.error('State reset failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Test control: load users, bets, flags and matches from a fixture
+  async seedServerState(fixture) {
+    try {
+      const response = await this.client.post('/__control/seed', fixture);
+      return response.data;
+    } catch (error) {
+      console.error('State seeding failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Test control: save the mock server state under a name
+  async snapshotServerState(name = 'default') {
+    try {
+      const response = await this.client.post('/__control/snapshot', { name });
+      return response.data;
+    } catch (error) {
+      console.error('State snapshot failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Test control: restore a named snapshot
+  async restoreServerState(name = 'default') {
+    try {
+      const response = await this.client.post('/__control/restore', { name });
+      return response.data;
+    } catch (error) {
+      console.error('State restore failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Test control: read the mock server clock
+  async getServerClock() {
+    try {
+      const response = await this.client.get('/__control/clock');
+      return response.data;
+    } catch (error) {
+      console.error('Clock read failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Test control: move the mock server clock, e.g. ('freeze'), ('advance', { ms: 60000 }),
+  // ('set', { time: '2030-01-01T00:00:00Z' }), ('unfreeze') or ('reset')
+  async controlServerClock(action, options = {}) {
+    try {
+      const response = await this.client.post('/__control/clock', { action, ...options });
+      return response.data;
+    } catch (error) {
+      console.error('Clock control failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Test control: list the mock server fault rules and the faults injected recently
+  async getServerFaults() {
+    try {
+      const response = await this.client.get('/__control/faults');
+      return response.data;
+    } catch (error) {
+      console.error('Fault read failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Test control: make the mock server misbehave on a route, e.g.
+  // { path: '/bets/place', method: 'POST', errorRate: 1, errorStatus: 502 } or { path: '/matches', latencyMs: 2000 }
+  async addServerFault(rule) {
+    try {
+      const response = await this.client.post('/__control/faults', rule);
+      return response.data.rule;
+    } catch (error) {
+      console.error('Fault injection failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Test control: remove one fault rule, or every rule when no id is given
+  async clearServerFaults(ruleId = null) {
+    try {
+      const response = await this.client.delete(ruleId ? `/__control/faults/${ruleId}` : '/__control/faults');
+      return response.data;
+    } catch (error) {
+      console.error('Fault removal failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   // Get user bet history
   async getBetHistory() {
     try {
@@ -0,0 +1,359 @@
+/**
+ * Property-based fuzzer for the bet placement payload
+ * Derives hostile payloads from a schema of the bet body (wrong types, huge numbers, NaN and
+ * Infinity strings, unicode, nested objects, missing and extra fields), fires them at the API and
+ * reports every payload that was accepted although the schema says it is invalid, or that made the
+ * server fail, shrunk down to the smallest set of changes that still reproduces it
+ */
+const _ = require('lodash');
+
+// Bet body as the client sends it. Numeric fields take numbers or plain decimal strings.
+const BET_SCHEMA = {
+  matchId: { type: 'string', required: true },
+  selection: { type: 'string', required: true },
+  odds: { type: 'number', required: true, min: 1.01, max: 1000, decimals: 2 },
+  amount: { type: 'number', required: true, min: 0.01, max: 100000, decimals: 2 },
+  marketType: { type: 'string' },
+  sport: { type: 'string' },
+  homeTeam: { type: 'string' },
+  awayTeam: { type: 'string' },
+  betType: { type: 'string' },
+  timestamp: { type: 'date' },
+  transactionId: { type: 'string' }
+};
+
+// Fields only the server may set, and names with special meaning to JavaScript objects
+const EXTRA_FIELDS = ['userId', 'id', 'status', 'payout', 'riskScore', 'createdAt', 'settledAt', 'balance', '__proto__', 'constructor'];
+
+const CATEGORIES = ['wrong-type', 'huge-number', 'non-finite', 'unicode', 'nested', 'missing', 'extra'];
+
+const MAX_STRING_LENGTH = 256;
+const PLAIN_DECIMAL = /^\d+(\.\d+)?$/;
+
+// Candidate values per category; string fields get unicode variants of their legitimate value
+const VALUES = {
+  'wrong-type': {
+    number: [true, false, null, [], {}, 'ten'],
+    string: [42, 0, true, null, []],
+    date: [0, 1718452800000, true, 'yesterday', null]
+  },
+  'huge-number': ['1e309', 1e308, -1e308, '9'.repeat(400), Number.MAX_SAFE_INTEGER + 2, '1e21', 1e21],
+  'non-finite': ['NaN', 'Infinity', '-Infinity', '+Infinity', 'nan', 'infinity'],
+  unicode: [
+    value => `${value}\u200b`,
+    value => `\u202e${value}`,
+    value => `${value}\u0000`,
+    value => String(value).replace(/[0-9]/g, digit => String.fromCharCode(0xff10 + Number(digit))),
+    value => String(value).replace(/[0-9]/g, digit => String.fromCharCode(0x0660 + Number(digit))),
+    value => String(value).replace(/[A-Za-z]/, letter => `${letter}\u0301`),
+    () => '\u{1F3DF}\uFE0F',
+    () => 'x'.repeat(10000)
+  ],
+  nested: [
+    value => ({ $gt: value }),
+    value => [value],
+    value => ({ value }),
+    value => ({ valueOf: value, toString: value }),
+    value => _.range(50).reduce(inner => ({ inner }), value)
+  ],
+  extra: ['won', 0, 1e6, true, { isAdmin: true }, 'admin', null]
+};
+
+// Deterministic random numbers in [0, 1) from a seed (mulberry32)
+const seededRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+class BetFuzzer {
+  /**
+   * @param {Object} options - { submit, schema, seed, beforeEach, maxShrinkSteps }
+   * @param {number} options.seed - Random seed (FUZZ_SEED, or the current time); reported so a run can be repeated
+   * @param {Function} options.submit - async payload => { statusCode, data }, must not throw on 4xx/5xx
+   * @param {Function} options.beforeEach - async () => {} run before every submission, e.g. to reset
+   *   the server so earlier rejections do not block the account or trip the velocity rules
+   */
+  constructor({
+    submit,
+    schema = BET_SCHEMA,
+    seed = parseInt(process.env.FUZZ_SEED) || Date.now(),
+    beforeEach = null,
+    maxShrinkSteps = 200
+  } = {}) {
+    if (typeof submit !== 'function') {
+      throw new Error('BetFuzzer needs a submit function');
+    }
+    this.submit = submit;
+    this.schema = schema;
+    this.seed = seed;
+    this.random = seededRandom(seed);
+    this.beforeEach = beforeEach;
+    this.maxShrinkSteps = maxShrinkSteps;
+  }
+
+  /**
+   * List the ways a payload breaks the schema
+   * @param {Object} payload - Bet payload
+   * @param {Object} schema - Bet schema
+   * @returns {Array<string>} - Violations, empty when the payload is valid
+   */
+  static violations(payload, schema = BET_SCHEMA) {
+    const problems = Object.keys(payload)
+      .filter(field => !Object.prototype.hasOwnProperty.call(schema, field))
+      .map(field => `${field}: unexpected field`);
+
+    Object.entries(schema).forEach(([field, spec]) => {
+      if (!Object.prototype.hasOwnProperty.call(payload, field)) {
+        if (spec.required) problems.push(`${field}: missing`);
+        return;
+      }
+      const problem = BetFuzzer.checkValue(payload[field], spec);
+      if (problem) problems.push(`${field}: ${problem}`);
+    });
+
+    return problems;
+  }
+
+  /**
+   * Check one value against its field spec
+   * @param {*} value - Field value
+   * @param {Object} spec - { type, min, max, decimals }
+   * @returns {string|null} - Problem, or null when the value is valid
+   */
+  static checkValue(value, spec) {
+    if (spec.type === 'number') {
+      if (typeof value !== 'number' && !(typeof value === 'string' && PLAIN_DECIMAL.test(value))) {
+        return 'not a number or plain decimal string';
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number)) return 'not finite';
+      if (number < spec.min || number > spec.max) return `outside ${spec.min}..${spec.max}`;
+      if (spec.decimals !== undefined && Number(number.toFixed(spec.decimals)) !== number) {
+        return `more than ${spec.decimals} decimals`;
+      }
+      return null;
+    }
+
+    if (typeof value !== 'string') return 'not a string';
+    if (value.length === 0 || value.length > MAX_STRING_LENGTH) return `not 1..${MAX_STRING_LENGTH} characters`;
+    if (!/^[\x20-\x7e]*$/.test(value)) return 'contains control, invisible or non-ASCII characters';
+    if (spec.type === 'date' && !/^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/.test(value)) return 'not an ISO date';
+    return null;
+  }
+
+  /**
+   * Apply a list of field changes to a copy of a bet
+   * @param {Object} baseBet - Legitimate bet payload
+   * @param {Array<Object>} mutations - [{ field, category, value }]; category missing deletes the field
+   * @returns {Object} - Payload
+   */
+  static buildPayload(baseBet, mutations) {
+    const payload = _.cloneDeep(baseBet);
+    mutations.forEach(({ field, category, value }) => {
+      if (category === 'missing') {
+        delete payload[field];
+      } else {
+        // defineProperty keeps names such as __proto__ as plain own fields
+        Object.defineProperty(payload, field, { value, enumerable: true, writable: true, configurable: true });
+      }
+    });
+    return payload;
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} items - Items to pick from
+   * @returns {*}
+   */
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  /**
+   * Generate one hostile change to a bet
+   * @param {Object} baseBet - Legitimate bet payload
+   * @returns {Object} - { field, category, value }
+   */
+  generateMutation(baseBet) {
+    const category = this.pick(CATEGORIES);
+    if (category === 'extra') {
+      return { field: this.pick(EXTRA_FIELDS), category, value: this.pick(VALUES.extra) };
+    }
+
+    const field = this.pick(Object.keys(this.schema));
+    if (category === 'missing') {
+      return { field, category };
+    }
+
+    const current = baseBet[field] !== undefined ? baseBet[field] : 'x';
+    const candidates = category === 'wrong-type' ? VALUES[category][this.schema[field].type] : VALUES[category];
+    const candidate = this.pick(candidates);
+    return { field, category, value: typeof candidate === 'function' ? candidate(current) : candidate };
+  }
+
+  /**
+   * Generate a test case: one or more hostile changes to the bet
+   * @param {Object} baseBet - Legitimate bet payload
+   * @param {number} maxMutations - Most changes per case
+   * @returns {Array<Object>} - Mutations
+   */
+  generateCase(baseBet, maxMutations = 3) {
+    const count = 1 + Math.floor(this.random() * maxMutations);
+    return _.range(count).map(() => this.generateMutation(baseBet));
+  }
+
+  /**
+   * Submit a case and decide whether it breaks the property
+   * "the API rejects every invalid payload and never fails with a 5xx"
+   * @param {Object} baseBet - Legitimate bet payload
+   * @param {Array<Object>} mutations - Mutations
+   * @returns {Promise<Object>} - { payload, statusCode, data, violations, failure }
+   */
+  async check(baseBet, mutations) {
+    if (this.beforeEach) {
+      await this.beforeEach();
+    }
+
+    const payload = BetFuzzer.buildPayload(baseBet, mutations);
+    const violations = BetFuzzer.violations(payload, this.schema);
+    const { statusCode, data } = await this.submit(payload);
+
+    let failure = null;
+    if (statusCode >= 500) {
+      failure = 'server-error';
+    } else if (statusCode < 300 && violations.length > 0) {
+      failure = 'accepted-invalid';
+    }
+    return { payload, statusCode, data, violations, failure };
+  }
+
+  /**
+   * Smaller values worth trying in place of a value while shrinking
+   * @param {*} value - Mutated value
+   * @returns {Array} - Candidates, simplest first
+   */
+  static simplerValues(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0 ? [[], ...value] : [];
+    }
+    if (value !== null && typeof value === 'object') {
+      const keys = Object.keys(value);
+      return keys.length > 0 ? [{}, ...keys.map(key => value[key])] : [];
+    }
+    if (typeof value === 'string' && value.length > 1) {
+      const half = Math.ceil(value.length / 2);
+      return [value.slice(0, half), value.slice(half), value.slice(1), value.slice(0, -1)];
+    }
+    return [];
+  }
+
+  /**
+   * Shrink a failing case to a minimal reproducer: drop every change that is not needed,
+   * then simplify the remaining values, keeping only steps that fail the same way
+   * @param {Object} baseBet - Legitimate bet payload
+   * @param {Array<Object>} mutations - Failing mutations
+   * @param {string} failure - Failure to preserve (accepted-invalid or server-error)
+   * @returns {Promise<Object>} - { mutations, steps, result }
+   */
+  async shrink(baseBet, mutations, failure) {
+    let current = mutations;
+    let lastResult = null;
+    let steps = 0;
+
+    const stillFails = async candidate => {
+      if (steps >= this.maxShrinkSteps) return false;
+      steps++;
+      const result = await this.check(baseBet, candidate);
+      if (result.failure !== failure) return false;
+      current = candidate;
+      lastResult = result;
+      return true;
+    };
+
+    // Drop changes one at a time until every remaining one is needed
+    for (let index = current.length - 1; index >= 0 && current.length > 1; index--) {
+      await stillFails([...current.slice(0, index), ...current.slice(index + 1)]);
+    }
+
+    // Simplify each remaining value for as long as it keeps failing
+    for (let index = 0; index < current.length; index++) {
+      let progress = true;
+      while (progress) {
+        progress = false;
+        for (const value of BetFuzzer.simplerValues(current[index].value)) {
+          const candidate = current.map((mutation, i) => (i === index ? { ...mutation, value } : mutation));
+          if (await stillFails(candidate)) {
+            progress = true;
+            break;
+          }
+        }
+      }
+    }
+
+    return { mutations: current, steps, result: lastResult };
+  }
+
+  /**
+   * Fire generated cases at the API and shrink every failure
+   * @param {Object} baseBet - Legitimate bet payload the cases are derived from
+   * @param {Object} options - { runs, maxMutations }
+   * @returns {Promise<Object>} - { seed, runs, accepted, rejected, findings }
+   */
+  async run(baseBet, { runs = 100, maxMutations = 3 } = {}) {
+    const baseline = BetFuzzer.violations(baseBet, this.schema);
+    if (baseline.length > 0) {
+      throw new Error(`Base bet does not match the schema: ${baseline.join('; ')}`);
+    }
+
+    const findings = new Map();
+    let accepted = 0;
+
+    for (let i = 0; i < runs; i++) {
+      const mutations = this.generateCase(baseBet, maxMutations);
+      const result = await this.check(baseBet, mutations);
+      if (result.statusCode < 300) accepted++;
+      if (!result.failure) continue;
+
+      const shrunk = await this.shrink(baseBet, mutations, result.failure);
+      const minimal = shrunk.result || result;
+      const signature = `${result.failure}:${shrunk.mutations.map(m => `${m.field}/${m.category}`).sort().join(',')}`;
+      if (findings.has(signature)) continue;
+
+      findings.set(signature, {
+        failure: result.failure,
+        mutations: shrunk.mutations,
+        payload: minimal.payload,
+        statusCode: minimal.statusCode,
+        violations: minimal.violations,
+        original: mutations,
+        shrinkSteps: shrunk.steps
+      });
+    }
+
+    const report = {
+      seed: this.seed,
+      runs,
+      accepted,
+      rejected: runs - accepted,
+      findings: Array.from(findings.values())
+    };
+
+    if (report.findings.length > 0) {
+      console.warn(`WARNING: Bet fuzzing found ${report.findings.length} problem(s) (seed ${this.seed})!`);
+    }
+    return report;
+  }
+}
+
+BetFuzzer.BET_SCHEMA = BET_SCHEMA;
+BetFuzzer.CATEGORIES = CATEGORIES;
+BetFuzzer.EXTRA_FIELDS = EXTRA_FIELDS;
+BetFuzzer.seededRandom = seededRandom;
+
+module.exports = BetFuzzer;
@@ -17,7 +17,7 @@ class FakeDataGenerator {
       email: faker.internet.email(),
       username,
       password: faker.internet.password() + '1A!', // Ensure password complexity
-      dateOfBirth: faker.date.past().toISOString().split('T')[0],
+      dateOfBirth: faker.date.birthdate({ min: 21, max: 80, mode: 'age' }).toISOString().split('T')[0], // Adult everywhere
       phoneNumber: faker.phone.number(),
       address: {
         street: faker.address.streetAddress(),
@@ -29,6 +29,20 @@ class FakeDataGenerator {
     };
   }
 
+  // Generate a second registration for the same person: same date of birth and address,
+  // a one-letter change to the name and a fresh username and email
+  static generateNearDuplicateUserData(userData) {
+    const lastName = userData.lastName.slice(0, -1) + (userData.lastName.endsWith('e') ? 'a' : 'e');
+    
+    return {
+      ...this.generateUserData(),
+      firstName: userData.firstName,
+      lastName,
+      dateOfBirth: userData.dateOfBirth,
+      address: { ...userData.address }
+    };
+  }
+
   // Generate login credentials from user data or create new ones
   static generateLoginCredentials(userData = null) {
     if (userData) {
@@ -44,8 +58,24 @@ class FakeDataGenerator {
     };
   }
 
-  // Generate legitimate bet data
-  static generateBetData() {
+  // Generate a leaked credential list for credential-stuffing campaigns.
+  // Known users are mixed in with their real passwords, as if they had reused them elsewhere.
+  static generateCredentialList(count, knownUsers = []) {
+    const credentials = knownUsers.slice(0, count).map(user => this.generateLoginCredentials(user));
+    
+    while (credentials.length < count) {
+      credentials.push(this.generateLoginCredentials());
+    }
+    
+    return faker.helpers.shuffle(credentials);
+  }
+
+  // Generate legitimate bet data, drawn from the match catalog (GET /matches) when one is given
+  static generateBetData(matches = null) {
+    if (matches && matches.length > 0) {
+      return this.generateCatalogBetData(faker.helpers.arrayElement(matches));
+    }
+    
     const sports = ['football', 'basketball', 'tennis', 'baseball', 'hockey'];
     const sport = faker.helpers.arrayElement(sports);
     const teams = {
@@ -79,6 +109,48 @@ class FakeDataGenerator {
     };
   }
 
+  // Generate legitimate bet data for a catalog match, using its current odds
+  static generateCatalogBetData(match) {
+    const marketType = faker.helpers.arrayElement(Object.keys(match.markets));
+    const selection = faker.helpers.arrayElement(Object.keys(match.markets[marketType]));
+    
+    return {
+      matchId: match.id,
+      sport: match.sport,
+      homeTeam: match.homeTeam,
+      awayTeam: match.awayTeam,
+      betType: 'single',
+      marketType,
+      selection,
+      odds: Number(match.markets[marketType][selection]).toFixed(2),
+      amount: Math.floor(Math.random() * 95) + 5,
+      timestamp: new Date().toISOString(),
+      transactionId: faker.datatype.uuid()
+    };
+  }
+
+  // Generate a legitimate accumulator with one leg on each of `legCount` different catalog matches
+  static generateAccumulatorBetData(matches, legCount = 3) {
+    if (!matches || matches.length < Math.max(legCount, 2)) {
+      throw new Error(`An accumulator of ${legCount} legs needs at least ${Math.max(legCount, 2)} matches`);
+    }
+    
+    const legs = faker.helpers.shuffle([...matches]).slice(0, legCount).map(match => {
+      const { matchId, sport, homeTeam, awayTeam, marketType, selection, odds } = this.generateCatalogBetData(match);
+      return { matchId, sport, homeTeam, awayTeam, marketType, selection, odds };
+    });
+    const combinedOdds = legs.reduce((product, leg) => product * parseFloat(leg.odds), 1);
+    
+    return {
+      betType: 'accumulator',
+      legs,
+      odds: (Math.round(combinedOdds * 100) / 100).toFixed(2),
+      amount: Math.floor(Math.random() * 20) + 1,
+      timestamp: new Date().toISOString(),
+      transactionId: faker.datatype.uuid()
+    };
+  }
+
   // Generate payment information
   static generatePaymentInfo() {
     return {
@@ -90,6 +162,21 @@ class FakeDataGenerator {
     };
   }
 
+  // Generate a mobile device profile; share one across accounts to simulate a multi-accounting phone
+  static generateDeviceProfile() {
+    const platform = faker.helpers.arrayElement([
+      { models: ['iPhone 13', 'iPhone 14 Pro', 'iPhone 15'], os: ['iOS 16.6', 'iOS 17.1', 'iOS 17.4'] },
+      { models: ['Pixel 7', 'Galaxy S23', 'OnePlus 11'], os: ['Android 13', 'Android 14'] }
+    ]);
+    
+    return {
+      deviceId: faker.datatype.uuid(),
+      model: faker.helpers.arrayElement(platform.models),
+      os: faker.helpers.arrayElement(platform.os),
+      ip: faker.internet.ipv4()
+    };
+  }
+
   // Generate random alphanumeric string
   static generateRandomString(length) {
     if (length <= 0) return '';
@@ -0,0 +1,204 @@
+/**
+ * Combinatorial fraud campaigns
+ * Stacks every n-wise combination of registered fraud mutations on one bet, submits each through
+ * the ApiClient and builds a detection matrix of the rules each combination was expected to
+ * trigger against the rules the backend reported
+ */
+
+// Matrix cells: expected and triggered, expected but not triggered, triggered without being expected
+const CELL = {
+  hit: 'hit',
+  missed: 'missed',
+  extra: 'extra'
+};
+
+class FraudCampaign {
+  /**
+   * @param {ApiClient} apiClient - Logged-in client used to place the bets
+   * @param {Object} options - { registry: mutation registry, defaults to apiClient.fraudMutations }
+   */
+  constructor(apiClient, { registry = apiClient.fraudMutations } = {}) {
+    this.apiClient = apiClient;
+    this.registry = registry;
+  }
+
+  /**
+   * Every way to choose `size` items, keeping their original order
+   * @param {Array} items - Items to choose from
+   * @param {number} size - Items per combination
+   * @returns {Array<Array>}
+   */
+  static combinations(items, size) {
+    if (size === 0) return [[]];
+    if (items.length < size) return [];
+
+    const [first, ...rest] = items;
+    return [
+      ...FraudCampaign.combinations(rest, size - 1).map(combination => [first, ...combination]),
+      ...FraudCampaign.combinations(rest, size)
+    ];
+  }
+
+  /**
+   * Every ordering of the items
+   * @param {Array} items - Items to order
+   * @returns {Array<Array>}
+   */
+  static permutations(items) {
+    if (items.length <= 1) return [items];
+
+    return items.flatMap((item, index) =>
+      FraudCampaign.permutations([...items.slice(0, index), ...items.slice(index + 1)])
+        .map(permutation => [item, ...permutation])
+    );
+  }
+
+  /**
+   * List the mutation stacks a campaign will submit
+   * @param {Object} options - { size, fraudTypes, orderings }
+   * @param {number} options.size - Mutations per bet (2 for pairwise)
+   * @param {Array<string>} options.fraudTypes - Mutations to combine (defaults to every registered one)
+   * @param {boolean} options.orderings - Also submit every order of each combination
+   * @returns {Array<Array<string>>} - Fraud type lists, applied in the order given
+   */
+  plan({ size = 2, fraudTypes = this.registry.getTypes(), orderings = false } = {}) {
+    fraudTypes.forEach(fraudType => this.registry.get(fraudType));
+    if (!(size >= 1 && size <= fraudTypes.length)) {
+      throw new Error(`Combination size must be between 1 and ${fraudTypes.length}`);
+    }
+
+    const combinations = FraudCampaign.combinations(fraudTypes, size);
+    return orderings ? combinations.flatMap(FraudCampaign.permutations) : combinations;
+  }
+
+  /**
+   * Submit every planned combination and collect what the backend did with it.
+   * Stacks containing an accumulator mutation are placed on `accumulatorBetData` and the rest on
+   * `betData`; stacks that need legs are skipped when no accumulator is given, and so are stacks
+   * mixing accumulator mutations with single-bet-only ones.
+   * @param {Object} options - { betData, accumulatorBetData, size, fraudTypes, orderings, beforeEach }
+   * @param {Function} options.beforeEach - async (fraudTypes, index) => {} run before each bet,
+   *   e.g. to reset the server or log in a fresh user so earlier attempts do not block the account
+   * @returns {Promise<Object>} - { combinations, outcomesAsExpected, missedRules, matrix, orderSensitive, results, skipped }
+   */
+  async run({ betData, accumulatorBetData = null, size = 2, fraudTypes, orderings = false, beforeEach = null } = {}) {
+    const results = [];
+    const skipped = [];
+    const stacks = this.plan({ size, fraudTypes, orderings });
+
+    for (const [index, stack] of stacks.entries()) {
+      const mutations = stack.map(fraudType => this.registry.get(fraudType));
+      const needsLegs = mutations.some(mutation => mutation.requiresLegs);
+      if (needsLegs && mutations.some(mutation => mutation.singleOnly)) {
+        skipped.push({ fraudTypes: stack, reason: 'mixes accumulator and single-bet mutations' });
+        continue;
+      }
+      if (needsLegs && !accumulatorBetData) {
+        skipped.push({ fraudTypes: stack, reason: 'needs accumulator bet data' });
+        continue;
+      }
+
+      if (beforeEach) {
+        await beforeEach(stack, index);
+      }
+      const placed = await this.apiClient.placeFraudulentCombination(needsLegs ? accumulatorBetData : betData, stack);
+      const expectedRules = [...new Set(mutations.flatMap(mutation => mutation.expectedRules || []))];
+
+      results.push({
+        fraudTypes: stack,
+        statusCode: placed.statusCode,
+        expectedOutcome: placed.expectedOutcome,
+        outcome: placed.outcome,
+        outcomeAsExpected: placed.outcomeAsExpected,
+        primaryFraudType: placed.error?.fraudType || null,
+        expectedRules,
+        triggeredRules: placed.triggeredRules,
+        missedRules: expectedRules.filter(ruleId => !placed.triggeredRules.includes(ruleId)),
+        unexpectedRules: placed.triggeredRules.filter(ruleId => !expectedRules.includes(ruleId))
+      });
+    }
+
+    const campaign = {
+      combinations: results.length,
+      outcomesAsExpected: results.filter(result => result.outcomeAsExpected).length,
+      missedRules: results.filter(result => result.missedRules.length > 0).length,
+      matrix: FraudCampaign.detectionMatrix(results),
+      orderSensitive: FraudCampaign.findOrderSensitive(results),
+      results,
+      skipped
+    };
+
+    if (campaign.outcomesAsExpected < campaign.combinations || campaign.missedRules > 0) {
+      console.warn('WARNING: Some fraud combinations were not handled as expected!');
+    }
+    return campaign;
+  }
+
+  /**
+   * Lay out campaign results as combinations against rules
+   * @param {Array<Object>} results - Campaign results
+   * @returns {Object} - { rules, rows: [{ combination, outcome, cells: { ruleId: hit|missed|extra } }] }
+   */
+  static detectionMatrix(results) {
+    const rules = [...new Set(results.flatMap(result => [...result.expectedRules, ...result.triggeredRules]))].sort();
+
+    const rows = results.map(result => {
+      const cells = {};
+      rules.forEach(ruleId => {
+        const expected = result.expectedRules.includes(ruleId);
+        const triggered = result.triggeredRules.includes(ruleId);
+        if (expected && triggered) cells[ruleId] = CELL.hit;
+        else if (expected) cells[ruleId] = CELL.missed;
+        else if (triggered) cells[ruleId] = CELL.extra;
+      });
+      return { combination: result.fraudTypes.join(' + '), outcome: result.outcome, cells };
+    });
+
+    return { rules, rows };
+  }
+
+  /**
+   * Find combinations whose triggered rules change with the order the mutations were applied in
+   * @param {Array<Object>} results - Campaign results
+   * @returns {Array<Object>} - [{ fraudTypes, orderings: [{ fraudTypes, triggeredRules }] }]
+   */
+  static findOrderSensitive(results) {
+    const groups = new Map();
+    results.forEach(result => {
+      const key = [...result.fraudTypes].sort().join('+');
+      groups.set(key, [...(groups.get(key) || []), result]);
+    });
+
+    return Array.from(groups.values())
+      .filter(group => new Set(group.map(result => [...result.triggeredRules].sort().join('+'))).size > 1)
+      .map(group => ({
+        fraudTypes: [...group[0].fraudTypes].sort(),
+        orderings: group.map(result => ({ fraudTypes: result.fraudTypes, triggeredRules: result.triggeredRules }))
+      }));
+  }
+
+  /**
+   * Render a detection matrix as a text table, one row per combination
+   * @param {Object} matrix - Result of detectionMatrix()
+   * @returns {string}
+   */
+  static formatMatrix(matrix) {
+    const header = ['combination', 'outcome', ...matrix.rules];
+    const lines = matrix.rows.map(row => [
+      row.combination,
+      row.outcome,
+      ...matrix.rules.map(ruleId => row.cells[ruleId] || '')
+    ]);
+    const widths = header.map((title, column) =>
+      Math.max(title.length, ...lines.map(line => line[column].length))
+    );
+
+    return [header, ...lines]
+      .map(line => line.map((cell, column) => cell.padEnd(widths[column])).join(' | ').trimEnd())
+      .join('\n');
+  }
+}
+
+FraudCampaign.CELL = CELL;
+
+module.exports = FraudCampaign;
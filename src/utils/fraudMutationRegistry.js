@@ -0,0 +1,190 @@
+/**
+ * Fraud mutation registry
+ * Named techniques that turn a legitimate bet into a fraudulent one, each with the outcome
+ * the backend is expected to reach, so new attacks are added as modules instead of branches
+ */
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+
+// How the backend may answer a fraudulent bet, from mildest to strongest
+const OUTCOMES = ['accepted', 'flagged', 'rejected', 'blocked'];
+
+const BUILT_IN_DIRECTORY = path.join(__dirname, 'fraudMutations');
+
+class FraudMutationRegistry {
+  constructor() {
+    this.mutations = new Map();
+  }
+
+  /**
+   * Create a registry holding the built-in mutations and any found in FRAUD_MUTATIONS_DIR
+   * @returns {FraudMutationRegistry}
+   */
+  static withBuiltIns() {
+    const registry = new FraudMutationRegistry().loadDirectory(BUILT_IN_DIRECTORY);
+    if (process.env.FRAUD_MUTATIONS_DIR) {
+      registry.loadDirectory(path.resolve(process.env.FRAUD_MUTATIONS_DIR));
+    }
+    return registry;
+  }
+
+  /**
+   * Register a fraud mutation, replacing any with the same id
+   * @param {Object} mutation - Mutation definition
+   * @param {string} mutation.id - Fraud type name passed to placeFraudulentBet
+   * @param {string} mutation.description - What the mutation changes
+   * @param {string} mutation.expectedOutcome - One of rejected, flagged, blocked, accepted
+   * @param {Array<string>} [mutation.expectedRules] - Mock server rule ids the mutation should trigger
+   * @param {boolean} [mutation.requiresLegs] - Whether the bet must be an accumulator
+   * @param {boolean} [mutation.singleOnly] - Whether the bet must be a single bet
+   * @param {Function} mutation.mutate - (betData, { now }) => mutated bet data; gets a copy it may change
+   * @returns {FraudMutationRegistry} - The registry, for chaining
+   */
+  register(mutation) {
+    if (!mutation || typeof mutation.id !== 'string' || !mutation.id) {
+      throw new Error('Fraud mutation must have a string id');
+    }
+    if (typeof mutation.mutate !== 'function') {
+      throw new Error(`Fraud mutation "${mutation.id}" must have a mutate function`);
+    }
+    if (!OUTCOMES.includes(mutation.expectedOutcome)) {
+      throw new Error(`Fraud mutation "${mutation.id}" has unknown expected outcome "${mutation.expectedOutcome}"`);
+    }
+    if (mutation.expectedRules !== undefined && !Array.isArray(mutation.expectedRules)) {
+      throw new Error(`Fraud mutation "${mutation.id}" must list its expected rules in an array`);
+    }
+
+    this.mutations.set(mutation.id, mutation);
+    return this;
+  }
+
+  /**
+   * Remove a registered mutation
+   * @param {string} fraudType - Mutation id
+   * @returns {boolean} - Whether a mutation was removed
+   */
+  unregister(fraudType) {
+    return this.mutations.delete(fraudType);
+  }
+
+  /**
+   * Whether a mutation is registered
+   * @param {string} fraudType - Mutation id
+   * @returns {boolean}
+   */
+  has(fraudType) {
+    return this.mutations.has(fraudType);
+  }
+
+  /**
+   * Get a registered mutation
+   * @param {string} fraudType - Mutation id
+   * @returns {Object} - Mutation definition
+   */
+  get(fraudType) {
+    const mutation = this.mutations.get(fraudType);
+    if (!mutation) {
+      throw new Error(`Unknown fraud type "${fraudType}"; registered types are ${this.getTypes().join(', ')}`);
+    }
+    return mutation;
+  }
+
+  /**
+   * Get all registered mutations in registration order
+   * @returns {Array<Object>} - Mutation definitions
+   */
+  getMutations() {
+    return Array.from(this.mutations.values());
+  }
+
+  /**
+   * Get the registered fraud type names
+   * @returns {Array<string>}
+   */
+  getTypes() {
+    return Array.from(this.mutations.keys());
+  }
+
+  /**
+   * Register every mutation module found in a directory, in alphabetical order
+   * @param {string} directory - Directory containing mutation modules
+   * @returns {FraudMutationRegistry} - The registry, for chaining
+   */
+  loadDirectory(directory) {
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => this.register(require(path.resolve(directory, file))));
+
+    return this;
+  }
+
+  /**
+   * Apply a mutation to a copy of a bet
+   * @param {Object} betData - Legitimate bet data (left unchanged)
+   * @param {string} fraudType - Mutation id
+   * @param {Object} context - { now } passed to the mutation
+   * @returns {Object} - { mutation, betData }
+   */
+  apply(betData, fraudType, context = {}) {
+    const { mutations, betData: mutated } = this.applyAll(betData, [fraudType], context);
+    return { mutation: mutations[0], betData: mutated };
+  }
+
+  /**
+   * Stack several mutations on a copy of a bet, applied in the order given
+   * @param {Object} betData - Legitimate bet data (left unchanged)
+   * @param {Array<string>} fraudTypes - Mutation ids
+   * @param {Object} context - { now } passed to each mutation
+   * @returns {Object} - { mutations, betData }
+   */
+  applyAll(betData, fraudTypes, context = {}) {
+    const mutations = fraudTypes.map(fraudType => this.get(fraudType));
+    const mutationContext = { now: Date.now(), ...context };
+
+    const mutated = mutations.reduce((current, mutation) => {
+      if (mutation.requiresLegs && !Array.isArray(current.legs)) {
+        throw new Error(`Fraud type "${mutation.id}" needs accumulator bet data with legs`);
+      }
+      if (mutation.singleOnly && Array.isArray(current.legs)) {
+        throw new Error(`Fraud type "${mutation.id}" only applies to single bets`);
+      }
+      return mutation.mutate(current, mutationContext);
+    }, _.cloneDeep(betData));
+
+    return { mutations, betData: mutated };
+  }
+
+  /**
+   * Outcome expected from several mutations stacked on one bet: the strongest of them
+   * @param {Array<Object>} mutations - Mutation definitions
+   * @returns {string} - rejected, flagged, blocked or accepted
+   */
+  static combinedOutcome(mutations) {
+    return mutations.reduce((strongest, mutation) =>
+      OUTCOMES.indexOf(mutation.expectedOutcome) > OUTCOMES.indexOf(strongest) ? mutation.expectedOutcome : strongest,
+    'accepted');
+  }
+
+  /**
+   * Work out how the backend answered a bet
+   * @param {number|undefined} statusCode - HTTP status (undefined when there was no response)
+   * @param {Object} data - Response body
+   * @returns {string} - rejected, flagged, blocked or accepted
+   */
+  static classifyOutcome(statusCode, data = {}) {
+    if (statusCode === 403) return 'blocked';
+    if (!statusCode || statusCode >= 400) return 'rejected';
+
+    const body = data || {};
+    const heldForReview = (body.bet && body.bet.status === 'under_review') ||
+      (body.riskAssessment && body.riskAssessment.decision === 'review');
+    return heldForReview ? 'flagged' : 'accepted';
+  }
+}
+
+FraudMutationRegistry.OUTCOMES = OUTCOMES;
+FraudMutationRegistry.BUILT_IN_DIRECTORY = BUILT_IN_DIRECTORY;
+
+module.exports = FraudMutationRegistry;
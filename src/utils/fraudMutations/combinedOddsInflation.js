@@ -0,0 +1,14 @@
+/**
+ * Fraud mutation: accumulator priced above the product of its legs, which are left alone
+ */
+module.exports = {
+  id: 'combined-odds-inflation',
+  description: 'Triples the combined odds without touching the legs',
+  expectedOutcome: 'rejected',
+  expectedRules: ['combined-odds'],
+  requiresLegs: true,
+  mutate(betData) {
+    betData.odds = (parseFloat(betData.odds) * 3).toString();
+    return betData;
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Fraud mutation: the same selection twice in one accumulator, priced into the combined odds
+ */
+module.exports = {
+  id: 'correlated-legs',
+  description: 'Repeats the first leg and multiplies the combined odds by its odds',
+  expectedOutcome: 'rejected',
+  expectedRules: ['correlated-legs'],
+  requiresLegs: true,
+  mutate(betData) {
+    betData.legs.push({ ...betData.legs[0] });
+    betData.odds = (Math.round(parseFloat(betData.odds) * parseFloat(betData.legs[0].odds) * 100) / 100).toString();
+    return betData;
+  }
+};
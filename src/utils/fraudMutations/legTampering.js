@@ -0,0 +1,14 @@
+/**
+ * Fraud mutation: accumulator leg marked as already won
+ */
+module.exports = {
+  id: 'leg-tampering',
+  description: 'Adds result: won to the first leg',
+  expectedOutcome: 'rejected',
+  expectedRules: ['leg-tampering'],
+  requiresLegs: true,
+  mutate(betData) {
+    betData.legs[0].result = 'won';
+    return betData;
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Fraud mutation: bet pointed at a match id that does not exist
+ */
+module.exports = {
+  id: 'match-alteration',
+  description: 'Appends -altered to the match id',
+  expectedOutcome: 'rejected',
+  expectedRules: ['match-alteration'],
+  singleOnly: true,
+  mutate(betData) {
+    betData.matchId = `${betData.matchId}-altered`;
+    return betData;
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Fraud mutation: stake sent as a negative amount, hoping it is credited instead of debited
+ */
+module.exports = {
+  id: 'negative-amount',
+  description: 'Turns the stake negative',
+  expectedOutcome: 'rejected',
+  expectedRules: ['negative-amount'],
+  mutate(betData) {
+    betData.amount = -Math.abs(betData.amount);
+    return betData;
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Fraud mutation: odds raised far above the price offered for the selection
+ */
+module.exports = {
+  id: 'odds-manipulation',
+  description: 'Multiplies the requested odds by ten',
+  expectedOutcome: 'rejected',
+  expectedRules: ['odds-manipulation'],
+  singleOnly: true,
+  mutate(betData) {
+    betData.odds = (parseFloat(betData.odds) * 10).toString();
+    return betData;
+  }
+};
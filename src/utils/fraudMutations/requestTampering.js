@@ -0,0 +1,14 @@
+/**
+ * Fraud mutation: privileged fields the client never sends, added to skip server checks
+ */
+module.exports = {
+  id: 'request-tampering',
+  description: 'Adds serverBypass and adminApproval fields',
+  expectedOutcome: 'rejected',
+  expectedRules: ['request-tampering'],
+  mutate(betData) {
+    betData.serverBypass = true;
+    betData.adminApproval = true;
+    return betData;
+  }
+};
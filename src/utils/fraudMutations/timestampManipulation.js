@@ -0,0 +1,15 @@
+/**
+ * Fraud mutation: bet backdated to before the outcome was known
+ */
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  id: 'timestamp-manipulation',
+  description: 'Backdates the bet timestamp by one day',
+  expectedOutcome: 'rejected',
+  expectedRules: ['timestamp-manipulation'],
+  mutate(betData, { now }) {
+    betData.timestamp = new Date(now - ONE_DAY).toISOString();
+    return betData;
+  }
+};
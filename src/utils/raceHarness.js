@@ -0,0 +1,209 @@
+/**
+ * Race-condition harness for double-spend testing
+ * Fires several requests at the same moment, each over its own connection and optionally its own
+ * session, then reconciles the responses against the bet history and balance the server reports
+ * afterwards to find double-spends, lost debits and limit bypasses
+ */
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+const axios = require('axios');
+
+class RaceHarness {
+  /**
+   * @param {ApiClient} apiClient - Logged-in client; used for the before and after snapshots
+   */
+  constructor(apiClient) {
+    this.apiClient = apiClient;
+  }
+
+  /**
+   * Open extra sessions for the same account by logging in again
+   * @param {Object} credentials - { username, password }
+   * @param {number} count - Sessions to open
+   * @returns {Promise<Array<string>>} - Access tokens
+   */
+  async openSessions(credentials, count) {
+    const tokens = [];
+    for (let i = 0; i < count; i++) {
+      const racer = this.createRacer(null, { authenticated: false });
+      try {
+        const response = await racer.post('/auth/login', credentials);
+        if (!response.data || !response.data.token) {
+          throw new Error(`Login failed with status ${response.status}`);
+        }
+        tokens.push(response.data.token);
+      } finally {
+        RaceHarness.closeRacer(racer);
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Create an HTTP client with a connection of its own
+   * @param {string|null} token - Session token to send (defaults to the client's own)
+   * @param {Object} options - { authenticated: false to send no session at all }
+   * @returns {Object} - Axios instance
+   */
+  createRacer(token, { authenticated = true } = {}) {
+    const { Authorization, ...commonHeaders } = this.apiClient.client.defaults.headers.common;
+    const agentOptions = { keepAlive: true, maxSockets: 1 };
+
+    return axios.create({
+      baseURL: this.apiClient.baseURL,
+      timeout: 10000,
+      httpAgent: new http.Agent(agentOptions),
+      httpsAgent: new https.Agent(agentOptions),
+      // Every status is an answer to reconcile, not an error
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        ...commonHeaders,
+        ...(authenticated && (token ? { Authorization: `Bearer ${token}` } : Authorization && { Authorization }))
+      }
+    });
+  }
+
+  /**
+   * Close the connection of a racer
+   * @param {Object} racer - Axios instance from createRacer()
+   */
+  static closeRacer(racer) {
+    racer.defaults.httpAgent.destroy();
+    racer.defaults.httpsAgent.destroy();
+  }
+
+  /**
+   * Send requests as close to simultaneously as possible. Each racer first opens its connection
+   * with a health check so the race itself is not staggered by connection setup, then every
+   * request is released in the same tick.
+   * @param {Array<Object>} requests - [{ method, url, data, headers, token }]
+   * @returns {Promise<Object>} - { results: [{ index, statusCode, data, error, sentAt, receivedAt }], spreadMs }
+   */
+  async fire(requests) {
+    const racers = requests.map(request => this.createRacer(request.token || null));
+    await Promise.all(racers.map(racer => racer.get('/health').catch(() => null)));
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+
+    const pending = requests.map(async (request, index) => {
+      await gate;
+      const sentAt = performance.now();
+      try {
+        const response = await racers[index].request({
+          method: request.method || 'post',
+          url: request.url,
+          data: request.data,
+          headers: request.headers
+        });
+        return { index, statusCode: response.status, data: response.data, sentAt, receivedAt: performance.now() };
+      } catch (error) {
+        return { index, statusCode: null, error: error.message, sentAt, receivedAt: performance.now() };
+      }
+    });
+
+    release();
+    const results = await Promise.all(pending);
+    racers.forEach(RaceHarness.closeRacer);
+    const sentTimes = results.map(result => result.sentAt);
+
+    return { results, spreadMs: Math.max(...sentTimes) - Math.min(...sentTimes) };
+  }
+
+  /**
+   * Place several bets at once and reconcile what the server says happened
+   * @param {Object|Function} betData - Bet payload, or (index) => payload for varied bets
+   * @param {Object} options - { count, sessions, idempotencyKey, limits }
+   * @param {Array<string>} options.sessions - Tokens to spread the bets over (defaults to the client's session)
+   * @param {string} options.idempotencyKey - Send the same Idempotency-Key with every bet
+   * @param {Object} options.limits - { maxBets, maxStake } the race must not get past
+   * @returns {Promise<Object>} - { attempts, accepted, spreadMs, before, after, problems, results }
+   */
+  async raceBets(betData, { count = 5, sessions = [this.apiClient.authToken], idempotencyKey = null, limits = {} } = {}) {
+    const before = await this.snapshot();
+
+    const { results, spreadMs } = await this.fire(Array.from({ length: count }, (value, index) => ({
+      method: 'post',
+      url: '/bets/place',
+      data: typeof betData === 'function' ? betData(index) : betData,
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+      token: sessions[index % sessions.length]
+    })));
+
+    const after = await this.snapshot();
+    const problems = RaceHarness.reconcile({ before, after, results, idempotencyKey, limits });
+    const report = {
+      attempts: count,
+      accepted: results.filter(result => result.statusCode >= 200 && result.statusCode < 300).length,
+      spreadMs,
+      before,
+      after,
+      problems,
+      results
+    };
+
+    if (problems.length > 0) {
+      console.warn(`WARNING: Race produced ${problems.map(problem => problem.type).join(', ')}!`);
+    }
+    return report;
+  }
+
+  /**
+   * Read the account status and bet history of the account
+   * @returns {Promise<Object>} - { status, balance, bets }
+   */
+  async snapshot() {
+    const [account, bets] = await Promise.all([this.apiClient.getAccountStatus(), this.apiClient.getBetHistory()]);
+    return { status: account.status, balance: account.balance, bets };
+  }
+
+  /**
+   * Compare race responses with the server state before and after
+   * @param {Object} race - { before, after, results, idempotencyKey, limits }
+   * @returns {Array<Object>} - Problems: { type, ...details }
+   */
+  static reconcile({ before, after, results, idempotencyKey = null, limits = {} }) {
+    const problems = [];
+    const knownIds = new Set(before.bets.map(bet => bet.id));
+    const newBets = after.bets.filter(bet => !knownIds.has(bet.id));
+    const newIds = new Set(newBets.map(bet => bet.id));
+    const acceptedIds = [...new Set(results
+      .filter(result => result.statusCode >= 200 && result.statusCode < 300 && result.data && result.data.betId)
+      .map(result => result.data.betId))];
+
+    const stake = Math.round(newBets.reduce((sum, bet) => sum + parseFloat(bet.amount), 0) * 100) / 100;
+    const debited = Math.round((before.balance - after.balance) * 100) / 100;
+
+    if (stake > before.balance || after.balance < 0) {
+      problems.push({ type: 'double-spend', balanceBefore: before.balance, balanceAfter: after.balance, stake });
+    }
+    if (debited !== stake) {
+      problems.push({ type: 'balance-mismatch', debited, stake });
+    }
+
+    const phantom = acceptedIds.filter(betId => !newIds.has(betId));
+    if (phantom.length > 0) {
+      problems.push({ type: 'phantom-bet', betIds: phantom });
+    }
+    const unreported = newBets.map(bet => bet.id).filter(betId => !acceptedIds.includes(betId));
+    if (unreported.length > 0) {
+      problems.push({ type: 'unreported-bet', betIds: unreported });
+    }
+
+    if (idempotencyKey && newBets.length > 1) {
+      problems.push({ type: 'idempotency-bypass', idempotencyKey, betIds: newBets.map(bet => bet.id) });
+    }
+    if (limits.maxBets !== undefined && newBets.length > limits.maxBets) {
+      problems.push({ type: 'limit-bypass', limit: 'maxBets', allowed: limits.maxBets, actual: newBets.length });
+    }
+    if (limits.maxStake !== undefined && stake > limits.maxStake) {
+      problems.push({ type: 'limit-bypass', limit: 'maxStake', allowed: limits.maxStake, actual: stake });
+    }
+
+    return problems;
+  }
+}
+
+module.exports = RaceHarness;
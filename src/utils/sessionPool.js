@@ -0,0 +1,207 @@
+/**
+ * Pool of user sessions for multi-account scenarios
+ * Registers or logs in several users, each on an ApiClient of its own so their tokens, refreshes
+ * and device headers never mix, and runs operations as a chosen user or round-robin across them
+ */
+const FakeDataGenerator = require('./fakeDataGenerator');
+
+class SessionPool {
+  /**
+   * @param {Object} options - { createClient, generateUser }
+   * @param {Function} options.createClient - () => ApiClient for a new session
+   * @param {Function} options.generateUser - (index) => registration data for generated users
+   */
+  constructor({ createClient, generateUser = () => FakeDataGenerator.generateUserData() } = {}) {
+    if (typeof createClient !== 'function') {
+      throw new Error('SessionPool needs a createClient function');
+    }
+    this.createClient = createClient;
+    this.generateUser = generateUser;
+    this.sessions = [];
+    this.cursor = 0;
+  }
+
+  /**
+   * Number of sessions in the pool
+   * @returns {number}
+   */
+  get size() {
+    return this.sessions.length;
+  }
+
+  /**
+   * Register users and keep their sessions
+   * @param {number|Array<Object>} users - How many users to generate, or their registration data
+   * @param {Object} options - { deviceProfile }
+   * @param {Object|Function|boolean} options.deviceProfile - Profile every client sends, (index) => profile,
+   *   or true for a generated profile per user
+   * @returns {Promise<Array<Object>>} - The new sessions
+   */
+  async register(users, { deviceProfile = null } = {}) {
+    const list = typeof users === 'number'
+      ? Array.from({ length: users }, (value, index) => this.generateUser(this.size + index))
+      : users;
+
+    const added = [];
+    for (const userData of list) {
+      const client = this.openClient(deviceProfile);
+      const response = await client.registerUser(userData);
+      added.push(this.add({ client, userData, user: response.user }));
+    }
+    return added;
+  }
+
+  /**
+   * Log existing users in and keep their sessions
+   * @param {Array<Object>} credentialsList - [{ username, password }]
+   * @param {Object} options - { deviceProfile }, as for register()
+   * @returns {Promise<Array<Object>>} - The new sessions
+   */
+  async login(credentialsList, { deviceProfile = null } = {}) {
+    const added = [];
+    for (const credentials of credentialsList) {
+      const client = this.openClient(deviceProfile);
+      const response = await client.login(credentials);
+      added.push(this.add({ client, userData: credentials, user: response.user }));
+    }
+    return added;
+  }
+
+  /**
+   * Log a pooled user in again on another client, as someone they shared their password with would
+   * @param {string|number} ref - Session name, username, user id or index
+   * @param {Object} options - { deviceProfile }, as for register()
+   * @returns {Promise<Object>} - The new session, named `<username>#<n>`
+   */
+  async shareCredentials(ref, { deviceProfile = null } = {}) {
+    const owner = this.get(ref);
+    const client = this.openClient(deviceProfile);
+    const response = await client.login(owner.credentials);
+    return this.add({ client, userData: owner.userData, user: response.user, sharedFrom: owner.name });
+  }
+
+  /**
+   * Create a client for a new session
+   * @param {Object|Function|boolean} deviceProfile - See register()
+   * @returns {ApiClient}
+   */
+  openClient(deviceProfile) {
+    const client = this.createClient();
+    const profile = typeof deviceProfile === 'function'
+      ? deviceProfile(this.size)
+      : deviceProfile === true ? FakeDataGenerator.generateDeviceProfile() : deviceProfile;
+
+    if (profile) {
+      client.setDeviceProfile(profile);
+    }
+    return client;
+  }
+
+  /**
+   * Add a logged-in client to the pool
+   * @param {Object} session - { client, userData, user, sharedFrom }
+   * @returns {Object} - { name, userId, username, credentials, userData, client, sharedFrom }
+   */
+  add({ client, userData, user = {}, sharedFrom = null }) {
+    const username = user.username || userData.username;
+    const copies = this.sessions.filter(session => session.username === username).length;
+    const session = {
+      name: copies > 0 ? `${username}#${copies + 1}` : username,
+      userId: user.id || null,
+      username,
+      credentials: { username, password: userData.password },
+      userData,
+      client,
+      sharedFrom
+    };
+
+    this.sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Find a session
+   * @param {string|number} ref - Session name, username, user id or index
+   * @returns {Object} - Session
+   */
+  get(ref) {
+    const session = typeof ref === 'number'
+      ? this.sessions[ref]
+      : this.sessions.find(candidate => candidate.name === ref) ||
+        this.sessions.find(candidate => candidate.username === ref || candidate.userId === ref);
+
+    if (!session) {
+      throw new Error(`Unknown session "${ref}"; pooled sessions are ${this.sessions.map(candidate => candidate.name).join(', ') || 'none'}`);
+    }
+    return session;
+  }
+
+  /**
+   * Run an operation as one user
+   * @param {string|number} ref - Session name, username, user id or index
+   * @param {Function} operation - async (client, session) => result
+   * @returns {Promise<*>} - What the operation returned
+   */
+  async as(ref, operation) {
+    const session = this.get(ref);
+    return operation(session.client, session);
+  }
+
+  /**
+   * Take the next session in round-robin order
+   * @returns {Object} - Session
+   */
+  next() {
+    if (this.size === 0) {
+      throw new Error('Session pool is empty');
+    }
+    const session = this.sessions[this.cursor % this.size];
+    this.cursor = (this.cursor + 1) % this.size;
+    return session;
+  }
+
+  /**
+   * Run an operation `count` times, one after another, each time as the next user in turn
+   * @param {number} count - Operations to run
+   * @param {Function} operation - async (client, session, index) => result
+   * @returns {Promise<Array>} - Results in order
+   */
+  async roundRobin(count, operation) {
+    const results = [];
+    for (let index = 0; index < count; index++) {
+      const session = this.next();
+      results.push(await operation(session.client, session, index));
+    }
+    return results;
+  }
+
+  /**
+   * Run an operation once as every user
+   * @param {Function} operation - async (client, session, index) => result
+   * @param {Object} options - { parallel: run all users at once instead of one after another }
+   * @returns {Promise<Array>} - Results in pool order
+   */
+  async each(operation, { parallel = false } = {}) {
+    if (parallel) {
+      return Promise.all(this.sessions.map((session, index) => operation(session.client, session, index)));
+    }
+
+    const results = [];
+    for (const [index, session] of this.sessions.entries()) {
+      results.push(await operation(session.client, session, index));
+    }
+    return results;
+  }
+
+  /**
+   * Log every session out and empty the pool. Sessions the server already ended are dropped quietly.
+   * @returns {Promise<void>}
+   */
+  async logoutAll() {
+    await Promise.all(this.sessions.map(session => session.client.logout().catch(() => null)));
+    this.sessions = [];
+    this.cursor = 0;
+  }
+}
+
+module.exports = SessionPool;
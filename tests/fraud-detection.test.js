@@ -44,8 +44,8 @@ describe('Fraud Detection Tests', function () {
     // Generate fake user data
     userData = FakeDataGenerator.generateUserData();
     
-    // Generate legitimate bet data to modify later
-    betData = FakeDataGenerator.generateBetData();
+    // Generate legitimate bet data from the match catalog to modify later
+    betData = FakeDataGenerator.generateBetData(await apiClient.getMatches());
     
     console.log('Test setup complete');
     console.log(`Using test user: ${userData.username}`);
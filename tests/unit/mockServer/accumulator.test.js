@@ -0,0 +1,55 @@
+/**
+ * Unit tests for the Accumulator helpers
+ */
+const { expect } = require('chai');
+const Accumulator = require('../../../src/mockServer/accumulator');
+
+describe('Accumulator', function () {
+  const legs = [
+    { matchId: 'match-1', selection: 'home', odds: '2.5' },
+    { matchId: 'match-2', marketType: 'total_goals', selection: 'over', odds: '1.9' }
+  ];
+
+  describe('isAccumulator and legsOf', function () {
+    it('should treat a single bet as one leg', function () {
+      const single = { matchId: 'match-1', selection: 'home', odds: '2.5', amount: 10 };
+
+      expect(Accumulator.isAccumulator(single)).to.be.false;
+      expect(Accumulator.legsOf(single)).to.deep.equal([{ matchId: 'match-1', marketType: undefined, selection: 'home', odds: '2.5' }]);
+      expect(Accumulator.legsOf({ legs })).to.equal(legs);
+    });
+  });
+
+  describe('combinedOdds', function () {
+    it('should multiply the leg odds to two decimals', function () {
+      expect(Accumulator.combinedOdds(legs)).to.equal(4.75);
+      expect(Accumulator.combinedOdds([...legs, { odds: '1.33' }])).to.equal(6.32);
+      expect(Accumulator.combinedOdds([{ odds: 'evens' }])).to.be.NaN;
+    });
+  });
+
+  describe('unexpectedFields', function () {
+    it('should list fields a leg does not carry', function () {
+      expect(Accumulator.unexpectedFields({ ...legs[1], sport: 'football' })).to.be.empty;
+      expect(Accumulator.unexpectedFields({ ...legs[0], result: 'won', settled: true })).to.deep.equal(['result', 'settled']);
+    });
+  });
+
+  describe('validate', function () {
+    it('should accept well-formed legs', function () {
+      expect(Accumulator.validate({ legs })).to.be.null;
+    });
+
+    it('should enforce the number of legs', function () {
+      expect(Accumulator.validate({ legs: [legs[0]] })).to.equal('An accumulator needs at least 2 legs');
+      expect(Accumulator.validate({ legs: new Array(Accumulator.MAX_LEGS + 1).fill(legs[0]) }))
+        .to.equal(`An accumulator can have at most ${Accumulator.MAX_LEGS} legs`);
+    });
+
+    it('should require match, selection and odds on every leg', function () {
+      expect(Accumulator.validate({ legs: [legs[0], { matchId: 'match-2', selection: 'away' }] }))
+        .to.equal('Missing required leg information');
+      expect(Accumulator.validate({ legs: [legs[0], null] })).to.equal('Missing required leg information');
+    });
+  });
+});
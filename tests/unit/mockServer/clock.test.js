@@ -0,0 +1,65 @@
+/**
+ * Unit tests for the Clock
+ */
+const { expect } = require('chai');
+const sinon = require('sinon');
+const Clock = require('../../../src/mockServer/clock');
+
+describe('Clock', function () {
+  let clock;
+  let fakeTimers;
+
+  beforeEach(function () {
+    fakeTimers = sinon.useFakeTimers(1000000);
+    clock = new Clock();
+  });
+
+  afterEach(function () {
+    fakeTimers.restore();
+  });
+
+  it('should follow real time by default', function () {
+    fakeTimers.tick(500);
+
+    expect(clock.now()).to.equal(1000500);
+    expect(clock.toISOString()).to.equal(new Date(1000500).toISOString());
+  });
+
+  it('should stand still while frozen and carry on from there when unfrozen', function () {
+    clock.freeze();
+    fakeTimers.tick(500);
+    expect(clock.now()).to.equal(1000000);
+
+    clock.unfreeze();
+    fakeTimers.tick(500);
+    expect(clock.now()).to.equal(1000500);
+  });
+
+  it('should advance and set both running and frozen clocks', function () {
+    clock.advance(60000);
+    expect(clock.now()).to.equal(1060000);
+
+    clock.freeze('2030-01-01T00:00:00.000Z');
+    clock.advance(1000);
+    expect(clock.toISOString()).to.equal('2030-01-01T00:00:01.000Z');
+
+    clock.unfreeze();
+    clock.set(5000);
+    expect(clock.now()).to.equal(5000);
+  });
+
+  it('should go back to real time on reset', function () {
+    clock.freeze(5000);
+    clock.reset();
+
+    expect(clock.getState()).to.deep.equal({ now: new Date(1000000).toISOString(), frozen: false, offsetMs: 0 });
+  });
+
+  it('should apply control actions and report the state', function () {
+    expect(clock.control({ action: 'freeze', time: 2000000 })).to.include({ frozen: true, offsetMs: 1000000 });
+    expect(clock.control({ action: 'advance', ms: '500' })).to.have.property('now', new Date(2000500).toISOString());
+    expect(() => clock.control({ action: 'rewind' })).to.throw('Unknown clock action "rewind"');
+    expect(() => clock.control({ action: 'advance' })).to.throw('Duration must be a number of milliseconds');
+    expect(() => clock.set('tomorrow')).to.throw('Time must be milliseconds since the epoch or an ISO date');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the FaultInjector
+ */
+const { expect } = require('chai');
+const FaultInjector = require('../../../src/mockServer/faultInjector');
+
+describe('FaultInjector', function () {
+  let rolls;
+  let injector;
+
+  beforeEach(function () {
+    rolls = [];
+    injector = new FaultInjector([], { random: () => (rolls.length > 0 ? rolls.shift() : 0.99) });
+  });
+
+  describe('validate', function () {
+    it('should accept a complete rule', function () {
+      expect(FaultInjector.validate({ path: '/bets/place', errorRate: 0.5, errorStatus: 502, latencyMs: 100 })).to.be.null;
+    });
+
+    it('should reject rules with bad fields', function () {
+      expect(FaultInjector.validate({ path: 'bets' })).to.equal('A fault rule needs a path starting with /');
+      expect(FaultInjector.validate({ path: '/bets', dropRate: 2 })).to.include('must be between 0 and 1');
+      expect(FaultInjector.validate({ path: '/bets', latencyMs: -1 })).to.equal('latencyMs and dripMs must be zero or more');
+      expect(FaultInjector.validate({ path: '/bets', errorStatus: 200 })).to.equal('errorStatus must be a 4xx or 5xx status');
+      expect(FaultInjector.validate({ path: '/bets', dripChunkBytes: 0 })).to.equal('dripChunkBytes must be at least 1');
+    });
+  });
+
+  describe('matchesPath', function () {
+    it('should match literal, parameter and wildcard segments', function () {
+      expect(FaultInjector.matchesPath('/bets/place', '/bets/place')).to.be.true;
+      expect(FaultInjector.matchesPath('/admin/users/:id', '/admin/users/42')).to.be.true;
+      expect(FaultInjector.matchesPath('/wallet/*', '/wallet/transactions')).to.be.true;
+      expect(FaultInjector.matchesPath('/bets/place', '/bets/history')).to.be.false;
+      expect(FaultInjector.matchesPath('/admin/users/:id', '/admin/users/42/flags')).to.be.false;
+    });
+  });
+
+  describe('match', function () {
+    it('should pick the first rule for the method and path', function () {
+      const postRule = injector.add({ path: '/bets/*', method: 'post', errorRate: 1 });
+      const anyRule = injector.add({ path: '/bets/*', latencyMs: 10 });
+
+      expect(injector.match('POST', '/bets/place')).to.equal(postRule);
+      expect(injector.match('GET', '/bets/history')).to.equal(anyRule);
+      expect(injector.match('GET', '/matches')).to.be.null;
+    });
+
+    it('should never fault the control routes', function () {
+      injector.add({ path: '/*', errorRate: 1 });
+
+      expect(injector.match('POST', '/__control/faults')).to.be.null;
+    });
+  });
+
+  describe('plan', function () {
+    it('should roll for each fault', function () {
+      const rule = injector.add({ path: '/bets/place', latencyMs: 50, dropRate: 0.5, errorRate: 0.5, truncateRate: 0.5, dripMs: 10 });
+
+      rolls.push(0.1);
+      expect(injector.plan(rule)).to.deep.equal(['latency', 'drop']);
+      rolls.push(0.9, 0.1);
+      expect(injector.plan(rule)).to.deep.equal(['latency', 'error']);
+      rolls.push(0.9, 0.9, 0.1);
+      expect(injector.plan(rule)).to.deep.equal(['latency', 'truncate', 'drip']);
+      expect(injector.plan(rule)).to.deep.equal(['latency', 'drip']);
+    });
+  });
+
+  describe('middleware', function () {
+    it('should pass failures to next instead of leaving the promise rejected', async function () {
+      injector.add({ path: '/bets/place', dropRate: 1 });
+      rolls.push(0.1);
+      const res = { set: () => res };
+
+      const error = await new Promise(resolve => {
+        injector.middleware()({ method: 'POST', path: '/bets/place', socket: null }, res, resolve);
+      });
+
+      expect(error).to.be.instanceOf(TypeError);
+    });
+  });
+
+  describe('interceptBody', function () {
+    const fakeResponse = () => {
+      const res = { chunks: [], ended: false, destroyed: false };
+      res.set = () => res;
+      res.type = () => res;
+      res.write = chunk => res.chunks.push(chunk.toString());
+      res.end = chunk => {
+        if (chunk) res.chunks.push(chunk.toString());
+        res.ended = true;
+      };
+      res.destroy = () => { res.destroyed = true; };
+      return res;
+    };
+    const waitFor = condition => new Promise(resolve => {
+      const poll = () => (condition() ? resolve() : setTimeout(poll, 1));
+      poll();
+    });
+
+    it('should drip the body out in chunks', async function () {
+      const res = fakeResponse();
+      FaultInjector.interceptBody(res, { dripMs: 1, dripChunkBytes: 4 }, false);
+
+      res.send({ status: 'OK' });
+      await waitFor(() => res.ended);
+
+      expect(res.chunks).to.deep.equal(['{"st', 'atus', '":"O', 'K"}']);
+    });
+
+    it('should cut the connection when writing a chunk fails', async function () {
+      const res = fakeResponse();
+      res.write = chunk => {
+        if (res.chunks.push(chunk.toString()) > 1) throw new Error('write after end');
+      };
+      FaultInjector.interceptBody(res, { dripMs: 1, dripChunkBytes: 4 }, true);
+
+      res.send({ status: 'OK', detail: 'dripped' });
+      await waitFor(() => res.destroyed);
+
+      expect(res.chunks).to.have.lengthOf(2);
+      expect(res.ended).to.be.false;
+    });
+  });
+
+  describe('add, remove and reset', function () {
+    it('should fill in defaults and ids', function () {
+      expect(injector.add({ path: '/bets/place' })).to.include({ id: 'FAULT-1', method: '*', errorStatus: 503, dripChunkBytes: 8 });
+      expect(() => injector.add({ path: '/bets/place', errorRate: -1 })).to.throw('must be between 0 and 1');
+    });
+
+    it('should go back to the configured rules on reset', function () {
+      const configured = new FaultInjector([{ id: 'slow-bets', path: '/bets/place', latencyMs: 100 }]);
+      configured.add({ path: '/wallet/*', errorRate: 1 });
+      expect(configured.remove('slow-bets')).to.be.true;
+      expect(configured.remove('slow-bets')).to.be.false;
+
+      configured.reset();
+
+      expect(configured.getState().rules.map(rule => rule.id)).to.deep.equal(['slow-bets']);
+    });
+  });
+});
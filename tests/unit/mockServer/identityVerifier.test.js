@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the IdentityVerifier
+ */
+const { expect } = require('chai');
+const IdentityVerifier = require('../../../src/mockServer/identityVerifier');
+
+describe('IdentityVerifier', function () {
+  const now = Date.parse('2024-06-15T12:00:00Z');
+  const identity = {
+    id: 'u1',
+    firstName: 'Maria',
+    lastName: 'Lopez',
+    dateOfBirth: '1990-04-12',
+    address: { street: '12 Harbour Street', zipCode: '10115', country: 'Germany' }
+  };
+  let verifier;
+
+  beforeEach(function () {
+    verifier = new IdentityVerifier({ minimumAges: { default: 18, 'united states': 21 } });
+  });
+
+  describe('checkAge', function () {
+    it('should apply the minimum age of the jurisdiction', function () {
+      const twenty = { dateOfBirth: '2004-01-01' };
+
+      expect(verifier.checkAge({ ...twenty, address: { country: 'Germany' } }, now)).to.not.be.ok;
+      expect(verifier.checkAge({ ...twenty, address: { country: 'United States' } }, now)).to.deep.include({
+        id: 'underage',
+        fraudType: 'underage-registration',
+        evidence: { age: 20, minimumAge: 21, jurisdiction: 'united states' }
+      });
+    });
+
+    it('should apply the default minimum age to countries named after inherited object members', function () {
+      ['constructor', '__proto__', 'toString', 'hasOwnProperty'].forEach(country => {
+        expect(verifier.checkAge({ dateOfBirth: '2010-01-01', address: { country } }, now), country).to.deep.include({
+          id: 'underage',
+          evidence: { age: 14, minimumAge: 18, jurisdiction: country.toLowerCase() }
+        });
+      });
+    });
+
+    it('should count the age in whole years', function () {
+      expect(verifier.checkAge({ dateOfBirth: '2006-06-15' }, now)).to.not.be.ok;
+      expect(verifier.checkAge({ dateOfBirth: '2006-06-16' }, now)).to.have.property('id', 'underage');
+    });
+
+    it('should reject dates of birth that are not real dates', function () {
+      ['2000-02-30', '15/04/1990', 'yesterday', 19900412].forEach(dateOfBirth => {
+        expect(verifier.checkAge({ dateOfBirth }, now), String(dateOfBirth)).to.have.property('id', 'invalid-date-of-birth');
+      });
+    });
+
+    it('should leave registrations without a date of birth alone', function () {
+      expect(verifier.checkAge({}, now)).to.not.be.ok;
+    });
+
+    it('should allow the minimum age to be changed', function () {
+      verifier.setMinimumAge('Germany', 25);
+
+      expect(verifier.checkAge({ dateOfBirth: '2004-01-01', address: { country: 'Germany' } }, now))
+        .to.have.nested.property('evidence.minimumAge', 25);
+    });
+  });
+
+  describe('checkEmail', function () {
+    it('should reject disposable email domains and their subdomains', function () {
+      expect(verifier.checkEmail({ email: 'bot@Mailinator.com' })).to.include({ id: 'disposable-email', fraudType: 'synthetic-identity' });
+      expect(verifier.checkEmail({ email: 'bot@eu.yopmail.com' })).to.have.nested.property('evidence.domain', 'eu.yopmail.com');
+      expect(verifier.checkEmail({ email: 'maria@example.com' })).to.not.be.ok;
+      expect(verifier.checkEmail({ email: 'maria@notmailinator.com' })).to.not.be.ok;
+    });
+  });
+
+  describe('checkPhone', function () {
+    it('should accept common phone formats', function () {
+      ['+49 30 1234567', '(653) 908-6494', '1-930-883-3336 x3740', '461.869.5541 ext. 84'].forEach(phoneNumber => {
+        expect(verifier.checkPhone({ phoneNumber }), phoneNumber).to.not.be.ok;
+      });
+    });
+
+    it('should reject malformed phone numbers', function () {
+      ['12345', 'call me', '+1 555 CALL NOW', '1234567890123456', '++44 20 7946 0958'].forEach(phoneNumber => {
+        expect(verifier.checkPhone({ phoneNumber }), phoneNumber).to.include({ id: 'malformed-phone' });
+      });
+    });
+  });
+
+  describe('checkDuplicates', function () {
+    it('should match small variations of a registered identity', function () {
+      const variations = [
+        { ...identity, lastName: 'Lopes' },
+        { ...identity, firstName: 'María' },
+        { ...identity, firstName: 'Lopez', lastName: 'Maria' },
+        { ...identity, address: { ...identity.address, street: '12 Harbour St.' } }
+      ];
+
+      variations.forEach(variation => {
+        expect(verifier.checkDuplicates(variation, [identity])).to.deep.include({
+          id: 'duplicate-identity',
+          evidence: { matchedUserIds: ['u1'] }
+        });
+      });
+    });
+
+    it('should not match different people', function () {
+      const others = [
+        { ...identity, dateOfBirth: '1990-04-13' },
+        { ...identity, firstName: 'Marco', lastName: 'Rossi' },
+        { ...identity, address: { ...identity.address, zipCode: '80331' } },
+        { ...identity, address: { ...identity.address, street: '48 Linden Avenue' } },
+        { firstName: 'Maria', lastName: 'Lopez' }
+      ];
+
+      others.forEach(other => expect(verifier.checkDuplicates(other, [identity])).to.not.be.ok);
+    });
+  });
+
+  describe('verify', function () {
+    it('should report every failed check', function () {
+      const failed = verifier.verify({
+        ...identity,
+        dateOfBirth: '2010-01-01',
+        email: 'kid@mailinator.com',
+        phoneNumber: 'none'
+      }, [], now);
+
+      expect(failed.map(check => check.id)).to.deep.equal(['underage', 'disposable-email', 'malformed-phone']);
+    });
+  });
+});
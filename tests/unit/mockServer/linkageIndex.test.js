@@ -0,0 +1,95 @@
+/**
+ * Unit tests for the LinkageIndex
+ */
+const { expect } = require('chai');
+const LinkageIndex = require('../../../src/mockServer/linkageIndex');
+
+describe('LinkageIndex', function () {
+  const phone = { deviceId: 'device-1', model: 'Pixel 7', os: 'Android 14', ip: '203.0.113.7' };
+  let index;
+
+  beforeEach(function () {
+    index = new LinkageIndex({ device: 2, fingerprint: 2, payment: 1 });
+  });
+
+  describe('fingerprintFrom', function () {
+    it('should read the device headers and the client IP', function () {
+      const headers = { 'x-device-id': 'device-1', 'x-device-model': 'Pixel 7', 'x-device-os': 'Android 14' };
+
+      expect(LinkageIndex.fingerprintFrom(headers, '203.0.113.7')).to.deep.equal(phone);
+      expect(LinkageIndex.fingerprintFrom({}, '203.0.113.7')).to.include({ deviceId: null, model: null });
+    });
+  });
+
+  describe('keysFor', function () {
+    it('should key devices, full fingerprints and hashed card numbers', function () {
+      const keys = LinkageIndex.keysFor(phone, { cardNumber: '4111-1111-1111-1111' });
+
+      expect(keys.map(key => key.kind)).to.deep.equal(['device', 'fingerprint', 'payment']);
+      expect(keys[1].key).to.equal('fingerprint:Pixel 7|Android 14|203.0.113.7');
+      expect(keys[2].key).to.equal(LinkageIndex.keysFor({}, { cardNumber: '4111111111111111' })[0].key);
+      expect(keys[2].key).to.not.include('4111');
+    });
+
+    it('should skip incomplete fingerprints', function () {
+      expect(LinkageIndex.keysFor({ ip: '203.0.113.7' })).to.be.empty;
+    });
+  });
+
+  describe('record', function () {
+    it('should report accounts once a device is shared past the threshold', function () {
+      expect(index.record('u1', { device: phone }, 'register')).to.be.empty;
+      expect(index.record('u2', { device: phone }, 'register')).to.be.empty;
+
+      const links = index.record('u3', { device: phone }, 'register');
+
+      expect(links.map(link => link.kind)).to.deep.equal(['device', 'fingerprint']);
+      expect(links[0]).to.deep.include({ accounts: ['u1', 'u2', 'u3'], threshold: 2, newlyLinked: ['u1', 'u2', 'u3'] });
+    });
+
+    it('should only report newly linked accounts on later observations', function () {
+      ['u1', 'u2', 'u3'].forEach(userId => index.record(userId, { device: { deviceId: 'device-1' } }));
+
+      expect(index.record('u1', { device: { deviceId: 'device-1' } }, 'bet')[0].newlyLinked).to.be.empty;
+      expect(index.record('u4', { device: { deviceId: 'device-1' } }, 'bet')[0].newlyLinked).to.deep.equal(['u4']);
+    });
+
+    it('should link accounts sharing a card', function () {
+      index.record('u1', { payment: { cardNumber: '4111111111111111' } }, 'deposit');
+
+      const links = index.record('u2', { payment: { cardNumber: '4111111111111111' } }, 'deposit');
+
+      expect(links[0]).to.include({ kind: 'payment', threshold: 1 });
+      expect(links[0].newlyLinked).to.deep.equal(['u1', 'u2']);
+    });
+  });
+
+  describe('getLinks and getGroups', function () {
+    it('should list the accounts linked to a user', function () {
+      ['u1', 'u2', 'u3'].forEach(userId => index.record(userId, { device: { deviceId: 'device-1' } }, 'login', 5));
+      index.record('u4', { device: { deviceId: 'device-2' } });
+
+      expect(index.getLinks('u2')).to.deep.equal([{ kind: 'device', key: 'device:device-1', linkedAccounts: ['u1', 'u3'] }]);
+      expect(index.getLinks('u4')).to.be.empty;
+      expect(index.getGroups()).to.have.lengthOf(1);
+      expect(index.getGroups()[0].accounts.u1).to.deep.equal({ firstSeen: 5, lastSeen: 5, contexts: ['login'] });
+      expect(index.getGroups({ kind: 'payment' })).to.be.empty;
+    });
+  });
+
+  describe('reset, snapshot and restore', function () {
+    it('should roll observations back', function () {
+      index.record('u1', { device: phone });
+      const snapshot = index.snapshot();
+      index.record('u2', { device: phone });
+      index.record('u3', { device: phone });
+
+      index.restore(snapshot);
+      expect(index.getGroups()).to.be.empty;
+      expect(index.record('u2', { device: phone })).to.be.empty;
+
+      index.reset();
+      expect(index.entries.size).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for the LoginGuard
+ */
+const { expect } = require('chai');
+const LoginGuard = require('../../../src/mockServer/loginGuard');
+
+describe('LoginGuard', function () {
+  const ip = '203.0.113.7';
+  let guard;
+
+  const failTimes = (username, times, now = 0, from = ip) => {
+    let events = [];
+    for (let i = 0; i < times; i++) {
+      events = events.concat(guard.recordFailure(username, from, now));
+    }
+    return events;
+  };
+
+  beforeEach(function () {
+    guard = new LoginGuard({
+      maxFailuresPerUser: 3,
+      maxFailuresPerIp: 6,
+      stuffingUsernames: 4,
+      lockoutMs: 1000,
+      maxLockoutMs: 3000
+    });
+  });
+
+  describe('recordFailure', function () {
+    it('should lock a username after too many failures', function () {
+      const events = failTimes('alice', 3);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0]).to.include({ type: 'account_lockout', username: 'alice', failures: 3, lockoutCount: 1, lockoutMs: 1000 });
+      expect(guard.check('alice', '198.51.100.1', 500)).to.include({ scope: 'username', retryAfterMs: 500 });
+      expect(guard.check('alice', ip, 1000)).to.be.null;
+    });
+
+    it('should double the lockout each time, up to the cap', function () {
+      const lockouts = [0, 1000, 3000, 6000].map(now => failTimes('alice', 3, now)[0].lockoutMs);
+
+      expect(lockouts).to.deep.equal([1000, 2000, 3000, 3000]);
+    });
+
+    it('should only count failures inside the window', function () {
+      guard.setLimits({ windowMs: 100 });
+
+      failTimes('alice', 2, 0);
+
+      expect(failTimes('alice', 1, 200)).to.be.empty;
+    });
+
+    it('should detect credential stuffing from one source', function () {
+      const events = ['alice', 'bob', 'carol', 'dave'].flatMap(username => guard.recordFailure(username, ip, 0));
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0]).to.include({ type: 'credential_stuffing', ip, failures: 4 });
+      expect(events[0].usernames).to.deep.equal(['alice', 'bob', 'carol', 'dave']);
+      expect(guard.check('erin', ip, 1)).to.include({ scope: 'ip' });
+      expect(guard.check('erin', '198.51.100.1', 1)).to.be.null;
+    });
+
+    it('should lock an IP that fails too often on few usernames', function () {
+      guard.setLimits({ maxFailuresPerUser: 10 });
+
+      const events = failTimes('alice', 3).concat(failTimes('bob', 3));
+
+      expect(events.map(event => event.type)).to.deep.equal(['ip_lockout']);
+    });
+  });
+
+  describe('recordSuccess', function () {
+    it('should forget the username failures', function () {
+      failTimes('alice', 2);
+      guard.recordSuccess('alice');
+
+      expect(failTimes('alice', 2)).to.be.empty;
+    });
+  });
+
+  describe('reset, snapshot and restore', function () {
+    it('should roll failures and lockouts back', function () {
+      const snapshot = guard.snapshot();
+      failTimes('alice', 3);
+
+      guard.restore(snapshot);
+      expect(guard.check('alice', ip, 1)).to.be.null;
+
+      failTimes('alice', 3);
+      guard.reset();
+      expect(guard.check('alice', ip, 1)).to.be.null;
+    });
+  });
+});
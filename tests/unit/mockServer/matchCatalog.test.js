@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the MatchCatalog
+ */
+const { expect } = require('chai');
+const MatchCatalog = require('../../../src/mockServer/matchCatalog');
+
+describe('MatchCatalog', function () {
+  const fixture = {
+    id: 'M-1',
+    sport: 'football',
+    homeTeam: 'Home FC',
+    awayTeam: 'Away FC',
+    kickoffInMinutes: 60,
+    markets: { winner: { home: 2.0, draw: 3.0, away: 4.0 } }
+  };
+  let catalog;
+
+  beforeEach(function () {
+    catalog = new MatchCatalog([fixture], 0);
+  });
+
+  describe('constructor', function () {
+    it('should load the default fixtures', function () {
+      const defaultCatalog = new MatchCatalog();
+
+      expect(defaultCatalog.list()).to.have.lengthOf(MatchCatalog.DEFAULT_FIXTURES.length);
+    });
+
+    it('should compute kickoff from kickoffInMinutes', function () {
+      expect(catalog.get('M-1').kickoff).to.equal(new Date(3600000).toISOString());
+    });
+  });
+
+  describe('add', function () {
+    it('should keep an explicit kickoff and status', function () {
+      const match = catalog.add({ ...fixture, id: 'M-2', kickoff: '2030-01-01T00:00:00.000Z', status: 'live' });
+
+      expect(match).to.include({ kickoff: '2030-01-01T00:00:00.000Z', status: 'live' });
+    });
+
+    it('should not share market objects with the fixture', function () {
+      catalog.setPrice('M-1', 'winner', 'home', 9.0);
+
+      expect(fixture.markets.winner.home).to.equal(2.0);
+    });
+
+    it('should reject fixtures without id or markets', function () {
+      expect(() => catalog.add({ id: 'M-3' })).to.throw('Match fixture must have an id and markets');
+    });
+  });
+
+  describe('list', function () {
+    it('should filter by sport and order by kickoff', function () {
+      catalog.add({ ...fixture, id: 'M-0', kickoffInMinutes: 10 }, 0);
+      catalog.add({ ...fixture, id: 'T-1', sport: 'tennis' }, 0);
+
+      expect(catalog.list({ sport: 'football' }).map(match => match.id)).to.deep.equal(['M-0', 'M-1']);
+    });
+  });
+
+  describe('getPrice', function () {
+    it('should return the current price of a selection', function () {
+      expect(catalog.getPrice('M-1', 'winner', 'draw')).to.equal(3.0);
+    });
+
+    it('should default the market to winner', function () {
+      expect(catalog.getPrice('M-1', undefined, 'away')).to.equal(4.0);
+    });
+
+    it('should return null for unknown matches, markets and selections', function () {
+      expect(catalog.getPrice('M-9', 'winner', 'home')).to.be.null;
+      expect(catalog.getPrice('M-1', 'handicap', 'home')).to.be.null;
+      expect(catalog.getPrice('M-1', 'winner', 'over')).to.be.null;
+    });
+
+    it('should not resolve inherited members as markets or selections', function () {
+      expect(catalog.getPrice('M-1', '__proto__', 'toString')).to.be.null;
+      expect(catalog.getPrice('M-1', 'winner', 'constructor')).to.be.null;
+      expect(() => catalog.setPrice('M-1', '__proto__', 'polluted', 2.2)).to.throw('Unknown market __proto__ for match M-1');
+      expect({}.polluted).to.be.undefined;
+    });
+  });
+
+  describe('setPrice', function () {
+    it('should move the price of a selection', function () {
+      catalog.setPrice('M-1', 'winner', 'home', 2.2);
+
+      expect(catalog.getPrice('M-1', 'winner', 'home')).to.equal(2.2);
+    });
+
+    it('should reject unknown markets', function () {
+      expect(() => catalog.setPrice('M-1', 'handicap', 'home', 2.2)).to.throw('Unknown market handicap for match M-1');
+    });
+  });
+
+  describe('live state', function () {
+    const kickoff = 3600000;
+
+    it('should stay open until kickoff', function () {
+      expect(catalog.getClosure('M-1', 'winner', kickoff - 1)).to.be.null;
+      expect(catalog.getClosure('M-1', 'winner', kickoff)).to.deep.equal({ state: 'kicked-off', closedAt: new Date(kickoff).toISOString() });
+      expect(catalog.getClosure('M-9', 'winner', kickoff)).to.be.null;
+    });
+
+    it('should move kickoff forward when a match starts early', function () {
+      const match = catalog.startMatch('M-1', 60000);
+
+      expect(match).to.include({ status: 'live', kickoff: new Date(60000).toISOString() });
+      expect(catalog.getClosure('M-1', 'winner', 60000)).to.have.property('state', 'kicked-off');
+    });
+
+    it('should keep in-play matches open after kickoff until a market is suspended', function () {
+      catalog.add({ ...fixture, id: 'M-2', inPlay: true }, 0);
+      catalog.startMatch('M-2', kickoff);
+      expect(catalog.getClosure('M-2', 'winner', kickoff + 60000)).to.be.null;
+
+      catalog.suspendMarket('M-2', 'winner', kickoff + 60000);
+      expect(catalog.getClosure('M-2', 'winner', kickoff + 60000))
+        .to.deep.equal({ state: 'suspended', closedAt: new Date(kickoff + 60000).toISOString() });
+
+      catalog.resumeMarket('M-2', 'winner');
+      expect(catalog.getClosure('M-2', 'winner', kickoff + 120000)).to.be.null;
+    });
+
+    it('should suspend and resume every market when none is given', function () {
+      catalog.add({ ...fixture, id: 'M-2', markets: { ...fixture.markets, handicap: { home: 1.9, away: 1.9 } } }, 0);
+
+      expect(Object.keys(catalog.suspendMarket('M-2', null, 1000).suspendedMarkets)).to.deep.equal(['winner', 'handicap']);
+      expect(catalog.resumeMarket('M-2').suspendedMarkets).to.be.empty;
+      expect(() => catalog.suspendMarket('M-2', 'total_goals')).to.throw('Unknown market total_goals for match M-2');
+    });
+
+    it('should close finished matches', function () {
+      catalog.get('M-1').status = 'finished';
+
+      expect(catalog.getClosure('M-1', 'winner', 0)).to.have.property('state', 'finished');
+    });
+  });
+
+  describe('snapshot and restore', function () {
+    it('should roll prices and statuses back to the snapshot', function () {
+      const snapshot = catalog.snapshot();
+      catalog.setPrice('M-1', 'winner', 'home', 9.0);
+      catalog.get('M-1').status = 'finished';
+
+      catalog.restore(snapshot);
+
+      expect(catalog.getPrice('M-1', 'winner', 'home')).to.equal(2.0);
+      expect(catalog.get('M-1').status).to.equal('scheduled');
+    });
+
+    it('should reload fixtures on reset', function () {
+      catalog.add({ ...fixture, id: 'M-2' });
+      catalog.reset([fixture], 0);
+
+      expect(catalog.list().map(match => match.id)).to.deep.equal(['M-1']);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for the RiskScorer
+ */
+const { expect } = require('chai');
+const RiskScorer = require('../../../src/mockServer/riskScorer');
+
+describe('RiskScorer', function () {
+  const rule = (id, severity, weight) => ({
+    id,
+    severity,
+    fraudType: id,
+    ...(weight !== undefined && { weight })
+  });
+
+  describe('constructor', function () {
+    it('should use the provided detection level', function () {
+      expect(new RiskScorer('high').level).to.equal('high');
+    });
+
+    it('should accept detection levels in any case', function () {
+      expect(new RiskScorer('LOW').level).to.equal('low');
+    });
+
+    it('should fall back to medium for unknown levels', function () {
+      expect(new RiskScorer('paranoid').level).to.equal('medium');
+      expect(new RiskScorer(undefined).level).to.equal('medium');
+    });
+  });
+
+  describe('assess', function () {
+    it('should accept a bet when no rule fired', function () {
+      const assessment = new RiskScorer('medium').assess([]);
+
+      expect(assessment).to.deep.equal({
+        score: 0,
+        decision: 'accept',
+        level: 'medium',
+        thresholds: RiskScorer.THRESHOLDS.medium,
+        breakdown: []
+      });
+    });
+
+    it('should sum rule weights into the score', function () {
+      const assessment = new RiskScorer('low').assess([
+        rule('a', 'low', 20),
+        rule('b', 'medium', 30)
+      ]);
+
+      expect(assessment.score).to.equal(50);
+      expect(assessment.breakdown.map(entry => entry.weight)).to.deep.equal([20, 30]);
+    });
+
+    it('should fall back to severity weights for rules without a weight', function () {
+      const assessment = new RiskScorer('low').assess([rule('a', 'high')]);
+
+      expect(assessment.score).to.equal(RiskScorer.DEFAULT_WEIGHTS.high);
+    });
+
+    it('should cap the score at 100', function () {
+      const assessment = new RiskScorer('low').assess([
+        rule('a', 'critical', 100),
+        rule('b', 'critical', 100)
+      ]);
+
+      expect(assessment.score).to.equal(100);
+    });
+
+    it('should apply the cut-offs of the detection level', function () {
+      const signals = [rule('a', 'medium', 30)];
+
+      expect(new RiskScorer('low').assess(signals).decision).to.equal('accept');
+      expect(new RiskScorer('high').assess(signals).decision).to.equal('review');
+      expect(new RiskScorer('high').assess([...signals, rule('b', 'low', 20)]).decision).to.equal('reject');
+    });
+  });
+
+  describe('setLevel', function () {
+    it('should change the thresholds used for decisions', function () {
+      const scorer = new RiskScorer('low');
+      scorer.setLevel('high');
+
+      expect(scorer.getThresholds()).to.deep.equal(RiskScorer.THRESHOLDS.high);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for the fraud RuleEngine
+ */
+const { expect } = require('chai');
+const path = require('path');
+const RuleEngine = require('../../../src/mockServer/ruleEngine');
+const oddsManipulation = require('../../../src/mockServer/rules/oddsManipulation');
+
+describe('RuleEngine', function () {
+  let engine;
+
+  const buildRule = (overrides = {}) => ({
+    id: 'test-rule',
+    severity: 'medium',
+    fraudType: 'test-fraud',
+    reason: 'Fraud detected: Test rule',
+    evaluate: () => true,
+    ...overrides
+  });
+
+  beforeEach(function () {
+    engine = new RuleEngine();
+  });
+
+  describe('register', function () {
+    it('should register a valid rule', function () {
+      engine.register(buildRule());
+
+      expect(engine.getRules()).to.have.lengthOf(1);
+      expect(engine.getRules()[0]).to.have.property('id', 'test-rule');
+    });
+
+    it('should reject rules without an id', function () {
+      expect(() => engine.register(buildRule({ id: undefined }))).to.throw('Fraud rule must have a string id');
+    });
+
+    it('should reject rules without an evaluate function', function () {
+      expect(() => engine.register(buildRule({ evaluate: 'yes' }))).to.throw('must have an evaluate function');
+    });
+
+    it('should reject rules with an unknown severity', function () {
+      expect(() => engine.register(buildRule({ severity: 'extreme' }))).to.throw('unknown severity');
+    });
+
+    it('should replace a rule registered with the same id', function () {
+      engine.register(buildRule());
+      engine.register(buildRule({ severity: 'high' }));
+
+      expect(engine.getRules()).to.have.lengthOf(1);
+      expect(engine.getRules()[0]).to.have.property('severity', 'high');
+    });
+
+    it('should unregister a rule by id', function () {
+      engine.register(buildRule());
+
+      expect(engine.unregister('test-rule')).to.be.true;
+      expect(engine.getRules()).to.be.empty;
+    });
+  });
+
+  describe('loadDirectory', function () {
+    it('should load the built-in rules directory', function () {
+      engine.loadDirectory(path.join(__dirname, '../../../src/mockServer/rules'));
+
+      const ids = engine.getRules().map(rule => rule.id);
+      expect(ids).to.include.members([
+        'negative-amount',
+        'odds-manipulation',
+        'match-alteration',
+        'timestamp-manipulation',
+        'request-tampering'
+      ]);
+    });
+
+    it('should flag odds the built-in rule cannot compare with the catalog price', function () {
+      const bet = { matchId: 'M-1', selection: 'home', odds: '2.0', amount: 10 };
+      const firedWith = price => Boolean(oddsManipulation.evaluate(bet, {
+        catalog: { oddsTolerance: 0.05, getPrice: () => price }
+      }));
+
+      expect(firedWith(2.0)).to.be.false;
+      expect(firedWith(NaN)).to.be.true;
+      expect(firedWith(() => 2.0)).to.be.true;
+      expect(firedWith(0)).to.be.true;
+    });
+  });
+
+  describe('evaluate', function () {
+    it('should return every rule that fired', function () {
+      engine
+        .register(buildRule({ id: 'first' }))
+        .register(buildRule({ id: 'second', evaluate: () => false }))
+        .register(buildRule({ id: 'third' }));
+
+      const triggered = engine.evaluate({});
+
+      expect(triggered.map(rule => rule.id)).to.deep.equal(['first', 'third']);
+    });
+
+    it('should pass bet data and context to each rule', function () {
+      let received;
+      engine.register(buildRule({
+        evaluate: (betData, context) => {
+          received = { betData, context };
+          return false;
+        }
+      }));
+
+      engine.evaluate({ amount: 10 }, { now: 1000 });
+
+      expect(received.betData).to.deep.equal({ amount: 10 });
+      expect(received.context).to.deep.equal({ now: 1000 });
+    });
+
+    it('should use reason and evidence returned by the rule', function () {
+      engine.register(buildRule({
+        evaluate: () => ({ reason: 'Custom reason', evidence: { field: 'amount' } })
+      }));
+
+      const [triggered] = engine.evaluate({});
+
+      expect(triggered).to.deep.equal({
+        id: 'test-rule',
+        severity: 'medium',
+        fraudType: 'test-fraud',
+        reason: 'Custom reason',
+        evidence: { field: 'amount' }
+      });
+    });
+  });
+
+  describe('getPrimary', function () {
+    it('should pick the most severe triggered rule', function () {
+      const primary = RuleEngine.getPrimary([
+        { id: 'a', severity: 'medium' },
+        { id: 'b', severity: 'critical' },
+        { id: 'c', severity: 'high' }
+      ]);
+
+      expect(primary).to.have.property('id', 'b');
+    });
+
+    it('should keep the first rule on equal severity', function () {
+      const primary = RuleEngine.getPrimary([
+        { id: 'a', severity: 'high' },
+        { id: 'b', severity: 'high' }
+      ]);
+
+      expect(primary).to.have.property('id', 'a');
+    });
+
+    it('should return null when nothing fired', function () {
+      expect(RuleEngine.getPrimary([])).to.be.null;
+    });
+  });
+});
@@ -1,9 +1,14 @@
 /**
  * Unit tests for Mock API Server
  */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { expect } = require('chai');
 const sinon = require('sinon');
 const request = require('supertest');
+const FakeDataGenerator = require('../../../src/utils/fakeDataGenerator');
+const ApiClient = require('../../../src/utils/apiClient');
 
 describe('Mock API Server', function () {
   let app;
@@ -18,6 +23,26 @@ describe('Mock API Server', function () {
     // Clear the require cache to get a fresh instance
     delete require.cache[require.resolve('../../../src/mockServer/server.js')];
     app = require('../../../src/mockServer/server.js');
+
+    // Catalog matches used by the bet tests below
+    ['match-123', 'match-456', 'match-0', 'match-1', 'match-2', 'match-3'].forEach(id => {
+      app.locals.matchCatalog.add({
+        id,
+        sport: 'football',
+        homeTeam: 'Home FC',
+        awayTeam: 'Away FC',
+        kickoffInMinutes: 120,
+        markets: { winner: { home: 2.5, draw: 3.2, away: 1.8 } }
+      });
+    });
+    app.locals.matchCatalog.add({
+      id: 'match-longshot',
+      sport: 'tennis',
+      homeTeam: 'Underdog',
+      awayTeam: 'Favourite',
+      kickoffInMinutes: 120,
+      markets: { winner: { home: 15.0, away: 1.02 } }
+    });
   });
 
   afterEach(function () {
@@ -62,6 +87,102 @@ describe('Mock API Server', function () {
       expect(response.body.user).to.not.have.property('password'); // Should not expose password
     });
 
+    it('should reject attempts to set privileged account fields', async function () {
+      const tampered = {
+        username: 'tamperuser',
+        email: 'tamper@example.com',
+        password: 'TamperPass123',
+        role: 'admin',
+        balance: 1000000
+      };
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send(tampered)
+        .expect(400);
+
+      expect(response.body).to.deep.include({
+        error: 'Fraud detected: Attempt to set privileged account fields',
+        fraudType: 'registration-tampering',
+        fields: ['role', 'balance']
+      });
+      await request(app).post('/auth/login').send({ username: 'tamperuser', password: 'TamperPass123' }).expect(401);
+    });
+
+    it('should record registration tampering in the security events feed', async function () {
+      await request(app)
+        .post('/auth/register')
+        .send({ username: 'idthief', email: 'idthief@example.com', password: 'IdThiefPass123', id: 'admin' })
+        .expect(400);
+
+      const admin = await request(app).post('/auth/login').send({ username: 'admin', password: 'admin-password' });
+      const events = await request(app)
+        .get('/admin/security-events?type=registration_tampering')
+        .set('Authorization', `Bearer ${admin.body.token}`)
+        .expect(200);
+
+      expect(events.body).to.have.lengthOf(1);
+      expect(events.body[0]).to.deep.include({ username: 'idthief', fields: ['id'], fraudType: 'registration-tampering' });
+    });
+
+    it('should reject fields outside the registration form', async function () {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({ username: 'extrauser', email: 'extra@example.com', password: 'ExtraPass123', referralBonus: 500 })
+        .expect(400);
+
+      expect(response.body).to.deep.equal({ error: 'Unknown registration fields', fields: ['referralBonus'] });
+    });
+
+    it('should reject applicants under the minimum age of their jurisdiction', async function () {
+      const seventeen = new Date();
+      seventeen.setUTCFullYear(seventeen.getUTCFullYear() - 17);
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          username: 'younguser',
+          email: 'young@example.com',
+          password: 'YoungPass123',
+          dateOfBirth: seventeen.toISOString().split('T')[0],
+          address: { country: 'Portugal' }
+        })
+        .expect(400);
+
+      expect(response.body).to.include({
+        error: 'Identity check failed: Applicant is under the minimum age of 18',
+        fraudType: 'underage-registration'
+      });
+    });
+
+    it('should reject disposable emails and malformed phone numbers', async function () {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({ username: 'throwaway', email: 'throwaway@mailinator.com', password: 'ThrowPass123', phoneNumber: '000' })
+        .expect(400);
+
+      expect(response.body).to.have.property('fraudType', 'synthetic-identity');
+      expect(response.body.failedChecks.map(check => check.id)).to.deep.equal(['disposable-email', 'malformed-phone']);
+    });
+
+    it('should reject a near-duplicate identity and flag the original account', async function () {
+      const original = FakeDataGenerator.generateUserData();
+      const registered = await request(app).post('/auth/register').send(original).expect(201);
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send(FakeDataGenerator.generateNearDuplicateUserData(original))
+        .expect(400);
+      const status = await request(app)
+        .get('/users/account-status')
+        .set('Authorization', `Bearer ${registered.body.token}`)
+        .expect(200);
+
+      expect(response.body).to.have.property('fraudType', 'duplicate-identity');
+      expect(JSON.stringify(response.body)).to.not.include(registered.body.user.id);
+      expect(status.body.flags[0]).to.include({ type: 'duplicate_identity', fraudType: 'duplicate-identity' });
+    });
+
     it('should reject registration with missing required fields', async function () {
       const incompleteData = {
         username: 'testuser123'
@@ -194,6 +315,317 @@ describe('Mock API Server', function () {
     });
   });
 
+  describe('Login Protection', function () {
+    const credentials = { username: 'guardeduser', password: 'GuardedPass123' };
+    let userToken;
+
+    const attemptLogin = (loginData, ip = '203.0.113.7') => request(app)
+      .post('/auth/login')
+      .set('X-Forwarded-For', ip)
+      .send(loginData);
+
+    const failLogins = async (times, username = credentials.username, ip = undefined) => {
+      for (let i = 0; i < times; i++) {
+        // Attempts are sequential so the lockout lands on a known attempt
+        await attemptLogin({ username, password: 'WrongPass123' }, ip).expect(401);
+      }
+    };
+
+    const adminGet = async (url) => {
+      const admin = await attemptLogin({ username: 'admin', password: 'admin-password' }, '10.0.0.1');
+      return request(app).get(url).set('Authorization', `Bearer ${admin.body.token}`).expect(200);
+    };
+
+    beforeEach(async function () {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({ ...credentials, email: 'guarded@example.com' })
+        .expect(201);
+      userToken = response.body.token;
+    });
+
+    it('should lock the account after repeated failed logins', async function () {
+      await failLogins(5);
+
+      const response = await attemptLogin(credentials).expect(429);
+
+      expect(response.body).to.include({ error: 'Too many failed login attempts', code: 'ACCOUNT_LOCKED', retryAfter: 60 });
+      expect(response.headers['retry-after']).to.equal('60');
+      await attemptLogin(credentials, '198.51.100.50').expect(429);
+    });
+
+    it('should flag the targeted account as brute force', async function () {
+      await failLogins(5);
+
+      const status = await request(app)
+        .get('/users/account-status')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(status.body.flags[0]).to.include({ type: 'brute_force', fraudType: 'brute-force' });
+      expect(status.body.flags[0].evidence).to.include({ ip: '203.0.113.7', failures: 5 });
+    });
+
+    it('should forget failures after a successful login', async function () {
+      await failLogins(4);
+      await attemptLogin(credentials).expect(200);
+      await failLogins(4);
+
+      await attemptLogin(credentials).expect(200);
+    });
+
+    it('should detect credential stuffing and lock the source IP', async function () {
+      const stuffedUsernames = [credentials.username].concat(
+        Array.from({ length: 9 }, (value, i) => `leaked-user-${i}`)
+      );
+      for (const username of stuffedUsernames) {
+        await attemptLogin({ username, password: 'Summer2024!' }, '198.51.100.23').expect(401);
+      }
+
+      const blocked = await attemptLogin(credentials, '198.51.100.23').expect(429);
+      await attemptLogin(credentials, '203.0.113.99').expect(200);
+
+      expect(blocked.body).to.have.property('code', 'IP_LOCKED');
+      const status = await request(app)
+        .get('/users/account-status')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(status.body.flags[0]).to.include({ type: 'credential_stuffing', fraudType: 'credential-stuffing' });
+    });
+
+    it('should publish login events in the security events feed', async function () {
+      await failLogins(5, credentials.username, '198.51.100.77');
+      await attemptLogin(credentials, '198.51.100.77').expect(429);
+
+      const lockouts = await adminGet('/admin/security-events?type=account_lockout');
+      const fromIp = await adminGet('/admin/security-events?ip=198.51.100.77');
+
+      expect(lockouts.body).to.have.lengthOf(1);
+      expect(lockouts.body[0]).to.include({ username: credentials.username, ip: '198.51.100.77', lockoutCount: 1 });
+      expect(fromIp.body.map(event => event.type)).to.deep.equal([
+        'locked_login_attempt',
+        'account_lockout',
+        'login_failure',
+        'login_failure',
+        'login_failure',
+        'login_failure',
+        'login_failure'
+      ]);
+    });
+  });
+
+  describe('Multi-Account Linkage', function () {
+    const phone = { 'X-Device-Id': 'shared-phone', 'X-Device-Model': 'Pixel 7', 'X-Device-OS': 'Android 14' };
+
+    const registerOn = (index, headers = phone) => request(app)
+      .post('/auth/register')
+      .set(headers)
+      .set('X-Forwarded-For', '203.0.113.40')
+      .send({ username: `linked${index}`, email: `linked${index}@example.com`, password: 'LinkedPass123' })
+      .expect(201);
+
+    const getStatus = token => request(app)
+      .get('/users/account-status')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const adminGet = async (url) => {
+      const admin = await request(app).post('/auth/login').send({ username: 'admin', password: 'admin-password' });
+      return request(app).get(url).set('Authorization', `Bearer ${admin.body.token}`).expect(200);
+    };
+
+    it('should flag ten accounts opened on one phone', async function () {
+      const registered = [];
+      for (let i = 0; i < 10; i++) {
+        // Sequential, so the threshold is crossed on a known registration
+        registered.push(await registerOn(i));
+      }
+
+      const first = await getStatus(registered[0].body.token);
+      const groups = await adminGet('/admin/linkage?kind=device');
+
+      expect(first.body.flags).to.have.lengthOf(2);
+      expect(first.body.flags[0]).to.include({ type: 'multi_account', fraudType: 'multi-accounting' });
+      expect(first.body.flags[0].evidence).to.include({ kind: 'device', threshold: 3 });
+      expect(first.body.flags[0].evidence.linkedAccounts).to.have.lengthOf(3);
+      expect(groups.body).to.have.lengthOf(1);
+      expect(Object.keys(groups.body[0].accounts)).to.have.lengthOf(10);
+    });
+
+    it('should not link accounts on different devices', async function () {
+      const registered = [];
+      for (let i = 0; i < 4; i++) {
+        registered.push(await registerOn(i, { 'X-Device-Id': `phone-${i}` }));
+      }
+
+      const status = await getStatus(registered[0].body.token);
+
+      expect(status.body.flags).to.be.empty;
+    });
+
+    it('should link accounts seen on the same phone at login and bet time', async function () {
+      const registered = [];
+      for (let i = 0; i < 4; i++) {
+        registered.push(await registerOn(i, {}));
+      }
+      for (let i = 0; i < 3; i++) {
+        await request(app).post('/auth/login').set(phone)
+          .send({ username: `linked${i}`, password: 'LinkedPass123' }).expect(200);
+      }
+
+      const response = await request(app)
+        .post('/bets/place')
+        .set(phone)
+        .set('Authorization', `Bearer ${registered[3].body.token}`)
+        .send({ matchId: 'match-123', amount: 50, odds: '2.5', selection: 'home' })
+        .expect(201);
+
+      expect(response.body.riskAssessment).to.include({ score: 35, decision: 'accept' });
+      expect(response.body.riskAssessment.breakdown.map(entry => entry.ruleId)).to.deep.equal(['multi-account']);
+    });
+
+    it('should link accounts depositing with the same card', async function () {
+      const paymentInfo = { cardNumber: '4111 1111 1111 1111' };
+      const first = await registerOn(0, {});
+      const second = await registerOn(1, {});
+
+      await request(app).post('/wallet/deposit').set('Authorization', `Bearer ${first.body.token}`)
+        .send({ amount: 100, paymentInfo }).expect(201);
+      await request(app).post('/wallet/deposit').set('Authorization', `Bearer ${second.body.token}`)
+        .send({ amount: 100, paymentInfo }).expect(201);
+
+      const status = await getStatus(first.body.token);
+      const user = await adminGet(`/admin/users/${first.body.user.id}`);
+
+      expect(status.body.flags[0]).to.include({ type: 'multi_account', reason: 'Fraud detected: Payment details shared by several accounts' });
+      expect(user.body.linkedAccounts[0]).to.deep.include({ kind: 'payment', linkedAccounts: [second.body.user.id] });
+    });
+  });
+
+  describe('Sessions', function () {
+    const credentials = { username: 'sessionuser', password: 'SessionPass123' };
+    let registered;
+
+    const getHistory = token => request(app)
+      .get('/bets/history')
+      .set('Authorization', `Bearer ${token}`);
+
+    const login = () => request(app).post('/auth/login').send(credentials).expect(200);
+
+    beforeEach(async function () {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({ ...credentials, email: 'session@example.com' })
+        .expect(201);
+      registered = response.body;
+    });
+
+    it('should issue signed tokens with a refresh token and an expiry', function () {
+      expect(registered.token.split('.')).to.have.lengthOf(3);
+      expect(registered).to.have.property('refreshToken');
+      expect(new Date(registered.expiresAt).getTime()).to.be.greaterThan(Date.now());
+    });
+
+    it('should reject forged tokens', async function () {
+      const forged = Buffer.from(`${registered.user.id}:${Date.now()}`).toString('base64');
+
+      const response = await getHistory(forged).expect(401);
+
+      expect(response.body).to.deep.equal({ error: 'Unauthorized: Invalid token', code: 'TOKEN_INVALID' });
+    });
+
+    it('should reject expired tokens', async function () {
+      app.locals.sessionManager.settings.ttlMs = 0;
+      const { body } = await login();
+
+      const response = await getHistory(body.token).expect(401);
+
+      expect(response.body).to.deep.equal({ error: 'Unauthorized: Token expired', code: 'TOKEN_EXPIRED' });
+    });
+
+    it('should revoke the session on logout', async function () {
+      await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${registered.token}`)
+        .expect(200);
+
+      const response = await getHistory(registered.token).expect(401);
+
+      expect(response.body).to.deep.equal({ error: 'Unauthorized: Token revoked', code: 'TOKEN_REVOKED' });
+    });
+
+    it('should end every session when logging out everywhere', async function () {
+      const { body } = await login();
+
+      const response = await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ all: true })
+        .expect(200);
+
+      expect(response.body.revokedSessions).to.have.lengthOf(2);
+      await getHistory(registered.token).expect(401);
+    });
+
+    it('should refresh tokens and retire the old access token', async function () {
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: registered.refreshToken })
+        .expect(200);
+
+      expect(response.body.refreshToken).to.not.equal(registered.refreshToken);
+      await getHistory(response.body.token).expect(200);
+      await getHistory(registered.token).expect(401);
+    });
+
+    it('should flag session hijacking when a refresh token is reused', async function () {
+      await request(app).post('/auth/refresh').send({ refreshToken: registered.refreshToken }).expect(200);
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: registered.refreshToken })
+        .expect(401);
+
+      expect(response.body).to.have.property('code', 'REFRESH_TOKEN_REUSED');
+      const { body } = await login();
+      const status = await request(app)
+        .get('/users/account-status')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+      expect(status.body.flags[0]).to.include({ type: 'session_hijacking', fraudType: 'session-hijacking' });
+    });
+
+    it('should require a refresh token', async function () {
+      const response = await request(app).post('/auth/refresh').send({}).expect(400);
+
+      expect(response.body).to.have.property('error', 'Missing refresh token');
+    });
+
+    it('should cap concurrent sessions by revoking the oldest', async function () {
+      app.locals.sessionManager.settings.maxSessions = 1;
+
+      const { body } = await login();
+
+      await getHistory(body.token).expect(200);
+      await getHistory(registered.token).expect(401);
+    });
+
+    it('should end all sessions when an admin blocks the account', async function () {
+      const admin = await request(app)
+        .post('/auth/login')
+        .send({ username: 'admin', password: 'admin-password' });
+
+      await request(app)
+        .post(`/admin/users/${registered.user.id}/block`)
+        .set('Authorization', `Bearer ${admin.body.token}`)
+        .send({ reason: 'Account takeover' })
+        .expect(200);
+
+      const response = await getHistory(registered.token).expect(401);
+      expect(response.body).to.have.property('code', 'TOKEN_REVOKED');
+    });
+  });
+
   describe('Bet Placement', function () {
     let authToken;
 
@@ -322,6 +754,146 @@ describe('Mock API Server', function () {
       expect(response.body).to.have.property('fraudType', 'request-tampering');
     });
 
+    it('should report every fraud rule that fired', async function () {
+      const fraudulentBet = {
+        matchId: 'match-123-altered',
+        amount: -50,
+        odds: '2.5',
+        selection: 'home',
+        serverBypass: true
+      };
+
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(fraudulentBet)
+        .expect(400);
+
+      const ruleIds = response.body.triggeredRules.map(rule => rule.id);
+      expect(ruleIds).to.have.members(['negative-amount', 'match-alteration', 'request-tampering']);
+      expect(response.body).to.have.property('fraudType', 'request-tampering');
+    });
+
+    it('should apply fraud rules registered at runtime', async function () {
+      app.locals.ruleEngine.register({
+        id: 'max-stake',
+        severity: 'medium',
+        weight: 100,
+        fraudType: 'stake-limit',
+        reason: 'Fraud detected: Stake above limit',
+        evaluate: betData => betData.amount > 40
+      });
+
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-123', amount: 50, odds: '2.5', selection: 'home' })
+        .expect(400);
+
+      expect(response.body).to.have.property('fraudType', 'stake-limit');
+      expect(response.body.triggeredRules).to.have.lengthOf(1);
+    });
+
+    it('should include the risk assessment in the response', async function () {
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-123', amount: -50, odds: '2.5', selection: 'home' })
+        .expect(400);
+
+      expect(response.body.riskAssessment).to.include({ score: 100, decision: 'reject' });
+      expect(response.body.riskAssessment.breakdown[0]).to.include({ ruleId: 'negative-amount', weight: 100 });
+    });
+
+    it('should hold borderline bets for review at high detection level', async function () {
+      app.locals.riskScorer.setLevel('high');
+
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-longshot', amount: 50, odds: '15.0', selection: 'home' })
+        .expect(201);
+
+      expect(response.body.bet).to.have.property('status', 'under_review');
+      expect(response.body.riskAssessment).to.include({ score: 30, decision: 'review', level: 'high' });
+    });
+
+    it('should accept the same borderline bet at low detection level', async function () {
+      app.locals.riskScorer.setLevel('low');
+
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-longshot', amount: 50, odds: '15.0', selection: 'home' })
+        .expect(201);
+
+      expect(response.body.bet).to.have.property('status', 'pending');
+      expect(response.body.riskAssessment).to.include({ score: 30, decision: 'accept' });
+    });
+
+    it('should reject stacked risk signals once the score reaches the cut-off', async function () {
+      app.locals.riskScorer.setLevel('high');
+
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-longshot', amount: 2000, odds: '15.0', selection: 'home' })
+        .expect(400);
+
+      expect(response.body.riskAssessment).to.include({ score: 50, decision: 'reject' });
+      expect(response.body.triggeredRules.map(rule => rule.id)).to.have.members(['high-stake', 'long-odds']);
+    });
+
+    it('should reject bets on matches missing from the catalog', async function () {
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-999', amount: 50, odds: '2.5', selection: 'home' })
+        .expect(400);
+
+      expect(response.body).to.have.property('fraudType', 'match-alteration');
+      expect(response.body.triggeredRules[0].evidence).to.deep.equal({ matchId: 'match-999' });
+    });
+
+    it('should reject selections the match does not offer', async function () {
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-123', marketType: 'total_goals', amount: 50, odds: '1.9', selection: 'over' })
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'Fraud detected: Selection not offered for this match');
+    });
+
+    it('should reject markets and selections named after inherited object members', async function () {
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-123', marketType: '__proto__', amount: 50, odds: '100', selection: 'toString' })
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'Fraud detected: Selection not offered for this match');
+    });
+
+    it('should accept odds within the catalog tolerance', async function () {
+      await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-123', amount: 50, odds: '2.55', selection: 'home' })
+        .expect(201);
+    });
+
+    it('should reject odds beyond the catalog tolerance', async function () {
+      const response = await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-123', amount: 50, odds: '2.8', selection: 'home' })
+        .expect(400);
+
+      expect(response.body).to.have.property('fraudType', 'odds-manipulation');
+      expect(response.body.triggeredRules[0].evidence).to.include({ requestedOdds: '2.8', catalogOdds: 2.5 });
+    });
+
     it('should flag user account after multiple fraud attempts', async function () {
       const fraudulentBet = {
         matchId: 'match-123',
@@ -350,6 +922,1263 @@ describe('Mock API Server', function () {
     });
   });
 
+  describe('Accumulators', function () {
+    let authToken;
+    const legs = [
+      { matchId: 'match-123', selection: 'home', odds: '2.5' },
+      { matchId: 'match-456', selection: 'away', odds: '1.8' }
+    ];
+
+    const placeAccumulator = (betData, status) => request(app)
+      .post('/bets/place')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ legs, amount: 10, odds: '4.5', ...betData })
+      .expect(status);
+
+    beforeEach(async function () {
+      const registerResponse = await request(app)
+        .post('/auth/register')
+        .send({ username: 'accauser', email: 'acca@example.com', password: 'AccaPass123' });
+
+      authToken = registerResponse.body.token;
+    });
+
+    it('should accept an accumulator priced at the product of its legs', async function () {
+      const response = await placeAccumulator({}, 201);
+
+      expect(response.body.bet).to.include({ odds: '4.5', status: 'pending' });
+      expect(response.body.bet.legs).to.deep.equal(legs);
+      expect(response.body.riskAssessment.breakdown).to.be.empty;
+
+      const history = await request(app)
+        .get('/bets/history')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(history.body[0].legs).to.have.lengthOf(2);
+    });
+
+    it('should reject malformed accumulators', async function () {
+      const oneLeg = await placeAccumulator({ legs: [legs[0]], odds: '2.5' }, 400);
+      const noOdds = await placeAccumulator({ odds: undefined }, 400);
+
+      expect(oneLeg.body).to.have.property('error', 'An accumulator needs at least 2 legs');
+      expect(noOdds.body).to.have.property('error', 'Missing required bet information');
+    });
+
+    it('should reject combined odds that do not match the legs', async function () {
+      const response = await placeAccumulator({ odds: '13.5' }, 400);
+
+      expect(response.body).to.include({ error: 'Fraud detected: Combined odds do not match the legs', fraudType: 'odds-manipulation' });
+      expect(response.body.triggeredRules[0].evidence).to.deep.equal({ requestedOdds: '13.5', legOdds: 4.5, tolerance: 0.01 });
+    });
+
+    it('should reject tampered leg odds', async function () {
+      const response = await placeAccumulator({ legs: [legs[0], { ...legs[1], odds: '5.0' }], odds: '12.5' }, 400);
+
+      expect(response.body).to.have.property('error', 'Fraud detected: Accumulator leg odds tampered');
+      expect(response.body.triggeredRules[0].evidence.legs).to.deep.equal([
+        { leg: 1, matchId: 'match-456', requestedOdds: '5.0', catalogOdds: 1.8 }
+      ]);
+    });
+
+    it('should reject legs on matches missing from the catalog', async function () {
+      const response = await placeAccumulator({ legs: [legs[0], { ...legs[1], matchId: 'match-999' }] }, 400);
+
+      expect(response.body).to.have.property('fraudType', 'match-alteration');
+      expect(response.body.triggeredRules[0].evidence).to.deep.equal({ leg: 1, matchId: 'match-999' });
+    });
+
+    it('should reject correlated legs from the same match', async function () {
+      const correlated = [legs[0], { matchId: 'match-123', selection: 'draw', odds: '3.2' }];
+      const response = await placeAccumulator({ legs: correlated, odds: '8' }, 400);
+
+      expect(response.body).to.have.property('fraudType', 'correlated-legs');
+      expect(response.body.triggeredRules[0].evidence).to.deep.equal({ correlated: [{ matchId: 'match-123', legs: [0, 1] }] });
+    });
+
+    it('should flag legs carrying fields a leg does not have', async function () {
+      const response = await placeAccumulator({ legs: [{ ...legs[0], result: 'won' }, legs[1]] }, 400);
+
+      expect(response.body).to.have.property('fraudType', 'leg-tampering');
+      expect(response.body.triggeredRules[0].evidence).to.deep.equal({ legs: [{ leg: 0, fields: ['result'] }] });
+      expect(response.body.riskAssessment).to.include({ decision: 'reject' });
+    });
+
+    it('should settle once every leg has a result', async function () {
+      const placed = await placeAccumulator({}, 201);
+      const feedKey = { 'X-Feed-Key': 'mock-results-feed-key' };
+
+      const first = await request(app)
+        .post('/results')
+        .set(feedKey)
+        .send({ matchId: 'match-123', markets: { winner: 'home' } })
+        .expect(201);
+      expect(first.body.settled).to.be.empty;
+
+      const second = await request(app)
+        .post('/results')
+        .set(feedKey)
+        .send({ matchId: 'match-456', markets: { winner: 'away' } })
+        .expect(201);
+      expect(second.body.settled).to.deep.equal([
+        { betId: placed.body.betId, userId: second.body.settled[0].userId, status: 'won', payout: 45 }
+      ]);
+    });
+  });
+
+  describe('Past Posting', function () {
+    let authToken;
+    const feedKey = { 'X-Feed-Key': 'mock-results-feed-key' };
+
+    const placeBet = (betData, status) => request(app)
+      .post('/bets/place')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ matchId: 'match-123', amount: 50, odds: '2.5', selection: 'home', ...betData })
+      .expect(status);
+
+    beforeEach(async function () {
+      const registerResponse = await request(app)
+        .post('/auth/register')
+        .send({ username: 'lateuser', email: 'late@example.com', password: 'LatePass123' });
+
+      authToken = registerResponse.body.token;
+    });
+
+    it('should reject bets placed after kickoff by the server clock', async function () {
+      const kickoff = Date.parse(app.locals.matchCatalog.get('match-123').kickoff);
+      app.locals.clock.freeze(kickoff + 90000);
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ username: 'lateuser', password: 'LatePass123' })
+        .expect(200);
+      authToken = login.body.token;
+
+      const response = await placeBet({ timestamp: new Date(kickoff - 60000).toISOString() }, 400);
+
+      expect(response.body).to.include({ error: 'Fraud detected: Bet placed after kickoff', fraudType: 'past-posting' });
+      expect(response.body.triggeredRules[0].evidence).to.include({
+        matchId: 'match-123',
+        state: 'kicked-off',
+        lateByMs: 90000,
+        claimedTimestamp: new Date(kickoff - 60000).toISOString()
+      });
+    });
+
+    it('should reject bets once the feed starts the match', async function () {
+      await request(app)
+        .post('/matches/match-123/start')
+        .set(feedKey)
+        .expect(200);
+
+      const response = await placeBet({}, 400);
+
+      expect(response.body).to.have.property('fraudType', 'past-posting');
+    });
+
+    it('should reject bets on suspended markets and accept them once resumed', async function () {
+      await request(app)
+        .post('/matches/match-123/suspend')
+        .set(feedKey)
+        .send({ marketType: 'winner' })
+        .expect(200);
+
+      const response = await placeBet({}, 400);
+      expect(response.body).to.have.property('error', 'Fraud detected: Bet placed on a suspended market');
+
+      await request(app)
+        .post('/matches/match-123/resume')
+        .set(feedKey)
+        .expect(200);
+      await placeBet({}, 201);
+    });
+
+    it('should reject accumulator legs on finished matches', async function () {
+      await request(app)
+        .post('/results')
+        .set(feedKey)
+        .send({ matchId: 'match-456', markets: { winner: 'away' } })
+        .expect(201);
+
+      const response = await placeBet({
+        matchId: undefined,
+        selection: undefined,
+        legs: [
+          { matchId: 'match-123', selection: 'home', odds: '2.5' },
+          { matchId: 'match-456', selection: 'away', odds: '1.8' }
+        ],
+        odds: '4.5',
+        amount: 10
+      }, 400);
+
+      expect(response.body).to.have.property('error', 'Fraud detected: Bet placed after the match finished');
+      expect(response.body.triggeredRules[0].evidence).to.include({ leg: 1, state: 'finished' });
+    });
+
+    it('should check the feed key and the market', async function () {
+      await request(app)
+        .post('/matches/match-123/start')
+        .expect(401);
+
+      const unknownMarket = await request(app)
+        .post('/matches/match-123/suspend')
+        .set(feedKey)
+        .send({ marketType: 'handicap' })
+        .expect(400);
+      expect(unknownMarket.body).to.have.property('error', 'Unknown market handicap for match match-123');
+
+      await request(app)
+        .post('/matches/NOPE/start')
+        .set(feedKey)
+        .expect(404);
+    });
+  });
+
+  describe('Velocity Detection', function () {
+    let authToken;
+
+    const placeBet = (betData, expectedStatus) => request(app)
+      .post('/bets/place')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ amount: 10, odds: '2.5', selection: 'home', ...betData })
+      .expect(expectedStatus);
+
+    beforeEach(async function () {
+      const registerResponse = await request(app)
+        .post('/auth/register')
+        .send({ username: 'velocityuser', email: 'velocity@example.com', password: 'VelocityPass123' });
+
+      authToken = registerResponse.body.token;
+    });
+
+    it('should reject bets beyond the per-minute limit', async function () {
+      app.locals.velocityTracker.setLimits({ betsPerMinute: 3 });
+
+      for (let i = 0; i < 3; i++) {
+        await placeBet({ matchId: `match-${i}` }, 201);
+      }
+      const response = await placeBet({ matchId: 'match-3' }, 400);
+
+      expect(response.body).to.have.property('fraudType', 'bet-velocity');
+      expect(response.body.triggeredRules[0].evidence).to.include({ betsInWindow: 4, limit: 3 });
+    });
+
+    it('should hold bets beyond the hourly stake limit for review', async function () {
+      app.locals.velocityTracker.setLimits({ stakePerHour: 100 });
+
+      await placeBet({ matchId: 'match-1', amount: 60 }, 201);
+      const response = await placeBet({ matchId: 'match-2', amount: 60 }, 201);
+
+      expect(response.body.bet).to.have.property('status', 'under_review');
+      expect(response.body.riskAssessment.breakdown[0]).to.include({ ruleId: 'stake-velocity' });
+    });
+
+    it('should not let a rejected non-finite amount count towards the hourly stake', async function () {
+      app.locals.velocityTracker.setLimits({ stakePerHour: 100 });
+
+      await placeBet({ matchId: 'match-1', amount: '1e309' }, 400);
+      const response = await placeBet({ matchId: 'match-2', amount: 10 }, 201);
+
+      expect(response.body.bet).to.have.property('status', 'pending');
+    });
+
+    it('should record repeated identical selections with evidence', async function () {
+      app.locals.velocityTracker.setLimits({ repeatedSelections: 2 });
+
+      for (let i = 0; i < 3; i++) {
+        await placeBet({ matchId: 'match-1' }, 201);
+      }
+
+      const statusResponse = await request(app)
+        .get('/users/account-status')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const [flag] = statusResponse.body.flags;
+      expect(flag).to.have.property('type', 'risk_signal');
+      expect(flag.triggeredRules[0]).to.have.property('id', 'repeated-selection');
+      expect(flag.triggeredRules[0].evidence).to.include({ selectionKey: 'match-1|winner|home', repeats: 3 });
+    });
+  });
+
+  describe('Replay Protection', function () {
+    let authToken;
+    const betData = {
+      matchId: 'match-123',
+      amount: 50,
+      odds: '2.5',
+      selection: 'home',
+      transactionId: '3f1c2a9e-7b4d-4c1e-9a6f-2d8e5b7c1a00'
+    };
+
+    const placeBet = (payload, headers = {}) => request(app)
+      .post('/bets/place')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set(headers)
+      .send(payload);
+
+    const getHistory = () => request(app)
+      .get('/bets/history')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    beforeEach(async function () {
+      const registerResponse = await request(app)
+        .post('/auth/register')
+        .send({ username: 'replayuser', email: 'replay@example.com', password: 'ReplayPass123' });
+
+      authToken = registerResponse.body.token;
+    });
+
+    it('should answer an identical replay idempotently', async function () {
+      const first = await placeBet(betData).expect(201);
+      const replay = await placeBet(betData).expect(201);
+
+      expect(replay.headers).to.have.property('idempotent-replayed', 'true');
+      expect(replay.body).to.deep.equal(first.body);
+
+      const history = await getHistory();
+      expect(history.body).to.have.lengthOf(1);
+    });
+
+    it('should flag a transaction id reused with a changed payload', async function () {
+      const first = await placeBet(betData).expect(201);
+      const response = await placeBet({ ...betData, amount: 500 }).expect(400);
+
+      expect(response.body).to.have.property('fraudType', 'replay-attack');
+      expect(response.body.triggeredRules[0].evidence).to.deep.include({
+        originalBetIds: [first.body.betId],
+        sameUser: true
+      });
+    });
+
+    it('should honour the Idempotency-Key header', async function () {
+      const withoutTransactionId = { ...betData };
+      delete withoutTransactionId.transactionId;
+      const headers = { 'Idempotency-Key': 'key-001' };
+
+      await placeBet(withoutTransactionId, headers).expect(201);
+      const replay = await placeBet(withoutTransactionId, headers).expect(201);
+      const tampered = await placeBet({ ...withoutTransactionId, odds: '3.5' }, headers).expect(400);
+
+      expect(replay.headers).to.have.property('idempotent-replayed', 'true');
+      expect(tampered.body).to.have.property('fraudType', 'replay-attack');
+    });
+
+    it('should treat distinct transactions as separate bets', async function () {
+      await placeBet(betData).expect(201);
+      await placeBet({ ...betData, transactionId: '3f1c2a9e-7b4d-4c1e-9a6f-2d8e5b7c1a01' }).expect(201);
+
+      const history = await getHistory();
+      expect(history.body).to.have.lengthOf(2);
+    });
+  });
+
+  describe('Wallet', function () {
+    let authToken;
+
+    const walletRequest = (method, url) => request(app)[method](url)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    beforeEach(async function () {
+      const registerResponse = await request(app)
+        .post('/auth/register')
+        .send({ username: 'walletuser', email: 'wallet@example.com', password: 'WalletPass123' });
+
+      authToken = registerResponse.body.token;
+    });
+
+    it('should open new accounts with the initial balance', async function () {
+      const response = await walletRequest('get', '/wallet/balance').expect(200);
+
+      expect(response.body).to.deep.equal({ balance: 1000, currency: 'USD' });
+    });
+
+    it('should deposit and withdraw funds', async function () {
+      // Withdraw first: withdrawing an unwagered deposit is held as deposit-withdraw cycling
+      const withdrawal = await walletRequest('post', '/wallet/withdraw').send({ amount: 100 }).expect(201);
+      const deposit = await walletRequest('post', '/wallet/deposit').send({ amount: 250 }).expect(201);
+
+      expect(withdrawal.body).to.have.property('balance', 900);
+      expect(deposit.body).to.have.property('balance', 1150);
+      expect(withdrawal.body.transaction).to.include({ type: 'withdrawal', amount: -100 });
+    });
+
+    it('should refuse withdrawals that would overdraw', async function () {
+      const response = await walletRequest('post', '/wallet/withdraw').send({ amount: 5000 }).expect(400);
+
+      expect(response.body).to.include({ error: 'Insufficient funds', code: 'INSUFFICIENT_FUNDS', balance: 1000 });
+    });
+
+    it('should flag invalid wallet amounts as balance manipulation', async function () {
+      const response = await walletRequest('post', '/wallet/deposit').send({ amount: -500 }).expect(400);
+      const status = await walletRequest('get', '/users/account-status').expect(200);
+
+      expect(response.body).to.have.property('fraudType', 'balance-manipulation');
+      expect(status.body.flags[0]).to.include({ type: 'fraud_attempt', fraudType: 'balance-manipulation' });
+    });
+
+    it('should flag non-finite wallet amounts as balance manipulation', async function () {
+      const response = await walletRequest('post', '/wallet/withdraw').send({ amount: '1e309' }).expect(400);
+
+      expect(response.body).to.have.property('fraudType', 'balance-manipulation');
+    });
+
+    it('should reject missing and non-numeric wallet amounts without flagging the account', async function () {
+      for (const body of [{}, { amount: '' }, { amount: 'ten' }, { amount: null }, { amount: [5] }]) {
+        const response = await walletRequest('post', '/wallet/deposit').send(body).expect(400);
+
+        expect(response.body).to.deep.equal({ error: 'Invalid wallet amount', code: 'INVALID_AMOUNT' });
+      }
+      const status = await walletRequest('get', '/users/account-status').expect(200);
+
+      expect(status.body.flags).to.be.empty;
+      expect(status.body.restrictions).to.be.empty;
+      await walletRequest('post', '/wallet/withdraw').send({ amount: 100 }).expect(201);
+    });
+
+    it('should block withdrawals on withdrawal-restricted accounts', async function () {
+      await walletRequest('post', '/bets/place')
+        .send({ matchId: 'match-123', amount: -50, odds: '2.5', selection: 'home' })
+        .expect(400);
+
+      const response = await walletRequest('post', '/wallet/withdraw').send({ amount: 100 }).expect(403);
+
+      expect(response.body).to.have.property('error', 'Withdrawals are restricted on this account');
+      expect(response.body.restrictions).to.include('withdrawal_restricted');
+    });
+
+    it('should debit bet stakes and record them in the ledger', async function () {
+      const bet = await walletRequest('post', '/bets/place')
+        .send({ matchId: 'match-123', amount: 50, odds: '2.5', selection: 'home' })
+        .expect(201);
+
+      const balance = await walletRequest('get', '/wallet/balance').expect(200);
+      const ledger = await walletRequest('get', '/wallet/transactions').expect(200);
+
+      expect(balance.body).to.have.property('balance', 950);
+      expect(ledger.body[1]).to.include({ type: 'bet_stake', amount: -50, betId: bet.body.betId });
+    });
+
+    it('should refuse bets that would overdraw', async function () {
+      await walletRequest('post', '/wallet/withdraw').send({ amount: 980 }).expect(201);
+
+      const response = await walletRequest('post', '/bets/place')
+        .send({ matchId: 'match-123', amount: 50, odds: '2.5', selection: 'home' })
+        .expect(400);
+
+      expect(response.body).to.include({ error: 'Insufficient funds', balance: 20, stake: 50 });
+    });
+
+    it('should require authentication', async function () {
+      await request(app).get('/wallet/balance').expect(401);
+    });
+  });
+
+  describe('Withdrawal Fraud', function () {
+    const credentials = { username: 'cashoutuser', password: 'CashoutPass123' };
+    let authToken;
+
+    const userRequest = (method, url) => request(app)[method](url)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const loginAdmin = async () => {
+      const admin = await request(app).post('/auth/login').send({ username: 'admin', password: 'admin-password' });
+      return (method, url) => request(app)[method](url).set('Authorization', `Bearer ${admin.body.token}`);
+    };
+
+    beforeEach(async function () {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({ ...credentials, email: 'cashout@example.com' })
+        .expect(201);
+      authToken = response.body.token;
+    });
+
+    it('should update profile details', async function () {
+      const response = await userRequest('patch', '/users/profile')
+        .send({ email: 'new-cashout@example.com', phoneNumber: '+44 20 7946 0958' })
+        .expect(200);
+
+      expect(response.body.changes).to.deep.equal(['email', 'phoneNumber']);
+      expect(response.body.user).to.have.property('email', 'new-cashout@example.com');
+    });
+
+    it('should refuse profile fields that cannot be changed', async function () {
+      const response = await userRequest('patch', '/users/profile')
+        .send({ username: 'renamed', role: 'admin' })
+        .expect(400);
+
+      expect(response.body).to.deep.equal({ error: 'Unknown profile fields', fields: ['username', 'role'] });
+    });
+
+    it('should refuse an email already in use or from a disposable domain', async function () {
+      await request(app).post('/auth/register')
+        .send({ username: 'otheruser', email: 'taken@example.com', password: 'OtherPass123' })
+        .expect(201);
+
+      await userRequest('patch', '/users/profile').send({ email: 'taken@example.com' }).expect(409);
+      const disposable = await userRequest('patch', '/users/profile').send({ email: 'cashout@yopmail.com' }).expect(400);
+
+      expect(disposable.body).to.have.property('fraudType', 'synthetic-identity');
+    });
+
+    it('should change the password after checking the current one', async function () {
+      await userRequest('post', '/users/password')
+        .send({ currentPassword: 'WrongPass123', newPassword: 'NewPass123' })
+        .expect(403);
+      await userRequest('post', '/users/password')
+        .send({ currentPassword: credentials.password, newPassword: 'NewPass123' })
+        .expect(200);
+
+      await request(app).post('/auth/login').send(credentials).expect(401);
+      await request(app).post('/auth/login').send({ ...credentials, password: 'NewPass123' }).expect(200);
+    });
+
+    it('should hold a withdrawal right after a password change', async function () {
+      await userRequest('post', '/users/password')
+        .send({ currentPassword: credentials.password, newPassword: 'TakenOver123' })
+        .expect(200);
+
+      const response = await userRequest('post', '/wallet/withdraw').send({ amount: 500 }).expect(202);
+      const status = await userRequest('get', '/users/account-status').expect(200);
+
+      expect(response.body).to.include({ message: 'Withdrawal held for review', balance: 500 });
+      expect(response.body.hold).to.include({ status: 'held', amount: 500, fraudType: 'account-takeover' });
+      expect(response.body.hold.triggeredRules[0].evidence.changes).to.deep.equal(['password']);
+      expect(status.body.holds.map(hold => hold.id)).to.deep.equal([response.body.hold.id]);
+      expect(status.body.flags[0]).to.include({ type: 'withdrawal_hold', holdId: response.body.hold.id });
+    });
+
+    it('should hold deposits withdrawn without wagering', async function () {
+      await userRequest('post', '/wallet/deposit').send({ amount: 300 }).expect(201);
+
+      const cycled = await userRequest('post', '/wallet/withdraw').send({ amount: 300 }).expect(202);
+
+      expect(cycled.body.hold).to.include({ amount: 300, fraudType: 'money-laundering' });
+      expect(cycled.body.hold.triggeredRules[0].evidence).to.include({ deposited: 300, staked: 0, unwagered: 300 });
+    });
+
+    it('should hold the first cycle of ApiClient.runDepositWithdrawCycle', async function () {
+      const warn = sinon.stub(console, 'warn');
+      server = app.listen(0);
+      await new Promise(resolve => server.once('listening', resolve));
+      const apiClient = new ApiClient(`http://127.0.0.1:${server.address().port}`, authToken);
+
+      const campaign = await apiClient.runDepositWithdrawCycle(300);
+
+      expect(campaign).to.include({ cycles: 1, held: true });
+      expect(campaign.hold).to.include({ amount: 300, fraudType: 'money-laundering' });
+      expect(warn.called).to.be.false;
+    });
+
+    it('should hold part of an unwagered deposit withdrawn while the opening balance covers it', async function () {
+      await userRequest('post', '/wallet/deposit').send({ amount: 300 }).expect(201);
+      await userRequest('post', '/bets/place')
+        .send({ matchId: 'match-123', amount: 100, odds: '2.5', selection: 'home' })
+        .expect(201);
+
+      const response = await userRequest('post', '/wallet/withdraw').send({ amount: 50 }).expect(202);
+
+      expect(response.body.hold.triggeredRules[0].evidence).to.include({ deposited: 300, staked: 100, unwagered: 200 });
+    });
+
+    it('should leave withdrawals alone when nothing was deposited recently', async function () {
+      await userRequest('post', '/wallet/withdraw').send({ amount: 300 }).expect(201);
+    });
+
+    it('should allow withdrawing deposits once they have been wagered', async function () {
+      await userRequest('post', '/wallet/deposit').send({ amount: 300 }).expect(201);
+      await userRequest('post', '/bets/place')
+        .send({ matchId: 'match-123', amount: 300, odds: '2.5', selection: 'home' })
+        .expect(201);
+
+      await userRequest('post', '/wallet/withdraw').send({ amount: 1000 }).expect(201);
+    });
+
+    it('should let the back office release or reject held withdrawals', async function () {
+      await userRequest('post', '/wallet/deposit').send({ amount: 300 }).expect(201);
+      const first = await userRequest('post', '/wallet/withdraw').send({ amount: 1300 }).expect(202);
+      await userRequest('post', '/wallet/deposit').send({ amount: 100 }).expect(201);
+      const second = await userRequest('post', '/wallet/withdraw').send({ amount: 100 }).expect(202);
+
+      const adminRequest = await loginAdmin();
+      const held = await adminRequest('get', '/admin/withdrawals?status=held').expect(200);
+      const rejected = await adminRequest('post', `/admin/withdrawals/${first.body.hold.id}/review`)
+        .send({ action: 'reject', note: 'Card chargeback risk' })
+        .expect(200);
+      const released = await adminRequest('post', `/admin/withdrawals/${second.body.hold.id}/review`)
+        .send({ action: 'release' })
+        .expect(200);
+      await adminRequest('post', `/admin/withdrawals/${second.body.hold.id}/review`)
+        .send({ action: 'reject' })
+        .expect(409);
+
+      expect(held.body).to.have.lengthOf(2);
+      expect(rejected.body).to.deep.include({ balance: 1300 });
+      expect(rejected.body.hold).to.include({ status: 'rejected' });
+      expect(released.body.hold).to.include({ status: 'released' });
+      expect((await userRequest('get', '/users/account-status').expect(200)).body.holds).to.be.empty;
+    });
+  });
+
+  describe('Settlement', function () {
+    let authToken;
+    const feedKey = { 'X-Feed-Key': 'mock-results-feed-key' };
+
+    const placeBet = betData => request(app)
+      .post('/bets/place')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ matchId: 'match-123', amount: 50, odds: '2.5', selection: 'home', ...betData })
+      .expect(201);
+
+    beforeEach(async function () {
+      const registerResponse = await request(app)
+        .post('/auth/register')
+        .send({ username: 'settleuser', email: 'settle@example.com', password: 'SettlePass123' });
+
+      authToken = registerResponse.body.token;
+    });
+
+    it('should settle bets from the results feed and credit payouts', async function () {
+      const winner = await placeBet();
+      const loser = await placeBet({ selection: 'away', odds: '1.8' });
+
+      const response = await request(app)
+        .post('/results')
+        .set(feedKey)
+        .send({ matchId: 'match-123', markets: { winner: 'home' } })
+        .expect(201);
+
+      expect(response.body.settled).to.have.lengthOf(2);
+      expect(response.body.settled.find(bet => bet.betId === winner.body.betId)).to.include({ status: 'won', payout: 125 });
+
+      const balance = await request(app)
+        .get('/wallet/balance')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(balance.body).to.have.property('balance', 1025);
+
+      const history = await request(app)
+        .get('/bets/history')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(history.body.find(bet => bet.id === loser.body.betId)).to.include({ status: 'lost', payout: 0 });
+    });
+
+    it('should expose recorded results', async function () {
+      await request(app)
+        .post('/results')
+        .set(feedKey)
+        .send({ matchId: 'match-123', void: true })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/results/match-123')
+        .expect(200);
+
+      expect(response.body).to.include({ matchId: 'match-123', void: true });
+    });
+
+    it('should require the feed key', async function () {
+      const response = await request(app)
+        .post('/results')
+        .send({ matchId: 'match-123', markets: { winner: 'home' } })
+        .expect(401);
+
+      expect(response.body).to.have.property('error', 'Unauthorized: Invalid feed key');
+    });
+
+    it('should flag a bet settled twice as payout tampering', async function () {
+      const bet = await placeBet();
+
+      await request(app)
+        .post(`/settlement/bets/${bet.body.betId}`)
+        .set(feedKey)
+        .send({ outcome: 'won' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/settlement/bets/${bet.body.betId}`)
+        .set(feedKey)
+        .send({ outcome: 'won' })
+        .expect(409);
+
+      expect(response.body).to.include({ code: 'DOUBLE_SETTLEMENT', fraudType: 'payout-tampering' });
+
+      const status = await request(app)
+        .get('/users/account-status')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(status.body.flags[0]).to.include({ type: 'payout_tampering', betId: bet.body.betId });
+      expect(status.body.balance).to.equal(1075);
+    });
+
+    it('should refuse payouts at odds different from the accepted ones', async function () {
+      const bet = await placeBet();
+
+      const response = await request(app)
+        .post(`/settlement/bets/${bet.body.betId}`)
+        .set(feedKey)
+        .send({ outcome: 'won', odds: '25.0' })
+        .expect(409);
+
+      expect(response.body).to.include({ code: 'ODDS_MISMATCH' });
+      expect(response.body.evidence).to.include({ acceptedOdds: '2.5', claimedOdds: '25.0' });
+    });
+
+    it('should refuse to settle a lost bet as won', async function () {
+      // A bet held for review is left pending by the results feed and settled directly later
+      app.locals.velocityTracker.setLimits({ stakePerHour: 10 });
+      const bet = await placeBet();
+      expect(bet.body.bet).to.have.property('status', 'under_review');
+      await request(app)
+        .post('/results')
+        .set(feedKey)
+        .send({ matchId: 'match-123', markets: { winner: 'away' } })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/settlement/bets/${bet.body.betId}`)
+        .set(feedKey)
+        .send({ outcome: 'won' })
+        .expect(409);
+
+      expect(response.body).to.include({ code: 'OUTCOME_MISMATCH', fraudType: 'payout-tampering' });
+      expect(response.body.evidence).to.include({ expectedOutcome: 'lost', claimedOutcome: 'won' });
+
+      const status = await request(app)
+        .get('/users/account-status')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(status.body.flags.map(flag => flag.type)).to.include('payout_tampering');
+      expect(status.body.balance).to.equal(950);
+    });
+  });
+
+  describe('Match Catalog', function () {
+    it('should list catalog matches', async function () {
+      const response = await request(app)
+        .get('/matches')
+        .expect(200);
+
+      expect(response.body).to.be.an('array').that.is.not.empty;
+      expect(response.body[0]).to.have.all.keys('id', 'sport', 'homeTeam', 'awayTeam', 'kickoff', 'status', 'inPlay', 'markets', 'suspendedMarkets');
+    });
+
+    it('should filter matches by sport', async function () {
+      const response = await request(app)
+        .get('/matches?sport=tennis')
+        .expect(200);
+
+      expect(response.body.map(match => match.sport)).to.satisfy(sports => sports.every(sport => sport === 'tennis'));
+    });
+
+    it('should return a single match', async function () {
+      const response = await request(app)
+        .get('/matches/FB-1001')
+        .expect(200);
+
+      expect(response.body).to.include({ id: 'FB-1001', homeTeam: 'Manchester United', awayTeam: 'Liverpool' });
+      expect(response.body.markets.winner).to.have.property('home', 2.6);
+    });
+
+    it('should return 404 for unknown matches', async function () {
+      const response = await request(app)
+        .get('/matches/NOPE')
+        .expect(404);
+
+      expect(response.body).to.have.property('error', 'Match not found');
+    });
+  });
+
+  describe('Admin API', function () {
+    let adminToken;
+    let userToken;
+    let userId;
+
+    const adminRequest = (method, url) => request(app)[method](url)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const attemptFraud = () => request(app)
+      .post('/bets/place')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ matchId: 'match-123', amount: -100, odds: '2.5', selection: 'home' })
+      .expect(400);
+
+    beforeEach(async function () {
+      const loginResponse = await request(app)
+        .post('/auth/login')
+        .send({ username: 'admin', password: 'admin-password' })
+        .expect(200);
+      adminToken = loginResponse.body.token;
+
+      const registerResponse = await request(app)
+        .post('/auth/register')
+        .send({ username: 'flaggeduser', email: 'flagged@example.com', password: 'FlaggedPass123' });
+      userToken = registerResponse.body.token;
+      userId = registerResponse.body.user.id;
+    });
+
+    it('should refuse admin routes to regular users', async function () {
+      const response = await request(app)
+        .get('/admin/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body).to.have.property('error', 'Forbidden: Admin access required');
+    });
+
+    it('should require authentication for admin routes', async function () {
+      await request(app).get('/admin/flags').expect(401);
+    });
+
+    it('should list users with their flag counts and restrictions', async function () {
+      await attemptFraud();
+
+      const response = await adminRequest('get', '/admin/users?flagged=true').expect(200);
+
+      expect(response.body).to.have.lengthOf(1);
+      expect(response.body[0]).to.include({ id: userId, status: 'active', openFlags: 1, fraudWarnings: 1 });
+      expect(response.body[0].restrictions).to.include('betting_restricted');
+    });
+
+    it('should list flags across users filtered by type', async function () {
+      await attemptFraud();
+      await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ matchId: 'match-longshot', amount: 50, odds: '15.0', selection: 'home' })
+        .expect(201);
+
+      const response = await adminRequest('get', '/admin/flags?type=fraud_attempt').expect(200);
+
+      expect(response.body).to.have.lengthOf(1);
+      expect(response.body[0]).to.include({ userId, type: 'fraud_attempt', status: 'open' });
+      expect(response.body[0].id).to.match(/^FLAG-/);
+    });
+
+    it('should clear a flag as a false positive and lift the restrictions', async function () {
+      await attemptFraud();
+      const flags = await adminRequest('get', `/admin/users/${userId}/flags`).expect(200);
+
+      const response = await adminRequest('post', `/admin/users/${userId}/flags/${flags.body[0].id}/review`)
+        .send({ action: 'clear', note: 'Client sent a refund amount by mistake' })
+        .expect(200);
+
+      expect(response.body.flag).to.have.property('status', 'cleared');
+      expect(response.body.flag.reviews[0]).to.include({ action: 'clear', reviewedBy: 'admin' });
+      expect(response.body.user).to.include({ fraudWarnings: 0 });
+      expect(response.body.user.restrictions).to.be.empty;
+    });
+
+    it('should restrict the account when a flag is escalated', async function () {
+      await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ matchId: 'match-longshot', amount: 50, odds: '15.0', selection: 'home' })
+        .expect(201);
+      const flags = await adminRequest('get', `/admin/users/${userId}/flags?type=risk_signal`).expect(200);
+
+      const response = await adminRequest('post', `/admin/users/${userId}/flags/${flags.body[0].id}/review`)
+        .send({ action: 'escalate' })
+        .expect(200);
+
+      expect(response.body.flag).to.have.property('status', 'escalated');
+      expect(response.body.user.restrictions).to.deep.equal(['betting_restricted', 'withdrawal_restricted']);
+    });
+
+    it('should reject unknown review actions and flags', async function () {
+      await attemptFraud();
+      const flags = await adminRequest('get', `/admin/users/${userId}/flags`).expect(200);
+
+      const invalidAction = await adminRequest('post', `/admin/users/${userId}/flags/${flags.body[0].id}/review`)
+        .send({ action: 'ignore' })
+        .expect(400);
+      await adminRequest('post', `/admin/users/${userId}/flags/FLAG-unknown/review`)
+        .send({ action: 'clear' })
+        .expect(404);
+
+      expect(invalidAction.body.allowedActions).to.deep.equal(['confirm', 'clear', 'escalate']);
+    });
+
+    it('should reinstate a blocked account and clear its fraud attempts', async function () {
+      await attemptFraud();
+      await attemptFraud();
+      await attemptFraud();
+
+      const blocked = await adminRequest('get', `/admin/users/${userId}`).expect(200);
+      expect(blocked.body).to.include({ status: 'blocked', fraudWarnings: 3 });
+      expect(blocked.body.flags).to.have.lengthOf(3);
+
+      const response = await adminRequest('post', `/admin/users/${userId}/unblock`)
+        .send({ note: 'Verified with the customer', clearFlags: true })
+        .expect(200);
+
+      expect(response.body.user).to.include({ status: 'active', fraudWarnings: 0 });
+      expect(response.body.clearedFlags).to.have.lengthOf(3);
+
+      await request(app)
+        .post('/auth/login')
+        .send({ username: 'flaggeduser', password: 'FlaggedPass123' })
+        .expect(200);
+    });
+
+    it('should block an account and refuse to unblock an active one', async function () {
+      await adminRequest('post', `/admin/users/${userId}/unblock`).send({}).expect(409);
+
+      const response = await adminRequest('post', `/admin/users/${userId}/block`)
+        .send({ reason: 'Chargeback fraud' })
+        .expect(200);
+
+      expect(response.body.user).to.have.property('status', 'blocked');
+      await adminRequest('post', `/admin/users/${userId}/block`).send({}).expect(409);
+    });
+
+    it('should return 404 for unknown users', async function () {
+      const response = await adminRequest('get', '/admin/users/unknown-user').expect(404);
+
+      expect(response.body).to.have.property('error', 'User not found');
+    });
+  });
+
+  describe('Test Control', function () {
+    const fixture = {
+      users: [
+        { id: 'seed-1', username: 'seeduser', email: 'seed@example.com', password: 'SeedPass123', balance: 250 }
+      ],
+      bets: [
+        { id: 'BET-SEED-1', userId: 'seed-1', matchId: 'match-123', selection: 'home', odds: '2.5', amount: 20 }
+      ],
+      flags: [
+        { userId: 'seed-1', type: 'fraud_attempt', reason: 'Seeded fraud attempt' }
+      ]
+    };
+
+    it('should reset users and the match catalog to the startup state', async function () {
+      await request(app)
+        .post('/auth/register')
+        .send({ username: 'resetuser', email: 'reset@example.com', password: 'ResetPass123' })
+        .expect(201);
+
+      await request(app).post('/__control/reset').expect(200);
+
+      await request(app)
+        .post('/auth/login')
+        .send({ username: 'resetuser', password: 'ResetPass123' })
+        .expect(401);
+      await request(app)
+        .post('/auth/login')
+        .send({ username: 'admin', password: 'admin-password' })
+        .expect(200);
+      await request(app).get('/matches/match-123').expect(404);
+      await request(app).get('/matches/FB-1001').expect(200);
+    });
+
+    it('should seed users, bets and flags from a fixture', async function () {
+      const response = await request(app)
+        .post('/__control/seed')
+        .send(fixture)
+        .expect(201);
+
+      expect(response.body.seeded).to.include({ bets: 1, flags: 1, matches: 0 });
+      const token = response.body.seeded.users[0].token;
+
+      const history = await request(app)
+        .get('/bets/history')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      const status = await request(app)
+        .get('/users/account-status')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(history.body[0]).to.include({ id: 'BET-SEED-1', status: 'pending' });
+      expect(status.body).to.include({ balance: 250, fraudWarnings: 1 });
+      expect(status.body.restrictions).to.include('betting_restricted');
+    });
+
+    it('should reject fixtures that reference unknown users', async function () {
+      const response = await request(app)
+        .post('/__control/seed')
+        .send({ bets: [{ userId: 'nobody', matchId: 'match-123' }] })
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'Seeded bets need a matchId and the id of a known user');
+    });
+
+    it('should restore a snapshot taken before a test ran', async function () {
+      await request(app).post('/__control/seed').send(fixture).expect(201);
+      await request(app).post('/__control/snapshot').send({ name: 'seeded' }).expect(201);
+
+      const registerResponse = await request(app)
+        .post('/auth/register')
+        .send({ username: 'lateuser', email: 'late@example.com', password: 'LatePass123' });
+      const loginResponse = await request(app)
+        .post('/auth/login')
+        .send({ username: 'seeduser', password: 'SeedPass123' });
+      await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .send({ matchId: 'match-123', amount: 100, odds: '2.5', selection: 'home' })
+        .expect(201);
+
+      const restored = await request(app).post('/__control/restore').send({ name: 'seeded' }).expect(200);
+
+      expect(restored.body).to.include({ name: 'seeded', bets: 1 });
+      await request(app)
+        .get('/bets/history')
+        .set('Authorization', `Bearer ${registerResponse.body.token}`)
+        .expect(401);
+      const balance = await request(app)
+        .post('/auth/login')
+        .send({ username: 'seeduser', password: 'SeedPass123' })
+        .then(login => request(app).get('/wallet/balance').set('Authorization', `Bearer ${login.body.token}`));
+      expect(balance.body).to.have.property('balance', 250);
+    });
+
+    it('should return 404 for unknown snapshots', async function () {
+      const response = await request(app).post('/__control/restore').send({ name: 'missing' }).expect(404);
+
+      expect(response.body).to.have.property('error', 'Snapshot not found');
+    });
+
+    describe('clock', function () {
+      const setClock = body => request(app).post('/__control/clock').send(body);
+
+      it('should time bets by the frozen clock and past-post them once it passes kickoff', async function () {
+        const kickoff = Date.parse(app.locals.matchCatalog.get('match-123').kickoff);
+        const frozen = await setClock({ action: 'freeze', time: kickoff - 60000 }).expect(200);
+        expect(frozen.body).to.include({ now: new Date(kickoff - 60000).toISOString(), frozen: true });
+
+        const { body: { token } } = await request(app)
+          .post('/auth/register')
+          .send({ username: 'clockuser', email: 'clock@example.com', password: 'ClockPass123' });
+        const placeBet = () => request(app)
+          .post('/bets/place')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ matchId: 'match-123', amount: 10, odds: '2.5', selection: 'home' });
+
+        await placeBet().expect(201);
+
+        await setClock({ action: 'advance', ms: 120000 }).expect(200);
+        const late = await placeBet().expect(400);
+
+        expect(late.body).to.have.property('fraudType', 'past-posting');
+        expect(late.body.triggeredRules[0].evidence).to.include({ lateByMs: 60000 });
+
+        const history = await request(app).get('/bets/history').set('Authorization', `Bearer ${token}`);
+        expect(history.body[0]).to.have.property('createdAt', new Date(kickoff - 60000).toISOString());
+      });
+
+      it('should expire sessions when the clock moves past their lifetime', async function () {
+        const { body: { token } } = await request(app)
+          .post('/auth/register')
+          .send({ username: 'expiryuser', email: 'expiry@example.com', password: 'ExpiryPass123' });
+
+        await setClock({ action: 'advance', ms: app.locals.sessionManager.settings.ttlMs + 1000 }).expect(200);
+
+        const response = await request(app)
+          .get('/bets/history')
+          .set('Authorization', `Bearer ${token}`)
+          .expect(401);
+        expect(response.body).to.have.property('code', 'TOKEN_EXPIRED');
+      });
+
+      it('should go back to real time on reset', async function () {
+        await setClock({ action: 'set', time: '2030-01-01T00:00:00.000Z' }).expect(200);
+
+        await request(app).post('/__control/reset').expect(200);
+
+        const response = await request(app).get('/__control/clock').expect(200);
+        expect(response.body).to.include({ frozen: false, offsetMs: 0 });
+      });
+
+      it('should reject unknown actions and invalid times', async function () {
+        const unknown = await setClock({ action: 'rewind' }).expect(400);
+        const invalid = await setClock({ action: 'set', time: 'tomorrow' }).expect(400);
+
+        expect(unknown.body.allowedActions).to.deep.equal(['freeze', 'unfreeze', 'advance', 'set', 'reset']);
+        expect(invalid.body).to.have.property('error', 'Time must be milliseconds since the epoch or an ISO date');
+      });
+    });
+
+    describe('faults', function () {
+      let token;
+
+      const addFault = rule => request(app).post('/__control/faults').send(rule).expect(201);
+      const placeBet = () => request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ matchId: 'match-123', amount: 10, odds: '2.5', selection: 'home' });
+      const rawText = (res, callback) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      };
+
+      beforeEach(async function () {
+        const registered = await request(app)
+          .post('/auth/register')
+          .send({ username: 'chaosuser', email: 'chaos@example.com', password: 'ChaosPass123' });
+        token = registered.body.token;
+      });
+
+      it('should answer with the injected error and never place the bet', async function () {
+        await addFault({ path: '/bets/place', method: 'POST', errorRate: 1, errorStatus: 502 });
+
+        const response = await placeBet().expect(502);
+
+        expect(response.body).to.deep.equal({ error: 'Injected fault', code: 'INJECTED_FAULT' });
+        expect(response.headers).to.have.property('x-injected-fault', 'error');
+        const history = await request(app).get('/bets/history').set('Authorization', `Bearer ${token}`).expect(200);
+        expect(history.body).to.be.empty;
+      });
+
+      it('should add latency', async function () {
+        await addFault({ path: '/matches', latencyMs: 60 });
+
+        const started = Date.now();
+        await request(app).get('/matches').expect(200);
+
+        expect(Date.now() - started).to.be.at.least(55);
+      });
+
+      it('should truncate JSON bodies', async function () {
+        await addFault({ path: '/matches/:id', truncateRate: 1 });
+
+        const response = await request(app).get('/matches/match-123').buffer(true).parse(rawText).expect(200);
+
+        expect(response.headers['content-type']).to.include('application/json');
+        expect(() => JSON.parse(response.body)).to.throw(SyntaxError);
+        expect(JSON.stringify(app.locals.matchCatalog.get('match-123'))).to.include(response.body);
+      });
+
+      it('should drip the body out in small chunks', async function () {
+        await addFault({ path: '/health', dripMs: 5, dripChunkBytes: 16 });
+
+        const started = Date.now();
+        const response = await request(app).get('/health').expect(200);
+
+        expect(response.body).to.have.property('status', 'OK');
+        expect(Date.now() - started).to.be.at.least(5 * (Math.ceil(JSON.stringify(response.body).length / 16) - 1) - 5);
+      });
+
+      it('should drop the connection', async function () {
+        await addFault({ path: '/health', dropRate: 1 });
+
+        let error;
+        try {
+          await request(app).get('/health');
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).to.have.property('code', 'ECONNRESET');
+      });
+
+      it('should list, remove and clear fault rules and log the injected faults', async function () {
+        const { body: { rule } } = await addFault({ path: '/bets/place', errorRate: 1 });
+        await addFault({ path: '/wallet/*', latencyMs: 1 });
+        await placeBet().expect(503);
+
+        const state = await request(app).get('/__control/faults').expect(200);
+        expect(state.body.rules).to.have.lengthOf(2);
+        expect(state.body.injected).to.deep.include({
+          ruleId: rule.id,
+          method: 'POST',
+          path: '/bets/place',
+          faults: ['error'],
+          at: state.body.injected[0].at
+        });
+
+        await request(app).delete(`/__control/faults/${rule.id}`).expect(200);
+        await request(app).delete(`/__control/faults/${rule.id}`).expect(404);
+        await placeBet().expect(201);
+
+        await request(app).delete('/__control/faults').expect(200);
+        const cleared = await request(app).get('/__control/faults').expect(200);
+        expect(cleared.body.rules).to.be.empty;
+      });
+
+      it('should reject invalid fault rules', async function () {
+        const response = await request(app).post('/__control/faults').send({ path: '/bets/place', errorRate: 5 }).expect(400);
+
+        expect(response.body.error).to.include('must be between 0 and 1');
+      });
+    });
+
+    it('should not expose the control routes in production', async function () {
+      const originalEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        delete require.cache[require.resolve('../../../src/mockServer/server.js')];
+        const productionApp = require('../../../src/mockServer/server.js');
+
+        await request(productionApp).post('/__control/reset').expect(404);
+      } finally {
+        if (originalEnv === undefined) {
+          delete process.env.NODE_ENV;
+        } else {
+          process.env.NODE_ENV = originalEnv;
+        }
+      }
+    });
+  });
+
+  describe('Persistent Storage', function () {
+    let tmpDir;
+
+    const loadServer = () => {
+      delete require.cache[require.resolve('../../../src/mockServer/server.js')];
+      return require('../../../src/mockServer/server.js');
+    };
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-server-'));
+    });
+
+    afterEach(function () {
+      delete process.env.MOCK_STORAGE;
+      delete process.env.MOCK_STORAGE_PATH;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    [
+      { driver: 'json', file: 'state.jsonl' },
+      { driver: 'sqlite', file: 'state.sqlite' }
+    ].forEach(({ driver, file }) => {
+      it(`should keep users, bets and balances across restarts with the ${driver} driver`, async function () {
+        process.env.MOCK_STORAGE = driver;
+        process.env.MOCK_STORAGE_PATH = path.join(tmpDir, file);
+
+        const firstRun = loadServer();
+        const registerResponse = await request(firstRun)
+          .post('/auth/register')
+          .send({ username: 'persistuser', email: 'persist@example.com', password: 'PersistPass123' });
+        await request(firstRun)
+          .post('/bets/place')
+          .set('Authorization', `Bearer ${registerResponse.body.token}`)
+          .send({ matchId: 'FB-1001', amount: 100, odds: '2.6', selection: 'home' })
+          .expect(201);
+        firstRun.locals.storage.close();
+
+        const secondRun = loadServer();
+        const history = await request(secondRun)
+          .get('/bets/history')
+          .set('Authorization', `Bearer ${registerResponse.body.token}`)
+          .expect(200);
+        const balance = await request(secondRun)
+          .get('/wallet/balance')
+          .set('Authorization', `Bearer ${registerResponse.body.token}`)
+          .expect(200);
+        secondRun.locals.storage.close();
+
+        expect(history.body).to.have.lengthOf(1);
+        expect(balance.body).to.have.property('balance', 900);
+      });
+    });
+  });
+
   describe('Bet History', function () {
     let authToken;
 
@@ -456,6 +2285,26 @@ describe('Mock API Server', function () {
       expect(response.body).to.have.property('fraudWarnings', 0);
     });
 
+    it('should report the latest risk score and its breakdown', async function () {
+      app.locals.riskScorer.setLevel('high');
+
+      await request(app)
+        .post('/bets/place')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ matchId: 'match-longshot', amount: 50, odds: '15.0', selection: 'home' })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/users/account-status')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).to.have.property('riskScore', 30);
+      expect(response.body.riskAssessments).to.have.lengthOf(1);
+      expect(response.body.riskAssessments[0].breakdown[0]).to.include({ ruleId: 'long-odds', weight: 30 });
+      expect(response.body.flags[0]).to.have.property('type', 'risk_review');
+    });
+
     it('should require authentication for account status', async function () {
       const response = await request(app)
         .get('/users/account-status')
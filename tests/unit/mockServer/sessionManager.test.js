@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the SessionManager
+ */
+const { expect } = require('chai');
+const SessionManager = require('../../../src/mockServer/sessionManager');
+
+describe('SessionManager', function () {
+  let manager;
+
+  // Swap the payload of a token while keeping its signature
+  const withPayload = (token, changes) => {
+    const [header, payload, signature] = token.split('.');
+    const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString()), ...changes };
+    return [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+  };
+
+  beforeEach(function () {
+    manager = new SessionManager({ secret: 'test-secret', ttlMs: 1000, refreshTtlMs: 10000, maxSessions: 2 });
+  });
+
+  describe('create', function () {
+    it('should issue a signed token and a refresh token', function () {
+      const session = manager.create('u1', 0);
+
+      expect(session.token.split('.')).to.have.lengthOf(3);
+      expect(session.refreshToken.startsWith(`${session.sessionId}.`)).to.be.true;
+      expect(session.expiresAt).to.equal(new Date(1000).toISOString());
+      expect(manager.verify(session.token, 500)).to.include({ id: session.sessionId, userId: 'u1' });
+    });
+
+    it('should revoke the oldest sessions beyond the cap', function () {
+      const first = manager.create('u1', 0);
+      manager.create('u1', 1);
+      const third = manager.create('u1', 2);
+
+      expect(third.evictedSessions).to.deep.equal([first.sessionId]);
+      expect(() => manager.verify(first.token, 3)).to.throw('Unauthorized: Token revoked')
+        .with.property('evidence').that.deep.equals({ sessionId: first.sessionId, reason: 'session_limit' });
+    });
+  });
+
+  describe('verify', function () {
+    it('should report expired tokens', function () {
+      const { token } = manager.create('u1', 0);
+
+      expect(() => manager.verify(token, 1000)).to.throw('Unauthorized: Token expired')
+        .with.property('code', 'TOKEN_EXPIRED');
+    });
+
+    it('should report forged tokens', function () {
+      const { token } = manager.create('u1', 0);
+      const otherSecret = new SessionManager({ secret: 'attacker-secret' }).create('u1', 0).token;
+
+      [
+        'not-a-token',
+        withPayload(token, { sub: 'u2' }),
+        withPayload(token, { exp: 9999999999 }),
+        otherSecret,
+        Buffer.from('u1:12345').toString('base64')
+      ].forEach(forged => {
+        expect(() => manager.verify(forged, 1), forged).to.throw('Unauthorized: Invalid token')
+          .with.property('code', 'TOKEN_INVALID');
+      });
+    });
+
+    it('should report revoked tokens', function () {
+      const { sessionId, token } = manager.create('u1', 0);
+      manager.revoke(sessionId, 'logout', 1);
+
+      expect(() => manager.verify(token, 2)).to.throw('Unauthorized: Token revoked')
+        .with.property('code', 'TOKEN_REVOKED');
+    });
+  });
+
+  describe('refresh', function () {
+    it('should rotate both tokens and supersede the old access token', function () {
+      const original = manager.create('u1', 0);
+
+      const refreshed = manager.refresh(original.refreshToken, 900);
+
+      expect(refreshed).to.include({ userId: 'u1', sessionId: original.sessionId });
+      expect(manager.verify(refreshed.token, 1500)).to.have.property('id', original.sessionId);
+      expect(() => manager.verify(original.token, 901)).to.throw().with.property('code', 'TOKEN_REVOKED');
+    });
+
+    it('should revoke the session when a refresh token is reused', function () {
+      const original = manager.create('u1', 0);
+      const refreshed = manager.refresh(original.refreshToken, 100);
+
+      expect(() => manager.refresh(original.refreshToken, 200)).to.throw('Unauthorized: Refresh token reused')
+        .with.property('code', 'REFRESH_TOKEN_REUSED');
+      expect(() => manager.verify(refreshed.token, 300)).to.throw().with.property('code', 'TOKEN_REVOKED');
+      expect(() => manager.refresh(refreshed.refreshToken, 300)).to.throw().with.property('code', 'TOKEN_REVOKED');
+    });
+
+    it('should reject unknown and expired refresh tokens', function () {
+      const { sessionId, refreshToken } = manager.create('u1', 0);
+
+      expect(() => manager.refresh(`${sessionId}.guess`, 1)).to.throw().with.property('code', 'REFRESH_TOKEN_INVALID');
+      expect(() => manager.refresh('garbage', 1)).to.throw().with.property('code', 'REFRESH_TOKEN_INVALID');
+      expect(() => manager.refresh(refreshToken, 10000)).to.throw().with.property('code', 'REFRESH_TOKEN_EXPIRED');
+    });
+  });
+
+  describe('revokeAll', function () {
+    it('should revoke every active session of a user', function () {
+      manager.create('u1', 0);
+      manager.create('u1', 1);
+      const other = manager.create('u2', 2);
+
+      expect(manager.revokeAll('u1', 'logout', 3)).to.have.lengthOf(2);
+      expect(manager.getActive('u1', 3)).to.be.empty;
+      expect(manager.getActive('u2', 3).map(session => session.id)).to.deep.equal([other.sessionId]);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Unit tests for the SettlementEngine
+ */
+const { expect } = require('chai');
+const SettlementEngine = require('../../../src/mockServer/settlement');
+const MatchCatalog = require('../../../src/mockServer/matchCatalog');
+const Wallet = require('../../../src/mockServer/wallet');
+
+describe('SettlementEngine', function () {
+  let bets;
+  let wallet;
+  let catalog;
+  let engine;
+
+  const addBet = (id, overrides = {}) => {
+    bets.set(id, {
+      id,
+      userId: 'u1',
+      matchId: 'M-1',
+      selection: 'home',
+      odds: '2.5',
+      amount: 40,
+      status: 'pending',
+      ...overrides
+    });
+  };
+
+  beforeEach(function () {
+    bets = new Map();
+    wallet = new Wallet(0);
+    catalog = new MatchCatalog(['M-1', 'M-2'].map(id => ({
+      id,
+      sport: 'football',
+      homeTeam: 'Home FC',
+      awayTeam: 'Away FC',
+      markets: { winner: { home: 2.5, draw: 3.0, away: 2.8 }, total_goals: { over: 1.9, under: 1.9 } }
+    })));
+    engine = new SettlementEngine({ bets, wallet, catalog });
+  });
+
+  describe('outcomeFor', function () {
+    const bet = { marketType: 'winner', selection: 'home' };
+
+    it('should settle winning and losing selections', function () {
+      expect(SettlementEngine.outcomeFor(bet, { markets: { winner: 'home' } })).to.equal('won');
+      expect(SettlementEngine.outcomeFor(bet, { markets: { winner: 'away' } })).to.equal('lost');
+    });
+
+    it('should void bets on void matches or markets without a result', function () {
+      expect(SettlementEngine.outcomeFor(bet, { void: true, markets: {} })).to.equal('void');
+      expect(SettlementEngine.outcomeFor(bet, { markets: { total_goals: 'over' } })).to.equal('void');
+      expect(SettlementEngine.outcomeFor(bet, { markets: { winner: 'void' } })).to.equal('void');
+    });
+  });
+
+  describe('recordResult', function () {
+    it('should settle pending bets and credit payouts', function () {
+      addBet('B-1');
+      addBet('B-2', { selection: 'away' });
+
+      const summary = engine.recordResult('M-1', { markets: { winner: 'home' } });
+
+      expect(summary.settled).to.deep.equal([
+        { betId: 'B-1', userId: 'u1', status: 'won', payout: 100 },
+        { betId: 'B-2', userId: 'u1', status: 'lost', payout: 0 }
+      ]);
+      expect(wallet.getBalance('u1')).to.equal(100);
+      expect(catalog.get('M-1').status).to.equal('finished');
+    });
+
+    it('should skip bets that are not pending', function () {
+      addBet('B-1', { status: 'under_review' });
+
+      const summary = engine.recordResult('M-1', { markets: { winner: 'home' } });
+
+      expect(summary.settled).to.be.empty;
+      expect(summary.skipped).to.deep.equal([{ betId: 'B-1', status: 'under_review' }]);
+    });
+
+    it('should refund stakes on void matches', function () {
+      addBet('B-1');
+
+      engine.recordResult('M-1', { void: true });
+
+      expect(bets.get('B-1')).to.include({ status: 'void', payout: 40 });
+      expect(wallet.getLedger('u1')[0]).to.include({ type: 'refund', amount: 40, betId: 'B-1' });
+    });
+
+    it('should refuse unknown matches and second results', function () {
+      expect(() => engine.recordResult('M-9', { markets: {} })).to.throw('Match not found');
+
+      engine.recordResult('M-1', { markets: { winner: 'home' } });
+      expect(() => engine.recordResult('M-1', { markets: { winner: 'away' } })).to.throw('Result already recorded');
+    });
+  });
+
+  describe('accumulators', function () {
+    const addAccumulator = id => addBet(id, {
+      matchId: undefined,
+      selection: undefined,
+      legs: [
+        { matchId: 'M-1', selection: 'home', odds: '2.5' },
+        { matchId: 'M-2', marketType: 'total_goals', selection: 'over', odds: '1.9' }
+      ],
+      odds: '4.75',
+      amount: 10
+    });
+
+    it('should refuse a won settlement once a leg has lost', function () {
+      addAccumulator('A-1');
+      bets.get('A-1').status = 'under_review';
+      engine.recordResult('M-1', { markets: { winner: 'away' } });
+
+      expect(() => engine.settleBet('A-1', 'won')).to.throw('Outcome does not match the recorded result')
+        .with.property('code', 'OUTCOME_MISMATCH');
+    });
+
+    it('should wait for every leg before paying out', function () {
+      addAccumulator('A-1');
+
+      expect(engine.recordResult('M-1', { markets: { winner: 'home' } }).settled).to.be.empty;
+      expect(bets.get('A-1').status).to.equal('pending');
+
+      const summary = engine.recordResult('M-2', { markets: { total_goals: 'over' } });
+
+      expect(summary.settled).to.deep.equal([{ betId: 'A-1', userId: 'u1', status: 'won', payout: 47.5 }]);
+    });
+
+    it('should lose as soon as one leg loses', function () {
+      addAccumulator('A-1');
+
+      const summary = engine.recordResult('M-2', { markets: { total_goals: 'under' } });
+
+      expect(summary.settled).to.deep.equal([{ betId: 'A-1', userId: 'u1', status: 'lost', payout: 0 }]);
+    });
+
+    it('should pay at the odds of the winning legs when a leg is void', function () {
+      addAccumulator('A-1');
+      engine.recordResult('M-1', { void: true });
+
+      engine.recordResult('M-2', { markets: { total_goals: 'over' } });
+
+      expect(bets.get('A-1')).to.include({ status: 'won', payout: 19 });
+    });
+
+    it('should void an accumulator whose legs are all void', function () {
+      addAccumulator('A-1');
+      engine.recordResult('M-1', { void: true });
+      engine.recordResult('M-2', { void: true });
+
+      expect(bets.get('A-1')).to.include({ status: 'void', payout: 10 });
+    });
+  });
+
+  describe('settleBet', function () {
+    it('should refuse to settle a bet twice', function () {
+      addBet('B-1');
+      engine.settleBet('B-1', 'won');
+
+      let error;
+      try {
+        engine.settleBet('B-1', 'won');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.include({ code: 'DOUBLE_SETTLEMENT', statusCode: 409, tampering: true });
+      expect(error.evidence).to.include({ betId: 'B-1', previousStatus: 'won', previousPayout: 100 });
+      expect(wallet.getBalance('u1')).to.equal(100);
+    });
+
+    it('should refuse outcomes that differ from the recorded result', function () {
+      addBet('B-1', { status: 'under_review' });
+      engine.recordResult('M-1', { markets: { winner: 'away' } });
+
+      let error;
+      try {
+        engine.settleBet('B-1', 'won');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.include({ code: 'OUTCOME_MISMATCH', statusCode: 409, tampering: true });
+      expect(error.evidence).to.deep.equal({ betId: 'B-1', expectedOutcome: 'lost', claimedOutcome: 'won' });
+      expect(bets.get('B-1').status).to.equal('under_review');
+      expect(wallet.getBalance('u1')).to.equal(0);
+      expect(engine.settleBet('B-1', 'lost')).to.include({ status: 'lost', payout: 0 });
+    });
+
+    it('should refuse payouts at odds other than the accepted ones', function () {
+      addBet('B-1');
+
+      expect(() => engine.settleBet('B-1', 'won', { odds: '5.0' })).to.throw('Payout odds differ from accepted odds')
+        .with.property('code', 'ODDS_MISMATCH');
+      expect(bets.get('B-1').status).to.equal('pending');
+    });
+
+    it('should refuse payout amounts that do not match the bet', function () {
+      addBet('B-1');
+
+      expect(() => engine.settleBet('B-1', 'won', { payout: 1000 })).to.throw('Payout amount does not match the bet')
+        .with.property('code', 'PAYOUT_MISMATCH');
+    });
+
+    it('should accept claims that match the bet', function () {
+      addBet('B-1');
+
+      expect(engine.settleBet('B-1', 'won', { odds: '2.50', payout: 100 })).to.include({ status: 'won', payout: 100 });
+    });
+
+    it('should reject unknown bets and outcomes', function () {
+      addBet('B-1');
+
+      expect(() => engine.settleBet('B-9', 'won')).to.throw('Bet not found');
+      expect(() => engine.settleBet('B-1', 'cashed_out')).to.throw('Unknown outcome "cashed_out"');
+    });
+  });
+
+  describe('snapshot and restore', function () {
+    it('should roll recorded results back to the snapshot', function () {
+      const snapshot = engine.snapshot();
+      engine.recordResult('M-1', { markets: { winner: 'home' } });
+
+      engine.restore(snapshot);
+
+      expect(engine.getResult('M-1')).to.be.null;
+    });
+
+    it('should forget results on reset', function () {
+      engine.recordResult('M-1', { markets: { winner: 'home' } });
+      engine.reset();
+
+      expect(engine.getResult('M-1')).to.be.null;
+    });
+  });
+});
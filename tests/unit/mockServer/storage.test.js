@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the mock server storage drivers
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  createStorage,
+  MemoryStorage,
+  JsonFileStorage,
+  SqliteStorage,
+  PersistentMap
+} = require('../../../src/mockServer/storage');
+
+describe('Storage', function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-storage-'));
+  });
+
+  afterEach(function () {
+    sinon.restore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('createStorage', function () {
+    it('should default to in-memory storage', function () {
+      expect(createStorage('memory')).to.be.instanceOf(MemoryStorage);
+    });
+
+    it('should open file storage at the given path', function () {
+      const filePath = path.join(tmpDir, 'state.jsonl');
+
+      const storage = createStorage('json', filePath);
+
+      expect(storage).to.be.instanceOf(JsonFileStorage);
+      expect(storage.filePath).to.equal(filePath);
+    });
+
+    it('should reject unknown drivers', function () {
+      expect(() => createStorage('redis')).to.throw('Unknown storage driver "redis", expected one of: memory, json, sqlite');
+    });
+  });
+
+  describe('MemoryStorage', function () {
+    it('should hand out one Map per collection', function () {
+      const storage = new MemoryStorage();
+
+      storage.collection('users').set('u1', { username: 'alice' });
+
+      expect(storage.collection('users')).to.be.instanceOf(Map);
+      expect(storage.collection('users').get('u1')).to.deep.equal({ username: 'alice' });
+      expect(storage.collection('bets').size).to.equal(0);
+    });
+  });
+
+  describe('PersistentMap', function () {
+    it('should write sets, deletes and clears through to the backend', function () {
+      const backend = { write: sinon.spy() };
+      const map = new PersistentMap('users', backend, [['u1', { username: 'alice' }]]);
+
+      map.set('u2', { username: 'bob' });
+      map.delete('u1');
+      map.delete('missing');
+      map.clear();
+
+      expect(backend.write.args).to.deep.equal([
+        ['users', 'set', 'u2', { username: 'bob' }],
+        ['users', 'delete', 'u1'],
+        ['users', 'clear']
+      ]);
+    });
+  });
+
+  [
+    { name: 'JsonFileStorage', Storage: JsonFileStorage, file: 'state.jsonl' },
+    { name: 'SqliteStorage', Storage: SqliteStorage, file: 'state.sqlite' }
+  ].forEach(({ name, Storage, file }) => {
+    describe(name, function () {
+      let filePath;
+
+      beforeEach(function () {
+        filePath = path.join(tmpDir, 'nested', file);
+      });
+
+      it('should keep collections across reopening', function () {
+        const storage = new Storage(filePath);
+        storage.collection('users').set('u1', { username: 'alice', status: 'active' });
+        storage.collection('users').set('u1', { username: 'alice', status: 'blocked' });
+        storage.collection('bets').set('BET-1', { userId: 'u1', amount: 20 });
+        storage.close();
+
+        const reopened = new Storage(filePath);
+
+        expect(reopened.collection('users').get('u1')).to.deep.equal({ username: 'alice', status: 'blocked' });
+        expect(reopened.collection('bets').get('BET-1')).to.deep.equal({ userId: 'u1', amount: 20 });
+        reopened.close();
+      });
+
+      it('should replay deletes and clears', function () {
+        const storage = new Storage(filePath);
+        const users = storage.collection('users');
+        users.set('u1', { username: 'alice' });
+        users.set('u2', { username: 'bob' });
+        users.delete('u1');
+        storage.collection('sessions').set('token-1', { userId: 'u2' });
+        storage.collection('sessions').clear();
+        storage.close();
+
+        const reopened = new Storage(filePath);
+
+        expect(Array.from(reopened.collection('users').keys())).to.deep.equal(['u2']);
+        expect(reopened.collection('sessions').size).to.equal(0);
+        reopened.close();
+      });
+    });
+  });
+
+  describe('JsonFileStorage change log', function () {
+    it('should append one line per change', function () {
+      const filePath = path.join(tmpDir, 'state.jsonl');
+      const storage = new JsonFileStorage(filePath);
+
+      storage.collection('users').set('u1', { username: 'alice' });
+      storage.collection('users').delete('u1');
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.op)).to.deep.equal(['set', 'delete']);
+      expect(lines[0]).to.include({ collection: 'users', key: 'u1' });
+      expect(lines[0]).to.have.property('at');
+    });
+
+    it('should skip a line cut short by a crash', function () {
+      const filePath = path.join(tmpDir, 'state.jsonl');
+      sinon.stub(console, 'warn');
+      fs.writeFileSync(filePath, [
+        JSON.stringify({ collection: 'users', op: 'set', key: 'u1', value: { username: 'alice' } }),
+        '{"collection":"users","op":"set","key":"u2","val'
+      ].join('\n'));
+
+      const storage = new JsonFileStorage(filePath);
+
+      expect(Array.from(storage.collection('users').keys())).to.deep.equal(['u1']);
+      expect(console.warn.calledOnce).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the TransactionRegistry
+ */
+const { expect } = require('chai');
+const TransactionRegistry = require('../../../src/mockServer/transactionRegistry');
+
+describe('TransactionRegistry', function () {
+  let registry;
+
+  beforeEach(function () {
+    registry = new TransactionRegistry(1000);
+  });
+
+  describe('hashPayload', function () {
+    it('should hash identical payloads from the same user identically', function () {
+      expect(TransactionRegistry.hashPayload('u1', '{"a":1}')).to.equal(TransactionRegistry.hashPayload('u1', '{"a":1}'));
+    });
+
+    it('should distinguish users and payload bytes', function () {
+      const hash = TransactionRegistry.hashPayload('u1', '{"a":1}');
+
+      expect(TransactionRegistry.hashPayload('u2', '{"a":1}')).to.not.equal(hash);
+      expect(TransactionRegistry.hashPayload('u1', '{"a": 1}')).to.not.equal(hash);
+    });
+  });
+
+  describe('keysFor', function () {
+    it('should scope idempotency keys to the user and keep transaction ids global', function () {
+      const keys = TransactionRegistry.keysFor('u1', { transactionId: 'tx-1' }, 'key-1');
+
+      expect(keys).to.deep.equal(['idempotency:u1:key-1', 'transaction:tx-1']);
+    });
+
+    it('should return no keys for anonymous transactions', function () {
+      expect(TransactionRegistry.keysFor('u1', {}, undefined)).to.be.empty;
+    });
+  });
+
+  describe('check', function () {
+    const keys = ['transaction:tx-1'];
+
+    it('should report nothing for unknown keys', function () {
+      expect(registry.check(keys, 'hash-1', 0)).to.deep.equal({ replay: null, conflicts: [] });
+    });
+
+    it('should report an identical payload as a replay', function () {
+      registry.remember(keys, { userId: 'u1', payloadHash: 'hash-1', betId: 'BET-1' }, 0);
+
+      const result = registry.check(keys, 'hash-1', 500);
+
+      expect(result.replay).to.include({ key: 'transaction:tx-1', betId: 'BET-1' });
+      expect(result.conflicts).to.be.empty;
+    });
+
+    it('should report a changed payload as a conflict', function () {
+      registry.remember(keys, { userId: 'u1', payloadHash: 'hash-1', betId: 'BET-1' }, 0);
+
+      const result = registry.check(keys, 'hash-2', 500);
+
+      expect(result.replay).to.be.null;
+      expect(result.conflicts).to.have.lengthOf(1);
+    });
+
+    it('should forget entries older than the ttl', function () {
+      registry.remember(keys, { userId: 'u1', payloadHash: 'hash-1', betId: 'BET-1' }, 0);
+
+      expect(registry.check(keys, 'hash-2', 1500)).to.deep.equal({ replay: null, conflicts: [] });
+      expect(registry.entries.size).to.equal(0);
+    });
+  });
+
+  describe('reset', function () {
+    it('should forget all transactions', function () {
+      registry.remember(['transaction:tx-1'], { payloadHash: 'hash-1' }, 0);
+      registry.reset();
+
+      expect(registry.entries.size).to.equal(0);
+    });
+  });
+
+  describe('snapshot and restore', function () {
+    it('should roll remembered transactions back to the snapshot', function () {
+      const snapshot = registry.snapshot();
+      registry.remember(['transaction:tx-1'], { payloadHash: 'hash-1' }, 0);
+
+      registry.restore(snapshot);
+
+      expect(registry.entries.size).to.equal(0);
+    });
+  });
+});
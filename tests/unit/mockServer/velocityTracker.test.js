@@ -0,0 +1,117 @@
+/**
+ * Unit tests for the VelocityTracker
+ */
+const { expect } = require('chai');
+const VelocityTracker = require('../../../src/mockServer/velocityTracker');
+
+describe('VelocityTracker', function () {
+  const betData = { matchId: 'match-1', selection: 'home', amount: 25 };
+  let tracker;
+
+  beforeEach(function () {
+    tracker = new VelocityTracker();
+  });
+
+  describe('constructor', function () {
+    it('should start from the default limits', function () {
+      expect(tracker.limits).to.deep.equal(VelocityTracker.DEFAULT_LIMITS);
+    });
+
+    it('should apply limit overrides', function () {
+      const custom = new VelocityTracker({ betsPerMinute: 2 });
+
+      expect(custom.limits.betsPerMinute).to.equal(2);
+      expect(custom.limits.stakePerHour).to.equal(VelocityTracker.DEFAULT_LIMITS.stakePerHour);
+    });
+  });
+
+  describe('setLimits', function () {
+    it('should override only the given limits', function () {
+      tracker.setLimits({ stakePerHour: 50 });
+
+      expect(tracker.limits.stakePerHour).to.equal(50);
+      expect(tracker.limits.betsPerMinute).to.equal(VelocityTracker.DEFAULT_LIMITS.betsPerMinute);
+    });
+  });
+
+  describe('selectionKey', function () {
+    it('should combine match, market and selection', function () {
+      expect(VelocityTracker.selectionKey({ ...betData, marketType: 'total_goals' })).to.equal('match-1|total_goals|home');
+    });
+
+    it('should default the market to winner', function () {
+      expect(VelocityTracker.selectionKey(betData)).to.equal('match-1|winner|home');
+    });
+
+    it('should key accumulators by their legs in any order', function () {
+      const legs = [
+        { matchId: 'match-2', selection: 'away', odds: '1.8' },
+        { matchId: 'match-1', selection: 'home', odds: '2.5' }
+      ];
+
+      expect(VelocityTracker.selectionKey({ legs })).to.equal('match-1|winner|home+match-2|winner|away');
+      expect(VelocityTracker.selectionKey({ legs: [...legs].reverse() })).to.equal(VelocityTracker.selectionKey({ legs }));
+    });
+  });
+
+  describe('record and getEvents', function () {
+    it('should return attempts inside the window only', function () {
+      tracker.record('user-1', betData, 1000);
+      tracker.record('user-1', betData, 50000);
+
+      const events = tracker.getEvents('user-1', VelocityTracker.MINUTE_MS, 70000);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0]).to.deep.equal({ timestamp: 50000, amount: 25, selectionKey: 'match-1|winner|home' });
+    });
+
+    it('should keep users separate', function () {
+      tracker.record('user-1', betData, 1000);
+
+      expect(tracker.getEvents('user-2', VelocityTracker.MINUTE_MS, 1000)).to.be.empty;
+    });
+
+    it('should prune attempts older than the longest window', function () {
+      tracker.record('user-1', betData, 0);
+      tracker.record('user-1', betData, VelocityTracker.HOUR_MS + 1);
+
+      expect(tracker.history.get('user-1')).to.have.lengthOf(1);
+    });
+
+    it('should treat unparseable amounts as zero', function () {
+      tracker.record('user-1', { ...betData, amount: 'abc' }, 1000);
+
+      expect(tracker.getEvents('user-1', VelocityTracker.MINUTE_MS, 1000)[0].amount).to.equal(0);
+    });
+
+    it('should treat non-finite and negative amounts as zero', function () {
+      ['1e309', Infinity, '-Infinity', -500].forEach((amount, index) => {
+        tracker.record('user-1', { ...betData, amount }, 1000 + index);
+      });
+
+      const amounts = tracker.getEvents('user-1', VelocityTracker.MINUTE_MS, 2000).map(event => event.amount);
+      expect(amounts).to.deep.equal([0, 0, 0, 0]);
+    });
+  });
+
+  describe('reset', function () {
+    it('should forget all attempts', function () {
+      tracker.record('user-1', betData, 1000);
+      tracker.reset();
+
+      expect(tracker.getEvents('user-1', VelocityTracker.HOUR_MS, 1000)).to.be.empty;
+    });
+  });
+
+  describe('snapshot and restore', function () {
+    it('should roll attempts back to the snapshot', function () {
+      tracker.record('user-1', betData, 1000);
+      const snapshot = tracker.snapshot();
+      tracker.record('user-1', betData, 2000);
+
+      tracker.restore(snapshot);
+
+      expect(tracker.getEvents('user-1', VelocityTracker.HOUR_MS, 2000)).to.have.lengthOf(1);
+    });
+  });
+});
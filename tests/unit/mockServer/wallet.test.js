@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the Wallet
+ */
+const { expect } = require('chai');
+const Wallet = require('../../../src/mockServer/wallet');
+const Clock = require('../../../src/mockServer/clock');
+
+describe('Wallet', function () {
+  let wallet;
+
+  beforeEach(function () {
+    wallet = new Wallet(100);
+  });
+
+  describe('parseAmount', function () {
+    it('should accept positive numbers and numeric strings', function () {
+      expect(Wallet.parseAmount(25)).to.equal(25);
+      expect(Wallet.parseAmount('12.345')).to.equal(12.35);
+    });
+
+    it('should reject zero, negative, non-finite and non-numeric amounts', function () {
+      [0, -5, '1e309', 'NaN', 'abc', null, undefined, {}, [10], true].forEach(value => {
+        expect(Wallet.parseAmount(value), String(value)).to.be.null;
+      });
+    });
+  });
+
+  describe('open', function () {
+    it('should credit the initial balance once', function () {
+      wallet.open('u1');
+      wallet.open('u1');
+
+      expect(wallet.getBalance('u1')).to.equal(100);
+      expect(wallet.getLedger('u1')).to.have.lengthOf(1);
+      expect(wallet.getLedger('u1')[0]).to.include({ type: 'opening_balance', amount: 100, balanceAfter: 100 });
+    });
+
+    it('should not record an opening entry for a zero initial balance', function () {
+      const emptyWallet = new Wallet(0);
+
+      expect(emptyWallet.getBalance('u1')).to.equal(0);
+      expect(emptyWallet.getLedger('u1')).to.be.empty;
+    });
+  });
+
+  describe('deposit and withdraw', function () {
+    it('should move the balance and record ledger entries', function () {
+      wallet.deposit('u1', 50, { method: 'card' });
+      const withdrawal = wallet.withdraw('u1', 30);
+
+      expect(wallet.getBalance('u1')).to.equal(120);
+      expect(withdrawal).to.include({ type: 'withdrawal', amount: -30, balanceAfter: 120, currency: 'USD' });
+      expect(wallet.getLedger('u1').map(entry => entry.type)).to.deep.equal(['opening_balance', 'deposit', 'withdrawal']);
+    });
+
+    it('should refuse to overdraw', function () {
+      expect(() => wallet.withdraw('u1', 150)).to.throw('Insufficient funds')
+        .with.property('code', 'INSUFFICIENT_FUNDS');
+      expect(wallet.getBalance('u1')).to.equal(100);
+    });
+  });
+
+  describe('reverseWithdrawal', function () {
+    it('should credit back a stopped withdrawal', function () {
+      wallet.withdraw('u1', 30, { holdId: 'HOLD-1' });
+
+      const entry = wallet.reverseWithdrawal('u1', 30, { holdId: 'HOLD-1' });
+
+      expect(entry).to.include({ type: 'withdrawal_reversal', amount: 30, balanceAfter: 100, holdId: 'HOLD-1' });
+    });
+  });
+
+  describe('debitStake', function () {
+    it('should debit the stake with its bet reference', function () {
+      const entry = wallet.debitStake('u1', 40, { betId: 'BET-1' });
+
+      expect(entry).to.include({ type: 'bet_stake', amount: -40, betId: 'BET-1', balanceAfter: 60 });
+    });
+
+    it('should refuse stakes above the balance', function () {
+      expect(() => wallet.debitStake('u1', 100.01)).to.throw('Insufficient funds');
+    });
+  });
+
+  describe('getLedger', function () {
+    it('should return a copy of the ledger', function () {
+      wallet.getLedger('u1').push({ type: 'forged' });
+
+      expect(wallet.getLedger('u1')).to.have.lengthOf(1);
+    });
+
+    it('should timestamp entries with the wallet clock', function () {
+      const clock = new Clock();
+      clock.freeze('2030-01-01T00:00:00.000Z');
+      const clockedWallet = new Wallet(100, {}, clock);
+
+      clockedWallet.deposit('u1', 50);
+
+      expect(clockedWallet.getLedger('u1').map(entry => entry.createdAt))
+        .to.deep.equal(['2030-01-01T00:00:00.000Z', '2030-01-01T00:00:00.000Z']);
+    });
+  });
+
+  describe('open', function () {
+    it('should accept a custom opening balance', function () {
+      wallet.open('u2', 250);
+
+      expect(wallet.getBalance('u2')).to.equal(250);
+    });
+  });
+
+  describe('snapshot and restore', function () {
+    it('should roll balances and ledgers back to the snapshot', function () {
+      wallet.deposit('u1', 50);
+      const snapshot = wallet.snapshot();
+      wallet.withdraw('u1', 120);
+      wallet.open('u2');
+
+      wallet.restore(snapshot);
+
+      expect(wallet.getBalance('u1')).to.equal(150);
+      expect(wallet.getLedger('u1')).to.have.lengthOf(2);
+      expect(wallet.balances.has('u2')).to.be.false;
+    });
+
+    it('should close every account on reset', function () {
+      wallet.deposit('u1', 50);
+      wallet.reset();
+
+      expect(wallet.balances.size).to.equal(0);
+    });
+  });
+});
@@ -5,6 +5,7 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const axios = require('axios');
 const ApiClient = require('../../../src/utils/apiClient');
+const RaceHarness = require('../../../src/utils/raceHarness');
 
 describe('ApiClient', function () {
   let apiClient;
@@ -16,6 +17,7 @@ describe('ApiClient', function () {
       create: sinon.stub().returns({
         post: sinon.stub(),
         get: sinon.stub(),
+        delete: sinon.stub(),
         defaults: { headers: { common: {} } },
         interceptors: {
           response: {
@@ -78,6 +80,22 @@ describe('ApiClient', function () {
     });
   });
 
+  describe('setDeviceProfile', function () {
+    it('should send the device fingerprint headers until cleared', function () {
+      apiClient.setDeviceProfile({ deviceId: 'device-1', model: 'Pixel 7', os: 'Android 14', ip: '198.51.100.4' });
+
+      expect(apiClient.client.defaults.headers.common).to.deep.equal({
+        'X-Device-Id': 'device-1',
+        'X-Device-Model': 'Pixel 7',
+        'X-Device-OS': 'Android 14',
+        'X-Forwarded-For': '198.51.100.4'
+      });
+
+      apiClient.clearDeviceProfile();
+      expect(apiClient.client.defaults.headers.common).to.be.empty;
+    });
+  });
+
   describe('registerUser', function () {
     it('should successfully register a user', async function () {
       const userData = {
@@ -93,6 +111,27 @@ describe('ApiClient', function () {
 
       expect(apiClient.client.post.calledWith('/auth/register', userData)).to.be.true;
       expect(result).to.deep.equal(expectedResponse);
+      expect(apiClient.authToken).to.be.null;
+    });
+
+    it('should keep the session of the new user so it can be refreshed', async function () {
+      apiClient.client.post.withArgs('/auth/register').resolves({
+        data: { token: 'register-token', refreshToken: 'register-refresh', user: { id: '123' } }
+      });
+      apiClient.client.post.withArgs('/auth/refresh').resolves({
+        data: { token: 'fresh-token', refreshToken: 'fresh-refresh' }
+      });
+
+      await apiClient.registerUser({ username: 'testuser', email: 'test@example.com', password: 'password123' });
+
+      expect(apiClient.authToken).to.equal('register-token');
+      expect(apiClient.refreshToken).to.equal('register-refresh');
+      expect(apiClient.client.defaults.headers.common.Authorization).to.equal('Bearer register-token');
+
+      await apiClient.refreshSession();
+
+      expect(apiClient.client.post.calledWith('/auth/refresh', { refreshToken: 'register-refresh' })).to.be.true;
+      expect(apiClient.authToken).to.equal('fresh-token');
     });
 
     it('should handle registration failure', async function () {
@@ -111,6 +150,63 @@ describe('ApiClient', function () {
     });
   });
 
+  describe('registerFraudulentUser', function () {
+    const userData = { username: 'testuser', email: 'test@example.com', password: 'password123' };
+
+    it('should inject the field for each tamper type', async function () {
+      const expectedFields = {
+        'id-override': { id: 'admin' },
+        'role-escalation': { role: 'admin' },
+        'status-override': { status: 'verified' },
+        'balance-injection': { balance: 1000000 }
+      };
+      apiClient.client.post.rejects(Object.assign(new Error('Bad Request'), { response: { status: 400, data: {} } }));
+
+      for (const [tamperType, fields] of Object.entries(expectedFields)) {
+        await apiClient.registerFraudulentUser(userData, tamperType);
+        expect(apiClient.client.post.lastCall.args).to.deep.equal(['/auth/register', { ...userData, ...fields }]);
+      }
+      expect(userData).to.not.have.property('role');
+    });
+
+    it('should throw for unknown tamper types without sending anything', async function () {
+      for (const tamperType of ['role-escalaton', undefined, 'toString']) {
+        try {
+          await apiClient.registerFraudulentUser(userData, tamperType);
+          expect.fail('Should have thrown an error');
+        } catch (err) {
+          expect(err.message).to.equal(
+            `Unknown tamper type "${tamperType}"; known types are id-override, role-escalation, status-override, balance-injection`
+          );
+        }
+      }
+      expect(apiClient.client.post.called).to.be.false;
+    });
+
+    it('should report a rejected registration as detected', async function () {
+      const error = new Error('Bad Request');
+      error.response = { status: 400, data: { fraudType: 'registration-tampering' } };
+      apiClient.client.post.rejects(error);
+
+      const result = await apiClient.registerFraudulentUser(userData, 'role-escalation');
+
+      expect(result).to.deep.equal({
+        success: false,
+        error: { fraudType: 'registration-tampering' },
+        fraudDetected: true,
+        statusCode: 400
+      });
+    });
+
+    it('should warn when the tampered registration is accepted', async function () {
+      apiClient.client.post.resolves({ data: { token: 'abc' } });
+
+      const result = await apiClient.registerFraudulentUser(userData, 'balance-injection');
+
+      expect(result).to.deep.equal({ success: true, data: { token: 'abc' }, fraudDetected: false });
+    });
+  });
+
   describe('login', function () {
     it('should successfully login and set auth token', async function () {
       const credentials = { username: 'testuser', password: 'password123' };
@@ -141,6 +237,188 @@ describe('ApiClient', function () {
     });
   });
 
+  describe('sessions', function () {
+    const expiredError = (config = { url: '/bets/history', headers: {} }) => {
+      const error = new Error('Unauthorized');
+      error.config = config;
+      error.response = { status: 401, data: { code: 'TOKEN_EXPIRED' } };
+      return error;
+    };
+
+    let onError;
+
+    beforeEach(function () {
+      sinon.stub(console, 'error');
+      apiClient.client.request = sinon.stub().resolves({ data: 'retried' });
+      [, onError] = apiClient.client.interceptors.response.use.firstCall.args;
+      apiClient.setAuthToken('old-token', 'refresh-1');
+    });
+
+    it('should keep the refresh token from login', async function () {
+      apiClient.client.post.resolves({ data: { token: 'auth-token', refreshToken: 'refresh-2' } });
+
+      await apiClient.login({ username: 'testuser', password: 'password123' });
+
+      expect(apiClient.refreshToken).to.equal('refresh-2');
+    });
+
+    it('should refresh and retry a request rejected with an expired token', async function () {
+      apiClient.client.post.resolves({ data: { token: 'new-token', refreshToken: 'refresh-2' } });
+
+      const result = await onError(expiredError());
+
+      expect(apiClient.client.post.calledWith('/auth/refresh', { refreshToken: 'refresh-1' })).to.be.true;
+      expect(apiClient.client.request.firstCall.args[0]).to.deep.include({
+        url: '/bets/history',
+        retriedAfterRefresh: true,
+        headers: { Authorization: 'Bearer new-token' }
+      });
+      expect(result).to.deep.equal({ data: 'retried' });
+      expect(apiClient.refreshToken).to.equal('refresh-2');
+    });
+
+    it('should share one refresh between concurrent expired requests', async function () {
+      apiClient.client.post.resolves({ data: { token: 'new-token', refreshToken: 'refresh-2' } });
+
+      await Promise.all([onError(expiredError()), onError(expiredError())]);
+
+      expect(apiClient.client.post.calledOnce).to.be.true;
+      expect(apiClient.client.request.calledTwice).to.be.true;
+    });
+
+    it('should not refresh when disabled, already retried or for other errors', async function () {
+      const revoked = expiredError();
+      revoked.response.data.code = 'TOKEN_REVOKED';
+      const retried = expiredError({ url: '/bets/history', retriedAfterRefresh: true });
+      const disabled = expiredError();
+
+      const expectRejected = error => onError(error)
+        .then(() => expect.fail('Should have rejected'), err => expect(err).to.equal(error));
+
+      await expectRejected(revoked);
+      await expectRejected(retried);
+      apiClient.autoRefresh = false;
+      await expectRejected(disabled);
+
+      expect(apiClient.client.post.called).to.be.false;
+    });
+
+    it('should logout and forget the tokens', async function () {
+      apiClient.client.post.resolves({ data: { revokedSessions: ['SES-1', 'SES-2'] } });
+
+      await apiClient.logout(true);
+
+      expect(apiClient.client.post.calledWith('/auth/logout', { all: true })).to.be.true;
+      expect(apiClient.refreshToken).to.be.null;
+      expect(apiClient.client.defaults.headers.common).to.not.have.property('Authorization');
+    });
+  });
+
+  describe('runCredentialStuffingCampaign', function () {
+    const credentials = [
+      { username: 'leaked-1', password: 'Summer2024!' },
+      { username: 'reuser', password: 'Reused123!' },
+      { username: 'leaked-2', password: 'Summer2024!' },
+      { username: 'leaked-3', password: 'Summer2024!' }
+    ];
+
+    const httpError = (status, code) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, data: { code } };
+      return error;
+    };
+
+    beforeEach(function () {
+      sinon.stub(console, 'warn');
+    });
+
+    it('should report successes and when the campaign was detected', async function () {
+      apiClient.client.post
+        .onCall(0).rejects(httpError(401))
+        .onCall(1).resolves({ status: 200, data: { token: 'stolen' } })
+        .onCall(2).rejects(httpError(429, 'IP_LOCKED'))
+        .onCall(3).rejects(httpError(429, 'IP_LOCKED'));
+
+      const campaign = await apiClient.runCredentialStuffingCampaign(credentials, { sourceIp: '198.51.100.23' });
+
+      expect(apiClient.client.post.firstCall.args).to.deep.equal([
+        '/auth/login',
+        credentials[0],
+        { headers: { 'X-Forwarded-For': '198.51.100.23' } }
+      ]);
+      expect(campaign).to.include({ attempts: 4, failures: 1, lockouts: 2, detected: true, detectedAfter: 2 });
+      expect(campaign.successes).to.deep.equal(['reuser']);
+      expect(campaign.results[2]).to.include({ outcome: 'locked', code: 'IP_LOCKED' });
+      expect(apiClient.client.defaults.headers.common).to.not.have.property('Authorization');
+    });
+
+    it('should stop at the first lockout when asked', async function () {
+      apiClient.client.post.rejects(httpError(429, 'IP_LOCKED'));
+
+      const campaign = await apiClient.runCredentialStuffingCampaign(credentials, { stopOnLockout: true });
+
+      expect(campaign.attempts).to.equal(1);
+      expect(apiClient.client.post.firstCall.args[2]).to.deep.equal({});
+    });
+
+    it('should warn when the campaign goes undetected', async function () {
+      apiClient.client.post.rejects(httpError(401));
+
+      const campaign = await apiClient.runCredentialStuffingCampaign(credentials);
+
+      expect(campaign).to.include({ detected: false, detectedAfter: null, failures: 4 });
+      expect(console.warn.calledWith('WARNING: Credential stuffing campaign was not detected!')).to.be.true;
+    });
+  });
+
+  describe('getMatches', function () {
+    it('should list matches with filters', async function () {
+      const matches = [{ id: 'FB-1001' }];
+      apiClient.client.get.resolves({ data: matches });
+
+      const result = await apiClient.getMatches({ sport: 'football' });
+
+      expect(apiClient.client.get.calledWith('/matches', { params: { sport: 'football' } })).to.be.true;
+      expect(result).to.deep.equal(matches);
+    });
+
+    it('should handle match listing failure', async function () {
+      const error = new Error('Service unavailable');
+      apiClient.client.get.rejects(error);
+
+      try {
+        await apiClient.getMatches();
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
+    });
+  });
+
+  describe('getMatch', function () {
+    it('should retrieve a single match', async function () {
+      apiClient.client.get.resolves({ data: { id: 'FB-1001' } });
+
+      const result = await apiClient.getMatch('FB-1001');
+
+      expect(apiClient.client.get.calledWith('/matches/FB-1001')).to.be.true;
+      expect(result).to.deep.equal({ id: 'FB-1001' });
+    });
+
+    it('should handle unknown matches', async function () {
+      const error = new Error('Not found');
+      error.response = { status: 404, data: { error: 'Match not found' } };
+      apiClient.client.get.rejects(error);
+
+      try {
+        await apiClient.getMatch('NOPE');
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
+    });
+  });
+
   describe('placeBet', function () {
     it('should successfully place a legitimate bet', async function () {
       const betData = {
@@ -160,6 +438,21 @@ describe('ApiClient', function () {
     });
   });
 
+  describe('placeAccumulatorBet', function () {
+    it('should send the legs at their combined odds', async function () {
+      const legs = [
+        { matchId: 'match-123', selection: 'home', odds: '2.5' },
+        { matchId: 'match-456', selection: 'away', odds: '1.33' }
+      ];
+      apiClient.client.post.resolves({ data: { betId: 'bet-789' } });
+
+      const result = await apiClient.placeAccumulatorBet(legs, 10);
+
+      expect(apiClient.client.post.calledWith('/bets/place', { legs, amount: 10, odds: '3.33' })).to.be.true;
+      expect(result).to.deep.equal({ betId: 'bet-789' });
+    });
+  });
+
   describe('placeFraudulentBet', function () {
     let legitimateBetData;
 
@@ -266,20 +559,543 @@ describe('ApiClient', function () {
       consoleWarnStub.restore();
     });
 
-    it('should handle unknown fraud type with default behavior', async function () {
+    describe('accumulator fraud types', function () {
+      let accumulatorBetData;
+
+      beforeEach(function () {
+        accumulatorBetData = {
+          legs: [
+            { matchId: 'match-123', selection: 'home', odds: '2.5' },
+            { matchId: 'match-456', selection: 'away', odds: '1.8' }
+          ],
+          amount: 10,
+          odds: '4.5'
+        };
+        const error = new Error('Bet rejected');
+        error.response = { status: 400, data: { message: 'Fraud detected' } };
+        apiClient.client.post.rejects(error);
+      });
+
+      it('should mark a leg as won for leg-tampering fraud', async function () {
+        const result = await apiClient.placeFraudulentBet(accumulatorBetData, 'leg-tampering');
+
+        expect(result.fraudDetected).to.be.true;
+        expect(apiClient.client.post.getCall(0).args[1].legs[0]).to.have.property('result', 'won');
+        expect(accumulatorBetData.legs[0]).to.not.have.property('result');
+      });
+
+      it('should inflate only the combined odds for combined-odds-inflation fraud', async function () {
+        await apiClient.placeFraudulentBet(accumulatorBetData, 'combined-odds-inflation');
+
+        const sent = apiClient.client.post.getCall(0).args[1];
+        expect(parseFloat(sent.odds)).to.equal(13.5);
+        expect(sent.legs).to.deep.equal(accumulatorBetData.legs);
+      });
+
+      it('should repeat a leg and reprice the accumulator for correlated-legs fraud', async function () {
+        await apiClient.placeFraudulentBet(accumulatorBetData, 'correlated-legs');
+
+        const sent = apiClient.client.post.getCall(0).args[1];
+        expect(sent.legs.map(leg => leg.matchId)).to.deep.equal(['match-123', 'match-456', 'match-123']);
+        expect(sent.odds).to.equal('11.25');
+      });
+
+      it('should refuse single bets', async function () {
+        try {
+          await apiClient.placeFraudulentBet(legitimateBetData, 'leg-tampering');
+          expect.fail('Should have thrown an error');
+        } catch (err) {
+          expect(err.message).to.equal('Fraud type "leg-tampering" needs accumulator bet data with legs');
+        }
+        expect(apiClient.client.post.called).to.be.false;
+      });
+    });
+
+    it('should refuse unknown fraud types', async function () {
+      try {
+        await apiClient.placeFraudulentBet(legitimateBetData, 'unknown-fraud-type');
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err.message).to.include('Unknown fraud type "unknown-fraud-type"');
+        expect(err.message).to.include('negative-amount');
+      }
+      expect(apiClient.client.post.called).to.be.false;
+    });
+
+    it('should report the expected and actual outcome', async function () {
       const error = new Error('Bet rejected');
-      error.response = { status: 400, data: { message: 'Invalid data' } };
+      error.response = { status: 400, data: { message: 'Invalid amount' } };
       apiClient.client.post.rejects(error);
 
-      const result = await apiClient.placeFraudulentBet(legitimateBetData, 'unknown-fraud-type');
+      const result = await apiClient.placeFraudulentBet(legitimateBetData, 'negative-amount');
+
+      expect(result).to.include({
+        fraudType: 'negative-amount',
+        expectedOutcome: 'rejected',
+        outcome: 'rejected',
+        outcomeAsExpected: true
+      });
+    });
+
+    it('should treat a bet held for review as detected', async function () {
+      apiClient.client.post.resolves({
+        status: 201,
+        data: { betId: 'bet-1', bet: { status: 'under_review' }, riskAssessment: { decision: 'review' } }
+      });
+
+      const result = await apiClient.placeFraudulentBet(legitimateBetData, 'odds-manipulation');
+
+      expect(result).to.include({ success: true, fraudDetected: true, outcome: 'flagged', outcomeAsExpected: false });
+    });
+
+    it('should stack several mutations and list the rules the server reported', async function () {
+      const error = new Error('Bet rejected');
+      error.response = {
+        status: 400,
+        data: { fraudType: 'negative-amount', triggeredRules: [{ id: 'negative-amount' }, { id: 'request-tampering' }] }
+      };
+      apiClient.client.post.rejects(error);
+
+      const result = await apiClient.placeFraudulentCombination(legitimateBetData, ['negative-amount', 'request-tampering']);
+
+      const sent = apiClient.client.post.getCall(0).args[1];
+      expect(sent.amount).to.be.below(0);
+      expect(sent.serverBypass).to.be.true;
+      expect(result).to.deep.include({
+        fraudTypes: ['negative-amount', 'request-tampering'],
+        expectedOutcome: 'rejected',
+        outcome: 'rejected',
+        triggeredRules: ['negative-amount', 'request-tampering']
+      });
+    });
+
+    it('should use mutations registered by the caller', async function () {
+      apiClient.client.post.resolves({ status: 201, data: { bet: { status: 'under_review' } } });
+      apiClient.fraudMutations.register({
+        id: 'stake-spike',
+        description: 'Raises the stake to 5000',
+        expectedOutcome: 'flagged',
+        mutate: betData => ({ ...betData, amount: 5000 })
+      });
+
+      const result = await apiClient.placeFraudulentBet(legitimateBetData, 'stake-spike');
+
+      expect(apiClient.client.post.getCall(0).args[1]).to.have.property('amount', 5000);
+      expect(result).to.include({ expectedOutcome: 'flagged', outcomeAsExpected: true });
+    });
+  });
+
+  describe('submitRawBet and fuzzBetPlacement', function () {
+    const baseBet = { matchId: 'FB-1001', selection: 'home', odds: '2.60', amount: 10 };
+
+    it('should return error statuses instead of throwing', async function () {
+      const error = new Error('Server error');
+      error.response = { status: 500, data: { error: 'Internal Server Error' } };
+      apiClient.client.post.rejects(error);
+
+      const result = await apiClient.submitRawBet({ matchId: { valueOf: 'FB-1001' } });
+
+      expect(result).to.deep.equal({ statusCode: 500, data: { error: 'Internal Server Error' } });
+    });
+
+    it('should rethrow network failures', async function () {
+      apiClient.client.post.rejects(new Error('socket hang up'));
+
+      try {
+        await apiClient.submitRawBet(baseBet);
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err.message).to.equal('socket hang up');
+      }
+    });
+
+    it('should fuzz the bet payload through the client', async function () {
+      sinon.stub(console, 'warn');
+      apiClient.client.post.resolves({ status: 201, data: { betId: 'bet-1' } });
+
+      const report = await apiClient.fuzzBetPlacement(baseBet, { runs: 5, seed: 11 });
+
+      expect(report).to.include({ seed: 11, runs: 5, accepted: 5 });
+      expect(report.findings).to.not.be.empty;
+      expect(apiClient.client.post.alwaysCalledWith('/bets/place')).to.be.true;
+    });
+  });
+
+  describe('createSessionPool', function () {
+    it('should give every pooled session a client of its own against the same backend', async function () {
+      const pool = apiClient.createSessionPool({ generateUser: index => ({ username: `user${index}`, password: 'Secret1A!' }) });
+      const client = pool.createClient();
+
+      expect(client).to.be.instanceOf(ApiClient);
+      expect(client).to.not.equal(apiClient);
+      expect(client.baseURL).to.equal('https://test-api.example.com');
+      expect(pool.generateUser(2)).to.deep.equal({ username: 'user2', password: 'Secret1A!' });
+    });
+  });
+
+  describe('raceBets', function () {
+    it('should race the bets through a harness bound to the client', async function () {
+      const report = { attempts: 3, accepted: 1, problems: [] };
+      const raceBets = sinon.stub(RaceHarness.prototype, 'raceBets').resolves(report);
+      const betData = { matchId: 'FB-1001', selection: 'home', odds: '2.60', amount: 60 };
+
+      const result = await apiClient.raceBets(betData, { count: 3 });
+
+      expect(result).to.equal(report);
+      expect(raceBets.calledOnceWith(betData, { count: 3 })).to.be.true;
+      expect(raceBets.firstCall.thisValue.apiClient).to.equal(apiClient);
+    });
+  });
+
+  describe('replayBet', function () {
+    const betData = {
+      matchId: 'match-123',
+      amount: 50,
+      odds: '2.5',
+      selection: 'home',
+      transactionId: 'tx-123'
+    };
+
+    it('should replay the captured request unchanged', async function () {
+      apiClient.client.post.onFirstCall().resolves({ data: { betId: 'bet-1' }, headers: {} });
+      apiClient.client.post.onSecondCall().resolves({ data: { betId: 'bet-1' }, headers: { 'idempotent-replayed': 'true' } });
+
+      const result = await apiClient.replayBet(betData);
+
+      expect(result.success).to.be.true;
+      expect(result.idempotentReplay).to.be.true;
+      expect(result.original).to.deep.equal({ betId: 'bet-1' });
+      expect(apiClient.client.post.getCall(1).args[1]).to.deep.equal(betData);
+    });
+
+    it('should warn when the replay is processed as a new bet', async function () {
+      const consoleWarnStub = sinon.stub(console, 'warn');
+      apiClient.client.post.onFirstCall().resolves({ data: { betId: 'bet-1' }, headers: {} });
+      apiClient.client.post.onSecondCall().resolves({ data: { betId: 'bet-2' }, headers: {} });
+
+      const result = await apiClient.replayBet(betData);
+
+      expect(result.idempotentReplay).to.be.false;
+      expect(consoleWarnStub.calledWith('WARNING: Replayed bet was processed as a new bet!')).to.be.true;
+    });
+
+    it('should apply object mutations and report detection', async function () {
+      const error = new Error('Bet rejected');
+      error.response = { status: 400, data: { fraudType: 'replay-attack' } };
+      apiClient.client.post.onFirstCall().resolves({ data: { betId: 'bet-1' }, headers: {} });
+      apiClient.client.post.onSecondCall().rejects(error);
+
+      const result = await apiClient.replayBet(betData, { mutations: { amount: 500 } });
 
-      expect(result.success).to.be.false;
       expect(result.fraudDetected).to.be.true;
-      
-      // Verify default fraud behavior (negative amount + odds manipulation)
-      const callArgs = apiClient.client.post.getCall(0).args;
-      expect(callArgs[1].amount).to.be.below(0);
-      expect(parseFloat(callArgs[1].odds)).to.be.above(parseFloat(legitimateBetData.odds));
+      expect(result.statusCode).to.equal(400);
+      expect(apiClient.client.post.getCall(1).args[1]).to.include({ amount: 500, transactionId: 'tx-123' });
+    });
+
+    it('should apply function mutations and send the idempotency key', async function () {
+      apiClient.client.post.resolves({ data: {}, headers: {} });
+
+      await apiClient.replayBet(betData, {
+        mutations: data => ({ ...data, odds: '9.0' }),
+        idempotencyKey: 'key-1'
+      });
+
+      const replayCall = apiClient.client.post.getCall(1);
+      expect(replayCall.args[1]).to.have.property('odds', '9.0');
+      expect(replayCall.args[2]).to.deep.equal({ headers: { 'Idempotency-Key': 'key-1' } });
+    });
+
+    it('should throw when the original request fails', async function () {
+      const error = new Error('Bet rejected');
+      apiClient.client.post.rejects(error);
+
+      try {
+        await apiClient.replayBet(betData);
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
+    });
+  });
+
+  describe('wallet', function () {
+    it('should deposit funds', async function () {
+      apiClient.client.post.resolves({ data: { balance: 1100 } });
+
+      const result = await apiClient.deposit(100);
+
+      expect(apiClient.client.post.calledWith('/wallet/deposit', { amount: 100, method: 'card' })).to.be.true;
+      expect(result).to.deep.equal({ balance: 1100 });
+    });
+
+    it('should withdraw funds', async function () {
+      apiClient.client.post.resolves({ data: { balance: 900 } });
+
+      await apiClient.withdraw(100, 'crypto');
+
+      expect(apiClient.client.post.calledWith('/wallet/withdraw', { amount: 100, method: 'crypto' })).to.be.true;
+    });
+
+    it('should rethrow restricted withdrawals', async function () {
+      const error = new Error('Forbidden');
+      error.response = { status: 403, data: { error: 'Withdrawals are restricted on this account' } };
+      apiClient.client.post.rejects(error);
+
+      try {
+        await apiClient.withdraw(100);
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
+    });
+
+    it('should retrieve the balance and ledger', async function () {
+      apiClient.client.get.withArgs('/wallet/balance').resolves({ data: { balance: 1000 } });
+      apiClient.client.get.withArgs('/wallet/transactions').resolves({ data: [{ type: 'opening_balance' }] });
+
+      expect(await apiClient.getWalletBalance()).to.deep.equal({ balance: 1000 });
+      expect(await apiClient.getWalletTransactions()).to.deep.equal([{ type: 'opening_balance' }]);
+    });
+  });
+
+  describe('account changes', function () {
+    it('should update the profile and change the password', async function () {
+      apiClient.client.patch = sinon.stub().resolves({ data: { changes: ['email'] } });
+      apiClient.client.post.resolves({ data: { message: 'Password changed' } });
+
+      await apiClient.updateProfile({ email: 'new@example.com' });
+      await apiClient.changePassword('OldPass123', 'NewPass123');
+
+      expect(apiClient.client.patch.calledWith('/users/profile', { email: 'new@example.com' })).to.be.true;
+      expect(apiClient.client.post.calledWith('/users/password', {
+        currentPassword: 'OldPass123',
+        newPassword: 'NewPass123'
+      })).to.be.true;
+    });
+  });
+
+  describe('runDepositWithdrawCycle', function () {
+    it('should cycle until a withdrawal is held', async function () {
+      const hold = { id: 'HOLD-1', fraudType: 'money-laundering' };
+      apiClient.client.post.withArgs('/wallet/deposit').resolves({ data: { balance: 1500 } });
+      apiClient.client.post.withArgs('/wallet/withdraw')
+        .onFirstCall().resolves({ data: { balance: 1000 } })
+        .onSecondCall().resolves({ data: { hold, balance: 1000 } });
+
+      const campaign = await apiClient.runDepositWithdrawCycle(500, { cycles: 5 });
+
+      expect(campaign).to.deep.include({ cycles: 2, held: true, hold });
+      expect(apiClient.client.post.withArgs('/wallet/deposit').callCount).to.equal(2);
+    });
+
+    it('should warn when no withdrawal was held', async function () {
+      const warn = sinon.stub(console, 'warn');
+      apiClient.client.post.resolves({ data: { balance: 1000 } });
+
+      const campaign = await apiClient.runDepositWithdrawCycle(100, { cycles: 2 });
+
+      expect(campaign).to.include({ cycles: 2, held: false, hold: null });
+      expect(warn.calledWith('WARNING: Deposit-withdraw cycling was not detected!')).to.be.true;
+    });
+  });
+
+  describe('runAccountTakeoverCashOut', function () {
+    it('should change the credentials, then withdraw', async function () {
+      const hold = { id: 'HOLD-2', fraudType: 'account-takeover' };
+      apiClient.client.patch = sinon.stub().resolves({ data: {} });
+      apiClient.client.post.withArgs('/users/password').resolves({ data: {} });
+      apiClient.client.post.withArgs('/wallet/withdraw').resolves({ data: { hold, balance: 0 } });
+
+      const result = await apiClient.runAccountTakeoverCashOut({
+        currentPassword: 'OwnerPass123',
+        newPassword: 'AttackerPass123',
+        newEmail: 'attacker@example.com',
+        amount: 1000
+      });
+
+      expect(result).to.deep.include({ held: true, hold });
+      expect(apiClient.client.patch.calledWith('/users/profile', { email: 'attacker@example.com' })).to.be.true;
+      expect(apiClient.client.post.withArgs('/users/password').calledBefore(apiClient.client.post.withArgs('/wallet/withdraw'))).to.be.true;
+    });
+  });
+
+  describe('updateLiveState', function () {
+    it('should send live feed updates with the feed key', async function () {
+      apiClient.client.post.resolves({ data: { id: 'FB-1001', status: 'live' } });
+
+      const match = await apiClient.updateLiveState('FB-1001', 'start', null, 'feed-key');
+      await apiClient.updateLiveState('FB-1001', 'suspend', 'winner', 'feed-key');
+
+      expect(match).to.deep.equal({ id: 'FB-1001', status: 'live' });
+      expect(apiClient.client.post.getCall(0).args).to.deep.equal(['/matches/FB-1001/start', {}, { headers: { 'X-Feed-Key': 'feed-key' } }]);
+      expect(apiClient.client.post.getCall(1).args.slice(0, 2)).to.deep.equal(['/matches/FB-1001/suspend', { marketType: 'winner' }]);
+    });
+  });
+
+  describe('settlement', function () {
+    it('should submit match results with the feed key', async function () {
+      const result = { matchId: 'FB-1001', markets: { winner: 'home' } };
+      apiClient.client.post.resolves({ data: { settled: [] } });
+
+      await apiClient.submitMatchResult(result, 'feed-key');
+
+      expect(apiClient.client.post.calledWith('/results', result, { headers: { 'X-Feed-Key': 'feed-key' } })).to.be.true;
+    });
+
+    it('should settle a single bet', async function () {
+      apiClient.client.post.resolves({ data: { status: 'won', payout: 125 } });
+
+      const result = await apiClient.settleBet('BET-1', { outcome: 'won' });
+
+      expect(apiClient.client.post.getCall(0).args[0]).to.equal('/settlement/bets/BET-1');
+      expect(apiClient.client.post.getCall(0).args[2].headers).to.have.property('X-Feed-Key');
+      expect(result).to.deep.equal({ status: 'won', payout: 125 });
+    });
+
+    it('should rethrow refused settlements', async function () {
+      const error = new Error('Conflict');
+      error.response = { status: 409, data: { code: 'DOUBLE_SETTLEMENT' } };
+      apiClient.client.post.rejects(error);
+
+      try {
+        await apiClient.settleBet('BET-1', { outcome: 'won' });
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
+    });
+  });
+
+  describe('admin', function () {
+    it('should list users and flags with filters', async function () {
+      apiClient.client.get.resolves({ data: [] });
+
+      await apiClient.getAdminUsers({ flagged: true });
+      await apiClient.getAdminFlags({ type: 'fraud_attempt' });
+      await apiClient.getUserFlags('user-1');
+
+      expect(apiClient.client.get.getCall(0).args).to.deep.equal(['/admin/users', { params: { flagged: true } }]);
+      expect(apiClient.client.get.getCall(1).args).to.deep.equal(['/admin/flags', { params: { type: 'fraud_attempt' } }]);
+      expect(apiClient.client.get.getCall(2).args[0]).to.equal('/admin/users/user-1/flags');
+    });
+
+    it('should review a flag', async function () {
+      apiClient.client.post.resolves({ data: { flag: { status: 'cleared' } } });
+
+      const result = await apiClient.reviewFlag('user-1', 'FLAG-1', 'clear', 'False positive');
+
+      expect(apiClient.client.post.calledWith('/admin/users/user-1/flags/FLAG-1/review', {
+        action: 'clear',
+        note: 'False positive'
+      })).to.be.true;
+      expect(result.flag).to.have.property('status', 'cleared');
+    });
+
+    it('should block and reinstate accounts', async function () {
+      apiClient.client.post.resolves({ data: {} });
+
+      await apiClient.blockUser('user-1', 'Chargeback fraud');
+      await apiClient.unblockUser('user-1', { clearFlags: true });
+
+      expect(apiClient.client.post.getCall(0).args).to.deep.equal(['/admin/users/user-1/block', { reason: 'Chargeback fraud' }]);
+      expect(apiClient.client.post.getCall(1).args).to.deep.equal(['/admin/users/user-1/unblock', { note: null, clearFlags: true }]);
+    });
+
+    it('should list and review withdrawal holds', async function () {
+      apiClient.client.get.resolves({ data: [] });
+      apiClient.client.post.resolves({ data: { hold: { status: 'rejected' } } });
+
+      await apiClient.getWithdrawalHolds({ status: 'held' });
+      const result = await apiClient.reviewWithdrawal('HOLD-1', 'reject', 'Chargeback risk');
+
+      expect(apiClient.client.get.firstCall.args).to.deep.equal(['/admin/withdrawals', { params: { status: 'held' } }]);
+      expect(apiClient.client.post.firstCall.args).to.deep.equal([
+        '/admin/withdrawals/HOLD-1/review',
+        { action: 'reject', note: 'Chargeback risk' }
+      ]);
+      expect(result.hold).to.have.property('status', 'rejected');
+    });
+
+    it('should rethrow forbidden admin requests', async function () {
+      const error = new Error('Forbidden');
+      error.response = { status: 403, data: { error: 'Forbidden: Admin access required' } };
+      apiClient.client.get.rejects(error);
+
+      try {
+        await apiClient.getAdminUsers();
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
+    });
+  });
+
+  describe('test control', function () {
+    it('should reset and seed the server state', async function () {
+      const fixture = { users: [{ username: 'seeduser', email: 'seed@example.com', password: 'SeedPass123' }] };
+      apiClient.client.post.resolves({ data: { message: 'ok' } });
+
+      await apiClient.resetServerState();
+      await apiClient.seedServerState(fixture);
+
+      expect(apiClient.client.post.getCall(0).args[0]).to.equal('/__control/reset');
+      expect(apiClient.client.post.getCall(1).args).to.deep.equal(['/__control/seed', fixture]);
+    });
+
+    it('should snapshot and restore named states', async function () {
+      apiClient.client.post.resolves({ data: { name: 'clean' } });
+
+      await apiClient.snapshotServerState('clean');
+      await apiClient.restoreServerState();
+
+      expect(apiClient.client.post.getCall(0).args).to.deep.equal(['/__control/snapshot', { name: 'clean' }]);
+      expect(apiClient.client.post.getCall(1).args).to.deep.equal(['/__control/restore', { name: 'default' }]);
+    });
+
+    it('should read and move the server clock', async function () {
+      apiClient.client.get.resolves({ data: { now: '2030-01-01T00:00:00.000Z', frozen: true, offsetMs: 0 } });
+      apiClient.client.post.resolves({ data: { now: '2030-01-01T00:01:00.000Z', frozen: true } });
+
+      const state = await apiClient.getServerClock();
+      await apiClient.controlServerClock('advance', { ms: 60000 });
+      await apiClient.controlServerClock('unfreeze');
+
+      expect(state).to.have.property('frozen', true);
+      expect(apiClient.client.get.calledWith('/__control/clock')).to.be.true;
+      expect(apiClient.client.post.getCall(0).args).to.deep.equal(['/__control/clock', { action: 'advance', ms: 60000 }]);
+      expect(apiClient.client.post.getCall(1).args).to.deep.equal(['/__control/clock', { action: 'unfreeze' }]);
+    });
+
+    it('should add, list and clear server faults', async function () {
+      const rule = { path: '/bets/place', method: 'POST', errorRate: 1, errorStatus: 502 };
+      apiClient.client.post.resolves({ data: { message: 'Fault rule added', rule: { id: 'FAULT-1', ...rule } } });
+      apiClient.client.get.resolves({ data: { rules: [{ id: 'FAULT-1', ...rule }], injected: [] } });
+      apiClient.client.delete.resolves({ data: { message: 'Fault rule removed' } });
+
+      const added = await apiClient.addServerFault(rule);
+      const state = await apiClient.getServerFaults();
+      await apiClient.clearServerFaults(added.id);
+      await apiClient.clearServerFaults();
+
+      expect(added).to.have.property('id', 'FAULT-1');
+      expect(state.rules).to.have.lengthOf(1);
+      expect(apiClient.client.post.calledWith('/__control/faults', rule)).to.be.true;
+      expect(apiClient.client.get.calledWith('/__control/faults')).to.be.true;
+      expect(apiClient.client.delete.getCall(0).args[0]).to.equal('/__control/faults/FAULT-1');
+      expect(apiClient.client.delete.getCall(1).args[0]).to.equal('/__control/faults');
+    });
+
+    it('should rethrow when the control routes are unavailable', async function () {
+      const error = new Error('Not Found');
+      error.response = { status: 404, data: { error: 'Endpoint not found' } };
+      apiClient.client.post.rejects(error);
+
+      try {
+        await apiClient.resetServerState();
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
     });
   });
 
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the BetFuzzer
+ */
+const { expect } = require('chai');
+const sinon = require('sinon');
+const BetFuzzer = require('../../../src/utils/betFuzzer');
+
+describe('BetFuzzer', function () {
+  const baseBet = {
+    matchId: 'FB-1001',
+    marketType: 'winner',
+    selection: 'home',
+    odds: '2.60',
+    amount: 10,
+    timestamp: '2024-06-15T12:00:00.000Z'
+  };
+
+  // An API that only checks the amount is a positive number once parsed, as a lax backend would
+  const laxSubmit = payload => {
+    const amount = parseFloat(payload.amount);
+    return Promise.resolve(amount > 0 ? { statusCode: 201, data: { betId: 'bet-1' } } : { statusCode: 400, data: {} });
+  };
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe('violations', function () {
+    it('should accept a legitimate bet', function () {
+      expect(BetFuzzer.violations(baseBet)).to.be.empty;
+      expect(BetFuzzer.violations({ ...baseBet, odds: 2.6, amount: '10.50' })).to.be.empty;
+    });
+
+    it('should report wrong types, bad numbers, unicode, missing and extra fields', function () {
+      const payload = { ...baseBet, amount: '1e309', odds: 'Infinity', selection: ['home'], matchId: 'FB-1001\u200b', userId: 'u1' };
+      delete payload.marketType;
+      delete payload.timestamp;
+
+      expect(BetFuzzer.violations(payload)).to.have.members([
+        'userId: unexpected field',
+        'matchId: contains control, invisible or non-ASCII characters',
+        'selection: not a string',
+        'odds: not a number or plain decimal string',
+        'amount: not a number or plain decimal string'
+      ]);
+      expect(BetFuzzer.violations({ ...baseBet, amount: Infinity })).to.deep.equal(['amount: not finite']);
+      expect(BetFuzzer.violations({ ...baseBet, amount: 0.001 })).to.deep.equal(['amount: outside 0.01..100000']);
+      expect(BetFuzzer.violations({ ...baseBet, amount: 10.005 })).to.deep.equal(['amount: more than 2 decimals']);
+      expect(BetFuzzer.violations({ matchId: 'FB-1001', odds: '2.60', amount: 10 })).to.deep.equal(['selection: missing']);
+    });
+  });
+
+  describe('buildPayload', function () {
+    it('should apply changes to a copy, keeping __proto__ as a plain field', function () {
+      const payload = BetFuzzer.buildPayload(baseBet, [
+        { field: 'marketType', category: 'missing' },
+        { field: '__proto__', category: 'extra', value: { isAdmin: true } }
+      ]);
+
+      expect(payload).to.not.have.property('marketType');
+      expect(payload.isAdmin).to.be.undefined;
+      expect(JSON.parse(JSON.stringify(payload))).to.have.own.property('__proto__');
+      expect(baseBet).to.have.property('marketType', 'winner');
+    });
+  });
+
+  describe('generateCase', function () {
+    it('should generate the same cases from the same seed', function () {
+      const submit = sinon.stub();
+      const first = new BetFuzzer({ submit, seed: 42 });
+      const second = new BetFuzzer({ submit, seed: 42 });
+
+      const cases = fuzzer => [1, 2, 3, 4, 5].map(() => fuzzer.generateCase(baseBet));
+
+      expect(cases(first)).to.deep.equal(cases(second));
+    });
+
+    it('should only use the known categories', function () {
+      const fuzzer = new BetFuzzer({ submit: sinon.stub(), seed: 7 });
+
+      for (let i = 0; i < 50; i++) {
+        fuzzer.generateCase(baseBet).forEach(mutation => {
+          expect(BetFuzzer.CATEGORIES).to.include(mutation.category);
+        });
+      }
+    });
+  });
+
+  describe('shrink', function () {
+    it('should drop the changes that are not needed and simplify the value', async function () {
+      // Only a changed amount that still parses as positive gets through
+      const submit = payload => laxSubmit(payload.amount === baseBet.amount ? { amount: 0 } : payload);
+      const fuzzer = new BetFuzzer({ submit, seed: 1 });
+      const mutations = [
+        { field: 'selection', category: 'missing' },
+        { field: 'amount', category: 'nested', value: ['12', ['3']] },
+        { field: 'odds', category: 'non-finite', value: 'NaN' }
+      ];
+
+      const shrunk = await fuzzer.shrink(baseBet, mutations, 'accepted-invalid');
+
+      expect(shrunk.mutations).to.deep.equal([{ field: 'amount', category: 'nested', value: ['3'] }]);
+      expect(shrunk.result.payload).to.deep.include({ amount: ['3'], selection: 'home' });
+    });
+
+    it('should stop after the step budget', async function () {
+      const submit = sinon.spy(laxSubmit);
+      const fuzzer = new BetFuzzer({ submit, seed: 1, maxShrinkSteps: 2 });
+
+      const shrunk = await fuzzer.shrink(baseBet, [
+        { field: 'sport', category: 'unicode', value: 'x'.repeat(10000) },
+        { field: 'betType', category: 'unicode', value: 'x'.repeat(10000) }
+      ], 'accepted-invalid');
+
+      expect(shrunk.steps).to.equal(2);
+      expect(submit.callCount).to.equal(2);
+    });
+  });
+
+  describe('run', function () {
+    it('should report accepted invalid payloads once per shrunk signature with the seed', async function () {
+      sinon.stub(console, 'warn');
+      const beforeEach = sinon.stub().resolves();
+      const fuzzer = new BetFuzzer({ submit: laxSubmit, seed: 99, beforeEach });
+
+      const report = await fuzzer.run(baseBet, { runs: 30 });
+
+      expect(report).to.include({ seed: 99, runs: 30 });
+      expect(report.accepted + report.rejected).to.equal(30);
+      expect(report.findings).to.not.be.empty;
+      report.findings.forEach(finding => {
+        expect(finding.failure).to.equal('accepted-invalid');
+        expect(finding.statusCode).to.equal(201);
+        expect(finding.violations).to.not.be.empty;
+      });
+      const signatures = report.findings.map(finding => finding.mutations.map(m => `${m.field}/${m.category}`).sort().join());
+      expect(new Set(signatures).size).to.equal(signatures.length);
+      expect(beforeEach.callCount).to.be.at.least(30);
+      expect(console.warn.calledWith(`WARNING: Bet fuzzing found ${report.findings.length} problem(s) (seed 99)!`)).to.be.true;
+    });
+
+    it('should report server errors', async function () {
+      sinon.stub(console, 'warn');
+      const fuzzer = new BetFuzzer({
+        submit: payload => Promise.resolve(typeof payload.matchId === 'string' ? { statusCode: 400 } : { statusCode: 500 }),
+        seed: 3
+      });
+
+      const report = await fuzzer.run(baseBet, { runs: 40 });
+
+      expect(report.findings.map(finding => finding.failure)).to.include('server-error');
+      expect(report.findings.every(finding => finding.mutations.some(m => m.field === 'matchId'))).to.be.true;
+    });
+
+    it('should refuse a base bet that breaks the schema', async function () {
+      const fuzzer = new BetFuzzer({ submit: laxSubmit });
+
+      try {
+        await fuzzer.run({ ...baseBet, amount: -5 });
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err.message).to.equal('Base bet does not match the schema: amount: outside 0.01..100000');
+      }
+    });
+
+    it('should need a submit function', function () {
+      expect(() => new BetFuzzer()).to.throw('BetFuzzer needs a submit function');
+    });
+  });
+});
@@ -137,6 +137,82 @@ describe('FakeDataGenerator', function () {
 
       expect(betData1.matchId).to.not.equal(betData2.matchId);
     });
+
+    it('should draw bets from a match catalog when one is given', function () {
+      const matches = [{
+        id: 'FB-1001',
+        sport: 'football',
+        homeTeam: 'Manchester United',
+        awayTeam: 'Liverpool',
+        markets: {
+          winner: { home: 2.6, draw: 3.4, away: 2.7 },
+          total_goals: { over: 1.85, under: 1.95 }
+        }
+      }];
+
+      const betData = FakeDataGenerator.generateBetData(matches);
+
+      expect(betData).to.include({ matchId: 'FB-1001', sport: 'football', homeTeam: 'Manchester United', betType: 'single' });
+      expect(matches[0].markets[betData.marketType]).to.have.property(betData.selection);
+      expect(parseFloat(betData.odds)).to.equal(matches[0].markets[betData.marketType][betData.selection]);
+      expect(Object.keys(betData)).to.deep.equal(Object.keys(FakeDataGenerator.generateBetData()));
+    });
+
+    it('should fall back to random bets for an empty catalog', function () {
+      const betData = FakeDataGenerator.generateBetData([]);
+
+      expect(betData.matchId).to.be.a('string').with.lengthOf(10);
+    });
+  });
+
+  describe('generateAccumulatorBetData', function () {
+    const matches = ['FB-1', 'FB-2', 'FB-3', 'FB-4'].map(id => ({
+      id,
+      sport: 'football',
+      homeTeam: 'Home FC',
+      awayTeam: 'Away FC',
+      markets: { winner: { home: 2.6, draw: 3.4, away: 2.7 } }
+    }));
+
+    it('should put each leg on a different catalog match', function () {
+      const betData = FakeDataGenerator.generateAccumulatorBetData(matches);
+
+      expect(betData).to.include({ betType: 'accumulator' });
+      expect(betData.legs).to.have.lengthOf(3);
+      expect(new Set(betData.legs.map(leg => leg.matchId)).size).to.equal(3);
+      betData.legs.forEach(leg => {
+        expect(Object.keys(leg)).to.deep.equal(['matchId', 'sport', 'homeTeam', 'awayTeam', 'marketType', 'selection', 'odds']);
+      });
+    });
+
+    it('should price the accumulator at the product of the leg odds', function () {
+      const betData = FakeDataGenerator.generateAccumulatorBetData(matches, 2);
+      const product = betData.legs.reduce((odds, leg) => odds * parseFloat(leg.odds), 1);
+
+      expect(parseFloat(betData.odds)).to.equal(Math.round(product * 100) / 100);
+    });
+
+    it('should need a match for every leg', function () {
+      expect(() => FakeDataGenerator.generateAccumulatorBetData(matches, 5)).to.throw('needs at least 5 matches');
+      expect(() => FakeDataGenerator.generateAccumulatorBetData(matches.slice(0, 1), 1)).to.throw('needs at least 2 matches');
+    });
+  });
+
+  describe('generateNearDuplicateUserData', function () {
+    it('should keep the identity while changing one letter of the name', function () {
+      const original = FakeDataGenerator.generateUserData();
+
+      const duplicate = FakeDataGenerator.generateNearDuplicateUserData(original);
+
+      expect(duplicate).to.deep.include({
+        firstName: original.firstName,
+        dateOfBirth: original.dateOfBirth,
+        address: original.address
+      });
+      expect(duplicate.lastName).to.have.lengthOf(original.lastName.length).and.not.equal(original.lastName);
+      expect(duplicate.username).to.not.equal(original.username);
+      expect(duplicate.email).to.not.equal(original.email);
+    });
   });
 
   describe('generateLoginCredentials', function () {
@@ -183,6 +259,46 @@ describe('FakeDataGenerator', function () {
     });
   });
 
+
+  describe('generateCredentialList', function () {
+    it('should mix known users in with generated credentials', function () {
+      const knownUsers = [
+        { username: 'reuser1', password: 'Reused123!', email: 'reuser1@example.com' },
+        { username: 'reuser2', password: 'Reused456!', email: 'reuser2@example.com' }
+      ];
+
+      const credentials = FakeDataGenerator.generateCredentialList(10, knownUsers);
+
+      expect(credentials).to.have.lengthOf(10);
+      expect(credentials).to.deep.include({ username: 'reuser1', password: 'Reused123!' });
+      expect(credentials).to.deep.include({ username: 'reuser2', password: 'Reused456!' });
+      credentials.forEach(credential => expect(credential).to.have.all.keys('username', 'password'));
+    });
+
+    it('should never return more credentials than requested', function () {
+      const knownUsers = [{ username: 'a', password: 'p' }, { username: 'b', password: 'q' }];
+
+      expect(FakeDataGenerator.generateCredentialList(1, knownUsers)).to.have.lengthOf(1);
+    });
+  });
+
+  describe('generateDeviceProfile', function () {
+    it('should generate a device id, model, OS and IP', function () {
+      const profile = FakeDataGenerator.generateDeviceProfile();
+
+      expect(profile).to.have.all.keys('deviceId', 'model', 'os', 'ip');
+      expect(profile.deviceId).to.match(/^[0-9a-f-]{36}$/);
+      expect(profile.ip).to.match(/^\d+\.\d+\.\d+\.\d+$/);
+    });
+
+    it('should pair iPhones with iOS and other models with Android', function () {
+      for (let i = 0; i < 20; i++) {
+        const { model, os } = FakeDataGenerator.generateDeviceProfile();
+        expect(os.startsWith('iOS')).to.equal(model.startsWith('iPhone'));
+      }
+    });
+  });
+
   describe('generateRandomString', function () {
     it('should generate string of specified length', function () {
       const length = 10;
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for FraudCampaign
+ */
+const { expect } = require('chai');
+const sinon = require('sinon');
+const FraudCampaign = require('../../../src/utils/fraudCampaign');
+const FraudMutationRegistry = require('../../../src/utils/fraudMutationRegistry');
+
+describe('FraudCampaign', function () {
+  const betData = { matchId: 'FB-1001', amount: 10, odds: '2.6', selection: 'home' };
+  const accumulatorBetData = {
+    legs: [
+      { matchId: 'FB-1001', selection: 'home', odds: '2.6' },
+      { matchId: 'FB-1002', selection: 'away', odds: '3.1' }
+    ],
+    amount: 10,
+    odds: '8.06'
+  };
+  let apiClient;
+  let campaign;
+
+  // Answer each stack as the mock server would: a 400 listing the rules expected of its mutations
+  const rejectWithExpectedRules = registry => (data, fraudTypes) => {
+    const triggeredRules = fraudTypes.flatMap(fraudType => registry.get(fraudType).expectedRules);
+    return Promise.resolve({
+      success: false,
+      statusCode: 400,
+      error: { fraudType: triggeredRules[0] },
+      expectedOutcome: 'rejected',
+      outcome: 'rejected',
+      outcomeAsExpected: true,
+      triggeredRules
+    });
+  };
+
+  beforeEach(function () {
+    apiClient = {
+      fraudMutations: FraudMutationRegistry.withBuiltIns(),
+      placeFraudulentCombination: sinon.stub()
+    };
+    apiClient.placeFraudulentCombination.callsFake(rejectWithExpectedRules(apiClient.fraudMutations));
+    campaign = new FraudCampaign(apiClient);
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe('combinations and permutations', function () {
+    it('should choose every n-wise combination once', function () {
+      expect(FraudCampaign.combinations(['a', 'b', 'c'], 2)).to.deep.equal([['a', 'b'], ['a', 'c'], ['b', 'c']]);
+      expect(FraudCampaign.combinations(['a', 'b', 'c'], 3)).to.deep.equal([['a', 'b', 'c']]);
+      expect(FraudCampaign.combinations(['a', 'b'], 3)).to.be.empty;
+    });
+
+    it('should list every ordering', function () {
+      expect(FraudCampaign.permutations(['a', 'b', 'c'])).to.have.deep.members([
+        ['a', 'b', 'c'], ['a', 'c', 'b'], ['b', 'a', 'c'], ['b', 'c', 'a'], ['c', 'a', 'b'], ['c', 'b', 'a']
+      ]);
+    });
+  });
+
+  describe('plan', function () {
+    it('should plan pairwise stacks of every registered mutation by default', function () {
+      const count = apiClient.fraudMutations.getTypes().length;
+
+      expect(campaign.plan()).to.have.lengthOf(count * (count - 1) / 2);
+    });
+
+    it('should add every ordering when asked', function () {
+      const stacks = campaign.plan({ fraudTypes: ['negative-amount', 'request-tampering'], orderings: true });
+
+      expect(stacks).to.deep.equal([
+        ['negative-amount', 'request-tampering'],
+        ['request-tampering', 'negative-amount']
+      ]);
+    });
+
+    it('should refuse unknown fraud types and impossible sizes', function () {
+      expect(() => campaign.plan({ fraudTypes: ['negative-amount', 'made-up'] })).to.throw('Unknown fraud type "made-up"');
+      expect(() => campaign.plan({ fraudTypes: ['negative-amount'], size: 2 })).to.throw('Combination size must be between 1 and 1');
+    });
+  });
+
+  describe('run', function () {
+    it('should place single-bet stacks on the bet and accumulator stacks on the accumulator', async function () {
+      await campaign.run({
+        betData,
+        accumulatorBetData,
+        fraudTypes: ['negative-amount', 'request-tampering', 'leg-tampering']
+      });
+
+      const placed = apiClient.placeFraudulentCombination.getCalls().map(call => call.args);
+      expect(placed).to.deep.equal([
+        [betData, ['negative-amount', 'request-tampering']],
+        [accumulatorBetData, ['negative-amount', 'leg-tampering']],
+        [accumulatorBetData, ['request-tampering', 'leg-tampering']]
+      ]);
+    });
+
+    it('should skip stacks it cannot place', async function () {
+      const result = await campaign.run({
+        betData,
+        fraudTypes: ['negative-amount', 'leg-tampering', 'odds-manipulation']
+      });
+
+      expect(result.combinations).to.equal(1);
+      expect(result.skipped).to.deep.equal([
+        { fraudTypes: ['negative-amount', 'leg-tampering'], reason: 'needs accumulator bet data' },
+        { fraudTypes: ['leg-tampering', 'odds-manipulation'], reason: 'mixes accumulator and single-bet mutations' }
+      ]);
+    });
+
+    it('should run the beforeEach hook before every bet', async function () {
+      const beforeEach = sinon.stub().resolves();
+
+      await campaign.run({ betData, fraudTypes: ['negative-amount', 'request-tampering', 'timestamp-manipulation'], beforeEach });
+
+      expect(beforeEach.callCount).to.equal(3);
+      expect(beforeEach.firstCall.args).to.deep.equal([['negative-amount', 'request-tampering'], 0]);
+      expect(beforeEach.firstCall.calledBefore(apiClient.placeFraudulentCombination.firstCall)).to.be.true;
+    });
+
+    it('should report missed and unexpected rules in the detection matrix', async function () {
+      apiClient.placeFraudulentCombination.callsFake(() => Promise.resolve({
+        success: false,
+        statusCode: 400,
+        error: { fraudType: 'match-alteration' },
+        expectedOutcome: 'rejected',
+        outcome: 'rejected',
+        outcomeAsExpected: true,
+        triggeredRules: ['match-alteration', 'high-stake']
+      }));
+
+      const result = await campaign.run({ betData, fraudTypes: ['match-alteration', 'odds-manipulation'] });
+
+      expect(result).to.include({ combinations: 1, outcomesAsExpected: 1, missedRules: 1 });
+      expect(result.results[0]).to.deep.include({
+        primaryFraudType: 'match-alteration',
+        missedRules: ['odds-manipulation'],
+        unexpectedRules: ['high-stake']
+      });
+      expect(result.matrix).to.deep.equal({
+        rules: ['high-stake', 'match-alteration', 'odds-manipulation'],
+        rows: [{
+          combination: 'match-alteration + odds-manipulation',
+          outcome: 'rejected',
+          cells: { 'high-stake': 'extra', 'match-alteration': 'hit', 'odds-manipulation': 'missed' }
+        }]
+      });
+      expect(console.warn.calledWith('WARNING: Some fraud combinations were not handled as expected!')).to.be.true;
+    });
+
+    it('should not warn when every combination was detected as expected', async function () {
+      const result = await campaign.run({ betData, fraudTypes: ['negative-amount', 'request-tampering'] });
+
+      expect(result.missedRules).to.equal(0);
+      expect(console.warn.called).to.be.false;
+    });
+  });
+
+  describe('findOrderSensitive', function () {
+    it('should report combinations whose rules depend on the order of the mutations', function () {
+      const results = [
+        { fraudTypes: ['a', 'b'], triggeredRules: ['rule-a', 'rule-b'] },
+        { fraudTypes: ['b', 'a'], triggeredRules: ['rule-b'] },
+        { fraudTypes: ['a', 'c'], triggeredRules: ['rule-a', 'rule-c'] },
+        { fraudTypes: ['c', 'a'], triggeredRules: ['rule-c', 'rule-a'] }
+      ];
+
+      expect(FraudCampaign.findOrderSensitive(results)).to.deep.equal([{
+        fraudTypes: ['a', 'b'],
+        orderings: [
+          { fraudTypes: ['a', 'b'], triggeredRules: ['rule-a', 'rule-b'] },
+          { fraudTypes: ['b', 'a'], triggeredRules: ['rule-b'] }
+        ]
+      }]);
+    });
+  });
+
+  describe('formatMatrix', function () {
+    it('should render one aligned row per combination', function () {
+      const text = FraudCampaign.formatMatrix({
+        rules: ['negative-amount', 'odds-manipulation'],
+        rows: [{ combination: 'a + b', outcome: 'rejected', cells: { 'negative-amount': 'hit' } }]
+      });
+
+      expect(text.split('\n')).to.deep.equal([
+        'combination | outcome  | negative-amount | odds-manipulation',
+        'a + b       | rejected | hit             |'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the FraudMutationRegistry
+ */
+const { expect } = require('chai');
+const FraudMutationRegistry = require('../../../src/utils/fraudMutationRegistry');
+
+describe('FraudMutationRegistry', function () {
+  let registry;
+
+  const buildMutation = (overrides = {}) => ({
+    id: 'test-mutation',
+    description: 'Test mutation',
+    expectedOutcome: 'rejected',
+    mutate: betData => betData,
+    ...overrides
+  });
+
+  beforeEach(function () {
+    registry = new FraudMutationRegistry();
+  });
+
+  describe('register', function () {
+    it('should reject mutations without an id, a mutate function or a known outcome', function () {
+      expect(() => registry.register(buildMutation({ id: '' }))).to.throw('Fraud mutation must have a string id');
+      expect(() => registry.register(buildMutation({ mutate: null }))).to.throw('must have a mutate function');
+      expect(() => registry.register(buildMutation({ expectedOutcome: 'ignored' }))).to.throw('unknown expected outcome "ignored"');
+      expect(() => registry.register(buildMutation({ expectedRules: 'odds' }))).to.throw('must list its expected rules in an array');
+    });
+
+    it('should replace a mutation registered with the same id and unregister by id', function () {
+      registry.register(buildMutation());
+      registry.register(buildMutation({ expectedOutcome: 'flagged' }));
+
+      expect(registry.getMutations()).to.have.lengthOf(1);
+      expect(registry.get('test-mutation')).to.have.property('expectedOutcome', 'flagged');
+      expect(registry.unregister('test-mutation')).to.be.true;
+      expect(registry.has('test-mutation')).to.be.false;
+    });
+
+    it('should name the registered types when a type is unknown', function () {
+      registry.register(buildMutation());
+
+      expect(() => registry.get('other')).to.throw('Unknown fraud type "other"; registered types are test-mutation');
+    });
+  });
+
+  describe('withBuiltIns', function () {
+    it('should load every built-in mutation with a description', function () {
+      const builtIns = FraudMutationRegistry.withBuiltIns();
+
+      expect(builtIns.getTypes()).to.have.members([
+        'combined-odds-inflation',
+        'correlated-legs',
+        'leg-tampering',
+        'match-alteration',
+        'negative-amount',
+        'odds-manipulation',
+        'request-tampering',
+        'timestamp-manipulation'
+      ]);
+      builtIns.getMutations().forEach(mutation => {
+        expect(mutation.description, mutation.id).to.be.a('string').and.not.be.empty;
+      });
+    });
+  });
+
+  describe('apply', function () {
+    const betData = { matchId: 'match-123', amount: 50, odds: '2.5', selection: 'home' };
+
+    it('should mutate a copy of the bet', function () {
+      registry.register(buildMutation({
+        mutate: data => {
+          data.amount = 0;
+          return data;
+        }
+      }));
+
+      const { mutation, betData: mutated } = registry.apply(betData, 'test-mutation');
+
+      expect(mutation).to.have.property('id', 'test-mutation');
+      expect(mutated).to.have.property('amount', 0);
+      expect(betData).to.have.property('amount', 50);
+    });
+
+    it('should pass the current time to the mutation', function () {
+      const builtIns = FraudMutationRegistry.withBuiltIns();
+      const now = Date.parse('2030-01-02T00:00:00Z');
+
+      const { betData: mutated } = builtIns.apply(betData, 'timestamp-manipulation', { now });
+
+      expect(mutated.timestamp).to.equal('2030-01-01T00:00:00.000Z');
+    });
+
+    it('should refuse accumulator mutations for single bets and single-bet mutations for accumulators', function () {
+      registry.register(buildMutation({ requiresLegs: true }));
+      registry.register(buildMutation({ id: 'single-only', singleOnly: true }));
+
+      expect(() => registry.apply(betData, 'test-mutation'))
+        .to.throw('Fraud type "test-mutation" needs accumulator bet data with legs');
+      expect(() => registry.apply({ ...betData, legs: [] }, 'single-only'))
+        .to.throw('Fraud type "single-only" only applies to single bets');
+    });
+  });
+
+  describe('applyAll', function () {
+    it('should stack mutations in the order given', function () {
+      const builtIns = FraudMutationRegistry.withBuiltIns();
+
+      const { mutations, betData: mutated } = builtIns.applyAll(
+        { matchId: 'match-123', amount: 50, odds: '2.5', selection: 'home' },
+        ['negative-amount', 'odds-manipulation', 'request-tampering']
+      );
+
+      expect(mutations.map(mutation => mutation.id)).to.deep.equal(['negative-amount', 'odds-manipulation', 'request-tampering']);
+      expect(mutated).to.include({ amount: -50, odds: '25', serverBypass: true, adminApproval: true });
+    });
+
+    it('should expect the strongest outcome of the stacked mutations', function () {
+      expect(FraudMutationRegistry.combinedOutcome([
+        buildMutation({ expectedOutcome: 'flagged' }),
+        buildMutation({ expectedOutcome: 'rejected' })
+      ])).to.equal('rejected');
+      expect(FraudMutationRegistry.combinedOutcome([buildMutation({ expectedOutcome: 'blocked' })])).to.equal('blocked');
+      expect(FraudMutationRegistry.combinedOutcome([])).to.equal('accepted');
+    });
+  });
+
+  describe('classifyOutcome', function () {
+    it('should tell rejected, blocked, flagged and accepted bets apart', function () {
+      expect(FraudMutationRegistry.classifyOutcome(400, { error: 'Fraud detected' })).to.equal('rejected');
+      expect(FraudMutationRegistry.classifyOutcome(undefined)).to.equal('rejected');
+      expect(FraudMutationRegistry.classifyOutcome(403, { error: 'Account is blocked' })).to.equal('blocked');
+      expect(FraudMutationRegistry.classifyOutcome(201, { bet: { status: 'under_review' } })).to.equal('flagged');
+      expect(FraudMutationRegistry.classifyOutcome(201, { riskAssessment: { decision: 'review' } })).to.equal('flagged');
+      expect(FraudMutationRegistry.classifyOutcome(201, { bet: { status: 'pending' } })).to.equal('accepted');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Unit tests for the RaceHarness
+ */
+const { expect } = require('chai');
+const sinon = require('sinon');
+const axios = require('axios');
+const RaceHarness = require('../../../src/utils/raceHarness');
+
+describe('RaceHarness', function () {
+  const betData = { matchId: 'FB-1001', selection: 'home', odds: '2.60', amount: 60 };
+  let account;
+  let racers;
+  let apiClient;
+  let harness;
+
+  // A backend that reads the balance, yields, then writes it back, so concurrent bets all pass the check
+  const racyPlaceBet = async config => {
+    const { balance } = account;
+    await new Promise(resolve => setImmediate(resolve));
+    if (config.data.amount > balance) {
+      return { status: 400, data: { error: 'Insufficient funds' } };
+    }
+    const bet = { id: `bet-${account.bets.length + 1}`, amount: config.data.amount, status: 'pending' };
+    account.bets.push(bet);
+    account.balance = balance - config.data.amount;
+    return { status: 201, data: { betId: bet.id } };
+  };
+
+  // A backend that checks and debits in one step
+  const atomicPlaceBet = async config => {
+    if (config.data.amount > account.balance) {
+      return { status: 400, data: { error: 'Insufficient funds' } };
+    }
+    const bet = { id: `bet-${account.bets.length + 1}`, amount: config.data.amount, status: 'pending' };
+    account.bets.push(bet);
+    account.balance -= config.data.amount;
+    return { status: 201, data: { betId: bet.id } };
+  };
+
+  const fakeRacer = placeBet => {
+    const racer = {
+      get: sinon.stub().resolves({ status: 200, data: { status: 'ok' } }),
+      post: sinon.stub(),
+      request: sinon.stub().callsFake(placeBet),
+      defaults: {
+        httpAgent: { destroy: sinon.stub() },
+        httpsAgent: { destroy: sinon.stub() }
+      }
+    };
+    racers.push(racer);
+    return racer;
+  };
+
+  beforeEach(function () {
+    account = { status: 'active', balance: 100, bets: [] };
+    racers = [];
+    sinon.stub(axios, 'create').callsFake(() => fakeRacer(atomicPlaceBet));
+    apiClient = {
+      baseURL: 'https://test-api.example.com',
+      authToken: 'main-token',
+      client: { defaults: { headers: { common: { Authorization: 'Bearer main-token', 'X-Client': 'tests' } } } },
+      getAccountStatus: sinon.stub().callsFake(() => Promise.resolve({ status: account.status, balance: account.balance })),
+      getBetHistory: sinon.stub().callsFake(() => Promise.resolve(account.bets.map(bet => ({ ...bet }))))
+    };
+    harness = new RaceHarness(apiClient);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe('createRacer', function () {
+    it('should give each racer its own single-socket connection and keep the client headers', function () {
+      harness.createRacer('other-token');
+      harness.createRacer(null);
+      harness.createRacer(null, { authenticated: false });
+
+      const [other, own, anonymous] = axios.create.getCalls().map(call => call.args[0]);
+      expect(other.baseURL).to.equal('https://test-api.example.com');
+      expect(other.httpAgent.maxSockets).to.equal(1);
+      expect(other.httpAgent).to.not.equal(own.httpAgent);
+      expect(other.validateStatus(500)).to.be.true;
+      expect(other.headers).to.include({ Authorization: 'Bearer other-token', 'X-Client': 'tests' });
+      expect(own.headers).to.include({ Authorization: 'Bearer main-token' });
+      expect(anonymous.headers).to.not.have.property('Authorization');
+    });
+  });
+
+  describe('openSessions', function () {
+    it('should log in once per session and close each connection', async function () {
+      axios.create.callsFake(() => {
+        const racer = fakeRacer(atomicPlaceBet);
+        racer.post.resolves({ status: 200, data: { token: `token-${racers.length}` } });
+        return racer;
+      });
+
+      const tokens = await harness.openSessions({ username: 'racer', password: 'RacePass123' }, 2);
+
+      expect(tokens).to.deep.equal(['token-1', 'token-2']);
+      racers.forEach(racer => {
+        expect(racer.post.calledOnceWith('/auth/login', { username: 'racer', password: 'RacePass123' })).to.be.true;
+        expect(racer.defaults.httpAgent.destroy.calledOnce).to.be.true;
+      });
+    });
+
+    it('should fail when a login is refused', async function () {
+      axios.create.callsFake(() => {
+        const racer = fakeRacer(atomicPlaceBet);
+        racer.post.resolves({ status: 401, data: { error: 'Invalid credentials' } });
+        return racer;
+      });
+
+      try {
+        await harness.openSessions({ username: 'racer', password: 'wrong' }, 1);
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err.message).to.equal('Login failed with status 401');
+      }
+    });
+  });
+
+  describe('fire', function () {
+    it('should warm up every connection before releasing any request', async function () {
+      const { results, spreadMs } = await harness.fire([
+        { url: '/bets/place', data: { amount: 10 } },
+        { url: '/bets/place', data: { amount: 20 }, token: 'other-token' }
+      ]);
+
+      expect(results.map(result => result.statusCode)).to.deep.equal([201, 201]);
+      expect(results.map(result => result.index)).to.deep.equal([0, 1]);
+      expect(spreadMs).to.be.a('number').and.at.least(0);
+      racers.forEach(racer => {
+        expect(racer.get.calledWith('/health')).to.be.true;
+        expect(racer.defaults.httpAgent.destroy.calledOnce).to.be.true;
+      });
+      expect(racers[1].get.calledBefore(racers[0].request)).to.be.true;
+    });
+
+    it('should record network failures instead of throwing', async function () {
+      axios.create.callsFake(() => fakeRacer(() => Promise.reject(new Error('socket hang up'))));
+
+      const { results } = await harness.fire([{ url: '/bets/place', data: {} }]);
+
+      expect(results[0]).to.include({ index: 0, statusCode: null, error: 'socket hang up' });
+    });
+  });
+
+  describe('raceBets', function () {
+    it('should report a double-spend when concurrent bets all pass the balance check', async function () {
+      sinon.stub(console, 'warn');
+      axios.create.callsFake(() => fakeRacer(racyPlaceBet));
+
+      const report = await harness.raceBets(betData, { count: 3 });
+
+      expect(report).to.include({ attempts: 3, accepted: 3 });
+      expect(report.before).to.deep.equal({ status: 'active', balance: 100, bets: [] });
+      expect(report.problems.map(problem => problem.type)).to.include.members(['double-spend', 'balance-mismatch']);
+      expect(console.warn.calledWithMatch('WARNING: Race produced double-spend')).to.be.true;
+    });
+
+    it('should report nothing when the backend debits atomically', async function () {
+      sinon.stub(console, 'warn');
+
+      const report = await harness.raceBets(betData, { count: 3 });
+
+      expect(report).to.include({ attempts: 3, accepted: 1 });
+      expect(report.after.balance).to.equal(40);
+      expect(report.problems).to.be.empty;
+      expect(console.warn.called).to.be.false;
+    });
+
+    it('should spread varied bets over the sessions and send the idempotency key', async function () {
+      sinon.stub(console, 'warn');
+
+      await harness.raceBets(index => ({ ...betData, amount: 10 + index }), {
+        count: 3,
+        sessions: ['token-a', 'token-b'],
+        idempotencyKey: 'race-1'
+      });
+
+      const headers = axios.create.getCalls().map(call => call.args[0].headers.Authorization);
+      expect(headers).to.deep.equal(['Bearer token-a', 'Bearer token-b', 'Bearer token-a']);
+      const requests = racers.map(racer => racer.request.firstCall.args[0]);
+      expect(requests.map(request => request.data.amount)).to.deep.equal([10, 11, 12]);
+      requests.forEach(request => {
+        expect(request).to.deep.include({ method: 'post', url: '/bets/place', headers: { 'Idempotency-Key': 'race-1' } });
+      });
+    });
+  });
+
+  describe('reconcile', function () {
+    const before = { balance: 100, bets: [{ id: 'old', amount: 5 }] };
+    const accepted = betId => ({ statusCode: 201, data: { betId } });
+
+    it('should find phantom and unreported bets', function () {
+      const after = { balance: 90, bets: [...before.bets, { id: 'b1', amount: 10 }] };
+
+      const problems = RaceHarness.reconcile({
+        before,
+        after,
+        results: [accepted('b2'), { statusCode: 400, data: { error: 'Insufficient funds' } }]
+      });
+
+      expect(problems).to.deep.equal([
+        { type: 'phantom-bet', betIds: ['b2'] },
+        { type: 'unreported-bet', betIds: ['b1'] }
+      ]);
+    });
+
+    it('should find stakes that were not debited', function () {
+      const after = { balance: 90, bets: [...before.bets, { id: 'b1', amount: '10.00' }, { id: 'b2', amount: 10 }] };
+
+      const problems = RaceHarness.reconcile({ before, after, results: [accepted('b1'), accepted('b2')] });
+
+      expect(problems).to.deep.equal([{ type: 'balance-mismatch', debited: 10, stake: 20 }]);
+    });
+
+    it('should find idempotency and limit bypasses', function () {
+      const after = { balance: 70, bets: [...before.bets, { id: 'b1', amount: 15 }, { id: 'b2', amount: 15 }] };
+
+      const problems = RaceHarness.reconcile({
+        before,
+        after,
+        results: [accepted('b1'), accepted('b2')],
+        idempotencyKey: 'race-1',
+        limits: { maxBets: 1, maxStake: 20 }
+      });
+
+      expect(problems).to.deep.equal([
+        { type: 'idempotency-bypass', idempotencyKey: 'race-1', betIds: ['b1', 'b2'] },
+        { type: 'limit-bypass', limit: 'maxBets', allowed: 1, actual: 2 },
+        { type: 'limit-bypass', limit: 'maxStake', allowed: 20, actual: 30 }
+      ]);
+    });
+
+    it('should accept replays of one idempotent bet', function () {
+      const after = { balance: 85, bets: [...before.bets, { id: 'b1', amount: 15 }] };
+
+      const problems = RaceHarness.reconcile({
+        before,
+        after,
+        results: [accepted('b1'), accepted('b1')],
+        idempotencyKey: 'race-1'
+      });
+
+      expect(problems).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for the SessionPool
+ */
+const { expect } = require('chai');
+const sinon = require('sinon');
+const SessionPool = require('../../../src/utils/sessionPool');
+
+describe('SessionPool', function () {
+  let clients;
+  let pool;
+
+  const userData = index => ({ username: `user${index}`, email: `user${index}@example.com`, password: `Secret${index}1A!` });
+
+  const fakeClient = () => {
+    const id = clients.length + 1;
+    const client = {
+      id,
+      // Keeps the new session, as ApiClient.registerUser does
+      registerUser: sinon.stub().callsFake(data => {
+        client.setAuthToken(`token-${id}`, `refresh-${id}`);
+        return Promise.resolve({ token: `token-${id}`, user: { id: `id-${data.username}`, username: data.username } });
+      }),
+      login: sinon.stub().callsFake(credentials => Promise.resolve({
+        token: `token-${id}`,
+        user: { id: `id-${credentials.username}`, username: credentials.username }
+      })),
+      logout: sinon.stub().resolves({ revokedSessions: 1 }),
+      setAuthToken: sinon.stub(),
+      setDeviceProfile: sinon.stub()
+    };
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(function () {
+    clients = [];
+    pool = new SessionPool({ createClient: fakeClient, generateUser: userData });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe('register', function () {
+    it('should register generated users on a client each and keep their tokens', async function () {
+      const sessions = await pool.register(2);
+
+      expect(pool.size).to.equal(2);
+      expect(sessions.map(session => session.name)).to.deep.equal(['user0', 'user1']);
+      expect(sessions[1]).to.deep.include({
+        userId: 'id-user1',
+        credentials: { username: 'user1', password: 'Secret11A!' },
+        client: clients[1],
+        sharedFrom: null
+      });
+      expect(clients[0].setAuthToken.calledOnceWith('token-1', 'refresh-1')).to.be.true;
+      expect(clients[1].setAuthToken.calledOnceWith('token-2', 'refresh-2')).to.be.true;
+    });
+
+    it('should register the given users and continue the generated numbering after them', async function () {
+      await pool.register([{ username: 'alice', email: 'alice@example.com', password: 'AlicePass1' }]);
+      await pool.register(1);
+
+      expect(pool.sessions.map(session => session.name)).to.deep.equal(['alice', 'user1']);
+    });
+
+    it('should send a shared, per-user or generated device profile', async function () {
+      const phone = { deviceId: 'phone-1', model: 'Pixel 7', os: 'Android 14' };
+
+      await pool.register(2, { deviceProfile: phone });
+      await pool.register(1, { deviceProfile: index => ({ ...phone, deviceId: `phone-${index}` }) });
+      await pool.register(1, { deviceProfile: true });
+      await pool.register(1);
+
+      expect(clients[0].setDeviceProfile.calledOnceWith(phone)).to.be.true;
+      expect(clients[1].setDeviceProfile.calledOnceWith(phone)).to.be.true;
+      expect(clients[2].setDeviceProfile.firstCall.args[0]).to.include({ deviceId: 'phone-2' });
+      expect(clients[3].setDeviceProfile.firstCall.args[0]).to.have.all.keys('deviceId', 'model', 'os', 'ip');
+      expect(clients[4].setDeviceProfile.called).to.be.false;
+    });
+
+    it('should stop at the first failed registration', async function () {
+      const error = new Error('Request failed with status code 409');
+      const createClient = () => {
+        const client = fakeClient();
+        if (clients.length === 2) client.registerUser.rejects(error);
+        return client;
+      };
+      pool = new SessionPool({ createClient, generateUser: userData });
+
+      try {
+        await pool.register(3);
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
+      expect(pool.size).to.equal(1);
+    });
+  });
+
+  describe('login and shareCredentials', function () {
+    it('should log existing users in', async function () {
+      const sessions = await pool.login([{ username: 'alice', password: 'AlicePass1' }]);
+
+      expect(clients[0].login.calledOnceWith({ username: 'alice', password: 'AlicePass1' })).to.be.true;
+      expect(sessions[0]).to.deep.include({ name: 'alice', userId: 'id-alice' });
+    });
+
+    it('should log a pooled user in again on another client', async function () {
+      await pool.register(2);
+
+      const shared = await pool.shareCredentials('user1', { deviceProfile: { deviceId: 'friend-phone' } });
+
+      expect(shared).to.deep.include({ name: 'user1#2', username: 'user1', userId: 'id-user1', sharedFrom: 'user1' });
+      expect(clients[2].login.calledOnceWith({ username: 'user1', password: 'Secret11A!' })).to.be.true;
+      expect(clients[2].setDeviceProfile.calledOnceWith({ deviceId: 'friend-phone' })).to.be.true;
+      expect(pool.get('user1')).to.equal(pool.sessions[1]);
+      expect(pool.get('user1#2')).to.equal(shared);
+    });
+  });
+
+  describe('get and as', function () {
+    beforeEach(async function () {
+      await pool.register(2);
+    });
+
+    it('should find sessions by name, user id or index', function () {
+      expect(pool.get('user1').client).to.equal(clients[1]);
+      expect(pool.get('id-user0').client).to.equal(clients[0]);
+      expect(pool.get(1).client).to.equal(clients[1]);
+      expect(() => pool.get('nobody')).to.throw('Unknown session "nobody"; pooled sessions are user0, user1');
+    });
+
+    it('should run an operation with the client of the chosen user', async function () {
+      const operation = sinon.stub().resolves('done');
+
+      const result = await pool.as('user1', operation);
+
+      expect(result).to.equal('done');
+      expect(operation.calledOnceWith(clients[1], pool.sessions[1])).to.be.true;
+    });
+  });
+
+  describe('round-robin', function () {
+    it('should cycle through the users in order', async function () {
+      await pool.register(3);
+
+      const names = await pool.roundRobin(5, (client, session, index) => Promise.resolve(`${index}:${session.name}`));
+
+      expect(names).to.deep.equal(['0:user0', '1:user1', '2:user2', '3:user0', '4:user1']);
+      expect(pool.next().name).to.equal('user2');
+    });
+
+    it('should refuse to run on an empty pool', function () {
+      expect(() => pool.next()).to.throw('Session pool is empty');
+    });
+  });
+
+  describe('each', function () {
+    beforeEach(async function () {
+      await pool.register(3);
+    });
+
+    it('should run as every user one after another', async function () {
+      const order = [];
+
+      const results = await pool.each(async (client, session) => {
+        order.push(`start ${session.name}`);
+        await Promise.resolve();
+        order.push(`end ${session.name}`);
+        return client.id;
+      });
+
+      expect(results).to.deep.equal([1, 2, 3]);
+      expect(order.slice(0, 3)).to.deep.equal(['start user0', 'end user0', 'start user1']);
+    });
+
+    it('should run as every user at once when asked', async function () {
+      const order = [];
+
+      await pool.each(async (client, session) => {
+        order.push(`start ${session.name}`);
+        await Promise.resolve();
+        order.push(`end ${session.name}`);
+      }, { parallel: true });
+
+      expect(order.slice(0, 3)).to.deep.equal(['start user0', 'start user1', 'start user2']);
+    });
+  });
+
+  describe('logoutAll', function () {
+    it('should log every session out and empty the pool, ignoring sessions already ended', async function () {
+      await pool.register(2);
+      clients[0].logout.rejects(new Error('Request failed with status code 401'));
+
+      await pool.logoutAll();
+
+      expect(clients.every(client => client.logout.calledOnce)).to.be.true;
+      expect(pool.size).to.equal(0);
+    });
+  });
+
+  it('should need a createClient function', function () {
+    expect(() => new SessionPool()).to.throw('SessionPool needs a createClient function');
+  });
+});